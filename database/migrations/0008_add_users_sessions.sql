@@ -0,0 +1,29 @@
+-- Migration: Add user accounts and login sessions
+-- role: admin | hr_clerk | supervisor (read-only)
+-- password_hash: pbkdf2_sha256$<iterations>$<salt>$<hash>
+-- sessions.token_hash: SHA-256 of the bearer token (raw token is never stored)
+
+CREATE TABLE IF NOT EXISTS users (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    username        TEXT NOT NULL UNIQUE,
+    display_name    TEXT,
+    password_hash   TEXT NOT NULL,
+    role            TEXT NOT NULL DEFAULT 'supervisor',
+    is_active       INTEGER NOT NULL DEFAULT 1,
+    last_login_at   TEXT,
+    created_at      TEXT DEFAULT (datetime('now')),
+    updated_at      TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id         INTEGER NOT NULL,
+    token_hash      TEXT NOT NULL UNIQUE,
+    ip_address      TEXT,
+    expires_at      TEXT NOT NULL,
+    created_at      TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
@@ -0,0 +1,22 @@
+-- Migration: Add audit_log table
+-- One row per create / update / delete / download, written by the Worker routes.
+-- action: create | update | delete | upload | download
+-- changes: JSON object of changed fields, e.g. {"employer_name":{"from":"A PTE LTD","to":"B PTE LTD"}}
+-- worker_id is denormalised so a worker's full activity can be listed in one query.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_id        INTEGER,
+    actor_username  TEXT,
+    action          TEXT NOT NULL,
+    entity_type     TEXT NOT NULL,
+    entity_id       TEXT,
+    worker_id       INTEGER,
+    changes         TEXT,
+    ip_address      TEXT,
+    created_at      TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_worker ON audit_log(worker_id);
+CREATE INDEX IF NOT EXISTS idx_audit_actor ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at);
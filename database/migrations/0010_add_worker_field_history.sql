@@ -0,0 +1,19 @@
+-- Migration: Add worker_field_history table
+-- One row per changed worker field, written by PATCH /api/workers/:id and the FIN upsert.
+-- source: manual | ocr | import
+-- old_value / new_value are stored as text; NULL means the field was empty / cleared.
+
+CREATE TABLE IF NOT EXISTS worker_field_history (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    worker_id       INTEGER NOT NULL,
+    field_name      TEXT NOT NULL,
+    old_value       TEXT,
+    new_value       TEXT,
+    source          TEXT NOT NULL DEFAULT 'manual',
+    changed_by_id   INTEGER,
+    changed_by      TEXT,
+    changed_at      TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (worker_id) REFERENCES workers(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_worker_field_history_worker ON worker_field_history(worker_id, field_name);
@@ -0,0 +1,10 @@
+-- Migration: Track merged (duplicate) worker records
+-- When two records are merged, the losing record is either deleted or archived.
+-- Archived losers keep their row with merged_into_id pointing at the surviving worker,
+-- so lookups by the old (usually mis-read) FIN resolve to the survivor.
+
+ALTER TABLE workers ADD COLUMN merged_into_id INTEGER;
+ALTER TABLE workers ADD COLUMN merged_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_workers_merged_into ON workers(merged_into_id);
+CREATE INDEX IF NOT EXISTS idx_workers_name_dob ON workers(worker_name, date_of_birth);
@@ -0,0 +1,25 @@
+-- Migration: Worker lifecycle status
+-- Workers are no longer deleted when they leave; their status changes instead.
+-- status: active | on_leave | permit_cancelled | repatriated | archived
+-- worker_status_history keeps every transition with its effective date and reason.
+
+ALTER TABLE workers ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+ALTER TABLE workers ADD COLUMN status_effective_date TEXT;
+ALTER TABLE workers ADD COLUMN status_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_workers_status ON workers(status);
+
+CREATE TABLE IF NOT EXISTS worker_status_history (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    worker_id       INTEGER NOT NULL,
+    from_status     TEXT,
+    to_status       TEXT NOT NULL,
+    effective_date  TEXT NOT NULL,
+    reason          TEXT,
+    changed_by_id   INTEGER,
+    changed_by      TEXT,
+    changed_at      TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (worker_id) REFERENCES workers(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_worker_status_history_worker ON worker_status_history(worker_id);
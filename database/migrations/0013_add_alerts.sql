@@ -0,0 +1,25 @@
+-- Migration: Expiry alerts
+-- Written by the scheduled expiry scan (Cron Trigger) for certifications and work permits.
+-- entity_type: certification | work_permit   (entity_id = certifications.id or workers.id)
+-- threshold:   '90' | '60' | '30' | '7' (days before expiry) | 'expired'
+-- The UNIQUE key makes each threshold fire once per expiry date; a renewed
+-- (changed) expiry date starts a fresh cycle.
+
+CREATE TABLE IF NOT EXISTS alerts (
+    id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type         TEXT NOT NULL,
+    entity_id           INTEGER NOT NULL,
+    worker_id           INTEGER,
+    subject             TEXT NOT NULL,
+    expiry_date         TEXT NOT NULL,
+    threshold           TEXT NOT NULL,
+    acknowledged_at     TEXT,
+    acknowledged_by     TEXT,
+    snoozed_until       TEXT,
+    resolved_at         TEXT,
+    created_at          TEXT DEFAULT (datetime('now')),
+    UNIQUE (entity_type, entity_id, expiry_date, threshold)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_open ON alerts(resolved_at, acknowledged_at, snoozed_until);
+CREATE INDEX IF NOT EXISTS idx_alerts_worker ON alerts(worker_id);
@@ -0,0 +1,37 @@
+-- Migration: Email digests of upcoming expiries
+-- digest_subscriptions: one per user.
+--   frequency:  daily | weekly | off   (weekly_day: 0 = Sunday … 6 = Saturday, UTC)
+--   employers:  JSON array of employer names, NULL = all employers
+--   thresholds: JSON array of alert thresholds to include, e.g. ["30","7","expired"]; NULL = all
+-- email_deliveries: one row per digest send attempt.
+--   status: sent | failed
+
+CREATE TABLE IF NOT EXISTS digest_subscriptions (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id         INTEGER NOT NULL UNIQUE,
+    email           TEXT NOT NULL,
+    frequency       TEXT NOT NULL DEFAULT 'weekly',
+    weekly_day      INTEGER NOT NULL DEFAULT 1,
+    employers       TEXT,
+    thresholds      TEXT,
+    last_sent_at    TEXT,
+    created_at      TEXT DEFAULT (datetime('now')),
+    updated_at      TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS email_deliveries (
+    id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id             INTEGER,
+    to_address          TEXT NOT NULL,
+    subject             TEXT NOT NULL,
+    kind                TEXT NOT NULL DEFAULT 'digest',
+    provider            TEXT NOT NULL,
+    status              TEXT NOT NULL,
+    provider_message_id TEXT,
+    error               TEXT,
+    item_count          INTEGER,
+    created_at          TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_deliveries_user ON email_deliveries(user_id, created_at);
@@ -0,0 +1,37 @@
+-- Migration: Outbound webhooks
+-- webhook_endpoints.events: JSON array of event types, or ["*"] for every event
+-- webhook_deliveries.status: pending (awaiting first attempt or a retry) | succeeded | failed (gave up)
+-- Each delivery keeps the exact payload sent so it can be redelivered unchanged.
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    url             TEXT NOT NULL,
+    description     TEXT,
+    events          TEXT NOT NULL DEFAULT '["*"]',
+    secret          TEXT NOT NULL,
+    is_active       INTEGER NOT NULL DEFAULT 1,
+    created_by      TEXT,
+    created_at      TEXT DEFAULT (datetime('now')),
+    updated_at      TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+    endpoint_id         INTEGER NOT NULL,
+    event_id            TEXT NOT NULL,
+    event_type          TEXT NOT NULL,
+    payload             TEXT NOT NULL,
+    status              TEXT NOT NULL DEFAULT 'pending',
+    attempts            INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at     TEXT,
+    last_attempt_at     TEXT,
+    last_status_code    INTEGER,
+    last_error          TEXT,
+    last_response       TEXT,
+    delivered_at        TEXT,
+    created_at          TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (endpoint_id) REFERENCES webhook_endpoints(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at);
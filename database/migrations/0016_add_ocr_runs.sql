@@ -0,0 +1,18 @@
+-- Migration: OCR run log
+-- One row per file sent through POST /api/ocr/process: the provider's raw text and what the
+-- parser made of it at the time, so stored texts can be re-run through a newer parser
+-- (POST /api/ocr/replay) to see what would change.
+-- extracted: JSON object of parsed fields; template_id: document template that parsed it
+
+CREATE TABLE IF NOT EXISTS ocr_runs (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_type   TEXT NOT NULL DEFAULT 'auto',
+    provider        TEXT,
+    raw_text        TEXT NOT NULL,
+    template_id     TEXT,
+    extracted       TEXT,
+    created_by      TEXT,
+    created_at      TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ocr_runs_created ON ocr_runs(created_at);
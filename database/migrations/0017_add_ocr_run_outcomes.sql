@@ -0,0 +1,25 @@
+-- Migration: OCR run provenance and review outcomes
+-- file_hash: hex SHA-256 of the uploaded bytes; ocr_ms / parse_ms: time spent in the OCR
+-- provider and in the template parser.
+-- Once the review form is saved, final_values holds what was actually stored (JSON, form
+-- fields only) and corrections records, per field, the parsed value against the saved one:
+--   { field: { extracted, saved, outcome } }  outcome: kept | corrected | missed
+-- worker_id / certification_id / document_id link the run to the records the save created.
+
+ALTER TABLE ocr_runs ADD COLUMN file_hash TEXT;
+ALTER TABLE ocr_runs ADD COLUMN file_name TEXT;
+ALTER TABLE ocr_runs ADD COLUMN mime_type TEXT;
+ALTER TABLE ocr_runs ADD COLUMN file_size INTEGER;
+ALTER TABLE ocr_runs ADD COLUMN ocr_ms INTEGER;
+ALTER TABLE ocr_runs ADD COLUMN parse_ms INTEGER;
+ALTER TABLE ocr_runs ADD COLUMN final_values TEXT;
+ALTER TABLE ocr_runs ADD COLUMN corrections TEXT;
+ALTER TABLE ocr_runs ADD COLUMN worker_id INTEGER;
+ALTER TABLE ocr_runs ADD COLUMN certification_id INTEGER;
+ALTER TABLE ocr_runs ADD COLUMN document_id INTEGER;
+ALTER TABLE ocr_runs ADD COLUMN saved_by TEXT;
+ALTER TABLE ocr_runs ADD COLUMN saved_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_ocr_runs_file_hash ON ocr_runs(file_hash);
+CREATE INDEX IF NOT EXISTS idx_ocr_runs_worker ON ocr_runs(worker_id);
+CREATE INDEX IF NOT EXISTS idx_ocr_runs_template ON ocr_runs(template_id, saved_at);
@@ -0,0 +1,20 @@
+-- Migration: OCR result cache
+-- The /api/ocr/process response for a file, keyed by the SHA-256 of its bytes, the parser
+-- version (PARSER_VERSION in worker/src/ocr/index.js) and the document type hint, so
+-- re-uploading the same scan skips the OCR provider. result: JSON response body.
+-- ocr_runs.cache_hit marks runs answered from the cache.
+
+CREATE TABLE IF NOT EXISTS ocr_cache (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    file_hash       TEXT NOT NULL,
+    parser_version  TEXT NOT NULL,
+    document_type   TEXT NOT NULL DEFAULT 'auto',
+    result          TEXT NOT NULL,
+    hits            INTEGER NOT NULL DEFAULT 0,
+    created_at      TEXT DEFAULT (datetime('now')),
+    last_hit_at     TEXT,
+    UNIQUE (file_hash, parser_version, document_type)
+);
+
+ALTER TABLE ocr_runs ADD COLUMN parser_version TEXT;
+ALTER TABLE ocr_runs ADD COLUMN cache_hit INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,67 @@
+-- Migration: Batch OCR jobs
+-- A job is one uploaded ZIP / multi-page PDF (or single scan). It is split into items — one
+-- per ZIP entry or PDF page — which are OCR'd from a queue, then grouped into per-worker
+-- bundles by FIN for review.
+--
+-- ocr_jobs.status:         queued | running | review | completed | failed
+-- ocr_job_items.status:    pending | processing | done | failed
+--   items are claimed by setting processing + locked_until; a lapsed lock is picked up again,
+--   so a job interrupted mid-way resumes where it stopped. A failed attempt goes back to
+--   pending with locked_until as its retry time. page is set for PDF pages.
+-- ocr_job_bundles.status:  pending | approved | rejected
+--   proposed: JSON { worker: {...}, certifications: [{...}] } — edited in review before approval
+
+CREATE TABLE IF NOT EXISTS ocr_jobs (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    status          TEXT NOT NULL DEFAULT 'queued',
+    document_type   TEXT NOT NULL DEFAULT 'auto',
+    source_key      TEXT NOT NULL,
+    source_name     TEXT,
+    mime_type       TEXT,
+    total_items     INTEGER NOT NULL DEFAULT 0,
+    error           TEXT,
+    created_by      TEXT,
+    created_at      TEXT DEFAULT (datetime('now')),
+    updated_at      TEXT DEFAULT (datetime('now')),
+    completed_at    TEXT
+);
+
+CREATE TABLE IF NOT EXISTS ocr_job_items (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id          INTEGER NOT NULL,
+    seq             INTEGER NOT NULL,
+    r2_key          TEXT NOT NULL,
+    file_name       TEXT,
+    mime_type       TEXT,
+    page            INTEGER,
+    status          TEXT NOT NULL DEFAULT 'pending',
+    attempts        INTEGER NOT NULL DEFAULT 0,
+    locked_until    TEXT,
+    ocr_run_id      INTEGER,
+    template_id     TEXT,
+    template_kind   TEXT,
+    fin_number      TEXT,
+    extracted       TEXT,
+    error           TEXT,
+    bundle_id       INTEGER,
+    updated_at      TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (job_id) REFERENCES ocr_jobs(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS ocr_job_bundles (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id          INTEGER NOT NULL,
+    fin_number      TEXT,
+    proposed        TEXT NOT NULL,
+    status          TEXT NOT NULL DEFAULT 'pending',
+    worker_id       INTEGER,
+    review_note     TEXT,
+    reviewed_by     TEXT,
+    reviewed_at     TEXT,
+    created_at      TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (job_id) REFERENCES ocr_jobs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_ocr_job_items_queue ON ocr_job_items(job_id, status, seq);
+CREATE INDEX IF NOT EXISTS idx_ocr_job_bundles_job ON ocr_job_bundles(job_id, status);
+CREATE INDEX IF NOT EXISTS idx_ocr_jobs_status ON ocr_jobs(status);
@@ -0,0 +1,12 @@
+-- Migration: Page-level documents and OCR runs
+-- A multi-page PDF (WP front + back, a pack of certs) is stored once in R2 and recorded as one
+-- documents row per page: the rows share the original file's r2_key / original_name and page
+-- says which page (1-based) each stands for. NULL page = the whole file.
+-- document_type on a page row is the role the reviewer gave it:
+--   work_permit_front | work_permit_back | certification | other
+-- ocr_runs.page: the PDF page a run read (NULL for images and unsplit files).
+
+ALTER TABLE documents ADD COLUMN page INTEGER;
+ALTER TABLE ocr_runs ADD COLUMN page INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_documents_r2_key ON documents(r2_key);
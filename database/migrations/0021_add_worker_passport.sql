@@ -0,0 +1,10 @@
+-- Migration: Worker passport
+-- passport_no / passport_expiry (YYYY-MM-DD) come from the passport's MRZ on OCR or are
+-- entered by hand. A passport close to expiry blocks work permit renewals, so its expiry is
+-- tracked in the dashboard stats and expiry alerts alongside the work permit's
+-- (alerts.entity_type = 'passport', entity_id = workers.id).
+
+ALTER TABLE workers ADD COLUMN passport_no TEXT;
+ALTER TABLE workers ADD COLUMN passport_expiry TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_workers_passport_expiry ON workers(passport_expiry);
@@ -0,0 +1,35 @@
+-- Migration: Pass types
+-- Workers are no longer assumed to hold a Work Permit. pass_type says which pass they hold:
+--   work_permit | s_pass | employment_pass | training_work_permit | dependant_pass | citizen_pr
+-- and the pass columns become generic: work_permit_no → pass_no, wp_expiry_date → pass_expiry
+-- (citizens / PRs have no pass: their NRIC is the fin_number and pass_no / pass_expiry stay empty).
+-- Existing workers are backfilled from their FIN: S/T NRICs as citizen_pr, everyone else as
+-- work_permit.
+-- Pass expiry alerts move from entity_type 'work_permit' to 'pass'.
+-- Stored OCR results, field history and batch proposals are re-keyed to the new field names;
+-- the OCR cache is cleared (PARSER_VERSION changes with this release anyway).
+
+ALTER TABLE workers RENAME COLUMN work_permit_no TO pass_no;
+ALTER TABLE workers RENAME COLUMN wp_expiry_date TO pass_expiry;
+ALTER TABLE workers ADD COLUMN pass_type TEXT;
+
+UPDATE workers SET pass_type = CASE WHEN fin_number GLOB '[ST]*' THEN 'citizen_pr' ELSE 'work_permit' END;
+
+CREATE INDEX IF NOT EXISTS idx_workers_pass_type ON workers(pass_type);
+CREATE INDEX IF NOT EXISTS idx_workers_pass_expiry ON workers(pass_expiry);
+
+UPDATE alerts SET entity_type = 'pass' WHERE entity_type = 'work_permit';
+
+UPDATE worker_field_history SET field_name = 'pass_no' WHERE field_name = 'work_permit_no';
+UPDATE worker_field_history SET field_name = 'pass_expiry' WHERE field_name = 'wp_expiry_date';
+
+UPDATE ocr_runs SET
+    extracted = replace(replace(extracted, '"work_permit_no"', '"pass_no"'), '"wp_expiry_date"', '"pass_expiry"'),
+    final_values = replace(replace(final_values, '"work_permit_no"', '"pass_no"'), '"wp_expiry_date"', '"pass_expiry"'),
+    corrections = replace(replace(corrections, '"work_permit_no"', '"pass_no"'), '"wp_expiry_date"', '"pass_expiry"');
+UPDATE ocr_job_items SET
+    extracted = replace(replace(extracted, '"work_permit_no"', '"pass_no"'), '"wp_expiry_date"', '"pass_expiry"');
+UPDATE ocr_job_bundles SET
+    proposed = replace(replace(proposed, '"work_permit_no"', '"pass_no"'), '"wp_expiry_date"', '"pass_expiry"');
+
+DELETE FROM ocr_cache;
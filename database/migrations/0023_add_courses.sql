@@ -0,0 +1,24 @@
+-- Migration: Course catalogue
+-- courses: one row per recognised course. title is the canonical name certifications are
+-- filed under; aliases is a JSON array of other ways the title is written on certificates
+-- ("CSOC", "CONSTRUCTION SAFETY ORIENTATION COURSE FOR WORKERS").
+-- validity_months: how long a certificate stays valid from its issue date; NULL = no expiry.
+-- refresher_course_id: the course taken to renew this one once it lapses (may be itself).
+-- certifications.course_id links a certification to the catalogue entry its title resolved to;
+-- NULL for free-text titles the catalogue doesn't know.
+
+CREATE TABLE IF NOT EXISTS courses (
+    id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+    title               TEXT NOT NULL UNIQUE,
+    aliases             TEXT NOT NULL DEFAULT '[]',
+    provider            TEXT,
+    validity_months     INTEGER,
+    refresher_course_id INTEGER REFERENCES courses(id),
+    created_by          TEXT,
+    created_at          TEXT DEFAULT (datetime('now')),
+    updated_at          TEXT DEFAULT (datetime('now'))
+);
+
+ALTER TABLE certifications ADD COLUMN course_id INTEGER REFERENCES courses(id);
+
+CREATE INDEX IF NOT EXISTS idx_certifications_course ON certifications(course_id);
@@ -0,0 +1,33 @@
+-- Migration: Certification requirement profiles
+-- A requirement profile is a trade at a site ("Scaffolder at Site A") and the catalogue courses
+-- a worker must hold a valid certification for to work there. Workers are assigned to any
+-- number of profiles; /api/compliance checks their certifications against each.
+-- A requirement is also met by a certification of the required course's refresher course.
+
+CREATE TABLE IF NOT EXISTS requirement_profiles (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    name            TEXT NOT NULL UNIQUE,
+    trade           TEXT,
+    site            TEXT,
+    description     TEXT,
+    created_by      TEXT,
+    created_at      TEXT DEFAULT (datetime('now')),
+    updated_at      TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS requirement_profile_courses (
+    profile_id      INTEGER NOT NULL REFERENCES requirement_profiles(id),
+    course_id       INTEGER NOT NULL REFERENCES courses(id),
+    PRIMARY KEY (profile_id, course_id)
+);
+
+CREATE TABLE IF NOT EXISTS worker_requirement_profiles (
+    worker_id       INTEGER NOT NULL REFERENCES workers(id),
+    profile_id      INTEGER NOT NULL REFERENCES requirement_profiles(id),
+    assigned_by     TEXT,
+    assigned_at     TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (worker_id, profile_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_requirement_profiles_site ON requirement_profiles(site);
+CREATE INDEX IF NOT EXISTS idx_worker_requirement_profiles_profile ON worker_requirement_profiles(profile_id);
@@ -0,0 +1,55 @@
+-- Migration: Certification renewal chains
+-- A worker who redoes a course gets a new certification that renews the old one:
+--   supersedes_id    → the certification this one renewed
+--   superseded_by_id → the certification that renewed this one (NULL = current)
+-- Only current certifications count towards expiry stats, alerts and compliance.
+-- New certifications are linked automatically when they are of the same catalogue course (or
+-- its refresher course) for the same worker; chains can also be edited by hand.
+-- Existing certifications are chained per worker by the same rule — same course, its refresher
+-- course, or a course it is the refresher of — ordered by issue date (expiry date when there is
+-- none); certifications with neither date are left unlinked. Each is linked to the next related
+-- certificate only when it is also that certificate's closest related predecessor, so no two
+-- point at the same renewal. With refresher courses more than one level deep (A renewed by B,
+-- B by C) an A certificate followed by a C certificate can therefore stay current; fix such
+-- chains by hand from the certification form.
+
+ALTER TABLE certifications ADD COLUMN supersedes_id INTEGER REFERENCES certifications(id);
+ALTER TABLE certifications ADD COLUMN superseded_by_id INTEGER REFERENCES certifications(id);
+
+-- The next related certificate
+UPDATE certifications SET superseded_by_id = (
+    SELECT n.id FROM certifications n
+    WHERE n.worker_id = certifications.worker_id AND n.course_id IS NOT NULL
+        AND (n.course_id = certifications.course_id
+            OR n.course_id = (SELECT refresher_course_id FROM courses WHERE id = certifications.course_id)
+            OR certifications.course_id = (SELECT refresher_course_id FROM courses WHERE id = n.course_id))
+        AND (COALESCE(n.issue_date, n.expiry_date) > COALESCE(certifications.issue_date, certifications.expiry_date)
+            OR (COALESCE(n.issue_date, n.expiry_date) = COALESCE(certifications.issue_date, certifications.expiry_date)
+                AND n.id > certifications.id))
+    ORDER BY COALESCE(n.issue_date, n.expiry_date), n.id
+    LIMIT 1
+)
+WHERE course_id IS NOT NULL AND COALESCE(issue_date, expiry_date) IS NOT NULL;
+
+-- … kept only when this is that certificate's closest related predecessor
+UPDATE certifications SET superseded_by_id = NULL
+WHERE superseded_by_id IS NOT NULL AND id != (
+    SELECT p.id FROM certifications p, certifications n
+    WHERE n.id = certifications.superseded_by_id
+        AND p.worker_id = n.worker_id AND p.course_id IS NOT NULL
+        AND (p.course_id = n.course_id
+            OR p.course_id = (SELECT refresher_course_id FROM courses WHERE id = n.course_id)
+            OR n.course_id = (SELECT refresher_course_id FROM courses WHERE id = p.course_id))
+        AND (COALESCE(p.issue_date, p.expiry_date) < COALESCE(n.issue_date, n.expiry_date)
+            OR (COALESCE(p.issue_date, p.expiry_date) = COALESCE(n.issue_date, n.expiry_date)
+                AND p.id < n.id))
+    ORDER BY COALESCE(p.issue_date, p.expiry_date) DESC, p.id DESC
+    LIMIT 1
+);
+
+UPDATE certifications SET supersedes_id = (
+    SELECT p.id FROM certifications p WHERE p.superseded_by_id = certifications.id
+)
+WHERE course_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_certifications_superseded_by ON certifications(superseded_by_id);
@@ -0,0 +1,15 @@
+-- Migration: Certification verification
+-- Certifications saved from OCR (or typed in) are unverified until someone checks them against
+-- the source document:
+--   verification_status: unverified | verified | rejected | needs_rescan
+--   verified_by / verified_at: who set the current status, and when
+--   verification_note: why a certification was rejected or needs a re-scan
+-- Rejected certifications never count towards expiry stats, alerts or compliance; reports can
+-- also be limited to verified ones. Existing certifications start out unverified.
+
+ALTER TABLE certifications ADD COLUMN verification_status TEXT NOT NULL DEFAULT 'unverified';
+ALTER TABLE certifications ADD COLUMN verified_by TEXT;
+ALTER TABLE certifications ADD COLUMN verified_at TEXT;
+ALTER TABLE certifications ADD COLUMN verification_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_certifications_verification ON certifications(verification_status);
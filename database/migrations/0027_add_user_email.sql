@@ -0,0 +1,9 @@
+-- Migration: User email addresses
+-- Set by an admin on the Users page. A user's email digest may go to this address (or to one at
+-- an approved domain in DIGEST_EMAIL_DOMAINS); usernames can't hold an '@', so they can't stand
+-- in for it. Accounts whose username already is an email address (e.g. created via setup) get
+-- it copied across.
+
+ALTER TABLE users ADD COLUMN email TEXT;
+
+UPDATE users SET email = username WHERE username LIKE '%_@_%._%';
@@ -11,6 +11,15 @@ VALUES
     ('G4567890D', 'ARJUN THAPA', '1995-07-22', 'NEPALESE', 'M', 'SUMMIT CONSTRUCTION PTE LTD'),
     ('G5678901E', 'NGUYEN VAN TUAN', '1991-09-12', 'VIETNAMESE', 'M', 'DELTA MARINE PTE LTD');
 
+INSERT OR IGNORE INTO courses (title, aliases, provider, validity_months)
+VALUES
+    ('CONSTRUCTION SAFETY ORIENTATION COURSE', '["CSOC","CONSTRUCTION SAFETY ORIENTATION COURSE FOR WORKERS"]', 'SCAL', 24),
+    ('CORETRADE FOR CONCRETING', '["CORETRADE CONCRETING"]', 'BCA', 36),
+    ('CORETRADE FOR SCAFFOLDING', '["CORETRADE SCAFFOLDING"]', 'BCA', 36),
+    ('CORETRADE FOR WELDING', '["CORETRADE WELDING"]', 'BCA', 36),
+    ('MARINE SAFETY INDUCTION', '["MSI"]', 'SSA', 24),
+    ('WORK-AT-HEIGHT RESCUE COURSE', '["WAHRC","WORK AT HEIGHT RESCUE COURSE (WAHRC)"]', NULL, 24);
+
 INSERT OR IGNORE INTO certifications (worker_id, course_title, course_provider, issue_date, expiry_date)
 VALUES
     (1, 'CoreTrade for Concreting', 'BCA', '2025-01-15', '2028-01-14'),
@@ -19,3 +28,6 @@ VALUES
     (3, 'Construction Safety Orientation Course', 'SCAL', '2025-03-20', '2027-03-19'),
     (4, 'CoreTrade for Scaffolding', 'BCA', '2023-02-01', '2026-01-31'),
     (5, 'Marine Safety Induction', 'SSA', '2025-02-05', '2027-02-04');
+
+UPDATE certifications SET course_id = (SELECT id FROM courses WHERE courses.title = UPPER(certifications.course_title))
+WHERE course_id IS NULL;
@@ -7,15 +7,32 @@ const API = (() => {
     const BASE_URL = window.location.hostname === 'localhost'
         ? 'http://localhost:8787'
         : 'https://workpass-cert-manager-api.vernon-process.workers.dev';
+    const SESSION_KEY = 'workpass_session';
+
+    // ─── Session (token + user) persisted in localStorage ──
+    function getSession() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_KEY)) || null;
+        } catch {
+            return null;
+        }
+    }
+
+    function setSession(session) {
+        if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+        else localStorage.removeItem(SESSION_KEY);
+    }
 
     async function request(endpoint, options = {}) {
         const url = `${BASE_URL}${endpoint}`;
+        const session = getSession();
         const config = {
+            ...options,
             headers: {
                 'Content-Type': 'application/json',
+                ...(session?.token ? { Authorization: `Bearer ${session.token}` } : {}),
                 ...options.headers,
             },
-            ...options,
         };
 
         // Don't set Content-Type for FormData
@@ -32,8 +49,18 @@ const API = (() => {
 
             const data = await response.json();
 
+            // Session missing or expired — send the user back to the login page
+            if (response.status === 401 && endpoint !== '/api/auth/login') {
+                setSession(null);
+                if (typeof Router !== 'undefined') Router.navigate('login');
+                throw new Error(data.error || 'Session expired — please log in again');
+            }
+
             if (!response.ok) {
-                throw new Error(data.error || `HTTP ${response.status}`);
+                const error = new Error(data.error || `HTTP ${response.status}`);
+                error.status = response.status;
+                error.data = data;
+                throw error;
             }
 
             return data;
@@ -46,6 +73,144 @@ const API = (() => {
     }
 
     return {
+        // ─── Auth ─────────────────────────────────────────
+        getSession,
+
+        isAuthenticated() {
+            return !!getSession()?.token;
+        },
+
+        async login(username, password) {
+            const result = await request('/api/auth/login', {
+                method: 'POST',
+                body: JSON.stringify({ username, password }),
+            });
+            setSession({ token: result.token, expires_at: result.expires_at, user: result.user });
+            return result.user;
+        },
+
+        async logout() {
+            try {
+                await request('/api/auth/logout', { method: 'POST' });
+            } finally {
+                setSession(null);
+            }
+        },
+
+        // ─── Users (admin) ───────────────────────────────
+        listUsers() {
+            return request('/api/users/list');
+        },
+
+        createUser(data) {
+            return request('/api/users/create', {
+                method: 'POST',
+                body: JSON.stringify(data),
+            });
+        },
+
+        updateUser(id, data) {
+            return request(`/api/users/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(data),
+            });
+        },
+
+        // ─── Audit ────────────────────────────────────────
+        listAudit(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return request(`/api/audit${query ? '?' + query : ''}`);
+        },
+
+        // ─── Alerts ───────────────────────────────────────
+        listAlerts(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return request(`/api/alerts${query ? '?' + query : ''}`);
+        },
+
+        acknowledgeAlert(id) {
+            return request(`/api/alerts/${id}/acknowledge`, { method: 'POST' });
+        },
+
+        acknowledgeAlerts(ids) {
+            return request('/api/alerts/acknowledge', {
+                method: 'POST',
+                body: JSON.stringify({ ids }),
+            });
+        },
+
+        snoozeAlert(id, days) {
+            return request(`/api/alerts/${id}/snooze`, {
+                method: 'POST',
+                body: JSON.stringify({ days }),
+            });
+        },
+
+        runExpiryScan() {
+            return request('/api/alerts/scan', { method: 'POST' });
+        },
+
+        // ─── Email digests ───────────────────────────────
+        getDigestSubscription() {
+            return request('/api/digests/subscription');
+        },
+
+        saveDigestSubscription(data) {
+            return request('/api/digests/subscription', {
+                method: 'PUT',
+                body: JSON.stringify(data),
+            });
+        },
+
+        previewDigest() {
+            return request('/api/digests/preview');
+        },
+
+        sendDigestNow() {
+            return request('/api/digests/send', { method: 'POST' });
+        },
+
+        listDigestDeliveries(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return request(`/api/digests/deliveries${query ? '?' + query : ''}`);
+        },
+
+        // ─── Webhooks (admin) ─────────────────────────────
+        listWebhooks() {
+            return request('/api/webhooks');
+        },
+
+        createWebhook(data) {
+            return request('/api/webhooks', {
+                method: 'POST',
+                body: JSON.stringify(data),
+            });
+        },
+
+        updateWebhook(id, data) {
+            return request(`/api/webhooks/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify(data),
+            });
+        },
+
+        deleteWebhook(id) {
+            return request(`/api/webhooks/${id}`, { method: 'DELETE' });
+        },
+
+        testWebhook(id) {
+            return request(`/api/webhooks/${id}/test`, { method: 'POST' });
+        },
+
+        listWebhookDeliveries(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return request(`/api/webhooks/deliveries${query ? '?' + query : ''}`);
+        },
+
+        redeliverWebhook(deliveryId) {
+            return request(`/api/webhooks/deliveries/${deliveryId}/redeliver`, { method: 'POST' });
+        },
+
         // ─── Stats ────────────────────────────────────────
         getStats() {
             return request('/api/stats');
@@ -75,17 +240,48 @@ const API = (() => {
             });
         },
 
-        deleteWorker(id) {
+        updateWorker(id, data) {
+            return request(`/api/workers/${id}`, {
+                method: 'PATCH',
+                body: JSON.stringify(data),
+            });
+        },
+
+        getWorkerHistory(id, field) {
+            return request(`/api/workers/${id}/history${field ? '?field=' + encodeURIComponent(field) : ''}`);
+        },
+
+        changeWorkerStatus(id, data) {
+            return request(`/api/workers/${id}/status`, {
+                method: 'PUT',
+                body: JSON.stringify(data),
+            });
+        },
+
+        purgeWorker(id) {
             return request(`/api/workers/${id}`, {
                 method: 'DELETE',
             });
         },
 
-        uploadWorkerDocument(file, finNumber, documentType) {
+        findDuplicateWorkers() {
+            return request('/api/workers/duplicates');
+        },
+
+        mergeWorkers(data) {
+            return request('/api/workers/merge', {
+                method: 'POST',
+                body: JSON.stringify(data),
+            });
+        },
+
+        uploadWorkerDocument(file, finNumber, documentType, pages = null) {
             const formData = new FormData();
             formData.append('file', file);
             if (finNumber) formData.append('fin_number', finNumber);
             if (documentType) formData.append('document_type', documentType);
+            // Multi-page PDF: [{ page, document_type }] — one document record per page
+            if (pages) formData.append('pages', JSON.stringify(pages));
             return request('/api/workers/upload-document', {
                 method: 'POST',
                 body: formData,
@@ -105,23 +301,190 @@ const API = (() => {
             });
         },
 
+        updateCertification(id, data) {
+            return request(`/api/certifications/${id}`, {
+                method: 'PATCH',
+                body: JSON.stringify(data),
+            });
+        },
+
         deleteCertification(id) {
             return request(`/api/certifications/${id}`, {
                 method: 'DELETE',
             });
         },
 
+        listCertificationReview(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return request(`/api/certifications/review${query ? '?' + query : ''}`);
+        },
+
+        verifyCertification(id, status, note = null) {
+            return request(`/api/certifications/${id}/verify`, {
+                method: 'POST',
+                body: JSON.stringify({ status, note }),
+            });
+        },
+
+        // ─── Course catalogue ────────────────────────────
+        listCourses() {
+            return request('/api/courses');
+        },
+
+        createCourse(data) {
+            return request('/api/courses', {
+                method: 'POST',
+                body: JSON.stringify(data),
+            });
+        },
+
+        updateCourse(id, data) {
+            return request(`/api/courses/${id}`, {
+                method: 'PATCH',
+                body: JSON.stringify(data),
+            });
+        },
+
+        deleteCourse(id) {
+            return request(`/api/courses/${id}`, { method: 'DELETE' });
+        },
+
+        // ─── Compliance & requirement profiles ───────────
+        getCompliance(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return request(`/api/compliance${query ? '?' + query : ''}`);
+        },
+
+        listRequirementProfiles() {
+            return request('/api/requirement-profiles');
+        },
+
+        createRequirementProfile(data) {
+            return request('/api/requirement-profiles', {
+                method: 'POST',
+                body: JSON.stringify(data),
+            });
+        },
+
+        updateRequirementProfile(id, data) {
+            return request(`/api/requirement-profiles/${id}`, {
+                method: 'PATCH',
+                body: JSON.stringify(data),
+            });
+        },
+
+        deleteRequirementProfile(id) {
+            return request(`/api/requirement-profiles/${id}`, { method: 'DELETE' });
+        },
+
+        listProfileWorkers(id) {
+            return request(`/api/requirement-profiles/${id}/workers`);
+        },
+
+        assignProfileWorkers(id, data) {
+            return request(`/api/requirement-profiles/${id}/workers`, {
+                method: 'POST',
+                body: JSON.stringify(data),
+            });
+        },
+
+        unassignProfileWorker(id, workerId) {
+            return request(`/api/requirement-profiles/${id}/workers/${workerId}`, { method: 'DELETE' });
+        },
+
         // ─── OCR ─────────────────────────────────────────
-        processOCR(file, documentType) {
+        processOCR(file, documentType, force = false) {
             const formData = new FormData();
             formData.append('file', file);
             formData.append('document_type', documentType || 'auto');
+            if (force) formData.append('force', 'true');
             return request('/api/ocr/process', {
                 method: 'POST',
                 body: formData,
             });
         },
 
+        matchOCRWorkers(fields) {
+            return request('/api/ocr/match', {
+                method: 'POST',
+                body: JSON.stringify({ fields }),
+            });
+        },
+
+        recordOCROutcome(data) {
+            return request('/api/ocr/runs/outcome', {
+                method: 'POST',
+                body: JSON.stringify(data),
+            });
+        },
+
+        getOCRCorrections(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return request(`/api/ocr/corrections${query ? '?' + query : ''}`);
+        },
+
+        getOCREvaluation() {
+            return request('/api/ocr/evaluation');
+        },
+
+        // ─── Batch OCR Jobs ──────────────────────────────
+        createOCRJob(file, documentType) {
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('document_type', documentType || 'auto');
+            return request('/api/ocr/jobs', {
+                method: 'POST',
+                body: formData,
+            });
+        },
+
+        listOCRJobs(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return request(`/api/ocr/jobs${query ? '?' + query : ''}`);
+        },
+
+        getOCRJob(id) {
+            return request(`/api/ocr/jobs/${id}`);
+        },
+
+        runOCRJob(id, limit = 3) {
+            return request(`/api/ocr/jobs/${id}/run`, {
+                method: 'POST',
+                body: JSON.stringify({ limit }),
+            });
+        },
+
+        resumeOCRJob(id) {
+            return request(`/api/ocr/jobs/${id}/resume`, {
+                method: 'POST',
+            });
+        },
+
+        getOCRJobBundles(id) {
+            return request(`/api/ocr/jobs/${id}/bundles`);
+        },
+
+        updateOCRJobBundle(id, bundleId, data) {
+            return request(`/api/ocr/jobs/${id}/bundles/${bundleId}`, {
+                method: 'PUT',
+                body: JSON.stringify(data),
+            });
+        },
+
+        approveOCRJobBundle(id, bundleId, data = {}) {
+            return request(`/api/ocr/jobs/${id}/bundles/${bundleId}/approve`, {
+                method: 'POST',
+                body: JSON.stringify(data),
+            });
+        },
+
+        rejectOCRJobBundle(id, bundleId, note) {
+            return request(`/api/ocr/jobs/${id}/bundles/${bundleId}/reject`, {
+                method: 'POST',
+                body: JSON.stringify({ note }),
+            });
+        },
+
         // ─── Documents / Files ───────────────────────────
         uploadDocument(file, workerId, documentType) {
             const formData = new FormData();
@@ -134,8 +497,10 @@ const API = (() => {
             });
         },
 
-        getFileUrl(r2Key) {
-            return `${BASE_URL}/api/files/${encodeURIComponent(r2Key)}`;
+        // <img>/<a> can't send an Authorization header, so responses carry short-lived signed
+        // file_url paths (valid 15 minutes) — reload the data for fresh ones
+        fileUrl(path) {
+            return path ? `${BASE_URL}${path}` : '';
         },
 
         deleteFile(r2Key) {
@@ -7,82 +7,1341 @@ const App = (() => {
   let currentWorkerProfile = null;
   let ocrFiles = [];
   let ocrResult = null;
+  let ocrMatches = [];
+  let ocrMatchAction = null;
   let workersPage = 1;
   let certsPage = 1;
   let searchDebounce = null;
   let certSortKey = 'issue_date';
   let certSortAsc = false;
+  let profileTab = 'overview';
+  let profileEditMode = false;
+  let currentWorkerHistory = {};
+  let activityPage = 1;
+  let mergeWorkers = [];
+  let alertsPage = 1;
+  let shownAlertIds = [];
+  let webhookDeliveriesPage = 1;
+  let compliancePage = 1;
+  let reviewPage = 1;
+  let ocrJobsPage = 1;
+  let ocrJobId = null;
+  let ocrJobPoll = 0;
 
   // ─── Init ───────────────────────────────────────────────
   function init() {
-    Router.init();
     bindEvents();
-    loadDashboard();
+    renderSessionUser();
+    Router.init();
+  }
+
+  function bindEvents() {
+    // Login / logout
+    document.getElementById('login-form')?.addEventListener('submit', handleLogin);
+    document.getElementById('btn-logout')?.addEventListener('click', handleLogout);
+
+    // Add User button (admin)
+    document.getElementById('btn-add-user')?.addEventListener('click', () => showUserModal());
+
+    // Compliance
+    ['compliance-site-filter', 'compliance-status-filter'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => {
+        compliancePage = 1;
+        loadCompliance();
+      });
+    });
+    document.getElementById('btn-add-requirement-profile')?.addEventListener('click', () => showRequirementProfileModal());
+    document.getElementById('compliance-verified-filter')?.addEventListener('change', () => {
+      compliancePage = 1;
+      loadCompliance();
+    });
+
+    // Certification review queue
+    document.getElementById('review-verification-filter')?.addEventListener('change', () => {
+      reviewPage = 1;
+      loadReviewQueue();
+    });
+
+    // Course catalogue (admin)
+    document.getElementById('btn-add-course')?.addEventListener('click', () => showCourseModal());
+
+    // Webhooks (admin)
+    document.getElementById('btn-add-webhook')?.addEventListener('click', () => showWebhookModal());
+    document.getElementById('ocr-corrections-days')?.addEventListener('change', () => loadOCRCorrections());
+
+    // Batch OCR
+    document.getElementById('btn-ocr-job-upload')?.addEventListener('click', uploadOCRJob);
+    document.getElementById('btn-ocr-job-resume')?.addEventListener('click', resumeOCRJob);
+    document.getElementById('ocr-jobs-status')?.addEventListener('change', () => {
+      ocrJobsPage = 1;
+      loadOCRJobs();
+    });
+    document.getElementById('webhook-deliveries-status')?.addEventListener('change', () => {
+      webhookDeliveriesPage = 1;
+      loadWebhookDeliveries();
+    });
+
+    // Mobile menu
+    document.getElementById('menu-toggle')?.addEventListener('click', () => {
+      document.getElementById('sidebar')?.classList.toggle('open');
+    });
+
+    // Workers search
+    const searchInput = document.getElementById('workers-search');
+    if (searchInput) {
+      searchInput.addEventListener('input', () => {
+        clearTimeout(searchDebounce);
+        searchDebounce = setTimeout(() => {
+          workersPage = 1;
+          loadWorkers();
+        }, 300);
+      });
+    }
+
+    // Alerts inbox
+    document.getElementById('alerts-state-filter')?.addEventListener('change', () => {
+      alertsPage = 1;
+      loadAlerts();
+    });
+    document.getElementById('btn-alerts-ack-all')?.addEventListener('click', acknowledgeShownAlerts);
+    document.getElementById('btn-alerts-scan')?.addEventListener('click', runAlertScan);
+    document.getElementById('btn-digest-settings')?.addEventListener('click', showDigestModal);
+
+    // Workers status filter
+    document.getElementById('workers-status-filter')?.addEventListener('change', () => {
+      workersPage = 1;
+      loadWorkers();
+    });
+    document.getElementById('workers-pass-type-filter')?.addEventListener('change', () => {
+      workersPage = 1;
+      loadWorkers();
+    });
+
+    // Add Worker button
+    document.getElementById('btn-add-worker')?.addEventListener('click', showAddWorkerModal);
+
+    // Duplicate detection / merge
+    document.getElementById('btn-find-duplicates')?.addEventListener('click', () => Router.navigate('duplicates'));
+    document.getElementById('btn-merge-workers')?.addEventListener('click', submitMerge);
+
+    // Export Workers button
+    document.getElementById('btn-export-workers')?.addEventListener('click', exportSelectedWorkers);
+
+    // Export individual worker profile to Excel
+    document.getElementById('btn-export-profile')?.addEventListener('click', exportWorkerProfile);
+
+    // Add Certification button
+    document.getElementById('btn-add-cert')?.addEventListener('click', () => showAddCertModal());
+    document.getElementById('btn-add-cert-profile')?.addEventListener('click', () => {
+      if (currentWorkerProfile) showAddCertModal(currentWorkerProfile.id, currentWorkerProfile.fin_number);
+    });
+
+    // Modal close
+    document.getElementById('modal-close')?.addEventListener('click', closeModal);
+    document.getElementById('modal-overlay')?.addEventListener('click', (e) => {
+      if (e.target === e.currentTarget) closeModal();
+    });
+
+    // OCR Upload
+    initOCRUpload();
+
+    // Hidden file input for "Add More"
+    document.getElementById('ocr-add-more')?.addEventListener('click', () => {
+      if (ocrFiles.length >= 4) { showToast('Maximum 4 images allowed', 'error'); return; }
+      document.getElementById('ocr-file-input')?.click();
+    });
+
+    // Profile tabs (Overview / Activity)
+    document.querySelectorAll('#profile-tabs .profile-tab').forEach(tab => {
+      tab.addEventListener('click', () => switchProfileTab(tab.dataset.tab));
+    });
+
+    // Profile cert sorting headers
+    document.getElementById('th-cert-issue')?.addEventListener('click', () => toggleCertSort('issue_date'));
+    document.getElementById('th-cert-expiry')?.addEventListener('click', () => toggleCertSort('expiry_date'));
+  }
+
+  // ─── Router callback ────────────────────────────────────
+  function onPageChange(page, params = []) {
+    if (page !== 'login') refreshAlertBadge();
+
+    switch (page) {
+      case 'dashboard': loadDashboard(); break;
+      case 'workers': loadWorkers(); break;
+      case 'worker-profile':
+        if (params[0]) loadWorkerProfile(params[0]);
+        break;
+      case 'certifications': loadCertifications(); break;
+      case 'review': loadReviewQueue(); break;
+      case 'upload': resetOCR(); break;
+      case 'users': loadUsers(); break;
+      case 'duplicates': loadDuplicates(); break;
+      case 'alerts': loadAlerts(); break;
+      case 'compliance': loadCompliancePage(); break;
+      case 'courses': loadCourses(); break;
+      case 'webhooks': loadWebhooks(); break;
+      case 'ocr-quality': loadOCRQuality(); break;
+      case 'ocr-jobs': loadOCRJobs(); break;
+      case 'ocr-job':
+        if (params[0]) loadOCRJob(params[0]);
+        break;
+      case 'merge':
+        if (params[0] && params[1]) loadMergeScreen(params[0], params[1]);
+        break;
+      case 'login': document.getElementById('login-password').value = ''; break;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // AUTH & SESSION
+  // ═══════════════════════════════════════════════════════
+  async function handleLogin(e) {
+    e.preventDefault();
+    const username = document.getElementById('login-username')?.value?.trim();
+    const password = document.getElementById('login-password')?.value || '';
+    const loginBtn = document.getElementById('btn-login');
+    if (!username || !password) return;
+
+    if (loginBtn) loginBtn.disabled = true;
+    try {
+      const user = await API.login(username, password);
+      renderSessionUser();
+      showToast(`Welcome, ${user.display_name || user.username}`, 'success');
+      Router.navigate('dashboard');
+    } catch (err) {
+      showToast('Login failed: ' + err.message, 'error');
+    } finally {
+      if (loginBtn) loginBtn.disabled = false;
+    }
+  }
+
+  async function handleLogout() {
+    try {
+      await API.logout();
+    } catch (err) {
+      console.warn('Logout request failed:', err);
+    }
+    renderSessionUser();
+    Router.navigate('login');
+  }
+
+  function currentUser() {
+    return API.getSession()?.user || null;
+  }
+
+  function isAdmin() {
+    return currentUser()?.role === 'admin';
+  }
+
+  function canEdit() {
+    return ['admin', 'hr_clerk'].includes(currentUser()?.role);
+  }
+
+  function renderSessionUser() {
+    const user = currentUser();
+    setText('sidebar-user-name', user ? (user.display_name || user.username) : '—');
+    setText('sidebar-user-role', user ? ROLE_LABELS[user.role] || user.role : '');
+
+    // Elements restricted to a role (e.g. admin-only nav links)
+    document.querySelectorAll('[data-role]').forEach(el => {
+      el.hidden = !user || !el.dataset.role.split(',').includes(user.role);
+    });
+
+    // Write actions hidden for read-only roles
+    ['btn-add-worker', 'btn-add-cert', 'btn-add-cert-profile'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.hidden = !canEdit();
+    });
+    const uploadNav = document.getElementById('nav-upload');
+    if (uploadNav) uploadNav.hidden = !canEdit();
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // USERS (admin)
+  // ═══════════════════════════════════════════════════════
+  const ROLE_LABELS = {
+    admin: 'Admin',
+    hr_clerk: 'HR Clerk',
+    supervisor: 'Site Supervisor',
+  };
+
+  async function loadUsers() {
+    const tbody = document.getElementById('users-tbody');
+    if (!tbody) return;
+
+    try {
+      const result = await API.listUsers();
+      const users = result.data || [];
+
+      if (users.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No users</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = users.map(u => `
+                    <tr>
+                        <td><strong>${esc(u.username)}</strong></td>
+                        <td>${esc(u.display_name || '—')}</td>
+                        <td>${esc(ROLE_LABELS[u.role] || u.role)}</td>
+                        <td>${u.is_active ? '<span class="badge badge--active">Active</span>' : '<span class="badge badge--expired">Disabled</span>'}</td>
+                        <td>${formatDate(u.last_login_at)}</td>
+                        <td>
+                            <div class="action-btns">
+                                <button class="action-btn action-btn--view" title="Edit" data-user-id="${u.id}">
+                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>
+                                </button>
+                            </div>
+                        </td>
+                    </tr>
+                `).join('');
+
+      tbody.querySelectorAll('[data-user-id]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const user = users.find(u => u.id === parseInt(btn.dataset.userId, 10));
+          if (user) showUserModal(user);
+        });
+      });
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  function showUserModal(user = null) {
+    const isNew = !user;
+    const roleOptions = Object.entries(ROLE_LABELS)
+      .map(([value, label]) => `<option value="${value}" ${user?.role === value ? 'selected' : ''}>${label}</option>`)
+      .join('');
+
+    openModal(isNew ? 'Add User' : `Edit User — ${user.username}`, `
+            <div class="form-row">
+                <div class="form-group"><label for="modal-user-username">Username *</label><input type="text" id="modal-user-username" class="form-control" value="${escAttr(user?.username)}" ${isNew ? '' : 'disabled'}></div>
+                <div class="form-group"><label for="modal-user-name">Display Name</label><input type="text" id="modal-user-name" class="form-control" value="${escAttr(user?.display_name)}"></div>
+            </div>
+            <div class="form-group"><label for="modal-user-email">Email</label><input type="email" id="modal-user-email" class="form-control" value="${escAttr(user?.email)}"><span class="field-note">Where this user's email digest may be sent</span></div>
+            <div class="form-row">
+                <div class="form-group"><label for="modal-user-role">Role</label><select id="modal-user-role" class="form-control">${roleOptions}</select></div>
+                <div class="form-group"><label for="modal-user-active">Status</label><select id="modal-user-active" class="form-control"><option value="1">Active</option><option value="0" ${user && !user.is_active ? 'selected' : ''}>Disabled</option></select></div>
+            </div>
+            <div class="form-group">
+                <label for="modal-user-password">${isNew ? 'Password *' : 'New Password (leave blank to keep)'}</label>
+                <input type="password" id="modal-user-password" class="form-control" autocomplete="new-password" placeholder="At least 8 characters">
+            </div>
+        `, `
+            <button class="btn btn-secondary" onclick="App.closeModal()">Cancel</button>
+            <button class="btn btn-primary" id="modal-save-user">Save User</button>
+        `);
+
+    document.getElementById('modal-save-user')?.addEventListener('click', async () => {
+      const password = document.getElementById('modal-user-password')?.value || '';
+      const data = {
+        display_name: document.getElementById('modal-user-name')?.value?.trim() || null,
+        email: document.getElementById('modal-user-email')?.value?.trim() || '',
+        role: document.getElementById('modal-user-role')?.value,
+        is_active: document.getElementById('modal-user-active')?.value === '1',
+      };
+      if (password) data.password = password;
+
+      try {
+        if (isNew) {
+          data.username = document.getElementById('modal-user-username')?.value?.trim();
+          if (!data.username || !password) { showToast('Username and password are required', 'error'); return; }
+          await API.createUser(data);
+        } else {
+          await API.updateUser(user.id, data);
+        }
+        showToast('User saved!', 'success');
+        closeModal();
+        loadUsers();
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // COURSE CATALOGUE (admin)
+  // ═══════════════════════════════════════════════════════
+  let courses = null;
+
+  // Same comparison as the worker's courseKey(): case, punctuation and spacing don't matter
+  function courseKey(title) {
+    return String(title || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+  }
+
+  function findCourse(title) {
+    const key = courseKey(title);
+    if (!key || !courses) return null;
+    return courses.find(c => courseKey(c.title) === key || c.aliases.some(a => courseKey(a) === key)) || null;
+  }
+
+  /**
+   * The catalogue, fetched once per session for the certification form; the admin page reloads it.
+   */
+  async function ensureCourses() {
+    if (courses) return courses;
+    try {
+      courses = (await API.listCourses()).data || [];
+    } catch (err) {
+      courses = [];
+    }
+    return courses;
+  }
+
+  function validityLabel(months) {
+    if (!months) return 'No expiry';
+    return months % 12 === 0 ? `${months / 12} year${months === 12 ? '' : 's'}` : `${months} months`;
+  }
+
+  async function loadCourses() {
+    const tbody = document.getElementById('courses-tbody');
+    if (!tbody) return;
+
+    try {
+      courses = (await API.listCourses()).data || [];
+
+      if (courses.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No courses in the catalogue yet</td></tr>';
+        return;
+      }
+      tbody.innerHTML = courses.map(c => `
+                <tr>
+                    <td><strong>${esc(c.title)}</strong></td>
+                    <td>${c.aliases.length ? c.aliases.map(esc).join('<br>') : '—'}</td>
+                    <td>${esc(c.provider || '—')}</td>
+                    <td>${validityLabel(c.validity_months)}</td>
+                    <td>${c.refresher_course_id === c.id ? 'Same course' : esc(c.refresher_title || '—')}</td>
+                    <td>${c.cert_count || 0}</td>
+                    <td>
+                        <div class="action-btns">
+                            <button class="action-btn action-btn--view" title="Edit" data-course-edit="${c.id}">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>
+                            </button>
+                            <button class="action-btn action-btn--danger" title="Delete" data-course-delete="${c.id}">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `).join('');
+
+      const byId = (id) => courses.find(c => c.id === parseInt(id, 10));
+      tbody.querySelectorAll('[data-course-edit]').forEach(btn => {
+        btn.addEventListener('click', () => showCourseModal(byId(btn.dataset.courseEdit)));
+      });
+      tbody.querySelectorAll('[data-course-delete]').forEach(btn => {
+        btn.addEventListener('click', () => deleteCourse(byId(btn.dataset.courseDelete)));
+      });
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="7" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  function showCourseModal(course = null) {
+    const isNew = !course;
+    const refresherOptions = (courses || []).map(c => {
+      const label = course && c.id === course.id ? 'Same course' : c.title;
+      return `<option value="${c.id}" ${course?.refresher_course_id === c.id ? 'selected' : ''}>${escAttr(label)}</option>`;
+    }).join('');
+
+    openModal(isNew ? 'Add Course' : 'Edit Course', `
+            <div class="form-group"><label for="modal-course-title">Title *</label><input type="text" id="modal-course-title" class="form-control" value="${escAttr(course?.title)}" placeholder="e.g. Work-At-Height Rescue Course"></div>
+            <div class="form-group">
+                <label for="modal-course-aliases">Aliases</label>
+                <textarea id="modal-course-aliases" class="form-control" rows="3" placeholder="One per line, e.g. WAHRC">${escAttr((course?.aliases || []).join('\n'))}</textarea>
+                <span class="field-note">Other ways the title is written on certificates</span>
+            </div>
+            <div class="form-row">
+                <div class="form-group"><label for="modal-course-provider">Provider</label><input type="text" id="modal-course-provider" class="form-control" value="${escAttr(course?.provider)}"></div>
+                <div class="form-group">
+                    <label for="modal-course-validity">Validity (months)</label>
+                    <input type="number" id="modal-course-validity" class="form-control" min="1" max="600" value="${escAttr(course?.validity_months)}" placeholder="Blank = no expiry">
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="modal-course-refresher">Refresher course</label>
+                <select id="modal-course-refresher" class="form-control"><option value="">None</option>${refresherOptions}</select>
+            </div>
+        `, `
+            <button class="btn btn-secondary" onclick="App.closeModal()">Cancel</button>
+            <button class="btn btn-primary" id="modal-save-course">Save Course</button>
+        `);
+
+    document.getElementById('modal-save-course')?.addEventListener('click', async () => {
+      const data = {
+        title: document.getElementById('modal-course-title')?.value?.trim(),
+        aliases: (document.getElementById('modal-course-aliases')?.value || '').split('\n').map(a => a.trim()).filter(Boolean),
+        provider: document.getElementById('modal-course-provider')?.value?.trim() || null,
+        validity_months: document.getElementById('modal-course-validity')?.value || null,
+        refresher_course_id: document.getElementById('modal-course-refresher')?.value || null,
+      };
+      if (!data.title) { showToast('Title is required', 'error'); return; }
+
+      try {
+        const saved = isNew ? await API.createCourse(data) : await API.updateCourse(course.id, data);
+        closeModal();
+        showToast(saved.linked_certifications
+          ? `Course saved — ${saved.linked_certifications} existing certification(s) linked`
+          : 'Course saved!', 'success');
+        loadCourses();
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+  }
+
+  async function deleteCourse(course) {
+    if (!course || !confirm(`Delete ${course.title} from the catalogue? Its certifications keep their title.`)) return;
+    try {
+      await API.deleteCourse(course.id);
+      showToast('Course deleted', 'success');
+      loadCourses();
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // COMPLIANCE
+  // ═══════════════════════════════════════════════════════
+  let requirementProfiles = [];
+
+  const COMPLIANCE_BADGES = {
+    compliant: '<span class="badge badge--valid">Compliant</span>',
+    expiring: '<span class="badge badge--expiring">Expiring</span>',
+    missing: '<span class="badge badge--expired">Missing</span>',
+  };
+
+  async function loadCompliancePage() {
+    await loadRequirementProfiles();
+    loadCompliance();
+  }
+
+  async function loadCompliance() {
+    const tbody = document.getElementById('compliance-tbody');
+    const sitesBody = document.getElementById('compliance-sites-tbody');
+    if (!tbody) return;
+
+    const params = { page: compliancePage, limit: 50 };
+    const site = document.getElementById('compliance-site-filter')?.value;
+    const compliance = document.getElementById('compliance-status-filter')?.value;
+    const verifiedOnly = document.getElementById('compliance-verified-filter')?.value;
+    if (site) params.site = site;
+    if (compliance) params.compliance = compliance;
+    if (verifiedOnly) params.verified_only = verifiedOnly;
+
+    try {
+      const result = await API.getCompliance(params);
+      const workers = result.data || [];
+
+      if (sitesBody) {
+        sitesBody.innerHTML = (result.sites || []).length === 0
+          ? '<tr><td colspan="5" class="empty-state">No workers assigned to a requirement profile</td></tr>'
+          : result.sites.map(s => `
+                    <tr>
+                        <td><strong>${escAttr(s.site || 'No site')}</strong></td>
+                        <td>${s.workers}</td>
+                        <td>${s.compliant}</td>
+                        <td>${s.expiring}</td>
+                        <td>${s.missing}</td>
+                    </tr>
+                `).join('');
+      }
+
+      if (workers.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No workers match</td></tr>';
+      } else {
+        tbody.innerHTML = workers.map(w => {
+          const missing = [...new Set(w.profiles.flatMap(p => p.missing))];
+          const expiring = [...new Set(w.profiles.flatMap(p => p.expiring))];
+          return `
+                    <tr style="cursor:pointer" onclick="Router.navigate('worker-profile','${w.worker_id}')">
+                        <td><strong>${esc(w.fin_number)}</strong></td>
+                        <td>${esc(w.worker_name)}</td>
+                        <td>${esc(w.employer_name || '—')}</td>
+                        <td>${w.profiles.map(p => `${escAttr(p.name)} ${COMPLIANCE_BADGES[p.status]}`).join('<br>')}</td>
+                        <td>${missing.length ? missing.map(esc).join('<br>') : '—'}</td>
+                        <td>${expiring.length ? expiring.map(esc).join('<br>') : '—'}</td>
+                        <td>${COMPLIANCE_BADGES[w.status]}</td>
+                    </tr>
+                `;
+        }).join('');
+      }
+      renderPagination('compliance-pagination', result.pagination, (p) => { compliancePage = p; loadCompliance(); });
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="7" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  async function loadRequirementProfiles() {
+    const tbody = document.getElementById('requirement-profiles-tbody');
+    if (!tbody) return;
+
+    try {
+      requirementProfiles = (await API.listRequirementProfiles()).data || [];
+
+      // Site filter options come from the profiles
+      const siteFilter = document.getElementById('compliance-site-filter');
+      if (siteFilter) {
+        const current = siteFilter.value;
+        const sites = [...new Set(requirementProfiles.map(p => p.site).filter(Boolean))].sort();
+        siteFilter.innerHTML = '<option value="">All sites</option>' +
+          sites.map(site => `<option value="${escAttr(site)}" ${site === current ? 'selected' : ''}>${escAttr(site)}</option>`).join('');
+      }
+
+      if (requirementProfiles.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No requirement profiles defined</td></tr>';
+        return;
+      }
+      tbody.innerHTML = requirementProfiles.map(p => `
+                <tr>
+                    <td><strong>${escAttr(p.name)}</strong>${p.description ? `<br><span class="field-note">${escAttr(p.description)}</span>` : ''}</td>
+                    <td>${escAttr(p.trade || '—')}</td>
+                    <td>${escAttr(p.site || '—')}</td>
+                    <td>${p.courses.map(c => esc(c.title)).join('<br>')}</td>
+                    <td>${p.worker_count || 0}</td>
+                    <td>
+                        <div class="action-btns">
+                            ${canEdit() ? `<button class="btn btn-secondary btn-sm" data-profile-workers="${p.id}">Workers</button>` : ''}
+                            ${isAdmin() ? `<button class="action-btn action-btn--view" title="Edit" data-profile-edit="${p.id}">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>
+                            </button>
+                            <button class="action-btn action-btn--danger" title="Delete" data-profile-delete="${p.id}">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>
+                            </button>` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `).join('');
+
+      const byId = (id) => requirementProfiles.find(p => p.id === parseInt(id, 10));
+      tbody.querySelectorAll('[data-profile-workers]').forEach(btn => {
+        btn.addEventListener('click', () => showProfileWorkersModal(byId(btn.dataset.profileWorkers)));
+      });
+      tbody.querySelectorAll('[data-profile-edit]').forEach(btn => {
+        btn.addEventListener('click', () => showRequirementProfileModal(byId(btn.dataset.profileEdit)));
+      });
+      tbody.querySelectorAll('[data-profile-delete]').forEach(btn => {
+        btn.addEventListener('click', () => deleteRequirementProfile(byId(btn.dataset.profileDelete)));
+      });
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  async function showRequirementProfileModal(profile = null) {
+    const isNew = !profile;
+    const catalogue = await ensureCourses();
+    const required = new Set((profile?.courses || []).map(c => c.id));
+
+    openModal(isNew ? 'Add Requirement Profile' : 'Edit Requirement Profile', `
+            <div class="form-group"><label for="modal-profile-name">Name *</label><input type="text" id="modal-profile-name" class="form-control" value="${escAttr(profile?.name)}" placeholder="e.g. Scaffolder @ Site A"></div>
+            <div class="form-row">
+                <div class="form-group"><label for="modal-profile-trade">Trade</label><input type="text" id="modal-profile-trade" class="form-control" value="${escAttr(profile?.trade)}" placeholder="e.g. Scaffolder"></div>
+                <div class="form-group"><label for="modal-profile-site">Site</label><input type="text" id="modal-profile-site" class="form-control" value="${escAttr(profile?.site)}" placeholder="e.g. Site A"></div>
+            </div>
+            <div class="form-group"><label for="modal-profile-description">Description</label><input type="text" id="modal-profile-description" class="form-control" value="${escAttr(profile?.description)}"></div>
+            <div class="form-group">
+                <label>Required courses *</label>
+                <div class="checkbox-list">
+                    ${catalogue.length === 0 ? '<span class="field-note">Add courses to the catalogue first</span>' : ''}
+                    ${catalogue.map(c => `<label><input type="checkbox" name="profile-course" value="${c.id}" ${required.has(c.id) ? 'checked' : ''}> ${esc(c.title)}</label>`).join('')}
+                </div>
+            </div>
+        `, `
+            <button class="btn btn-secondary" onclick="App.closeModal()">Cancel</button>
+            <button class="btn btn-primary" id="modal-save-profile">Save Profile</button>
+        `);
+
+    document.getElementById('modal-save-profile')?.addEventListener('click', async () => {
+      const data = {
+        name: document.getElementById('modal-profile-name')?.value?.trim(),
+        trade: document.getElementById('modal-profile-trade')?.value?.trim() || null,
+        site: document.getElementById('modal-profile-site')?.value?.trim() || null,
+        description: document.getElementById('modal-profile-description')?.value?.trim() || null,
+        course_ids: [...document.querySelectorAll('input[name="profile-course"]:checked')].map(cb => parseInt(cb.value, 10)),
+      };
+      if (!data.name) { showToast('Name is required', 'error'); return; }
+      if (data.course_ids.length === 0) { showToast('Select at least one required course', 'error'); return; }
+
+      try {
+        if (isNew) await API.createRequirementProfile(data);
+        else await API.updateRequirementProfile(profile.id, data);
+        closeModal();
+        showToast('Requirement profile saved!', 'success');
+        loadCompliancePage();
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+  }
+
+  async function deleteRequirementProfile(profile) {
+    if (!profile || !confirm(`Delete the requirement profile ${profile.name}? Its ${profile.worker_count || 0} worker assignment(s) are removed.`)) return;
+    try {
+      await API.deleteRequirementProfile(profile.id);
+      showToast('Requirement profile deleted', 'success');
+      loadCompliancePage();
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+    }
+  }
+
+  /**
+   * Workers assigned to a profile: remove individually, or paste FINs to add.
+   */
+  async function showProfileWorkersModal(profile) {
+    if (!profile) return;
+    let assigned = [];
+    try {
+      assigned = (await API.listProfileWorkers(profile.id)).data || [];
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+      return;
+    }
+
+    openModal(`Workers — ${profile.name}`, `
+            <div class="form-group">
+                <label for="modal-profile-fins">Assign workers by FIN</label>
+                <textarea id="modal-profile-fins" class="form-control" rows="3" placeholder="One FIN per line"></textarea>
+            </div>
+            <div class="table-wrapper">
+                <table class="data-table">
+                    <thead><tr><th>FIN</th><th>Name</th><th>Assigned</th><th></th></tr></thead>
+                    <tbody>
+                        ${assigned.length === 0 ? '<tr><td colspan="4" class="empty-state">No workers assigned</td></tr>' : assigned.map(w => `
+                        <tr>
+                            <td>${esc(w.fin_number)}</td>
+                            <td>${esc(w.worker_name)}${w.status !== 'active' ? ` <span class="field-note">${escAttr(WORKER_STATUS_LABELS[w.status] || w.status)}</span>` : ''}</td>
+                            <td>${formatDate(w.assigned_at)}</td>
+                            <td><button class="btn btn-secondary btn-sm" data-unassign="${w.id}">Remove</button></td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `, `
+            <button class="btn btn-secondary" onclick="App.closeModal()">Close</button>
+            <button class="btn btn-primary" id="modal-assign-workers">Assign</button>
+        `);
+
+    document.querySelectorAll('#modal-body [data-unassign]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          await API.unassignProfileWorker(profile.id, btn.dataset.unassign);
+          showProfileWorkersModal(profile);
+          loadCompliancePage();
+        } catch (err) {
+          showToast('Error: ' + err.message, 'error');
+        }
+      });
+    });
+
+    document.getElementById('modal-assign-workers')?.addEventListener('click', async () => {
+      const fins = (document.getElementById('modal-profile-fins')?.value || '').split(/[\s,]+/).filter(Boolean);
+      if (fins.length === 0) { showToast('Enter at least one FIN', 'error'); return; }
+      try {
+        const result = await API.assignProfileWorkers(profile.id, { fin_numbers: fins });
+        showToast(result.not_found.length
+          ? `Assigned ${result.assigned}; not found: ${result.not_found.join(', ')}`
+          : `Assigned ${result.assigned} worker(s)`, result.not_found.length ? 'error' : 'success');
+        showProfileWorkersModal(profile);
+        loadCompliancePage();
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // WEBHOOKS (admin)
+  // ═══════════════════════════════════════════════════════
+  let webhookEvents = [];
+  let webhookEndpoints = [];
+
+  const DELIVERY_STATUS_BADGES = {
+    succeeded: '<span class="badge badge--valid">Succeeded</span>',
+    pending: '<span class="badge badge--expiring">Retrying</span>',
+    failed: '<span class="badge badge--expired">Failed</span>',
+  };
+
+  async function loadWebhooks() {
+    const tbody = document.getElementById('webhooks-tbody');
+    if (!tbody) return;
+
+    try {
+      const result = await API.listWebhooks();
+      webhookEvents = result.events || [];
+      webhookEndpoints = result.data || [];
+
+      if (webhookEndpoints.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No webhook endpoints registered</td></tr>';
+      } else {
+        tbody.innerHTML = webhookEndpoints.map(e => `
+                    <tr>
+                        <td><strong>${escAttr(e.url)}</strong>${e.description ? `<br><span class="field-note">${escAttr(e.description)}</span>` : ''}</td>
+                        <td>${e.events.includes('*') ? 'All events' : e.events.map(escAttr).join('<br>')}</td>
+                        <td>${e.is_active ? '<span class="badge badge--active">Active</span>' : '<span class="badge badge--expired">Disabled</span>'}</td>
+                        <td>${e.failed_count || 0}</td>
+                        <td>${formatDate(e.last_attempt_at)}</td>
+                        <td>
+                            <div class="action-btns">
+                                <button class="btn btn-secondary btn-sm" data-webhook-test="${e.id}">Test</button>
+                                <button class="action-btn action-btn--view" title="Edit" data-webhook-edit="${e.id}">
+                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>
+                                </button>
+                                <button class="action-btn action-btn--danger" title="Delete" data-webhook-delete="${e.id}">
+                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>
+                                </button>
+                            </div>
+                        </td>
+                    </tr>
+                `).join('');
+
+        const byId = (id) => webhookEndpoints.find(e => e.id === parseInt(id, 10));
+        tbody.querySelectorAll('[data-webhook-edit]').forEach(btn => {
+          btn.addEventListener('click', () => showWebhookModal(byId(btn.dataset.webhookEdit)));
+        });
+        tbody.querySelectorAll('[data-webhook-test]').forEach(btn => {
+          btn.addEventListener('click', () => testWebhook(byId(btn.dataset.webhookTest)));
+        });
+        tbody.querySelectorAll('[data-webhook-delete]').forEach(btn => {
+          btn.addEventListener('click', () => deleteWebhook(byId(btn.dataset.webhookDelete)));
+        });
+      }
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+
+    loadWebhookDeliveries();
+  }
+
+  async function loadWebhookDeliveries() {
+    const tbody = document.getElementById('webhook-deliveries-tbody');
+    if (!tbody) return;
+
+    const params = { page: webhookDeliveriesPage, limit: 20 };
+    const status = document.getElementById('webhook-deliveries-status')?.value;
+    if (status) params.status = status;
+
+    try {
+      const result = await API.listWebhookDeliveries(params);
+      const deliveries = result.data || [];
+
+      if (deliveries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No deliveries yet</td></tr>';
+      } else {
+        tbody.innerHTML = deliveries.map(d => `
+                    <tr>
+                        <td>${formatDate(d.created_at)}</td>
+                        <td><code>${escAttr(d.event_type)}</code></td>
+                        <td>${escAttr(d.endpoint_url || '—')}</td>
+                        <td>${DELIVERY_STATUS_BADGES[d.status] || escAttr(d.status)}${d.status === 'pending' && d.next_attempt_at ? `<br><span class="field-note">next ${formatDate(d.next_attempt_at)}</span>` : ''}</td>
+                        <td>${d.attempts}</td>
+                        <td title="${escAttr(d.last_response)}">${d.last_status_code ?? '—'}${d.last_error ? ` <span class="field-note">${escAttr(d.last_error)}</span>` : ''}</td>
+                        <td><button class="btn btn-secondary btn-sm" data-redeliver="${d.id}">Redeliver</button></td>
+                    </tr>
+                `).join('');
+
+        tbody.querySelectorAll('[data-redeliver]').forEach(btn => {
+          btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            try {
+              const delivery = await API.redeliverWebhook(btn.dataset.redeliver);
+              showToast(delivery.status === 'succeeded' ? 'Redelivered' : `Redelivery failed: ${delivery.last_error}`,
+                delivery.status === 'succeeded' ? 'success' : 'error');
+              loadWebhooks();
+            } catch (err) {
+              showToast('Error: ' + err.message, 'error');
+              btn.disabled = false;
+            }
+          });
+        });
+      }
+      renderPagination('webhook-deliveries-pagination', result.pagination, (p) => { webhookDeliveriesPage = p; loadWebhookDeliveries(); });
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="7" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  function showWebhookModal(endpoint = null) {
+    const isNew = !endpoint;
+    const selected = endpoint?.events || ['*'];
+    const allEvents = selected.includes('*');
+
+    openModal(isNew ? 'Add Webhook Endpoint' : 'Edit Webhook Endpoint', `
+            <div class="form-group"><label for="modal-webhook-url">URL *</label><input type="url" id="modal-webhook-url" class="form-control" value="${escAttr(endpoint?.url)}" placeholder="https://example.com/hooks/workpass"></div>
+            <div class="form-row">
+                <div class="form-group"><label for="modal-webhook-description">Description</label><input type="text" id="modal-webhook-description" class="form-control" value="${escAttr(endpoint?.description)}"></div>
+                <div class="form-group"><label for="modal-webhook-active">Status</label><select id="modal-webhook-active" class="form-control"><option value="1">Active</option><option value="0" ${endpoint && !endpoint.is_active ? 'selected' : ''}>Disabled</option></select></div>
+            </div>
+            <div class="form-group">
+                <label>Events</label>
+                <div class="checkbox-list">
+                    <label><input type="checkbox" id="modal-webhook-all" ${allEvents ? 'checked' : ''}> All events</label>
+                    ${webhookEvents.map(ev => `<label><input type="checkbox" name="webhook-event" value="${escAttr(ev)}" ${!allEvents && selected.includes(ev) ? 'checked' : ''} ${allEvents ? 'disabled' : ''}> ${escAttr(ev)}</label>`).join('')}
+                </div>
+            </div>
+            ${isNew ? '' : `
+            <div class="form-group">
+                <label>Signing secret</label>
+                <span class="field-note">${escAttr(endpoint.secret)}</span>
+                <label><input type="checkbox" id="modal-webhook-rotate"> Rotate secret on save</label>
+            </div>`}
+        `, `
+            <button class="btn btn-secondary" onclick="App.closeModal()">Cancel</button>
+            <button class="btn btn-primary" id="modal-save-webhook">Save Endpoint</button>
+        `);
+
+    document.getElementById('modal-webhook-all')?.addEventListener('change', (e) => {
+      document.querySelectorAll('input[name="webhook-event"]').forEach(cb => { cb.disabled = e.target.checked; });
+    });
+
+    document.getElementById('modal-save-webhook')?.addEventListener('click', async () => {
+      const events = document.getElementById('modal-webhook-all')?.checked
+        ? ['*']
+        : [...document.querySelectorAll('input[name="webhook-event"]:checked')].map(cb => cb.value);
+      const data = {
+        url: document.getElementById('modal-webhook-url')?.value?.trim(),
+        description: document.getElementById('modal-webhook-description')?.value?.trim() || null,
+        is_active: document.getElementById('modal-webhook-active')?.value === '1',
+        events,
+      };
+      if (!data.url) { showToast('URL is required', 'error'); return; }
+      if (events.length === 0) { showToast('Select at least one event', 'error'); return; }
+
+      try {
+        let saved;
+        if (isNew) {
+          saved = await API.createWebhook(data);
+        } else {
+          data.rotate_secret = !!document.getElementById('modal-webhook-rotate')?.checked;
+          saved = await API.updateWebhook(endpoint.id, data);
+        }
+        closeModal();
+        loadWebhooks();
+        if (isNew || data.rotate_secret) showWebhookSecret(saved);
+        else showToast('Webhook saved!', 'success');
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+  }
+
+  // The full secret is only returned once, when created or rotated
+  function showWebhookSecret(endpoint) {
+    openModal('Webhook Signing Secret', `
+            <p>Copy this secret now — it will not be shown again. Verify each request's <code>X-WorkPass-Signature</code> header (<code>t=…,v1=…</code>) as the hex HMAC-SHA256 of <code>&lt;t&gt;.&lt;raw body&gt;</code>.</p>
+            <input type="text" class="form-control" value="${escAttr(endpoint.secret)}" readonly onclick="this.select()">
+        `, `
+            <button class="btn btn-primary" onclick="App.closeModal()">Done</button>
+        `);
+  }
+
+  async function testWebhook(endpoint) {
+    if (!endpoint) return;
+    try {
+      const delivery = await API.testWebhook(endpoint.id);
+      if (delivery.status === 'succeeded') showToast(`Ping delivered (HTTP ${delivery.last_status_code})`, 'success');
+      else showToast(`Ping failed: ${delivery.last_error}`, 'error');
+      loadWebhooks();
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+    }
+  }
+
+  async function deleteWebhook(endpoint) {
+    if (!endpoint || !confirm(`Delete the webhook endpoint ${endpoint.url} and its delivery log?`)) return;
+    try {
+      await API.deleteWebhook(endpoint.id);
+      showToast('Webhook endpoint deleted', 'success');
+      loadWebhooks();
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // BATCH OCR JOBS
+  // ═══════════════════════════════════════════════════════
+  const OCR_JOB_STATUS_BADGES = {
+    queued: '<span class="badge badge--expiring">Queued</span>',
+    running: '<span class="badge badge--expiring">Reading</span>',
+    review: '<span class="badge badge--expiring">Awaiting review</span>',
+    completed: '<span class="badge badge--valid">Completed</span>',
+    failed: '<span class="badge badge--expired">Failed</span>',
+  };
+
+  const OCR_BUNDLE_WORKER_FIELDS = [
+    ['fin_number', 'FIN / NRIC *'], ['worker_name', 'Name *'], ['pass_type', 'Pass Type'], ['pass_no', 'Pass No'],
+    ['date_of_birth', 'Date of Birth'], ['nationality', 'Nationality'], ['sex', 'Sex'],
+    ['employer_name', 'Employer'], ['pass_expiry', 'Pass Expiry'],
+    ['passport_no', 'Passport No'], ['passport_expiry', 'Passport Expiry'],
+  ];
+  const OCR_BUNDLE_CERT_FIELDS = [
+    ['course_title', 'Course'], ['course_provider', 'Provider'], ['cert_serial_no', 'Serial No'],
+    ['issue_date', 'Issued'], ['expiry_date', 'Expiry'],
+  ];
+
+  const OCR_GROUPED_BY = {
+    fin: 'same FIN',
+    name: 'same name',
+    previous_item: 'follows the previous page',
+    none: 'no FIN found',
+  };
+
+  async function uploadOCRJob() {
+    const file = document.getElementById('ocr-job-file')?.files?.[0];
+    if (!file) {
+      showToast('Choose a ZIP, PDF or image first', 'error');
+      return;
+    }
+    const btn = document.getElementById('btn-ocr-job-upload');
+    if (btn) btn.disabled = true;
+
+    try {
+      const job = await API.createOCRJob(file, document.getElementById('ocr-job-doc-type')?.value);
+      showToast(`${job.total_items} page${job.total_items === 1 ? '' : 's'} queued`, 'success');
+      document.getElementById('ocr-job-file').value = '';
+      Router.navigate('ocr-job', job.id);
+    } catch (err) {
+      showToast('Upload failed: ' + err.message, 'error');
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  async function loadOCRJobs() {
+    const tbody = document.getElementById('ocr-jobs-tbody');
+    if (!tbody) return;
+    const status = document.getElementById('ocr-jobs-status')?.value || '';
+
+    try {
+      const params = { page: ocrJobsPage, limit: 20 };
+      if (status) params.status = status;
+      const result = await API.listOCRJobs(params);
+      const jobs = result.data || [];
+
+      tbody.innerHTML = jobs.length === 0
+        ? '<tr><td colspan="6" class="empty-state">No batch uploads yet</td></tr>'
+        : jobs.map(j => `
+                    <tr>
+                        <td><strong>${escAttr(j.source_name)}</strong><div class="field-note">by ${escAttr(j.created_by || '—')}</div></td>
+                        <td>${OCR_JOB_STATUS_BADGES[j.status] || escAttr(j.status)}</td>
+                        <td>${j.items_done} / ${j.total_items}${j.items_failed ? ` <span class="field-note">(${j.items_failed} failed)</span>` : ''}</td>
+                        <td>${j.bundles_pending || '—'}</td>
+                        <td>${formatDate(j.created_at)}</td>
+                        <td><button class="btn btn-secondary btn-sm" onclick="Router.navigate('ocr-job','${j.id}')">Open</button></td>
+                    </tr>
+                `).join('');
+      renderPagination('ocr-jobs-pagination', result.pagination, (p) => { ocrJobsPage = p; loadOCRJobs(); });
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  async function loadOCRJob(id) {
+    ocrJobId = id;
+    const poll = ++ocrJobPoll;
+    document.getElementById('ocr-job-bundles').innerHTML = '';
+    try {
+      const job = await API.getOCRJob(id);
+      renderOCRJobProgress(job);
+      if (job.status === 'queued' || job.status === 'running') {
+        pollOCRJob(id, poll);
+      } else {
+        loadOCRJobBundles(id);
+      }
+    } catch (err) {
+      showToast('Failed to load batch: ' + err.message, 'error');
+    }
+  }
+
+  // Each poll asks the server to read the next few pages, so the batch moves while the page is
+  // open; the cron trigger carries on if it is closed. Stops when the user navigates away.
+  async function pollOCRJob(id, poll) {
+    while (poll === ocrJobPoll && window.location.hash === `#ocr-job/${id}`) {
+      let job;
+      try {
+        job = await API.runOCRJob(id);
+      } catch (err) {
+        showToast('Batch paused: ' + err.message, 'error');
+        return;
+      }
+      if (poll !== ocrJobPoll) return;
+      renderOCRJobProgress(job);
+      if (job.status !== 'queued' && job.status !== 'running') {
+        loadOCRJob(id);
+        return;
+      }
+      // Nothing was ready (a page waiting to retry) — don't spin
+      if (job.processed === 0) await new Promise(resolve => setTimeout(resolve, 5000));
+    }
   }
 
-  function bindEvents() {
-    // Mobile menu
-    document.getElementById('menu-toggle')?.addEventListener('click', () => {
-      document.getElementById('sidebar')?.classList.toggle('open');
-    });
+  function renderOCRJobProgress(job) {
+    const { items } = job.progress;
+    const settled = items.done + items.failed;
+    setText('ocr-job-title', `${job.source_name} — ${(job.status === 'review' ? 'awaiting review' : job.status)}`);
+    document.getElementById('ocr-job-progress-fill').style.width = `${job.total_items ? Math.round(settled / job.total_items * 100) : 0}%`;
+    setText('ocr-job-progress-text', `${items.done} of ${job.total_items} page(s) read` +
+      (items.failed ? ` · ${items.failed} failed` : '') +
+      (job.progress.bundles.pending ? ` · ${job.progress.bundles.pending} worker(s) to review` : ''));
+
+    const resumeBtn = document.getElementById('btn-ocr-job-resume');
+    if (resumeBtn) resumeBtn.hidden = items.failed === 0;
+
+    const failed = (job.items || []).filter(i => i.status === 'failed');
+    const partial = (job.items || []).filter(i => i.status === 'done' && i.error);
+    document.getElementById('ocr-job-failed').innerHTML = (failed.length === 0 ? '' : `
+            <p class="ocr-section-title">Pages that could not be read</p>
+            <ul class="field-note">${failed.map(i => `<li>${escAttr(i.file_name)}${i.page ? ` p.${i.page}` : ''} — ${escAttr(i.error)}</li>`).join('')}</ul>`) +
+      (partial.length === 0 ? '' : `
+            <p class="ocr-section-title">Files only partly read</p>
+            <ul class="field-note field-note--warning">${partial.map(i => `<li>${escAttr(i.file_name)} — ${escAttr(i.error)}</li>`).join('')}</ul>`);
+  }
 
-    // Workers search
-    const searchInput = document.getElementById('workers-search');
-    if (searchInput) {
-      searchInput.addEventListener('input', () => {
-        clearTimeout(searchDebounce);
-        searchDebounce = setTimeout(() => {
-          workersPage = 1;
-          loadWorkers();
-        }, 300);
-      });
+  async function resumeOCRJob() {
+    if (!ocrJobId) return;
+    try {
+      const result = await API.resumeOCRJob(ocrJobId);
+      showToast(`${result.requeued} page(s) queued again`, 'success');
+      loadOCRJob(ocrJobId);
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
     }
+  }
 
-    // Add Worker button
-    document.getElementById('btn-add-worker')?.addEventListener('click', showAddWorkerModal);
+  async function loadOCRJobBundles(id) {
+    const container = document.getElementById('ocr-job-bundles');
+    try {
+      const { data: bundles } = await API.getOCRJobBundles(id);
+      if (bundles.length === 0) {
+        container.innerHTML = '<div class="card"><p class="empty-state">No worker could be put together from this batch</p></div>';
+        return;
+      }
+      container.innerHTML = bundles.map(renderOCRBundle).join('');
+      bindOCRBundleActions(id, container);
+    } catch (err) {
+      container.innerHTML = `<div class="card"><p class="empty-state">Error: ${esc(err.message)}</p></div>`;
+    }
+  }
 
-    // Export Workers button
-    document.getElementById('btn-export-workers')?.addEventListener('click', exportSelectedWorkers);
+  function bindOCRBundleActions(jobId, root) {
+    root.querySelectorAll('[data-bundle-save]').forEach(btn => {
+      btn.addEventListener('click', () => saveOCRBundle(jobId, btn.dataset.bundleSave));
+    });
+    root.querySelectorAll('[data-bundle-approve]').forEach(btn => {
+      btn.addEventListener('click', () => approveOCRBundle(jobId, btn.dataset.bundleApprove));
+    });
+    root.querySelectorAll('[data-bundle-reject]').forEach(btn => {
+      btn.addEventListener('click', () => rejectOCRBundle(jobId, btn.dataset.bundleReject));
+    });
+  }
 
-    // Export individual worker profile to Excel
-    document.getElementById('btn-export-profile')?.addEventListener('click', exportWorkerProfile);
+  // Re-render one reviewed card and the progress line, keeping unsaved edits in the others
+  async function refreshOCRBundle(jobId, bundleId) {
+    try {
+      const [job, { data: bundles }] = await Promise.all([API.getOCRJob(jobId), API.getOCRJobBundles(jobId)]);
+      renderOCRJobProgress(job);
+      const bundle = bundles.find(b => b.id === parseInt(bundleId, 10));
+      const card = document.querySelector(`[data-bundle="${bundleId}"]`);
+      if (bundle && card) card.outerHTML = renderOCRBundle(bundle);
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+    }
+  }
 
-    // Add Certification button
-    document.getElementById('btn-add-cert')?.addEventListener('click', () => showAddCertModal());
-    document.getElementById('btn-add-cert-profile')?.addEventListener('click', () => {
-      if (currentWorkerProfile) showAddCertModal(currentWorkerProfile.id, currentWorkerProfile.fin_number);
-    });
+  function renderOCRBundle(b) {
+    const { worker, certifications } = b.proposed;
+    const pending = b.status === 'pending';
+    const grouped = Object.fromEntries((b.proposed.sources || []).map(s => [s.item_id, s.grouped_by]));
+
+    const thumbs = b.items.map(i => `
+            <a class="ocr-thumb" href="${escAttr(API.fileUrl(i.file_url))}" target="_blank" title="${escAttr(OCR_GROUPED_BY[grouped[i.id]] || '')}">
+                ${i.mime_type === 'application/pdf'
+                  ? `<div class="ocr-thumb-pdf"><span>PDF</span>${i.page ? `page ${i.page}` : ''}</div>`
+                  : `<img src="${escAttr(API.fileUrl(i.file_url))}" alt="${escAttr(i.file_name)}" loading="lazy">`}
+                <span class="ocr-thumb-label">${escAttr(i.template_id || 'unrecognised')}</span>
+            </a>`).join('');
+
+    const input = (value, field, attrs) => {
+      if (field === 'pass_type') {
+        return pending
+          ? `<select class="form-control" ${attrs}>${passTypeOptions(value)}</select>`
+          : `<div>${escAttr(PASS_TYPE_LABELS[value] || '—')}</div>`;
+      }
+      return pending
+        ? `<input type="text" class="form-control" ${attrs} value="${escAttr(value || '')}"${/date$|expiry$/.test(field) ? ' placeholder="yyyy-mm-dd"' : ''}>`
+        : `<div>${escAttr(value || '—')}</div>`;
+    };
+
+    const workerFields = OCR_BUNDLE_WORKER_FIELDS.map(([field, label]) => `
+            <div class="form-group"><label>${label}</label>${input(worker[field], field, `data-worker-field="${field}"`)}</div>`).join('');
+
+    const certRows = certifications.map((c, index) => `
+            <tr data-cert-index="${index}" data-item-id="${c.item_id || ''}">
+                ${OCR_BUNDLE_CERT_FIELDS.map(([field]) => `<td>${input(c[field], field, `data-cert-field="${field}"`)}</td>`).join('')}
+            </tr>`).join('');
+
+    const statusNote = b.status === 'approved'
+      ? `<span class="badge badge--valid">Approved</span> <button class="btn btn-secondary btn-sm" onclick="Router.navigate('worker-profile','${b.worker_id}')">View Worker</button>`
+      : b.status === 'rejected'
+        ? `<span class="badge badge--expired" title="${escAttr(b.review_note || '')}">Rejected</span>`
+        : b.status === 'approving'
+          ? '<span class="badge badge--expiring">Saving…</span>'
+          : '';
+
+    return `
+            <div class="card" data-bundle="${b.id}">
+                <div class="card-header">
+                    <h3 class="card-title">${escAttr(worker.fin_number || 'No FIN')} · ${escAttr(worker.worker_name || 'Unnamed')}</h3>
+                    <div>${statusNote}</div>
+                </div>
+                <div class="ocr-thumbnails-grid">${thumbs}</div>
+                ${passportMismatchNote(b.proposed.passport_mismatches)}
+                <p class="ocr-section-title">Worker</p>
+                <div class="form-row">${workerFields}</div>
+                ${certifications.length > 0 ? `
+                <p class="ocr-section-title">Certifications</p>
+                <div class="table-wrapper">
+                    <table class="data-table">
+                        <thead><tr>${OCR_BUNDLE_CERT_FIELDS.map(([, label]) => `<th>${label}</th>`).join('')}</tr></thead>
+                        <tbody>${certRows}</tbody>
+                    </table>
+                </div>` : ''}
+                ${pending ? `
+                <div class="ocr-actions">
+                    <button class="btn btn-secondary btn-sm" data-bundle-reject="${b.id}">Reject</button>
+                    <div>
+                        <button class="btn btn-secondary btn-sm" data-bundle-save="${b.id}">Save Edits</button>
+                        <button class="btn btn-primary btn-sm" data-bundle-approve="${b.id}">Approve &amp; Save Worker</button>
+                    </div>
+                </div>` : ''}
+            </div>`;
+  }
 
-    // Modal close
-    document.getElementById('modal-close')?.addEventListener('click', closeModal);
-    document.getElementById('modal-overlay')?.addEventListener('click', (e) => {
-      if (e.target === e.currentTarget) closeModal();
+  // What the reviewer typed into a bundle card: { worker, certifications }
+  function collectOCRBundle(bundleId) {
+    const card = document.querySelector(`[data-bundle="${bundleId}"]`);
+    const worker = {};
+    card.querySelectorAll('[data-worker-field]').forEach(el => {
+      worker[el.dataset.workerField] = el.value.trim() || null;
+    });
+    const certifications = [...card.querySelectorAll('[data-cert-index]')].map(row => {
+      const cert = { item_id: parseInt(row.dataset.itemId, 10) || null };
+      row.querySelectorAll('[data-cert-field]').forEach(el => {
+        cert[el.dataset.certField] = el.value.trim() || null;
+      });
+      return cert;
     });
+    return { worker, certifications };
+  }
 
-    // OCR Upload
-    initOCRUpload();
+  async function saveOCRBundle(jobId, bundleId) {
+    try {
+      await API.updateOCRJobBundle(jobId, bundleId, collectOCRBundle(bundleId));
+      showToast('Edits saved', 'success');
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+    }
+  }
 
-    // Hidden file input for "Add More"
-    document.getElementById('ocr-add-more')?.addEventListener('click', () => {
-      if (ocrFiles.length >= 4) { showToast('Maximum 4 images allowed', 'error'); return; }
-      document.getElementById('ocr-file-input')?.click();
-    });
+  async function approveOCRBundle(jobId, bundleId) {
+    const data = collectOCRBundle(bundleId);
+    if (!data.worker.fin_number || !data.worker.worker_name) {
+      showToast('FIN Number and Worker Name are required', 'error');
+      return;
+    }
 
-    // Profile cert sorting headers
-    document.getElementById('th-cert-issue')?.addEventListener('click', () => toggleCertSort('issue_date'));
-    document.getElementById('th-cert-expiry')?.addEventListener('click', () => toggleCertSort('expiry_date'));
+    try {
+      let result;
+      try {
+        result = await API.approveOCRJobBundle(jobId, bundleId, data);
+      } catch (err) {
+        if (err.data?.code !== 'INVALID_FIN_CHECKSUM') throw err;
+        const hint = err.data.suggestion ? `Did you mean ${err.data.suggestion}?` : '';
+        if (!confirm(`${err.message}. ${hint}\n\nSave with this FIN anyway?`)) return;
+        result = await API.approveOCRJobBundle(jobId, bundleId, { ...data, allow_invalid_fin: true });
+      }
+      showToast(`Worker ${result.worker.worker_name} saved with ${result.certifications.length} certification(s)`, 'success');
+      (result.warnings || []).forEach(w => showToast(w, 'warning'));
+      refreshOCRBundle(jobId, bundleId);
+    } catch (err) {
+      showToast('Approve failed: ' + err.message, 'error');
+    }
   }
 
-  // ─── Router callback ────────────────────────────────────
-  function onPageChange(page, params = []) {
-    switch (page) {
-      case 'dashboard': loadDashboard(); break;
-      case 'workers': loadWorkers(); break;
-      case 'worker-profile':
-        if (params[0]) loadWorkerProfile(params[0]);
-        break;
-      case 'certifications': loadCertifications(); break;
-      case 'upload': resetOCR(); break;
+  async function rejectOCRBundle(jobId, bundleId) {
+    const note = prompt('Reject this bundle? Nothing from it will be saved.\n\nReason (optional):');
+    if (note === null) return;
+    try {
+      await API.rejectOCRJobBundle(jobId, bundleId, note.trim() || null);
+      refreshOCRBundle(jobId, bundleId);
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // OCR QUALITY (admin)
+  // ═══════════════════════════════════════════════════════
+  function loadOCRQuality() {
+    loadOCRCorrections();
+    loadOCRCorpus();
+  }
+
+  async function loadOCRCorrections() {
+    const tbody = document.getElementById('ocr-corrections-tbody');
+    if (!tbody) return;
+    const days = document.getElementById('ocr-corrections-days')?.value || '90';
+
+    try {
+      const result = await API.getOCRCorrections({ days });
+      const rows = [];
+      for (const t of result.templates || []) {
+        const fixed = t.fields.filter(f => f.corrected + f.missed > 0);
+        if (fixed.length === 0) {
+          rows.push(`<tr><td><strong>${escAttr(t.template_id)}</strong></td><td>${t.runs}</td><td colspan="5" class="field-note">No corrections</td></tr>`);
+          continue;
+        }
+        fixed.forEach((f, i) => rows.push(`
+                    <tr>
+                        ${i === 0 ? `<td rowspan="${fixed.length}"><strong>${escAttr(t.template_id)}</strong></td><td rowspan="${fixed.length}">${t.runs}</td>` : ''}
+                        <td>${escAttr(f.field)}</td>
+                        <td>${f.kept}</td>
+                        <td>${f.corrected}</td>
+                        <td>${f.missed}</td>
+                        <td>${Math.round(f.correction_rate * 100)}%</td>
+                    </tr>
+                `));
+      }
+      tbody.innerHTML = rows.length > 0
+        ? rows.join('')
+        : '<tr><td colspan="7" class="empty-state">No reviewed OCR uploads in this period</td></tr>';
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="7" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  async function loadOCRCorpus() {
+    const tbody = document.getElementById('ocr-corpus-tbody');
+    if (!tbody) return;
+    const pct = (value) => value == null ? '—' : `${Math.round(value * 100)}%`;
+
+    try {
+      const report = await API.getOCREvaluation();
+      setText('ocr-corpus-summary', `${report.fixtures} fixtures · template detection ${pct(report.template_accuracy)} · overall precision ${pct(report.overall.precision)}, recall ${pct(report.overall.recall)}`);
+      tbody.innerHTML = Object.entries(report.fields)
+        .filter(([, f]) => f.tp + f.fp + f.fn > 0)
+        .map(([field, f]) => `
+                    <tr>
+                        <td>${escAttr(field)}</td>
+                        <td>${pct(f.precision)}</td>
+                        <td>${pct(f.recall)}</td>
+                        <td>${f.tp} / ${f.fp} / ${f.fn}</td>
+                    </tr>
+                `).join('');
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="4" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
     }
   }
 
@@ -97,17 +1356,22 @@ const App = (() => {
       setText('stat-expiring-soon', stats.certifications?.expiring_soon ?? 0);
       setText('stat-expired-certs', stats.certifications?.expired ?? 0);
       setText('stat-total-docs', stats.documents?.total ?? 0);
+      setText('stat-passes-expiring', stats.passes?.expiring_soon ?? 0);
+      setText('stat-passes-expired', `${stats.passes?.expired ?? 0} expired`);
+      setText('stat-passports-expiring', stats.passports?.expiring_soon ?? 0);
+      setText('stat-passports-expired', `${stats.passports?.expired ?? 0} expired`);
 
       // Recent workers table
       const tbody = document.getElementById('dashboard-workers-tbody');
       if (tbody && stats.recent_workers) {
         if (stats.recent_workers.length === 0) {
-          tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No workers yet. Upload a work permit to get started.</td></tr>';
+          tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No workers yet. Upload a work permit to get started.</td></tr>';
         } else {
           tbody.innerHTML = stats.recent_workers.map(w => `
                         <tr style="cursor:pointer" onclick="Router.navigate('worker-profile','${w.id}')">
                             <td><strong>${esc(w.fin_number)}</strong></td>
-                            <td>${esc(w.work_permit_no || '—')}</td>
+                            <td>${esc(passTypeLabel(w.pass_type))}</td>
+                            <td>${esc(w.pass_no || '—')}</td>
                             <td>${esc(w.worker_name)}</td>
                             <td>${esc(w.employer_name || '—')}</td>
                             <td>${esc(w.nationality || '—')}</td>
@@ -130,33 +1394,39 @@ const App = (() => {
     if (!tbody) return;
 
     const search = document.getElementById('workers-search')?.value || '';
+    const status = document.getElementById('workers-status-filter')?.value || 'active';
+    const passType = document.getElementById('workers-pass-type-filter')?.value || '';
 
     try {
-      const result = await API.listWorkers({ page: workersPage, limit: 20, search });
+      const params = { page: workersPage, limit: 20, search, status };
+      if (passType) params.pass_type = passType;
+      const result = await API.listWorkers(params);
       const workers = result.data || [];
 
       if (workers.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="10" class="empty-state">No workers found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="12" class="empty-state">No workers found</td></tr>';
       } else {
         tbody.innerHTML = workers.map(w => `
                         <tr>
                             <td><input type="checkbox" class="worker-checkbox" value="${w.id}"></td>
                             <td><strong style="color:var(--accent-primary);cursor:pointer" onclick="Router.navigate('worker-profile','${w.id}')">${esc(w.fin_number)}</strong></td>
-                            <td>${esc(w.work_permit_no || '—')}</td>
+                            <td>${esc(passTypeLabel(w.pass_type))}</td>
+                            <td>${esc(w.pass_no || '—')}</td>
                             <td>${esc(w.worker_name)}</td>
                             <td>${esc(w.date_of_birth || '—')}</td>
                             <td>${esc(w.nationality || '—')}</td>
                             <td>${esc(w.sex || '—')}</td>
                             <td>${esc(w.employer_name || '—')}</td>
-                            <td>${expiryBadge(w.wp_expiry_date)}</td>
+                            <td>${expiryBadge(w.pass_expiry)}</td>
+                            <td>${statusBadge(w.status)}</td>
                             <td>
                                 <div class="action-btns">
                                     <button class="action-btn action-btn--view" title="View" onclick="Router.navigate('worker-profile','${w.id}')">
                                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
                                     </button>
-                                    <button class="action-btn action-btn--danger" title="Delete" onclick="deleteWorkerConfirm(${w.id},'${esc(w.worker_name)}')">
+                                    ${isAdmin() ? `<button class="action-btn action-btn--danger" title="Purge (permanent)" onclick="purgeWorkerConfirm(${w.id},'${esc(w.worker_name)}')">
                                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>
-                                    </button>
+                                    </button>` : ''}
                                 </div>
                             </td>
                         </tr>
@@ -179,7 +1449,7 @@ const App = (() => {
       });
       updateExportButtonState();
     } catch (err) {
-      tbody.innerHTML = `<tr><td colspan="10" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+      tbody.innerHTML = `<tr><td colspan="12" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
     }
   }
 
@@ -214,19 +1484,22 @@ const App = (() => {
 
       if (workers.length > 0) {
         // Build CSV
-        const headers = ['FIN / NRIC', 'Worker Name', 'WP No', 'Date of Birth', 'Nationality', 'Sex', 'Employer', 'WP Expiry', 'Recorded Date'];
+        const headers = ['FIN / NRIC', 'Worker Name', 'Pass Type', 'Pass No', 'Date of Birth', 'Nationality', 'Sex', 'Employer', 'Pass Expiry', 'Passport No', 'Passport Expiry', 'Recorded Date'];
         let csvContent = headers.join(',') + '\n';
 
         workers.forEach(worker => {
           const row = [
             worker.fin_number || '',
             worker.worker_name || '',
-            worker.work_permit_no || '',
+            PASS_TYPE_LABELS[worker.pass_type] || '',
+            worker.pass_no || '',
             worker.date_of_birth || '',
             worker.nationality || '',
             worker.sex || '',
             worker.employer_name || '',
-            worker.wp_expiry_date || '',
+            worker.pass_expiry || '',
+            worker.passport_no || '',
+            worker.passport_expiry || '',
             worker.created_at || ''
           ];
 
@@ -255,17 +1528,384 @@ const App = (() => {
         showToast('No valid workers found to export.', 'warning');
       }
 
-      // Deselect all
-      document.querySelectorAll('.worker-checkbox').forEach(cb => cb.checked = false);
-      updateExportButtonState();
+      // Deselect all
+      document.querySelectorAll('.worker-checkbox').forEach(cb => cb.checked = false);
+      updateExportButtonState();
+    } catch (err) {
+      showToast(err.message || 'Export failed', 'error');
+    } finally {
+      if (exportBtn) {
+        exportBtn.innerHTML = originalText;
+        exportBtn.disabled = false;
+        updateExportButtonState();
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // ALERTS
+  // ═══════════════════════════════════════════════════════
+  async function refreshAlertBadge() {
+    const badge = document.getElementById('nav-alerts-count');
+    if (!badge) return;
+    try {
+      const result = await API.listAlerts({ limit: 1 });
+      const open = result.counts?.open || 0;
+      badge.textContent = open > 99 ? '99+' : String(open);
+      badge.hidden = open === 0;
+    } catch (err) {
+      badge.hidden = true;
+    }
+  }
+
+  function alertThresholdBadge(alert) {
+    if (alert.threshold === 'expired' || alert.days_left < 0) {
+      return '<span class="badge badge--expired">Expired</span>';
+    }
+    const cls = alert.days_left <= 30 ? 'badge--expired' : 'badge--expiring';
+    return `<span class="badge ${cls}">${alert.days_left}d left</span>`;
+  }
+
+  async function loadAlerts() {
+    const tbody = document.getElementById('alerts-tbody');
+    if (!tbody) return;
+
+    const state = document.getElementById('alerts-state-filter')?.value || 'open';
+    shownAlertIds = [];
+
+    try {
+      const result = await API.listAlerts({ state, page: alertsPage, limit: 50 });
+      const alerts = result.data || [];
+
+      if (alerts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No alerts</td></tr>';
+      } else {
+        shownAlertIds = alerts.filter(a => !a.acknowledged_at && !a.resolved_at).map(a => a.id);
+        tbody.innerHTML = alerts.map(a => `
+                    <tr>
+                        <td>${alertThresholdBadge(a)}</td>
+                        <td>${esc(a.subject)}${a.snoozed_until && !a.acknowledged_at ? `<div class="field-note">Snoozed until ${esc(a.snoozed_until)}</div>` : ''}${a.acknowledged_at ? `<div class="field-note">Acknowledged by ${esc(a.acknowledged_by || '—')}</div>` : ''}</td>
+                        <td>${a.worker_id ? `<strong style="color:var(--accent-primary);cursor:pointer" onclick="Router.navigate('worker-profile','${a.worker_id}')">${esc(a.worker_name || '—')}</strong><div class="field-note">${esc(a.fin_number || '')}</div>` : '—'}</td>
+                        <td>${esc(a.employer_name || '—')}</td>
+                        <td>${formatDate(a.expiry_date)}</td>
+                        <td>${formatDate(a.created_at)}</td>
+                        <td>
+                            ${canEdit() && !a.acknowledged_at && !a.resolved_at ? `<div class="action-btns">
+                                <button class="btn btn-sm btn-secondary" data-alert-ack="${a.id}">Acknowledge</button>
+                                <button class="btn btn-sm btn-secondary" data-alert-snooze="${a.id}">Snooze</button>
+                            </div>` : ''}
+                        </td>
+                    </tr>
+                `).join('');
+
+        tbody.querySelectorAll('[data-alert-ack]').forEach(btn => {
+          btn.addEventListener('click', async () => {
+            try {
+              await API.acknowledgeAlert(btn.dataset.alertAck);
+              loadAlerts();
+              refreshAlertBadge();
+            } catch (err) {
+              showToast('Error: ' + err.message, 'error');
+            }
+          });
+        });
+        tbody.querySelectorAll('[data-alert-snooze]').forEach(btn => {
+          btn.addEventListener('click', async () => {
+            const days = parseInt(prompt('Snooze for how many days?', '7') || '', 10);
+            if (!(days > 0)) return;
+            try {
+              await API.snoozeAlert(btn.dataset.alertSnooze, days);
+              showToast(`Snoozed for ${days} day(s)`, 'success');
+              loadAlerts();
+              refreshAlertBadge();
+            } catch (err) {
+              showToast('Error: ' + err.message, 'error');
+            }
+          });
+        });
+      }
+
+      renderPagination('alerts-pagination', result.pagination, (p) => { alertsPage = p; loadAlerts(); });
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="7" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  async function acknowledgeShownAlerts() {
+    if (shownAlertIds.length === 0) { showToast('Nothing to acknowledge', 'info'); return; }
+    if (!confirm(`Acknowledge ${shownAlertIds.length} alert(s)?`)) return;
+
+    try {
+      const result = await API.acknowledgeAlerts(shownAlertIds);
+      showToast(`${result.acknowledged} alert(s) acknowledged`, 'success');
+      loadAlerts();
+      refreshAlertBadge();
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+    }
+  }
+
+  async function runAlertScan() {
+    try {
+      const result = await API.runExpiryScan();
+      showToast(`Scan complete: ${result.created} new alert(s), ${result.resolved} resolved`, 'success');
+      loadAlerts();
+      refreshAlertBadge();
+    } catch (err) {
+      showToast('Scan failed: ' + err.message, 'error');
+    }
+  }
+
+  const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  async function showDigestModal() {
+    let result, deliveries;
+    try {
+      [result, deliveries] = await Promise.all([
+        API.getDigestSubscription(),
+        API.listDigestDeliveries({ limit: 5 }).catch(() => ({ data: [] })),
+      ]);
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+      return;
+    }
+
+    const { subscription, options } = result;
+    const thresholdLabel = (t) => (t === 'expired' ? 'Expired' : `≤ ${t} days`);
+    const checkboxes = (name, values, selected, label = (v) => v) => values.length === 0
+      ? '<span class="field-note">None yet</span>'
+      : values.map(v => `<label><input type="checkbox" name="${name}" value="${escAttr(v)}" ${selected.includes(v) ? 'checked' : ''}> ${escAttr(label(v))}</label>`).join('');
+
+    const deliveryRows = (deliveries.data || []).map(d => `
+            <tr>
+                <td>${formatDate(d.created_at)}</td>
+                <td>${escAttr(d.to_address)}</td>
+                <td>${d.item_count ?? '—'}</td>
+                <td>${d.status === 'sent' ? '<span class="badge badge--valid">Sent</span>' : `<span class="badge badge--expired" title="${escAttr(d.error)}">Failed</span>`}</td>
+            </tr>`).join('');
+
+    openModal('Email Digest Settings', `
+            <p class="field-note">A summary of work permits and certifications expiring in the next ${options.horizon_days} days (and already expired), grouped by employer. Delivery: ${escAttr(options.provider)}.</p>
+            <div class="form-row">
+                <div class="form-group"><label for="modal-digest-email">Email *</label><input type="email" id="modal-digest-email" class="form-control" value="${escAttr(subscription.email)}"><span class="field-note">The email address on your account (set by an admin) or one at an approved company domain</span></div>
+                <div class="form-group"><label for="modal-digest-frequency">Frequency</label><select id="modal-digest-frequency" class="form-control">
+                    <option value="weekly" ${subscription.frequency === 'weekly' ? 'selected' : ''}>Weekly</option>
+                    <option value="daily" ${subscription.frequency === 'daily' ? 'selected' : ''}>Daily</option>
+                    <option value="off" ${subscription.frequency === 'off' ? 'selected' : ''}>Off</option>
+                </select></div>
+                <div class="form-group"><label for="modal-digest-day">Weekly on</label><select id="modal-digest-day" class="form-control">
+                    ${WEEKDAYS.map((day, i) => `<option value="${i}" ${subscription.weekly_day === i ? 'selected' : ''}>${day}</option>`).join('')}
+                </select></div>
+            </div>
+            <div class="form-group">
+                <label>Employers <span class="field-note">(none ticked = all)</span></label>
+                <div class="checkbox-list">${checkboxes('digest-employer', options.employers, subscription.employers)}</div>
+            </div>
+            <div class="form-group">
+                <label>Include <span class="field-note">(none ticked = all)</span></label>
+                <div class="checkbox-list">${checkboxes('digest-threshold', options.thresholds, subscription.thresholds, thresholdLabel)}</div>
+            </div>
+            <div id="modal-digest-preview"></div>
+            ${deliveryRows ? `
+            <div class="form-group">
+                <label>Recent deliveries</label>
+                <table class="data-table"><tbody>${deliveryRows}</tbody></table>
+            </div>` : ''}
+        `, `
+            <button class="btn btn-secondary" onclick="App.closeModal()">Cancel</button>
+            <button class="btn btn-secondary" id="modal-digest-preview-btn">Preview</button>
+            <button class="btn btn-secondary" id="modal-digest-send">Send Me One Now</button>
+            <button class="btn btn-primary" id="modal-digest-save">Save</button>
+        `);
+
+    const collect = () => ({
+      email: document.getElementById('modal-digest-email')?.value?.trim(),
+      frequency: document.getElementById('modal-digest-frequency')?.value,
+      weekly_day: parseInt(document.getElementById('modal-digest-day')?.value || '1', 10),
+      employers: [...document.querySelectorAll('input[name="digest-employer"]:checked')].map(cb => cb.value),
+      thresholds: [...document.querySelectorAll('input[name="digest-threshold"]:checked')].map(cb => cb.value),
+    });
+
+    const save = async () => {
+      const data = collect();
+      if (!data.email) { showToast('Email is required', 'error'); return false; }
+      await API.saveDigestSubscription(data);
+      return true;
+    };
+
+    document.getElementById('modal-digest-save')?.addEventListener('click', async () => {
+      try {
+        if (!(await save())) return;
+        showToast('Digest settings saved', 'success');
+        closeModal();
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+
+    document.getElementById('modal-digest-preview-btn')?.addEventListener('click', async () => {
+      try {
+        if (!(await save())) return;
+        const preview = await API.previewDigest();
+        const container = document.getElementById('modal-digest-preview');
+        container.innerHTML = `<div class="form-group"><label>${escAttr(preview.subject)}</label><iframe class="digest-preview" sandbox></iframe></div>`;
+        container.querySelector('iframe').srcdoc = preview.html;
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+
+    document.getElementById('modal-digest-send')?.addEventListener('click', async () => {
+      try {
+        if (!(await save())) return;
+        const delivery = await API.sendDigestNow();
+        showToast(`Digest sent to ${delivery.to_address} (${delivery.item_count} items)`, 'success');
+        closeModal();
+      } catch (err) {
+        showToast('Send failed: ' + err.message, 'error');
+      }
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // DUPLICATES & MERGE
+  // ═══════════════════════════════════════════════════════
+  const DUPLICATE_REASONS = {
+    same_name_dob: 'Same name & DOB',
+    fin_edit_distance: 'FIN differs by 1 character',
+    same_pass_no: 'Same Pass No',
+  };
+
+  async function loadDuplicates() {
+    const tbody = document.getElementById('duplicates-tbody');
+    if (!tbody) return;
+
+    tbody.innerHTML = '<tr><td colspan="4" class="empty-state">Loading...</td></tr>';
+
+    try {
+      const result = await API.findDuplicateWorkers();
+      const pairs = result.data || [];
+
+      if (pairs.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="empty-state">No likely duplicates found</td></tr>';
+        return;
+      }
+
+      const workerCell = (w) => `
+                        <strong>${esc(w.fin_number)}</strong> · ${esc(w.worker_name)}
+                        <div class="field-note">DOB ${esc(w.date_of_birth || '—')} · ${esc(passTypeLabel(w.pass_type))} ${esc(w.pass_no || '—')} · ${w.cert_count} cert(s), ${w.doc_count} doc(s)</div>`;
+
+      tbody.innerHTML = pairs.map(p => `
+                    <tr>
+                        <td>${workerCell(p.workers[0])}</td>
+                        <td>${workerCell(p.workers[1])}</td>
+                        <td>${p.reasons.map(r => `<span class="badge badge--expiring">${escAttr(DUPLICATE_REASONS[r] || r)}</span>`).join(' ')}</td>
+                        <td>
+                            <button class="btn btn-sm btn-secondary" onclick="Router.navigate('merge','${p.workers[0].id}','${p.workers[1].id}')">Review &amp; Merge</button>
+                        </td>
+                    </tr>
+                `).join('');
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="4" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  async function loadMergeScreen(idA, idB) {
+    const tbody = document.getElementById('merge-tbody');
+    if (!tbody) return;
+
+    tbody.innerHTML = '<tr><td colspan="3" class="empty-state">Loading...</td></tr>';
+    mergeWorkers = [];
+
+    try {
+      mergeWorkers = await Promise.all([API.getWorker(idA), API.getWorker(idB)]);
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="3" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+      return;
+    }
+
+    const [a, b] = mergeWorkers;
+    if (a.merged_into_id || b.merged_into_id) {
+      tbody.innerHTML = '<tr><td colspan="3" class="empty-state">One of these records has already been merged</td></tr>';
+      return;
+    }
+
+    // Default survivor: the record holding more certifications and documents
+    const weight = (w) => (w.certifications || []).length + (w.documents || []).length;
+    const survivorSide = weight(b) > weight(a) ? 'b' : 'a';
+
+    setText('merge-head-a', `Record A — ${a.fin_number}`);
+    setText('merge-head-b', `Record B — ${b.fin_number}`);
+
+    const rows = [`
+            <tr>
+                <td><strong>Keep as main record</strong></td>
+                <td><label><input type="radio" name="merge-survivor" value="a" ${survivorSide === 'a' ? 'checked' : ''}> Record A</label></td>
+                <td><label><input type="radio" name="merge-survivor" value="b" ${survivorSide === 'b' ? 'checked' : ''}> Record B</label></td>
+            </tr>`];
+
+    for (const f of PROFILE_FIELDS) {
+      const valueA = a[f.key] ?? null;
+      const valueB = b[f.key] ?? null;
+      const differs = valueA !== valueB;
+      // Prefer the survivor's value unless it is empty
+      const survivorValue = survivorSide === 'a' ? valueA : valueB;
+      const pick = !differs ? survivorSide : (survivorValue == null ? (survivorSide === 'a' ? 'b' : 'a') : survivorSide);
+
+      rows.push(`
+            <tr class="${differs ? 'merge-row--diff' : ''}">
+                <td>${f.label}</td>
+                <td><label><input type="radio" name="merge-field-${f.key}" value="a" ${pick === 'a' ? 'checked' : ''} ${differs ? '' : 'disabled'}> ${esc(valueA || '—')}</label></td>
+                <td><label><input type="radio" name="merge-field-${f.key}" value="b" ${pick === 'b' ? 'checked' : ''} ${differs ? '' : 'disabled'}> ${esc(valueB || '—')}</label></td>
+            </tr>`);
+    }
+
+    rows.push(`
+            <tr>
+                <td>Certifications</td>
+                <td>${(a.certifications || []).length}</td>
+                <td>${(b.certifications || []).length}</td>
+            </tr>
+            <tr>
+                <td>Documents</td>
+                <td>${(a.documents || []).length}</td>
+                <td>${(b.documents || []).length}</td>
+            </tr>`);
+
+    tbody.innerHTML = rows.join('');
+  }
+
+  async function submitMerge() {
+    if (mergeWorkers.length !== 2) return;
+
+    const survivorSide = document.querySelector('input[name="merge-survivor"]:checked')?.value || 'a';
+    const [a, b] = mergeWorkers;
+    const survivor = survivorSide === 'a' ? a : b;
+    const loser = survivorSide === 'a' ? b : a;
+
+    // Every field is sent explicitly so the server keeps exactly what was picked on screen
+    const fields = {};
+    for (const f of PROFILE_FIELDS) {
+      const side = document.querySelector(`input[name="merge-field-${f.key}"]:checked`)?.value || survivorSide;
+      fields[f.key] = side === survivorSide ? 'survivor' : 'loser';
+    }
+
+    const loserAction = document.getElementById('merge-loser-action')?.value || 'archive';
+    const summary = `Merge ${loser.fin_number} (${loser.worker_name}) into ${survivor.fin_number} (${survivor.worker_name})?\n\n` +
+      `Certifications and documents move to the main record; the other record will be ${loserAction === 'delete' ? 'deleted' : 'archived'}.`;
+    if (!confirm(summary)) return;
+
+    const btn = document.getElementById('btn-merge-workers');
+    if (btn) btn.disabled = true;
+
+    try {
+      const result = await API.mergeWorkers({ survivor_id: survivor.id, loser_id: loser.id, fields, loser_action: loserAction });
+      showToast(`Merged: moved ${result.moved.certifications} certification(s) and ${result.moved.documents} document(s)`, 'success');
+      Router.navigate('worker-profile', survivor.id);
     } catch (err) {
-      showToast(err.message || 'Export failed', 'error');
+      showToast('Merge failed: ' + err.message, 'error');
     } finally {
-      if (exportBtn) {
-        exportBtn.innerHTML = originalText;
-        exportBtn.disabled = false;
-        updateExportButtonState();
-      }
+      if (btn) btn.disabled = false;
     }
   }
 
@@ -280,15 +1920,35 @@ const App = (() => {
     detailsEl.innerHTML = 'Loading...';
 
     try {
-      const worker = await API.getWorker(id);
+      const [worker, history] = await Promise.all([
+        API.getWorker(id),
+        API.getWorkerHistory(id).catch(() => ({ data: [] })),
+      ]);
+      // Archived duplicates forward to the record they were merged into
+      if (worker.merged_into_id) {
+        showToast('This record was merged into another worker', 'info');
+        Router.navigate('worker-profile', worker.merged_into_id);
+        return;
+      }
+
       currentWorkerProfile = worker;
+      profileEditMode = false;
+
+      // Group field history by field name for hover tooltips
+      currentWorkerHistory = {};
+      for (const h of history.data || []) {
+        if (!currentWorkerHistory[h.field_name]) currentWorkerHistory[h.field_name] = [];
+        currentWorkerHistory[h.field_name].push(h);
+      }
 
       if (titleEl) titleEl.textContent = worker.worker_name;
 
       // Extract WP Documents
+      // Pages filed as WP front / back win over untyped work-permit scans
       const wpDocs = (worker.documents || []).filter(d => (d.document_type || '').toLowerCase().includes('work_permit'));
-      const wpFront = wpDocs[0];
-      const wpBack = wpDocs[1];
+      const untyped = wpDocs.filter(d => !/_(front|back)$/.test(d.document_type));
+      const wpFront = wpDocs.find(d => d.document_type === 'work_permit_front') || untyped[0];
+      const wpBack = wpDocs.find(d => d.document_type === 'work_permit_back') || untyped.find(d => d !== wpFront);
 
       function renderWPImage(title, doc) {
         if (!doc) {
@@ -298,7 +1958,17 @@ const App = (() => {
               <div class="wp-placeholder">No Image Uploaded</div>
             </div>`;
         }
-        const url = API.getFileUrl(doc.r2_key);
+        const url = API.fileUrl(doc.file_url);
+        // A PDF can't be shown as an image — link straight to its page instead
+        if (doc.mime_type === 'application/pdf') {
+          return `
+            <div class="wp-column">
+              <span class="profile-field-label" style="flex: none; margin-bottom: 8px;">${title}</span>
+              <a href="${url}${doc.page ? `#page=${doc.page}` : ''}" target="_blank" class="wp-placeholder">
+                View PDF${doc.page ? ` (page ${doc.page})` : ''}
+              </a>
+            </div>`;
+        }
         return `
             <div class="wp-column">
               <span class="profile-field-label" style="flex: none; margin-bottom: 8px;">${title}</span>
@@ -309,27 +1979,20 @@ const App = (() => {
       }
 
       detailsEl.innerHTML = `
-                <div class="profile-data-col">
-                  <div class="profile-field"><span class="profile-field-label">FIN / NRIC Number</span><span class="profile-field-value">${esc(worker.fin_number)}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">Work Permit No</span><span class="profile-field-value">${esc(worker.work_permit_no || '—')}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">Worker Name</span><span class="profile-field-value">${esc(worker.worker_name)}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">Date of Birth</span><span class="profile-field-value">${formatDate(worker.date_of_birth)}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">Nationality</span><span class="profile-field-value">${esc(worker.nationality || '—')}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">Sex</span><span class="profile-field-value">${esc(worker.sex || '—')}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">Race</span><span class="profile-field-value">${esc(worker.race || '—')}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">Country/Place of Birth</span><span class="profile-field-value">${esc(worker.country_of_birth || '—')}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">Address</span><span class="profile-field-value">${esc(worker.address || '—')}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">Employer</span><span class="profile-field-value">${esc(worker.employer_name || '—')}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">WP Expiry Date</span><span class="profile-field-value">${expiryBadge(worker.wp_expiry_date)}</span></div>
-                  <div class="profile-field"><span class="profile-field-label">Created</span><span class="profile-field-value">${formatDate(worker.created_at)}</span></div>
-                </div>
+                <div class="profile-data-col" id="profile-data-col"></div>
                 ${renderWPImage('Work Permit Front', wpFront)}
                 ${renderWPImage('Work Permit Back', wpBack)}
             `;
+      renderProfileFields();
 
       // Certifications
       renderProfileCerts();
 
+      // Activity tab is only available to roles that can read the audit log
+      if (profileTab === 'activity' && !canEdit()) profileTab = 'overview';
+      activityPage = 1;
+      switchProfileTab(profileTab);
+
       // Documents
       const docsEl = document.getElementById('profile-documents');
       if (docsEl) {
@@ -339,9 +2002,9 @@ const App = (() => {
         } else {
           docsEl.innerHTML = docs.map(d => `
             <div class="document-item">
-                <a href="${esc(d.url)}" target="_blank" class="document-link">
+                <a href="${escAttr(d.page ? `${d.url}#page=${d.page}` : d.url)}" target="_blank" class="document-link">
                     <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"></path><polyline points="13 2 13 9 20 9"></polyline></svg>
-                    <span>${esc(d.document_type || 'Document')}</span>
+                    <span>${esc(d.document_type || 'Document')}${d.page ? ` · P${d.page}` : ''}</span>
                 </a>
                 <span class="document-date">${formatDate(d.created_at)}</span>
             </div>
@@ -354,6 +2017,248 @@ const App = (() => {
     }
   }
 
+  // Editable worker fields shown in the profile details column
+  const PROFILE_FIELDS = [
+    { key: 'fin_number', label: 'FIN / NRIC Number', required: true },
+    { key: 'pass_type', label: 'Pass Type', type: 'pass_type' },
+    { key: 'pass_no', label: 'Pass No' },
+    { key: 'worker_name', label: 'Worker Name', required: true },
+    { key: 'date_of_birth', label: 'Date of Birth', type: 'date' },
+    { key: 'nationality', label: 'Nationality' },
+    { key: 'sex', label: 'Sex', type: 'sex' },
+    { key: 'race', label: 'Race' },
+    { key: 'country_of_birth', label: 'Country/Place of Birth' },
+    { key: 'address', label: 'Address' },
+    { key: 'employer_name', label: 'Employer' },
+    { key: 'pass_expiry', label: 'Pass Expiry', type: 'expiry' },
+    { key: 'passport_no', label: 'Passport No' },
+    { key: 'passport_expiry', label: 'Passport Expiry', type: 'expiry' },
+  ];
+
+  function renderProfileFields() {
+    const col = document.getElementById('profile-data-col');
+    const actions = document.getElementById('profile-edit-actions');
+    const worker = currentWorkerProfile;
+    if (!col || !worker) return;
+
+    if (actions) {
+      actions.innerHTML = !canEdit() ? '' : profileEditMode
+        ? `<button class="btn btn-sm btn-secondary" id="btn-profile-cancel">Cancel</button>
+           <button class="btn btn-sm btn-primary" id="btn-profile-save">Save</button>`
+        : `<button class="btn btn-sm btn-secondary" id="btn-profile-status">Change Status</button>
+           <button class="btn btn-sm btn-secondary" id="btn-profile-edit">Edit</button>`;
+      document.getElementById('btn-profile-status')?.addEventListener('click', showStatusModal);
+      document.getElementById('btn-profile-edit')?.addEventListener('click', () => { profileEditMode = true; renderProfileFields(); });
+      document.getElementById('btn-profile-cancel')?.addEventListener('click', () => { profileEditMode = false; renderProfileFields(); });
+      document.getElementById('btn-profile-save')?.addEventListener('click', saveProfileEdits);
+    }
+
+    const rows = PROFILE_FIELDS.map(f => {
+      const value = worker[f.key];
+      const history = currentWorkerHistory[f.key] || [];
+      const historyTitle = history.length
+        ? history.map(h => `${h.changed_at} · ${h.changed_by || 'system'} (${h.source}): ${h.old_value ?? '∅'} → ${h.new_value ?? '∅'}`).join('\n')
+        : '';
+      const labelAttrs = historyTitle
+        ? `class="profile-field-label profile-field-label--history" title="${escAttr(historyTitle)}"`
+        : 'class="profile-field-label"';
+
+      let valueHtml;
+      if (profileEditMode) {
+        if (f.type === 'sex') {
+          valueHtml = `<select class="form-control form-control--inline" data-field="${f.key}">
+              <option value="">—</option>
+              <option value="M" ${value === 'M' ? 'selected' : ''}>Male</option>
+              <option value="F" ${value === 'F' ? 'selected' : ''}>Female</option>
+            </select>`;
+        } else if (f.type === 'pass_type') {
+          valueHtml = `<select class="form-control form-control--inline" data-field="${f.key}">${passTypeOptions(value)}</select>`;
+        } else {
+          const inputType = f.type === 'date' || f.type === 'expiry' ? 'date' : 'text';
+          valueHtml = `<input type="${inputType}" class="form-control form-control--inline" data-field="${f.key}" value="${escAttr(value)}">`;
+        }
+      } else if (f.type === 'date') {
+        valueHtml = formatDate(value);
+      } else if (f.type === 'expiry') {
+        valueHtml = expiryBadge(value);
+      } else if (f.type === 'pass_type') {
+        valueHtml = esc(PASS_TYPE_LABELS[value] || '—');
+      } else {
+        valueHtml = esc(value || '—');
+      }
+
+      return `<div class="profile-field"><span ${labelAttrs}>${f.label}${f.required && profileEditMode ? ' *' : ''}</span><span class="profile-field-value">${valueHtml}</span></div>`;
+    });
+
+    // Lifecycle status, with its transitions as a hover tooltip
+    const statusHistory = worker.status_history || [];
+    const statusTitle = statusHistory
+      .map(h => `${h.effective_date} · ${h.changed_by || 'system'}: ${WORKER_STATUS_LABELS[h.from_status] || '∅'} → ${WORKER_STATUS_LABELS[h.to_status] || h.to_status}${h.reason ? ` (${h.reason})` : ''}`)
+      .join('\n');
+    const statusNote = worker.status !== 'active' && (worker.status_effective_date || worker.status_reason)
+      ? `<span class="field-note">${escAttr([worker.status_effective_date, worker.status_reason].filter(Boolean).join(' · '))}</span>`
+      : '';
+    rows.unshift(`<div class="profile-field"><span class="profile-field-label${statusTitle ? ' profile-field-label--history' : ''}" title="${escAttr(statusTitle)}">Status</span><span class="profile-field-value">${statusBadge(worker.status)}${statusNote}</span></div>`);
+
+    rows.push(`<div class="profile-field"><span class="profile-field-label">Created</span><span class="profile-field-value">${formatDate(worker.created_at)}</span></div>`);
+    col.innerHTML = rows.join('');
+  }
+
+  const WORKER_STATUS_LABELS = {
+    active: 'Active',
+    on_leave: 'On Leave',
+    permit_cancelled: 'Permit Cancelled',
+    repatriated: 'Repatriated',
+    archived: 'Archived',
+  };
+
+  // MOM pass types (utils/passes.js in the worker)
+  const PASS_TYPE_LABELS = {
+    work_permit: 'Work Permit',
+    s_pass: 'S Pass',
+    employment_pass: 'Employment Pass',
+    training_work_permit: 'Training Work Permit',
+    dependant_pass: "Dependant's Pass",
+    citizen_pr: 'Citizen / PR (NRIC)',
+  };
+
+  function passTypeLabel(passType) {
+    return PASS_TYPE_LABELS[passType] || '—';
+  }
+
+  function passTypeOptions(selected) {
+    return '<option value="">—</option>' + Object.entries(PASS_TYPE_LABELS)
+      .map(([value, label]) => `<option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>`)
+      .join('');
+  }
+
+  function showStatusModal() {
+    const worker = currentWorkerProfile;
+    if (!worker) return;
+
+    const statusOptions = Object.entries(WORKER_STATUS_LABELS)
+      .map(([value, label]) => `<option value="${value}" ${worker.status === value ? 'selected' : ''}>${label}</option>`)
+      .join('');
+
+    openModal(`Change Status — ${worker.worker_name}`, `
+            <div class="form-row">
+                <div class="form-group"><label for="modal-status">Status</label><select id="modal-status" class="form-control">${statusOptions}</select></div>
+                <div class="form-group"><label for="modal-status-date">Effective Date</label><input type="date" id="modal-status-date" class="form-control" value="${new Date().toISOString().slice(0, 10)}"></div>
+            </div>
+            <div class="form-group">
+                <label for="modal-status-reason">Reason</label>
+                <input type="text" id="modal-status-reason" class="form-control" placeholder="e.g. Contract ended, flight on 12 Mar">
+                <small class="field-note">Required unless the worker is returning to Active.</small>
+            </div>
+        `, `
+            <button class="btn btn-secondary" onclick="App.closeModal()">Cancel</button>
+            <button class="btn btn-primary" id="modal-save-status">Save Status</button>
+        `);
+
+    document.getElementById('modal-save-status')?.addEventListener('click', async () => {
+      const data = {
+        status: document.getElementById('modal-status')?.value,
+        effective_date: document.getElementById('modal-status-date')?.value || undefined,
+        reason: document.getElementById('modal-status-reason')?.value?.trim() || null,
+      };
+      if (data.status !== 'active' && !data.reason) { showToast('Please give a reason', 'error'); return; }
+
+      try {
+        await API.changeWorkerStatus(worker.id, data);
+        showToast('Status updated', 'success');
+        closeModal();
+        loadWorkerProfile(worker.id);
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+  }
+
+  async function saveProfileEdits() {
+    const worker = currentWorkerProfile;
+    if (!worker) return;
+
+    // Only send fields that changed; an emptied input is sent as null to clear it
+    const changes = {};
+    document.querySelectorAll('#profile-data-col [data-field]').forEach(input => {
+      const key = input.dataset.field;
+      const value = input.value.trim();
+      const newValue = value === '' ? null : value;
+      if ((newValue ?? '') !== (worker[key] ?? '')) changes[key] = newValue;
+    });
+
+    if (Object.keys(changes).length === 0) {
+      profileEditMode = false;
+      renderProfileFields();
+      return;
+    }
+
+    const saveBtn = document.getElementById('btn-profile-save');
+    if (saveBtn) saveBtn.disabled = true;
+
+    try {
+      try {
+        await API.updateWorker(worker.id, { ...changes, source: 'manual' });
+      } catch (err) {
+        if (err.data?.code !== 'INVALID_FIN_CHECKSUM' || !confirm(`${err.message}.\n\nSave with this FIN anyway?`)) throw err;
+        await API.updateWorker(worker.id, { ...changes, source: 'manual', allow_invalid_fin: true });
+      }
+      showToast('Worker updated', 'success');
+      loadWorkerProfile(worker.id);
+    } catch (err) {
+      showToast('Update failed: ' + err.message, 'error');
+      if (saveBtn) saveBtn.disabled = false;
+    }
+  }
+
+  function switchProfileTab(tab) {
+    profileTab = tab;
+    document.querySelectorAll('#profile-tabs .profile-tab').forEach(t => {
+      t.classList.toggle('active', t.dataset.tab === tab);
+    });
+    document.querySelectorAll('#page-worker-profile .profile-tab-panel').forEach(panel => {
+      panel.hidden = panel.id !== `profile-tab-${tab}`;
+    });
+    if (tab === 'activity') loadWorkerActivity();
+  }
+
+  async function loadWorkerActivity() {
+    const tbody = document.getElementById('profile-activity-tbody');
+    if (!tbody || !currentWorkerProfile) return;
+
+    try {
+      const result = await API.listAudit({ worker_id: currentWorkerProfile.id, page: activityPage, limit: 25 });
+      const entries = result.data || [];
+
+      if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No activity recorded</td></tr>';
+      } else {
+        tbody.innerHTML = entries.map(e => `
+            <tr>
+                <td>${esc(e.created_at)}</td>
+                <td>${esc(e.actor_username || 'system')}</td>
+                <td><span class="badge ${e.action === 'delete' ? 'badge--expired' : e.action === 'download' ? 'badge--expiring' : 'badge--valid'}">${esc(e.action)}</span></td>
+                <td>${esc(e.entity_type)} #${esc(e.entity_id)}</td>
+                <td>${renderAuditChanges(e.changes)}</td>
+                <td>${esc(e.ip_address || '—')}</td>
+            </tr>
+        `).join('');
+      }
+
+      renderPagination('profile-activity-pagination', result.pagination, (p) => { activityPage = p; loadWorkerActivity(); });
+    } catch (err) {
+      tbody.innerHTML = `<tr><td colspan="6" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
+    }
+  }
+
+  function renderAuditChanges(changes) {
+    if (!changes) return '—';
+    const items = Object.entries(changes).map(([field, { from, to }]) =>
+      `<li title="${escAttr(`${field}: ${from ?? '∅'} → ${to ?? '∅'}`)}"><strong>${esc(field)}</strong>: ${esc(from ?? '∅')} → ${esc(to ?? '∅')}</li>`
+    );
+    return `<ul class="audit-changes">${items.join('')}</ul>`;
+  }
+
   function toggleCertSort(key) {
     if (certSortKey === key) {
       certSortAsc = !certSortAsc;
@@ -379,7 +2284,8 @@ const App = (() => {
     let certs = currentWorkerProfile.certifications ? [...currentWorkerProfile.certifications] : [];
 
     if (certs.length === 0) {
-      certTbody.innerHTML = '<tr><td colspan="6" class="empty-state">No certifications</td></tr>';
+      certTbody.innerHTML = '<tr><td colspan="7" class="empty-state">No certifications</td></tr>';
+      renderRenewalTimeline();
       return;
     }
 
@@ -393,14 +2299,68 @@ const App = (() => {
 
     certTbody.innerHTML = certs.map(c => `
         <tr>
-            <td>${esc(c.course_title)}</td>
+            <td>${esc(c.course_title)}<div>${verificationBadge(c)}</div></td>
             <td>${esc(c.course_provider || '—')}</td>
             <td>${esc(c.cert_serial_no || '—')}</td>
             <td>${esc(c.course_duration || '—')}</td>
             <td>${formatDate(c.issue_date)}</td>
-            <td>${expiryBadge(c.expiry_date)}</td>
+            <td>${certExpiryBadge(c)}</td>
+            <td>
+                ${canEdit() ? `<div class="action-btns">
+                    <button class="action-btn action-btn--view" title="Edit" data-edit-cert="${c.id}">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>
+                    </button>
+                </div>` : ''}
+            </td>
         </tr>
     `).join('');
+
+    certTbody.querySelectorAll('[data-edit-cert]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const cert = certs.find(c => c.id === parseInt(btn.dataset.editCert, 10));
+        if (cert) showEditCertModal(cert);
+      });
+    });
+
+    renderRenewalTimeline();
+  }
+
+  /**
+   * Renewal chains on the profile (certifications linked by supersedes_id), oldest first and
+   * ending at the current certificate. Certifications that were never renewed aren't shown.
+   */
+  function renderRenewalTimeline() {
+    const card = document.getElementById('profile-renewals-card');
+    const container = document.getElementById('profile-renewals');
+    if (!card || !container) return;
+
+    const certs = currentWorkerProfile?.certifications || [];
+    const byId = new Map(certs.map(c => [c.id, c]));
+    const chains = certs
+      .filter(c => !c.superseded_by_id && c.supersedes_id)
+      .map(current => {
+        const chain = [current];
+        for (let prev = byId.get(current.supersedes_id); prev && !chain.includes(prev); prev = byId.get(prev.supersedes_id)) {
+          chain.unshift(prev);
+        }
+        return chain;
+      });
+
+    card.hidden = chains.length === 0;
+    container.innerHTML = chains.map(chain => {
+      const current = chain[chain.length - 1];
+      return `
+            <div class="renewal-chain">
+                <div class="renewal-chain-title">${esc(current.course_title)}</div>
+                <ol class="renewal-timeline">
+                    ${chain.map(c => `
+                    <li class="${c === current ? 'current' : ''}">
+                        ${c.course_title !== current.course_title ? `${esc(c.course_title)}<br>` : ''}
+                        ${formatDate(c.issue_date)} – ${formatDate(c.expiry_date)}${c === current ? ' (CURRENT)' : ''}
+                    </li>`).join('')}
+                </ol>
+            </div>`;
+    }).join('');
   }
 
   async function exportWorkerProfile() {
@@ -420,7 +2380,8 @@ const App = (() => {
       wb.created = new Date();
       wb.modified = new Date();
 
-      const w = currentWorkerProfile;
+      // Reloaded for fresh signed scan URLs — the ones on the open profile may have expired
+      const w = await API.getWorker(currentWorkerProfile.id);
 
       // ==========================================
       // Sheet 1: Worker Details
@@ -440,7 +2401,8 @@ const App = (() => {
 
       const detailsRows = [
         ["FIN / NRIC Number", w.fin_number || ''],
-        ["Work Permit No", w.work_permit_no || ''],
+        ["Pass Type", PASS_TYPE_LABELS[w.pass_type] || ''],
+        ["Pass No", w.pass_no || ''],
         ["Worker Name", w.worker_name || ''],
         ["Date of Birth", w.date_of_birth || ''],
         ["Nationality", w.nationality || ''],
@@ -449,7 +2411,9 @@ const App = (() => {
         ["Country/Place of Birth", w.country_of_birth || ''],
         ["Address", w.address || ''],
         ["Employer", w.employer_name || ''],
-        ["WP Expiry Date", w.wp_expiry_date || ''],
+        ["Pass Expiry", w.pass_expiry || ''],
+        ["Passport No", w.passport_no || ''],
+        ["Passport Expiry", w.passport_expiry || ''],
         ["Created", w.created_at ? formatDate(w.created_at) : '']
       ];
 
@@ -525,7 +2489,7 @@ const App = (() => {
       // Pre-download all images into ArrayBuffers
       const downloadedImages = [];
       for (const d of docs) {
-        const docUrl = API.getFileUrl(d.r2_key) || d.url;
+        const docUrl = API.fileUrl(d.file_url) || d.url;
         if (!docUrl) continue;
 
         try {
@@ -688,29 +2652,134 @@ const App = (() => {
                     <tr>
                         <td>${esc(c.worker_name || '—')}</td>
                         <td>${esc(c.fin_number || '—')}</td>
-                        <td>${esc(c.course_title)}</td>
+                        <td>${esc(c.course_title)}<div>${verificationBadge(c)}</div></td>
                         <td>${esc(c.course_provider || '—')}</td>
                         <td>${esc(c.cert_serial_no || '—')}</td>
                         <td>${esc(c.course_duration || '—')}</td>
                         <td>${formatDate(c.issue_date)}</td>
-                        <td>${expiryBadge(c.expiry_date)}</td>
+                        <td>${certExpiryBadge(c)}</td>
                         <td>
                             <div class="action-btns">
-                                <button class="action-btn action-btn--danger" title="Delete" onclick="deleteCertConfirm(${c.id},'${esc(c.course_title)}')">
+                                ${canEdit() ? `<button class="action-btn action-btn--view" title="Edit" data-edit-cert="${c.id}">
+                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>
+                                </button>` : ''}
+                                ${isAdmin() ? `<button class="action-btn action-btn--danger" title="Delete" onclick="deleteCertConfirm(${c.id},'${esc(c.course_title)}')">
                                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>
-                                </button>
+                                </button>` : ''}
                             </div>
                         </td>
                     </tr>
                 `).join('');
       }
 
+      tbody.querySelectorAll('[data-edit-cert]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const cert = certs.find(c => c.id === parseInt(btn.dataset.editCert, 10));
+          if (cert) showEditCertModal(cert);
+        });
+      });
+
       renderPagination('certs-pagination', result.pagination, (p) => { certsPage = p; loadCertifications(); });
     } catch (err) {
       tbody.innerHTML = `<tr><td colspan="9" class="empty-state">Error: ${esc(err.message)}</td></tr>`;
     }
   }
 
+  // ═══════════════════════════════════════════════════════
+  // CERTIFICATION REVIEW
+  // ═══════════════════════════════════════════════════════
+  const VERIFICATION_BADGES = {
+    unverified: '<span class="badge">Unverified</span>',
+    verified: '<span class="badge badge--valid">Verified</span>',
+    rejected: '<span class="badge badge--expired">Rejected</span>',
+    needs_rescan: '<span class="badge badge--expiring">Needs re-scan</span>',
+  };
+
+  function verificationBadge(cert) {
+    return VERIFICATION_BADGES[cert.verification_status] || VERIFICATION_BADGES.unverified;
+  }
+
+  /**
+   * Review queue: each certification next to the scan it was read from, with
+   * Verify / Needs re-scan / Reject buttons.
+   */
+  async function loadReviewQueue() {
+    const list = document.getElementById('review-list');
+    if (!list) return;
+
+    const verification = document.getElementById('review-verification-filter')?.value || 'unverified';
+
+    try {
+      const result = await API.listCertificationReview({ verification, page: reviewPage, limit: 10 });
+      const certs = result.data || [];
+
+      if (certs.length === 0) {
+        list.innerHTML = '<p class="empty-state">Nothing to review</p>';
+      } else {
+        list.innerHTML = certs.map(c => `
+                <div class="review-item">
+                    <div class="review-document">${renderReviewDocument(c.source_document)}</div>
+                    <div class="review-details">
+                        <div class="profile-field"><span class="profile-field-label">Worker</span><span class="profile-field-value"><strong style="color:var(--accent-primary);cursor:pointer" onclick="Router.navigate('worker-profile','${c.worker_id}')">${esc(c.worker_name || '—')}</strong> (${esc(c.fin_number || '—')})</span></div>
+                        <div class="profile-field"><span class="profile-field-label">Course Title</span><span class="profile-field-value">${esc(c.course_title)}</span></div>
+                        <div class="profile-field"><span class="profile-field-label">Course Provider</span><span class="profile-field-value">${esc(c.course_provider || '—')}</span></div>
+                        <div class="profile-field"><span class="profile-field-label">Course S/N</span><span class="profile-field-value">${esc(c.cert_serial_no || '—')}</span></div>
+                        <div class="profile-field"><span class="profile-field-label">Issue Date</span><span class="profile-field-value">${formatDate(c.issue_date)}</span></div>
+                        <div class="profile-field"><span class="profile-field-label">Expiry Date</span><span class="profile-field-value">${formatDate(c.expiry_date)}</span></div>
+                        <div class="profile-field"><span class="profile-field-label">Status</span><span class="profile-field-value">${verificationBadge(c)}${c.verified_by ? `<div class="field-note">By ${esc(c.verified_by)} on ${formatDate(c.verified_at)}</div>` : ''}${c.verification_note ? `<div class="field-note">${escAttr(c.verification_note)}</div>` : ''}</span></div>
+                        ${canEdit() ? `<div class="action-btns review-actions">
+                            ${c.verification_status !== 'verified' ? `<button class="btn btn-sm btn-primary" data-verify-cert="${c.id}" data-status="verified">Verify</button>` : ''}
+                            ${c.verification_status !== 'needs_rescan' ? `<button class="btn btn-sm btn-secondary" data-verify-cert="${c.id}" data-status="needs_rescan">Needs Re-scan</button>` : ''}
+                            ${c.verification_status !== 'rejected' ? `<button class="btn btn-sm btn-danger" data-verify-cert="${c.id}" data-status="rejected">Reject</button>` : ''}
+                            <button class="btn btn-sm btn-secondary" data-edit-cert="${c.id}">Edit</button>
+                        </div>` : ''}
+                    </div>
+                </div>
+            `).join('');
+
+        list.querySelectorAll('[data-verify-cert]').forEach(btn => {
+          btn.addEventListener('click', () => setVerification(btn.dataset.verifyCert, btn.dataset.status));
+        });
+        list.querySelectorAll('[data-edit-cert]').forEach(btn => {
+          btn.addEventListener('click', () => {
+            const cert = certs.find(c => c.id === parseInt(btn.dataset.editCert, 10));
+            if (cert) showEditCertModal(cert);
+          });
+        });
+      }
+
+      renderPagination('review-pagination', result.pagination, (p) => { reviewPage = p; loadReviewQueue(); });
+    } catch (err) {
+      list.innerHTML = `<p class="empty-state">Error: ${esc(err.message)}</p>`;
+    }
+  }
+
+  function renderReviewDocument(doc) {
+    if (!doc) return '<div class="wp-placeholder">No source document</div>';
+    const url = API.fileUrl(doc.file_url);
+    // A PDF can't be shown as an image — link straight to its page instead
+    if (doc.mime_type === 'application/pdf') {
+      return `<a href="${url}${doc.page ? `#page=${doc.page}` : ''}" target="_blank" class="wp-placeholder">View PDF${doc.page ? ` (page ${doc.page})` : ''}</a>`;
+    }
+    return `<a href="${url}" target="_blank" title="View Fullscreen"><img src="${url}" alt="${escAttr(doc.original_name || 'Source document')}" loading="lazy"></a>`;
+  }
+
+  // Rejecting or asking for a re-scan takes a note saying why
+  async function setVerification(id, status) {
+    let note = null;
+    if (status !== 'verified') {
+      note = prompt(status === 'rejected' ? 'Why is this certification rejected?' : 'What needs re-scanning?');
+      if (note === null) return;
+    }
+    try {
+      await API.verifyCertification(id, status, note);
+      showToast('Certification ' + (status === 'verified' ? 'verified' : status === 'rejected' ? 'rejected' : 'marked for re-scan'), 'success');
+      loadReviewQueue();
+    } catch (err) {
+      showToast('Error: ' + err.message, 'error');
+    }
+  }
+
   // ═══════════════════════════════════════════════════════
   // OCR UPLOAD FLOW
   // ═══════════════════════════════════════════════════════
@@ -748,6 +2817,11 @@ const App = (() => {
     });
     saveBtn?.addEventListener('click', saveOCRResult);
 
+    // Re-check existing workers when the fields they are matched on are corrected
+    ['ocr-fin', 'ocr-pass-no', 'ocr-name', 'ocr-dob'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', refreshOCRMatches);
+    });
+
     toggleRaw?.addEventListener('click', () => {
       const el = document.getElementById('ocr-raw-text');
       if (el) {
@@ -857,6 +2931,13 @@ const App = (() => {
     if (progress) progress.hidden = true;
     if (fileInput) fileInput.value = '';
     if (grid) grid.innerHTML = '';
+    renderFinNote(null);
+    renderFieldEvidence({});
+    renderOCRPages([]);
+    renderPassportNote([]);
+    ocrMatches = [];
+    ocrMatchAction = null;
+    renderOCRMatches();
   }
 
   async function runOCR() {
@@ -872,8 +2953,14 @@ const App = (() => {
 
     try {
       const docType = document.getElementById('ocr-doc-type')?.value || 'auto';
+      const force = document.getElementById('ocr-force')?.checked || false;
       const totalFiles = ocrFiles.length;
       const merged = {};
+      const evidence = {};
+      const runs = [];
+      const pages = [];
+      const truncated = [];
+      const byKind = {};
       let allRawText = '';
 
       // Process each image
@@ -882,43 +2969,51 @@ const App = (() => {
         if (progressFill) progressFill.style.width = `${pct}%`;
         if (progressText) progressText.textContent = `Processing image ${i + 1} of ${totalFiles}...`;
 
-        const result = await API.processOCR(ocrFiles[i], docType);
+        const result = await API.processOCR(ocrFiles[i], docType, force);
         const ext = result.extracted || {};
 
-        // Accumulate raw text
-        allRawText += `── Image ${i + 1} ──\n${result.raw_text || '(no text)'}\n\n`;
+        // Accumulate raw text — a multi-page PDF per page, each with its own run
+        const cached = result.cached ? `, cached ${formatDate(result.cached_at)}` : '';
+        for (const part of result.pages || [result]) {
+          const confidence = part.confidence != null ? `, ${Math.round(part.confidence * 100)}% confidence` : '';
+          const template = part.template ? `, ${part.template.label}` : '';
+          const label = part.page ? `Image ${i + 1} page ${part.page}` : `Image ${i + 1}`;
+          allRawText += `── ${label} (${result.provider || 'ocr'}${confidence}${template}${cached}) ──\n${part.raw_text || '(no text)'}\n\n`;
+          runs.push({ id: part.ocr_run_id || null, file: i, page: part.page || null });
+          const kind = part.template?.kind;
+          if (kind && !byKind[kind]) byKind[kind] = part.extracted || ext;
+          if (part.page) pages.push({ file: i, page: part.page, template: part.template, role: pageRole(part.template) });
+        }
+        if (result.truncated) truncated.push({ file: i, read: result.page_count, total: result.total_pages });
+        if (result.fallback_from?.length) {
+          showToast(`Image ${i + 1}: ${result.fallback_from.map(f => f.provider).join(', ')} failed — used ${result.provider} instead`, 'warning');
+        }
 
         // Merge: later values fill in blanks (don't overwrite existing values)
         for (const [key, value] of Object.entries(ext)) {
           if (value && !merged[key]) {
             merged[key] = value;
+            if (result.field_evidence?.[key]) evidence[key] = { ...result.field_evidence[key], image: i + 1 };
           }
         }
       }
 
-      ocrResult = { extracted: merged, raw_text: allRawText };
+      ocrResult = { extracted: merged, raw_text: allRawText, runs, pages };
 
       if (progressFill) progressFill.style.width = '100%';
       if (progressText) progressText.textContent = `Done! Processed ${totalFiles} image${totalFiles > 1 ? 's' : ''}.`;
 
       // Populate OCR fields with merged data
-      setInputValue('ocr-fin', merged.fin_number || '');
-      setInputValue('ocr-wp-no', merged.work_permit_no || '');
-      setInputValue('ocr-wp-expiry', merged.wp_expiry_date || '');
-      setInputValue('ocr-name', merged.worker_name || '');
-      setInputValue('ocr-dob', merged.date_of_birth || '');
-      setInputValue('ocr-nationality', merged.nationality || '');
-      setInputValue('ocr-sex', merged.sex || '');
-      setInputValue('ocr-race', merged.race || '');
-      setInputValue('ocr-country-birth', merged.country_of_birth || '');
-      setInputValue('ocr-address', merged.address || '');
-      setInputValue('ocr-employer', merged.employer_name || '');
-      setInputValue('ocr-course', merged.course_title || '');
-      setInputValue('ocr-provider', merged.course_provider || '');
-      setInputValue('ocr-cert-sn', merged.cert_serial_no || '');
-      setInputValue('ocr-duration', merged.course_duration || '');
-      setInputValue('ocr-issue-date', merged.issue_date || '');
-      setInputValue('ocr-expiry-date', merged.expiry_date || '');
+      for (const [field, inputId] of Object.entries(OCR_FIELD_INPUTS)) {
+        setInputValue(inputId, merged[field] || '');
+      }
+
+      renderFinNote(merged.fin_validation);
+      renderFieldEvidence(evidence);
+      renderOCRPages(pages, truncated);
+      renderPassportNote(passportMismatches(byKind.passport, byKind.pass));
+      ocrMatchAction = null;
+      await refreshOCRMatches();
 
       // Show raw text
       const rawTextEl = document.getElementById('ocr-raw-text');
@@ -938,6 +3033,262 @@ const App = (() => {
     }
   }
 
+  // Review form input for each extracted field
+  const OCR_FIELD_INPUTS = {
+    fin_number: 'ocr-fin',
+    pass_type: 'ocr-pass-type',
+    pass_no: 'ocr-pass-no',
+    pass_expiry: 'ocr-pass-expiry',
+    passport_no: 'ocr-passport-no',
+    passport_expiry: 'ocr-passport-expiry',
+    worker_name: 'ocr-name',
+    date_of_birth: 'ocr-dob',
+    nationality: 'ocr-nationality',
+    sex: 'ocr-sex',
+    race: 'ocr-race',
+    country_of_birth: 'ocr-country-birth',
+    address: 'ocr-address',
+    employer_name: 'ocr-employer',
+    course_title: 'ocr-course',
+    course_provider: 'ocr-provider',
+    cert_serial_no: 'ocr-cert-sn',
+    course_duration: 'ocr-duration',
+    issue_date: 'ocr-issue-date',
+    expiry_date: 'ocr-expiry-date',
+  };
+
+  const EVIDENCE_RULE_LABELS = {
+    mrz: 'read from the passport MRZ',
+    labelled: 'read next to its label',
+    next_line: 'read from the line beside its label',
+    model: 'extracted by the OCR model',
+    template: 'implied by the document template',
+    heuristic: 'guessed (no label found)',
+  };
+
+  /**
+   * Flag low-confidence inputs on the review form; hovering any OCR-filled input shows
+   * how the value was found and the line it came from.
+   */
+  function renderFieldEvidence(evidence) {
+    for (const [field, inputId] of Object.entries(OCR_FIELD_INPUTS)) {
+      const input = document.getElementById(inputId);
+      if (!input) continue;
+      const e = evidence[field];
+      input.classList.toggle('form-control--low-confidence', !!e?.low_confidence);
+      if (!e) {
+        input.removeAttribute('title');
+        continue;
+      }
+      const where = [`image ${e.image}`, e.page ? `page ${e.page}` : null, e.line_number ? `line ${e.line_number}` : null].filter(Boolean).join(', ');
+      input.title = `${Math.round(e.confidence * 100)}% confidence — ${EVIDENCE_RULE_LABELS[e.rule] || e.rule}`
+        + (e.source_line ? `\nSource (${where}): "${e.source_line}"` : '');
+    }
+  }
+
+  // What a page of a multi-page PDF can be filed as (documents.document_type)
+  const PAGE_ROLE_LABELS = {
+    work_permit_front: 'WP Front',
+    work_permit_back: 'WP Back',
+    certification: 'Certificate',
+    other: 'Other',
+  };
+
+  function pageRole(template) {
+    if (template?.id === 'wp_front') return 'work_permit_front';
+    if (template?.id === 'wp_back') return 'work_permit_back';
+    return template?.kind === 'certification' ? 'certification' : 'other';
+  }
+
+  /**
+   * List the pages of any multi-page PDF with a role picker, defaulted from the template
+   * that read the page, and warn about PDFs longer than OCR reads.
+   */
+  function renderOCRPages(pages, truncated = []) {
+    const section = document.getElementById('ocr-pages');
+    const tbody = document.getElementById('ocr-pages-tbody');
+    if (!section || !tbody) return;
+
+    section.hidden = pages.length === 0;
+    const note = document.getElementById('ocr-pages-truncated');
+    if (note) {
+      note.hidden = truncated.length === 0;
+      note.textContent = truncated
+        .map(t => `${ocrFiles[t.file]?.name || `Image ${t.file + 1}`}: only the first ${t.read} of ${t.total} pages were read — upload the rest separately`)
+        .join('. ');
+    }
+    tbody.innerHTML = pages.map((p, idx) => `
+      <tr>
+        <td>${esc(ocrFiles[p.file]?.name || `Image ${p.file + 1}`)}</td>
+        <td>${p.page}</td>
+        <td>${p.template ? esc(p.template.label) : '—'}</td>
+        <td>
+          <select class="form-control form-control--inline" data-page-idx="${idx}">
+            ${Object.entries(PAGE_ROLE_LABELS).map(([role, label]) =>
+              `<option value="${role}"${role === p.role ? ' selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </td>
+      </tr>
+    `).join('');
+
+    tbody.querySelectorAll('select[data-page-idx]').forEach(select => {
+      select.addEventListener('change', () => {
+        pages[parseInt(select.dataset.pageIdx, 10)].role = select.value;
+      });
+    });
+  }
+
+  const MATCH_REASON_LABELS = {
+    fin: 'Same FIN',
+    pass_no: 'Same Pass No',
+    name_dob: 'Similar name, same DOB',
+  };
+
+  /**
+   * Look up existing workers for the values now on the review form. A failed lookup leaves
+   * the list empty — saving then works as before, by FIN.
+   */
+  async function refreshOCRMatches() {
+    try {
+      ocrMatches = (await API.matchOCRWorkers(reviewFormValues())).data || [];
+    } catch (err) {
+      console.warn('Could not match existing workers:', err.message);
+      ocrMatches = [];
+    }
+    renderOCRMatches();
+  }
+
+  /**
+   * List candidate workers with what the scan would change on each, and the save choice:
+   * update one, only attach the certificate/documents to one, or create a new worker.
+   * A worker with the same FIN is preselected for update.
+   */
+  function renderOCRMatches() {
+    const section = document.getElementById('ocr-matches');
+    const tbody = document.getElementById('ocr-matches-tbody');
+    if (!section || !tbody) return;
+
+    const choices = ['new', ...ocrMatches.flatMap(m => [`update:${m.worker.id}`, `attach:${m.worker.id}`])];
+    if (!choices.includes(ocrMatchAction)) {
+      const sameFin = ocrMatches.find(m => m.reasons.includes('fin'));
+      ocrMatchAction = sameFin ? `update:${sameFin.worker.id}` : null;
+    }
+
+    const fieldLabel = (field) => PROFILE_FIELDS.find(f => f.key === field)?.label || field;
+    const shown = (field, value) => (field === 'pass_type' ? passTypeLabel(value) : value);
+    const diffNotes = (diff) => {
+      const changes = diff.filter(d => d.status !== 'same');
+      if (changes.length === 0) return '<span class="field-note">No differences</span>';
+      return changes.map(d => d.status === 'new'
+        ? `<span class="field-note">${fieldLabel(d.field)}: adds ${esc(shown(d.field, d.extracted))}</span>`
+        : `<span class="field-note field-note--danger">${fieldLabel(d.field)}: ${esc(shown(d.field, d.stored))} → ${esc(shown(d.field, d.extracted))}</span>`).join('');
+    };
+    const radio = (value, label) => `<label><input type="radio" name="ocr-match-action" value="${value}"${ocrMatchAction === value ? ' checked' : ''}> ${label}</label>`;
+
+    section.hidden = ocrMatches.length === 0;
+    tbody.innerHTML = ocrMatches.map(m => `
+      <tr>
+        <td>
+          <strong style="color:var(--accent-primary);cursor:pointer" onclick="Router.navigate('worker-profile','${m.worker.id}')">${esc(m.worker.fin_number)}</strong> · ${esc(m.worker.worker_name)}
+          <div class="field-note">${esc(passTypeLabel(m.worker.pass_type))} ${esc(m.worker.pass_no || '')} · DOB ${esc(m.worker.date_of_birth || '—')}</div>
+        </td>
+        <td>${m.reasons.map(r => MATCH_REASON_LABELS[r] || r).join(', ')}${m.name_similarity != null ? ` <span class="field-note">name ${Math.round(m.name_similarity * 100)}% alike</span>` : ''}</td>
+        <td>${diffNotes(m.diff)}</td>
+        <td>${radio(`update:${m.worker.id}`, 'Update this worker')}<br>${radio(`attach:${m.worker.id}`, 'Attach cert / documents only')}</td>
+      </tr>
+    `).join('') + `
+      <tr>
+        <td colspan="3" class="field-note">None of these — the scan is someone else</td>
+        <td>${radio('new', 'Create new worker')}</td>
+      </tr>`;
+
+    tbody.querySelectorAll('input[name="ocr-match-action"]').forEach(input => {
+      input.addEventListener('change', () => { ocrMatchAction = input.value; });
+    });
+  }
+
+  /**
+   * Where a passport and a work permit scanned together disagree on date of birth or
+   * nationality. Nationalities match loosely ("INDIA" / "INDIAN"); saving re-checks against
+   * the stored record and warns again.
+   */
+  function passportMismatches(passport, permit) {
+    if (!passport || !permit) return [];
+    const mismatches = [];
+    if (passport.date_of_birth && permit.date_of_birth && passport.date_of_birth !== permit.date_of_birth) {
+      mismatches.push({ field: 'date of birth', passport: passport.date_of_birth, permit: permit.date_of_birth });
+    }
+    const a = (passport.nationality || '').toUpperCase().trim();
+    const b = (permit.nationality || '').toUpperCase().trim();
+    if (a && b && !a.startsWith(b) && !b.startsWith(a)) {
+      mismatches.push({ field: 'nationality', passport: passport.nationality, permit: permit.nationality });
+    }
+    return mismatches;
+  }
+
+  function passportMismatchNote(mismatches) {
+    if (!mismatches?.length) return '';
+    return `<p class="field-note field-note--danger">Passport and work permit disagree: ${mismatches
+      .map(m => `${escAttr(m.field.replace(/_/g, ' '))} ${escAttr(m.passport)} vs ${escAttr(m.permit)}`).join('; ')}</p>`;
+  }
+
+  function renderPassportNote(mismatches) {
+    const note = document.getElementById('ocr-passport-note');
+    if (!note) return;
+    note.className = 'field-note field-note--danger';
+    note.hidden = mismatches.length === 0;
+    note.textContent = mismatches
+      .map(m => `Passport ${m.field} ${m.passport} differs from the work permit's ${m.permit}`).join('. ');
+  }
+
+  /**
+   * Explain the FIN check-digit result under the FIN input on the review form.
+   */
+  function renderFinNote(check) {
+    const note = document.getElementById('ocr-fin-note');
+    if (!note) return;
+
+    note.hidden = true;
+    note.className = 'field-note';
+    if (!check) return;
+
+    if (check.was_corrected) {
+      note.textContent = `Auto-corrected from "${check.raw}" (OCR misread) — please verify against the card.`;
+      note.classList.add('field-note--warning');
+    } else if (check.ambiguous) {
+      note.textContent = `Check digit invalid. Possible readings: ${check.candidates.join(', ')}`;
+      note.classList.add('field-note--danger');
+    } else if (!check.valid) {
+      note.textContent = check.expected_check_letter
+        ? `Check digit invalid — digits imply check letter "${check.expected_check_letter}".`
+        : 'Not a valid FIN/NRIC format.';
+      note.classList.add('field-note--danger');
+    } else {
+      return;
+    }
+    note.hidden = false;
+  }
+
+  /**
+   * Create/update a worker; if the server rejects the FIN check digit,
+   * ask the user whether to save anyway.
+   */
+  async function saveWorkerWithFinCheck(data) {
+    try {
+      return await API.createWorker(data);
+    } catch (err) {
+      if (err.data?.code !== 'INVALID_FIN_CHECKSUM') throw err;
+
+      const hint = err.data.suggestion
+        ? `Did you mean ${err.data.suggestion}?`
+        : err.data.expected_check_letter ? `The digits imply check letter "${err.data.expected_check_letter}".` : '';
+      if (!confirm(`${err.message}. ${hint}\n\nSave with this FIN anyway?`)) {
+        throw new Error('Save cancelled — please correct the FIN');
+      }
+      return API.createWorker({ ...data, allow_invalid_fin: true });
+    }
+  }
+
   async function saveOCRResult() {
     const fin = document.getElementById('ocr-fin')?.value?.trim();
     const name = document.getElementById('ocr-name')?.value?.trim();
@@ -947,6 +3298,19 @@ const App = (() => {
       return;
     }
 
+    // With existing workers matched, the reviewer decides what the save does
+    const [action, matchId] = (ocrMatchAction || (ocrMatches.length === 0 ? 'new' : '')).split(':');
+    const match = ocrMatches.find(m => String(m.worker.id) === matchId);
+    if (!action) {
+      showToast('Choose whether to update an existing worker, attach to one, or create a new worker', 'error');
+      return;
+    }
+    const sameFin = ocrMatches.find(m => m.reasons.includes('fin'));
+    if (action === 'new' && sameFin) {
+      showToast(`FIN ${fin.toUpperCase()} already belongs to ${sameFin.worker.worker_name} — update or attach to that worker instead`, 'error');
+      return;
+    }
+
     const saveBtn = document.getElementById('btn-ocr-save');
     if (saveBtn) saveBtn.disabled = true;
 
@@ -954,7 +3318,8 @@ const App = (() => {
       // Step 1: Create/update worker
       const workerData = {
         fin_number: fin,
-        work_permit_no: document.getElementById('ocr-wp-no')?.value?.trim() || null,
+        pass_type: document.getElementById('ocr-pass-type')?.value || null,
+        pass_no: document.getElementById('ocr-pass-no')?.value?.trim() || null,
         worker_name: name,
         date_of_birth: document.getElementById('ocr-dob')?.value || null,
         nationality: document.getElementById('ocr-nationality')?.value || null,
@@ -963,18 +3328,40 @@ const App = (() => {
         country_of_birth: document.getElementById('ocr-country-birth')?.value?.trim() || null,
         address: document.getElementById('ocr-address')?.value?.trim() || null,
         employer_name: document.getElementById('ocr-employer')?.value || null,
-        wp_expiry_date: document.getElementById('ocr-wp-expiry')?.value || null,
+        pass_expiry: document.getElementById('ocr-pass-expiry')?.value || null,
+        passport_no: document.getElementById('ocr-passport-no')?.value?.trim() || null,
+        passport_expiry: document.getElementById('ocr-passport-expiry')?.value || null,
+        source: 'ocr',
       };
 
-      const worker = await API.createWorker(workerData);
-      showToast(`Worker ${worker.worker_name} saved!`, 'success');
+      let worker;
+      if (action === 'attach') {
+        worker = match.worker;
+      } else if (action === 'update' && match.worker.fin_number !== fin.toUpperCase()) {
+        // Matched on pass number or name + DOB: update that record by id, FIN included
+        const changes = Object.fromEntries(Object.entries(workerData)
+          .filter(([key, value]) => key !== 'source' && value && value !== match.worker[key]));
+        worker = await API.updateWorker(match.worker.id, { ...changes, source: 'ocr' });
+      } else {
+        worker = await saveWorkerWithFinCheck(workerData);
+      }
+      if (action !== 'attach') {
+        showToast(`Worker ${worker.worker_name} saved!`, 'success');
+        (worker.warnings || []).forEach(w => showToast(w, 'warning'));
+      }
 
-      // Step 2: Upload all documents to R2 linked to this worker
+      // Step 2: Upload all documents to R2 linked to this worker — a multi-page PDF as one
+      // document per page, filed under the role chosen for it
+      const documentIds = {};
       if (ocrFiles.length > 0) {
         const docType = document.getElementById('ocr-doc-type')?.value || 'other';
         for (let i = 0; i < ocrFiles.length; i++) {
+          const pages = (ocrResult?.pages || [])
+            .filter(p => p.file === i)
+            .map(p => ({ page: p.page, document_type: p.role }));
           try {
-            await API.uploadWorkerDocument(ocrFiles[i], fin, docType);
+            const doc = await API.uploadWorkerDocument(ocrFiles[i], worker.fin_number, docType, pages.length ? pages : null);
+            for (const d of doc.documents || [doc]) documentIds[`${i}:${d.page || ''}`] = d.id;
           } catch (err) {
             showToast(`Upload failed for image ${i + 1}: ${err.message}`, 'error');
           }
@@ -984,10 +3371,11 @@ const App = (() => {
 
       // Step 3: Create certification if course info provided
       const courseTitle = document.getElementById('ocr-course')?.value?.trim();
+      let certification = null;
       if (courseTitle) {
         try {
-          await API.createCertification({
-            fin_number: fin,
+          certification = await API.createCertification({
+            worker_id: worker.id,
             course_title: courseTitle,
             course_provider: document.getElementById('ocr-provider')?.value?.trim() || null,
             cert_serial_no: document.getElementById('ocr-cert-sn')?.value?.trim() || null,
@@ -1001,6 +3389,8 @@ const App = (() => {
         }
       }
 
+      await recordOCROutcome(worker, certification, documentIds);
+
       // Reset and go to worker profile
       resetOCR();
       Router.navigate('worker-profile', worker.id);
@@ -1012,6 +3402,35 @@ const App = (() => {
     }
   }
 
+  // Every review form field as it stands, '' as null
+  function reviewFormValues() {
+    const values = {};
+    for (const [field, inputId] of Object.entries(OCR_FIELD_INPUTS)) {
+      values[field] = document.getElementById(inputId)?.value?.trim() || null;
+    }
+    return values;
+  }
+
+  // What the reviewer saved, against each image's (or page's) OCR run — feeds the corrections
+  // report. A failure here must not fail the save.
+  async function recordOCROutcome(worker, certification, documentIds) {
+    const runs = (ocrResult?.runs || [])
+      .filter(r => r.id)
+      .map(r => ({ id: r.id, document_id: documentIds[`${r.file}:${r.page || ''}`] || null }));
+    if (runs.length === 0) return;
+
+    try {
+      await API.recordOCROutcome({
+        runs,
+        worker_id: worker.id,
+        certification_id: certification?.id || null,
+        final_values: reviewFormValues(),
+      });
+    } catch (err) {
+      console.warn('Could not record OCR outcome:', err.message);
+    }
+  }
+
   // ═══════════════════════════════════════════════════════
   // MODALS
   // ═══════════════════════════════════════════════════════
@@ -1019,7 +3438,11 @@ const App = (() => {
     openModal('Add Worker', `
             <div class="form-row">
                 <div class="form-group"><label for="modal-fin">FIN Number *</label><input type="text" id="modal-fin" class="form-control" placeholder="e.g. G1234567A"></div>
-                <div class="form-group"><label for="modal-wp-no">Work Permit No</label><input type="text" id="modal-wp-no" class="form-control" placeholder="e.g. 034773262"></div>
+                <div class="form-group"><label for="modal-pass-type">Pass Type</label><select id="modal-pass-type" class="form-control">${passTypeOptions('')}</select></div>
+            </div>
+            <div class="form-row">
+                <div class="form-group"><label for="modal-pass-no">Pass No</label><input type="text" id="modal-pass-no" class="form-control" placeholder="e.g. 034773262"></div>
+                <div class="form-group"><label for="modal-pass-expiry">Pass Expiry</label><input type="date" id="modal-pass-expiry" class="form-control"></div>
             </div>
             <div class="form-row">
                 <div class="form-group"><label for="modal-name">Worker Name *</label><input type="text" id="modal-name" class="form-control" placeholder="Full name"></div>
@@ -1043,9 +3466,11 @@ const App = (() => {
       if (!fin || !name) { showToast('FIN and Name are required', 'error'); return; }
 
       try {
-        await API.createWorker({
+        await saveWorkerWithFinCheck({
           fin_number: fin,
-          work_permit_no: document.getElementById('modal-wp-no')?.value?.trim() || null,
+          pass_type: document.getElementById('modal-pass-type')?.value || null,
+          pass_no: document.getElementById('modal-pass-no')?.value?.trim() || null,
+          pass_expiry: document.getElementById('modal-pass-expiry')?.value || null,
           worker_name: name,
           date_of_birth: document.getElementById('modal-dob')?.value || null,
           nationality: document.getElementById('modal-nat')?.value || null,
@@ -1062,57 +3487,123 @@ const App = (() => {
   }
 
   function showAddCertModal(workerId = null, finNumber = null) {
-    openModal('Add Certification', `
+    showCertModal(null, workerId, finNumber);
+  }
+
+  function showEditCertModal(cert) {
+    showCertModal(cert, cert.worker_id, cert.fin_number || currentWorkerProfile?.fin_number);
+  }
+
+  /**
+   * Add / edit certification modal. With a cert, saves via PATCH and
+   * a changed FIN reassigns the cert to that worker.
+   */
+  function showCertModal(cert = null, workerId = null, finNumber = null) {
+    const isEdit = !!cert;
+    // Editing from the worker's profile: the cert can be marked as the renewal of another of theirs
+    const renewalCandidates = isEdit && currentWorkerProfile?.id === cert.worker_id
+      ? (currentWorkerProfile.certifications || []).filter(c => c.id !== cert.id && (!c.superseded_by_id || c.superseded_by_id === cert.id))
+      : [];
+    openModal(isEdit ? 'Edit Certification' : 'Add Certification', `
             <div class="form-group">
                 <label for="modal-cert-fin">FIN Number *</label>
                 <input type="text" id="modal-cert-fin" class="form-control" placeholder="G1234567A" value="${esc(finNumber || '')}">
             </div>
             <div class="form-group">
                 <label for="modal-cert-title">Course Title *</label>
-                <input type="text" id="modal-cert-title" class="form-control" placeholder="e.g. Work-At-Height Rescue Course (WAHRC)">
+                <input type="text" id="modal-cert-title" class="form-control" list="modal-cert-courses" placeholder="e.g. Work-At-Height Rescue Course (WAHRC)" value="${escAttr(cert?.course_title)}">
+                <datalist id="modal-cert-courses"></datalist>
+                <span class="field-note" id="modal-cert-course-note"></span>
             </div>
             <div class="form-row">
-                <div class="form-group"><label for="modal-cert-provider">Course Provider</label><input type="text" id="modal-cert-provider" class="form-control" placeholder="e.g. Avanta Global"></div>
-                <div class="form-group"><label for="modal-cert-sn">Course S/N</label><input type="text" id="modal-cert-sn" class="form-control" placeholder="e.g. WAHRC-2025-B134P-659"></div>
+                <div class="form-group"><label for="modal-cert-provider">Course Provider</label><input type="text" id="modal-cert-provider" class="form-control" placeholder="e.g. Avanta Global" value="${escAttr(cert?.course_provider)}"></div>
+                <div class="form-group"><label for="modal-cert-sn">Course S/N</label><input type="text" id="modal-cert-sn" class="form-control" placeholder="e.g. WAHRC-2025-B134P-659" value="${escAttr(cert?.cert_serial_no)}"></div>
             </div>
             <div class="form-group">
-                <label for="modal-cert-duration">Duration</label><input type="text" id="modal-cert-duration" class="form-control" placeholder="e.g. 18 Hours">
+                <label for="modal-cert-duration">Duration</label><input type="text" id="modal-cert-duration" class="form-control" placeholder="e.g. 18 Hours" value="${escAttr(cert?.course_duration)}">
             </div>
             <div class="form-row">
-                <div class="form-group"><label for="modal-cert-issue">Issue Date</label><input type="date" id="modal-cert-issue" class="form-control"></div>
-                <div class="form-group"><label for="modal-cert-expiry">Expiry Date</label><input type="date" id="modal-cert-expiry" class="form-control"></div>
+                <div class="form-group"><label for="modal-cert-issue">Issue Date</label><input type="date" id="modal-cert-issue" class="form-control" value="${escAttr(cert?.issue_date)}"></div>
+                <div class="form-group"><label for="modal-cert-expiry">Expiry Date</label><input type="date" id="modal-cert-expiry" class="form-control" value="${escAttr(cert?.expiry_date)}"></div>
             </div>
+            ${renewalCandidates.length ? `
+            <div class="form-group">
+                <label for="modal-cert-supersedes">Renews</label>
+                <select id="modal-cert-supersedes" class="form-control">
+                    <option value="">— Not a renewal —</option>
+                    ${renewalCandidates.map(c => `<option value="${c.id}" ${cert.supersedes_id === c.id ? 'selected' : ''}>${esc(c.course_title)} (${formatDate(c.issue_date)} – ${formatDate(c.expiry_date)})</option>`).join('')}
+                </select>
+            </div>` : ''}
         `, `
             <button class="btn btn-secondary" onclick="App.closeModal()">Cancel</button>
             <button class="btn btn-primary" id="modal-save-cert">Save Certification</button>
         `);
 
+    ensureCourses().then(list => {
+      const datalist = document.getElementById('modal-cert-courses');
+      if (datalist) datalist.innerHTML = list.map(c => `<option value="${escAttr(c.title)}">`).join('');
+      updateCertCourseNote();
+    });
+    ['modal-cert-title', 'modal-cert-issue', 'modal-cert-expiry'].forEach(id => {
+      document.getElementById(id)?.addEventListener('input', updateCertCourseNote);
+    });
+
     document.getElementById('modal-save-cert')?.addEventListener('click', async () => {
       const fin = document.getElementById('modal-cert-fin')?.value?.trim();
       const title = document.getElementById('modal-cert-title')?.value?.trim();
       if (!fin || !title) { showToast('FIN and Course Title required', 'error'); return; }
 
+      const data = {
+        course_title: title,
+        course_provider: document.getElementById('modal-cert-provider')?.value?.trim() || null,
+        cert_serial_no: document.getElementById('modal-cert-sn')?.value?.trim() || null,
+        course_duration: document.getElementById('modal-cert-duration')?.value?.trim() || null,
+        issue_date: document.getElementById('modal-cert-issue')?.value || null,
+        expiry_date: document.getElementById('modal-cert-expiry')?.value || null,
+      };
+
       try {
-        await API.createCertification({
-          worker_id: workerId,
-          fin_number: fin,
-          course_title: title,
-          course_provider: document.getElementById('modal-cert-provider')?.value?.trim() || null,
-          cert_serial_no: document.getElementById('modal-cert-sn')?.value?.trim() || null,
-          course_duration: document.getElementById('modal-cert-duration')?.value?.trim() || null,
-          issue_date: document.getElementById('modal-cert-issue')?.value || null,
-          expiry_date: document.getElementById('modal-cert-expiry')?.value || null,
-        });
-        showToast('Certification saved!', 'success');
+        if (isEdit) {
+          // Only send the FIN when it changed, so an unchanged cert isn't "reassigned"
+          if (fin.toUpperCase() !== (finNumber || '').toUpperCase()) {
+            data.fin_number = fin;
+          } else if (renewalCandidates.length) {
+            const supersedes = document.getElementById('modal-cert-supersedes')?.value;
+            data.supersedes_id = supersedes ? parseInt(supersedes, 10) : null;
+          }
+          await API.updateCertification(cert.id, data);
+          showToast('Certification updated!', 'success');
+        } else {
+          await API.createCertification({ worker_id: workerId, fin_number: fin, ...data });
+          showToast('Certification saved!', 'success');
+        }
         closeModal();
         loadCertifications();
         if (currentWorkerProfile && currentWorkerProfile.id) loadWorkerProfile(currentWorkerProfile.id);
+        if (document.getElementById('page-review')?.classList.contains('active')) loadReviewQueue();
       } catch (err) {
         showToast('Error: ' + err.message, 'error');
       }
     });
   }
 
+  /**
+   * Under the course title in the certification modal: which catalogue course it resolves to,
+   * and the expiry the server will fill in when none is entered.
+   */
+  function updateCertCourseNote() {
+    const note = document.getElementById('modal-cert-course-note');
+    if (!note) return;
+    const course = findCourse(document.getElementById('modal-cert-title')?.value);
+    if (!course) { note.textContent = ''; return; }
+
+    const issue = document.getElementById('modal-cert-issue')?.value;
+    const expiry = document.getElementById('modal-cert-expiry')?.value;
+    let text = `Catalogue: ${course.title} (${validityLabel(course.validity_months)})`;
+    if (course.validity_months && issue && !expiry) text += ' — expiry will be set from the issue date';
+    note.textContent = text;
+  }
+
   function openModal(title, bodyHTML, footerHTML) {
     document.getElementById('modal-title').textContent = title;
     document.getElementById('modal-body').innerHTML = bodyHTML;
@@ -1127,13 +3618,27 @@ const App = (() => {
   // ═══════════════════════════════════════════════════════
   // DELETE CONFIRMATIONS (global)
   // ═══════════════════════════════════════════════════════
-  window.deleteWorkerConfirm = (id, name) => {
-    if (confirm(`Delete worker "${name}"? This will remove all associated certifications and documents.`)) {
-      API.deleteWorker(id).then(() => {
-        showToast('Worker deleted', 'success');
-        loadWorkers();
-      }).catch(err => showToast('Error: ' + err.message, 'error'));
-    }
+  // Purge is the admin-only hard delete; workers who leave should get a status change instead
+  window.purgeWorkerConfirm = (id, name) => {
+    const typed = prompt(`Permanently purge worker "${name}"?\n\nThis deletes the worker, all certifications and all uploaded files. ` +
+      'A JSON export is saved first and downloaded to this computer.\n\nTo record that a worker has left, use Change Status instead.\n\nType PURGE to confirm.');
+    if (typed !== 'PURGE') return;
+
+    API.purgeWorker(id).then((result) => {
+      // Hand the admin a copy of the export as well
+      const blob = new Blob([JSON.stringify(result.export, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', result.export_key.split('/').pop());
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      showToast('Worker purged; export downloaded', 'success');
+      loadWorkers();
+    }).catch(err => showToast('Error: ' + err.message, 'error'));
   };
 
   window.deleteCertConfirm = (id, title) => {
@@ -1155,6 +3660,12 @@ const App = (() => {
     return div.innerHTML;
   }
 
+  // Escape for HTML attributes/text without the case-folding esc() applies
+  function escAttr(str) {
+    if (str == null) return '';
+    return String(str).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
   function setText(id, value) {
     const el = document.getElementById(id);
     if (el) el.textContent = value;
@@ -1177,6 +3688,11 @@ const App = (() => {
     } catch { return dateStr; }
   }
 
+  function statusBadge(status) {
+    const cls = status === 'active' ? 'badge--active' : status === 'on_leave' ? 'badge--expiring' : 'badge--expired';
+    return `<span class="badge ${cls}">${escAttr(WORKER_STATUS_LABELS[status] || status || '—')}</span>`;
+  }
+
   function expiryBadge(dateStr) {
     if (!dateStr) return '<span class="badge">—</span>';
     const now = new Date();
@@ -1188,6 +3704,12 @@ const App = (() => {
     return `<span class="badge badge--valid">${esc(dateStr)}</span>`;
   }
 
+  // A renewed certificate's expiry no longer matters, so it isn't flagged as expiring or expired
+  function certExpiryBadge(cert) {
+    if (cert.superseded_by_id) return `<span class="badge">${esc(cert.expiry_date || '—')} (RENEWED)</span>`;
+    return expiryBadge(cert.expiry_date);
+  }
+
   function renderPagination(containerId, pagination, onPageClick) {
     const container = document.getElementById(containerId);
     if (!container || !pagination) return;
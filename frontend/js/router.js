@@ -4,7 +4,7 @@
  */
 
 const Router = (() => {
-    const pages = ['dashboard', 'workers', 'worker-profile', 'upload', 'certifications'];
+    const pages = ['login', 'dashboard', 'workers', 'worker-profile', 'upload', 'certifications', 'review', 'users', 'duplicates', 'merge', 'alerts', 'compliance', 'courses', 'webhooks', 'ocr-quality', 'ocr-jobs', 'ocr-job'];
 
     function init() {
         window.addEventListener('hashchange', onRouteChange);
@@ -15,6 +15,13 @@ const Router = (() => {
     function onRouteChange() {
         const hash = window.location.hash.replace('#', '') || 'dashboard';
         const [page, ...params] = hash.split('/');
+
+        // Every page except login needs a session
+        if (page !== 'login' && !API.isAuthenticated()) {
+            navigate('login');
+            return;
+        }
+
         activatePage(page, params);
     }
 
@@ -37,6 +44,9 @@ const Router = (() => {
         // Close mobile sidebar
         document.getElementById('sidebar')?.classList.remove('open');
 
+        // Login page is shown full-screen without the app chrome
+        document.body.classList.toggle('login-active', targetPage === 'login');
+
         // Trigger page-specific load
         if (typeof App !== 'undefined' && App.onPageChange) {
             App.onPageChange(targetPage, params);
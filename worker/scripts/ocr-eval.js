@@ -0,0 +1,32 @@
+/**
+ * OCR regression report — runs the fixture corpus through the current parser.
+ *
+ *   npm run ocr:eval            table of per-field precision / recall plus every mismatch
+ *   npm run ocr:eval -- --json  the raw report
+ */
+
+import { evaluateCorpus } from '../src/ocr/evaluate.js';
+
+const report = evaluateCorpus();
+
+if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(0);
+}
+
+const pct = value => (value === null ? '   —' : `${Math.round(value * 100)}%`.padStart(4));
+
+console.log(`${report.fixtures} fixtures, template detection ${pct(report.template_accuracy)}\n`);
+console.log(`${'field'.padEnd(18)} ${'prec'.padStart(4)} ${'rec'.padStart(4)}   tp  fp  fn`);
+for (const [field, s] of Object.entries(report.fields)) {
+    if (s.tp + s.fp + s.fn === 0) continue;
+    console.log(`${field.padEnd(18)} ${pct(s.precision)} ${pct(s.recall)}  ${String(s.tp).padStart(3)} ${String(s.fp).padStart(3)} ${String(s.fn).padStart(3)}`);
+}
+console.log(`${'overall'.padEnd(18)} ${pct(report.overall.precision)} ${pct(report.overall.recall)}`);
+
+for (const failure of report.failures) {
+    console.log(`\n✗ ${failure.id}${failure.template !== failure.expected_template ? ` — parsed as ${failure.template}, expected ${failure.expected_template}` : ''}`);
+    for (const m of failure.mismatches) {
+        console.log(`    ${m.field}: expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`);
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * One-off for a database set up before `wrangler d1 migrations apply` was used: records the
+ * files in database/migrations it already has in d1_migrations, so the runner doesn't re-run
+ * their ALTER TABLEs (and fail). Run from the deploy workflow before the apply step.
+ *
+ *   node worker/scripts/record-applied-migrations.js            the remote database
+ *   node worker/scripts/record-applied-migrations.js --local    the local one
+ *
+ * Does nothing when d1_migrations already has rows or the database is empty (the runner then
+ * applies everything). Otherwise the last file is found whose columns (the ones it adds or
+ * renames to) are in the schema along with every table the files up to it leave behind; it
+ * and every file before it are recorded. Earlier files' columns aren't checked because later
+ * migrations rename some of them.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { readdirSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const DATABASE = 'workpass-cert-db';
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+const MIGRATIONS_DIR = new URL('../../database/migrations/', import.meta.url);
+const target = process.argv.includes('--local') ? '--local' : '--remote';
+
+const tables = new Map(d1("SELECT name, sql FROM sqlite_master WHERE type = 'table'").map(t => [t.name, t.sql]));
+
+if (tables.has('d1_migrations') && d1('SELECT COUNT(*) AS count FROM d1_migrations')[0].count > 0) {
+    console.log('d1_migrations is already in use; nothing to record.');
+    process.exit(0);
+}
+if (!tables.has('workers')) {
+    console.log('No schema yet; the migration runner will apply every file.');
+    process.exit(0);
+}
+
+const files = readdirSync(MIGRATIONS_DIR).filter(f => /^\d+_.+\.sql$/.test(f)).sort();
+const expectedTables = new Set();
+let last = -1;
+files.forEach((file, i) => {
+    const { created, columns } = applySchemaChanges(readFileSync(new URL(file, MIGRATIONS_DIR), 'utf8'), expectedTables);
+    // A file that only changes data leaves nothing to look for
+    if (created + columns.length === 0) return;
+    if ([...expectedTables].every(table => tables.has(table)) && columns.every(hasColumn)) last = i;
+});
+if (last < 0) {
+    console.error('The schema matches none of the migrations; record them by hand.');
+    process.exit(1);
+}
+
+const applied = files.slice(0, last + 1);
+d1(`
+    CREATE TABLE IF NOT EXISTS d1_migrations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE,
+        applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT INTO d1_migrations (name) VALUES ${applied.map(f => `('${f}')`).join(', ')};
+`);
+console.log(`Recorded ${applied.length} migration(s) as applied, up to ${applied[applied.length - 1]}.`);
+
+// ─── Helpers ──────────────────────────────────────────────
+
+function d1(sql) {
+    const output = execFileSync('npx', ['--yes', 'wrangler@3', 'd1', 'execute', DATABASE, target, '--json', '--command', sql], {
+        cwd: ROOT,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    return JSON.parse(output)[0]?.results || [];
+}
+
+/**
+ * Play a migration's CREATE / DROP / RENAME TABLE statements onto `tableNames`; returns how
+ * many tables it creates and the columns it adds or renames to as [{ table, column }].
+ */
+function applySchemaChanges(sql, tableNames) {
+    let created = 0;
+    const columns = [];
+    for (const statement of sql.replace(/--.*$/gm, '').split(';')) {
+        let m;
+        if ((m = statement.match(/CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)/i))) {
+            tableNames.add(m[1]);
+            created++;
+        } else if ((m = statement.match(/ALTER\s+TABLE\s+(\w+)\s+ADD\s+(?:COLUMN\s+)?(\w+)/i))) {
+            columns.push({ table: m[1], column: m[2] });
+        } else if ((m = statement.match(/ALTER\s+TABLE\s+(\w+)\s+RENAME\s+(?:COLUMN\s+)?(\w+)\s+TO\s+(\w+)/i))) {
+            columns.push({ table: m[1], column: m[3] });
+        } else if ((m = statement.match(/ALTER\s+TABLE\s+(\w+)\s+RENAME\s+TO\s+(\w+)/i))) {
+            tableNames.delete(m[1]);
+            tableNames.add(m[2]);
+        } else if ((m = statement.match(/DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?(\w+)/i))) {
+            tableNames.delete(m[1]);
+        }
+    }
+    return { created, columns };
+}
+
+function hasColumn({ table, column }) {
+    const sql = tables.get(table);
+    if (sql === undefined) return false;
+    // ALTER TABLE rewrites the stored CREATE statement, so added and renamed columns show up in it
+    return new RegExp(`[(,]\\s*["\`[]?${column}["\`\\]]?\\s`, 'i').test(sql);
+}
@@ -0,0 +1,270 @@
+/**
+ * Email Digest Module
+ * Daily / weekly emails listing every work permit and certification expiring in the next
+ * 90 days (plus expired ones), grouped by employer. Sent by the daily Cron Trigger to every
+ * due subscription, or on demand via POST /api/digests/send.
+ *
+ * Uses the same expiry data as the dashboard and alert scan (utils/expiries.js) and the
+ * same threshold buckets as the alerts (ALERT_THRESHOLDS).
+ *
+ * A digest lists every employer's workers by name and FIN, so it only goes to the user's own
+ * address (users.email, set by an admin) or an address at one of the admin-approved domains in
+ * DIGEST_EMAIL_DOMAINS (comma-separated).
+ */
+
+import { findExpiring, EXPIRING_SOON_DAYS } from './utils/expiries.js';
+import { parseThresholds, thresholdFor } from './expiry-scan.js';
+import { sendMail } from './utils/mailer.js';
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly', 'off'];
+
+// Digests a user may send themselves via POST /api/digests/send in an hour
+export const MANUAL_SENDS_PER_HOUR = 3;
+
+/**
+ * Whether a digest for `user` ({ email }) may be sent to `email` (see the module comment).
+ */
+export function digestAddressAllowed(env, user, email) {
+    const address = (email || '').trim().toLowerCase();
+    if (!address) return false;
+    if (address === (user?.email || '').trim().toLowerCase()) return true;
+
+    const domains = (env.DIGEST_EMAIL_DOMAINS || '')
+        .split(',')
+        .map(d => d.trim().toLowerCase().replace(/^@/, ''))
+        .filter(Boolean);
+    return domains.includes(address.split('@').pop());
+}
+
+/**
+ * Threshold buckets a subscription can choose from, e.g. ['90', '60', '30', '7', 'expired'].
+ */
+export function digestThresholdOptions(env) {
+    const thresholds = parseThresholds(env.ALERT_THRESHOLDS);
+    return [...thresholds.days.map(String), ...(thresholds.expired ? ['expired'] : [])];
+}
+
+/**
+ * Build a subscription's digest from the expiring items.
+ * Returns { items, groups: [{ employer, items }], counts: { expired, due_30, total } }.
+ */
+export function buildDigest(env, subscription, allItems) {
+    const thresholds = parseThresholds(env.ALERT_THRESHOLDS);
+    const employers = parseList(subscription.employers);
+    const buckets = parseList(subscription.thresholds);
+
+    const items = allItems
+        .map(item => ({ ...item, threshold: thresholdFor(item.days_left, thresholds) }))
+        .filter(item => !employers || employers.includes(item.employer_name || ''))
+        .filter(item => !buckets || buckets.includes(item.threshold));
+
+    const byEmployer = new Map();
+    for (const item of items) {
+        const employer = item.employer_name || 'No employer';
+        if (!byEmployer.has(employer)) byEmployer.set(employer, []);
+        byEmployer.get(employer).push(item);
+    }
+    const groups = [...byEmployer.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([employer, groupItems]) => ({ employer, items: groupItems }));
+
+    return {
+        items,
+        groups,
+        counts: {
+            expired: items.filter(i => i.days_left < 0).length,
+            due_30: items.filter(i => i.days_left >= 0 && i.days_left <= 30).length,
+            total: items.length,
+        },
+    };
+}
+
+/**
+ * Render a subscription's digest email: { subject, html, text, counts }.
+ */
+export function renderDigest(env, subscription, allItems) {
+    const digest = buildDigest(env, subscription, allItems);
+    return {
+        subject: digestSubject(digest),
+        html: renderDigestHtml(digest, subscription),
+        text: renderDigestText(digest, subscription),
+        counts: digest.counts,
+    };
+}
+
+/**
+ * Render and send one subscription's digest, recording the attempt in email_deliveries.
+ * Returns the delivery row.
+ */
+export async function sendDigest(env, subscription, allItems) {
+    const { subject, html, text, counts } = renderDigest(env, subscription, allItems);
+
+    let status = 'sent';
+    let provider = null;
+    let messageId = null;
+    let error = null;
+
+    try {
+        const result = await sendMail(env, { to: subscription.email, subject, html, text });
+        provider = result.provider;
+        messageId = result.messageId;
+    } catch (err) {
+        status = 'failed';
+        error = err.message;
+        console.error(`Digest to ${subscription.email} failed:`, err.message);
+    }
+
+    const inserted = await env.DB.prepare(`
+        INSERT INTO email_deliveries (user_id, to_address, subject, kind, provider, status, provider_message_id, error, item_count)
+        VALUES (?, ?, ?, 'digest', ?, ?, ?, ?, ?)
+    `).bind(
+        subscription.user_id, subscription.email, subject, provider || (env.MAIL_PROVIDER || 'log'),
+        status, messageId, error, counts.total
+    ).run();
+
+    if (status === 'sent') {
+        await env.DB.prepare(
+            "UPDATE digest_subscriptions SET last_sent_at = datetime('now') WHERE id = ?"
+        ).bind(subscription.id).run();
+    }
+
+    return env.DB.prepare('SELECT * FROM email_deliveries WHERE id = ?').bind(inserted.meta.last_row_id).first();
+}
+
+/**
+ * Send every digest due today. Empty digests are not sent.
+ * Returns { due, sent, failed, empty }.
+ */
+export async function sendDueDigests(env, now = new Date()) {
+    const { results: subscriptions } = await env.DB.prepare(`
+        SELECT s.*, u.email AS user_email FROM digest_subscriptions s
+        JOIN users u ON s.user_id = u.id
+        WHERE s.frequency != 'off' AND u.is_active = 1
+    `).all();
+
+    // Addresses saved before DIGEST_EMAIL_DOMAINS changed may no longer be allowed
+    const due = subscriptions.filter(s => isDue(s, now) && digestAddressAllowed(env, { email: s.user_email }, s.email));
+    const summary = { due: due.length, sent: 0, failed: 0, empty: 0 };
+    if (due.length === 0) return summary;
+
+    const items = await findExpiring(env, { horizonDays: EXPIRING_SOON_DAYS, includeExpired: true });
+
+    for (const subscription of due) {
+        if (buildDigest(env, subscription, items).counts.total === 0) {
+            summary.empty++;
+            continue;
+        }
+        const delivery = await sendDigest(env, subscription, items);
+        summary[delivery.status === 'sent' ? 'sent' : 'failed']++;
+    }
+
+    console.log(`Email digests: ${summary.sent} sent, ${summary.failed} failed, ${summary.empty} empty of ${summary.due} due`);
+    return summary;
+}
+
+// ─── Templates ────────────────────────────────────────────
+
+function digestSubject(digest) {
+    const { total, expired } = digest.counts;
+    const expiredNote = expired > 0 ? ` (${expired} expired)` : '';
+    return `WorkPass expiry digest: ${total} item${total === 1 ? '' : 's'} due in the next ${EXPIRING_SOON_DAYS} days${expiredNote}`;
+}
+
+function dueLabel(item) {
+    if (item.days_left < 0) return `Expired ${-item.days_left}d ago`;
+    if (item.days_left === 0) return 'Expires today';
+    return `${item.days_left}d left`;
+}
+
+function itemLabel(item) {
+    return item.entity_type === 'pass'
+        ? `${item.subject}${item.pass_no ? ` ${item.pass_no}` : ''}`
+        : item.subject;
+}
+
+function renderDigestHtml(digest, subscription) {
+    const colour = (item) => (item.days_left < 0 ? '#dc2626' : item.days_left <= 30 ? '#d97706' : '#374151');
+
+    const sections = digest.groups.map(group => `
+        <h3 style="margin:24px 0 8px;font-size:15px;color:#111827;">${escapeHtml(group.employer)} <span style="color:#6b7280;font-weight:normal;">(${group.items.length})</span></h3>
+        <table cellpadding="6" cellspacing="0" style="width:100%;border-collapse:collapse;font-size:13px;">
+            <tr style="background:#f3f4f6;text-align:left;">
+                <th>Worker</th><th>FIN</th><th>Item</th><th>Expiry</th><th>Due</th>
+            </tr>
+            ${group.items.map(item => `
+            <tr style="border-bottom:1px solid #e5e7eb;">
+                <td>${escapeHtml(item.worker_name)}</td>
+                <td>${escapeHtml(item.fin_number)}</td>
+                <td>${escapeHtml(itemLabel(item))}</td>
+                <td>${escapeHtml(item.expiry_date)}</td>
+                <td style="color:${colour(item)};font-weight:600;">${dueLabel(item)}</td>
+            </tr>`).join('')}
+        </table>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#374151;max-width:760px;margin:0 auto;padding:16px;">
+    <h2 style="color:#111827;margin-bottom:4px;">Upcoming expiries</h2>
+    <p style="margin-top:0;color:#6b7280;">
+        ${digest.counts.total} work permit(s) and certification(s) expiring in the next ${EXPIRING_SOON_DAYS} days or already expired
+        — ${digest.counts.expired} expired, ${digest.counts.due_30} due within 30 days.
+    </p>
+    ${sections || '<p>Nothing is expiring in this period.</p>'}
+    <p style="margin-top:32px;font-size:12px;color:#9ca3af;">
+        You receive this ${escapeHtml(subscription.frequency)} digest from WorkPass &amp; Cert Manager.
+        Change or stop it under Alerts → Digest Settings.
+    </p>
+</body>
+</html>`;
+}
+
+function renderDigestText(digest, subscription) {
+    const lines = [
+        'UPCOMING EXPIRIES',
+        `${digest.counts.total} work permit(s) and certification(s) expiring in the next ${EXPIRING_SOON_DAYS} days or already expired`,
+        `${digest.counts.expired} expired, ${digest.counts.due_30} due within 30 days.`,
+    ];
+
+    for (const group of digest.groups) {
+        lines.push('', `== ${group.employer} (${group.items.length}) ==`);
+        for (const item of group.items) {
+            lines.push(`- ${item.worker_name} (${item.fin_number}) — ${itemLabel(item)} — expires ${item.expiry_date} — ${dueLabel(item)}`);
+        }
+    }
+
+    lines.push('', `You receive this ${subscription.frequency} digest from WorkPass & Cert Manager.`,
+        'Change or stop it under Alerts → Digest Settings.');
+    return lines.join('\n');
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+/**
+ * Daily digests go out once per day; weekly ones on their weekday. Never twice on the same (UTC) day.
+ */
+function isDue(subscription, now) {
+    const today = now.toISOString().slice(0, 10);
+    if (subscription.last_sent_at && subscription.last_sent_at.slice(0, 10) === today) return false;
+    if (subscription.frequency === 'daily') return true;
+    if (subscription.frequency === 'weekly') return now.getUTCDay() === subscription.weekly_day;
+    return false;
+}
+
+// JSON array column → array, or null for "all"
+function parseList(value) {
+    if (!value) return null;
+    try {
+        const list = JSON.parse(value);
+        return Array.isArray(list) && list.length > 0 ? list : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,127 @@
+/**
+ * Expiry Scan Module
+ * Run daily by the Cron Trigger (see `scheduled` in index.js), or on demand via POST /api/alerts/scan.
+ * Checks certification, work permit and passport expiry dates of active workers against the alert
+ * thresholds and records one alert per threshold crossed in the `alerts` table. Each new
+ * alert is also sent to webhook subscribers as an `expiry.threshold_reached` event.
+ *
+ * Optional env var:
+ *   ALERT_THRESHOLDS — comma-separated days before expiry, plus "expired"
+ *                      (default "90,60,30,7,expired")
+ */
+
+import { findExpiring } from './utils/expiries.js';
+import { emitEvent } from './webhooks.js';
+
+const DEFAULT_THRESHOLDS = '90,60,30,7,expired';
+
+// D1 caps the number of statements per batch
+const BATCH_SIZE = 50;
+
+/**
+ * Parse ALERT_THRESHOLDS into { days: [90, 60, 30, 7], expired: true }.
+ */
+export function parseThresholds(value) {
+    const parts = (value || DEFAULT_THRESHOLDS).split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+    const days = [...new Set(parts.filter(p => /^\d+$/.test(p)).map(Number))].sort((a, b) => b - a);
+    return { days, expired: parts.includes('expired') };
+}
+
+/**
+ * The threshold an item has reached, or null if none yet.
+ * The most urgent crossed threshold wins: 5 days left with 30/7 configured → '7'.
+ */
+export function thresholdFor(daysLeft, thresholds) {
+    if (daysLeft < 0) return thresholds.expired ? 'expired' : null;
+    const crossed = thresholds.days.filter(d => daysLeft <= d);
+    return crossed.length > 0 ? String(Math.min(...crossed)) : null;
+}
+
+/**
+ * Scan expiry dates and record new alerts.
+ * Returns { scanned, created, resolved }.
+ */
+export async function runExpiryScan(env) {
+    const thresholds = parseThresholds(env.ALERT_THRESHOLDS);
+    const horizon = Math.max(0, ...thresholds.days);
+    const items = await findExpiring(env, { horizonDays: horizon, includeExpired: thresholds.expired });
+
+    const inserts = [];
+    const alerted = [];
+    for (const item of items) {
+        const threshold = thresholdFor(item.days_left, thresholds);
+        if (!threshold) continue;
+
+        // OR IGNORE + the UNIQUE key is what makes each threshold fire only once
+        inserts.push(env.DB.prepare(`
+            INSERT OR IGNORE INTO alerts (entity_type, entity_id, worker_id, subject, expiry_date, threshold)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).bind(item.entity_type, item.entity_id, item.worker_id, item.subject, item.expiry_date, threshold));
+        alerted.push({ ...item, threshold });
+    }
+
+    const newAlerts = [];
+    for (let i = 0; i < inserts.length; i += BATCH_SIZE) {
+        const results = await env.DB.batch(inserts.slice(i, i + BATCH_SIZE));
+        results.forEach((r, j) => {
+            if (r.meta?.changes) newAlerts.push({ alert_id: r.meta.last_row_id, ...alerted[i + j] });
+        });
+    }
+    const created = newAlerts.length;
+
+    for (const alert of newAlerts) {
+        await emitEvent(env, 'expiry.threshold_reached', alert);
+    }
+
+    const resolved = await resolveStaleAlerts(env);
+
+    console.log(`Expiry scan: ${items.length} expiring item(s), ${created} new alert(s), ${resolved} resolved`);
+    return { scanned: items.length, created, resolved };
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+/**
+ * Close alerts that no longer apply: superseded by a more urgent threshold for the same
+ * expiry, the expiry date changed, the certification was renewed or rejected, the record was
+ * deleted, or the worker is no longer active. Returns the number of alerts resolved.
+ */
+async function resolveStaleAlerts(env) {
+    const results = await env.DB.batch([
+        env.DB.prepare(`
+            UPDATE alerts SET resolved_at = datetime('now')
+            WHERE resolved_at IS NULL AND EXISTS (
+                SELECT 1 FROM alerts newer
+                WHERE newer.entity_type = alerts.entity_type AND newer.entity_id = alerts.entity_id
+                    AND newer.expiry_date = alerts.expiry_date AND newer.id > alerts.id
+            )
+        `),
+        env.DB.prepare(`
+            UPDATE alerts SET resolved_at = datetime('now')
+            WHERE resolved_at IS NULL AND entity_type = 'certification' AND NOT EXISTS (
+                SELECT 1 FROM certifications c JOIN workers w ON c.worker_id = w.id
+                WHERE c.id = alerts.entity_id AND c.expiry_date = alerts.expiry_date AND c.superseded_by_id IS NULL
+                    AND c.verification_status != 'rejected'
+                    AND w.status = 'active' AND w.merged_into_id IS NULL
+            )
+        `),
+        env.DB.prepare(`
+            UPDATE alerts SET resolved_at = datetime('now')
+            WHERE resolved_at IS NULL AND entity_type = 'pass' AND NOT EXISTS (
+                SELECT 1 FROM workers w
+                WHERE w.id = alerts.entity_id AND w.pass_expiry = alerts.expiry_date
+                    AND w.status = 'active' AND w.merged_into_id IS NULL
+            )
+        `),
+        env.DB.prepare(`
+            UPDATE alerts SET resolved_at = datetime('now')
+            WHERE resolved_at IS NULL AND entity_type = 'passport' AND NOT EXISTS (
+                SELECT 1 FROM workers w
+                WHERE w.id = alerts.entity_id AND w.passport_expiry = alerts.expiry_date
+                    AND w.status = 'active' AND w.merged_into_id IS NULL
+            )
+        `),
+    ]);
+
+    return results.reduce((sum, r) => sum + (r.meta?.changes || 0), 0);
+}
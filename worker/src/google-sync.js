@@ -134,8 +134,8 @@ export async function exportMultipleWorkersToSheet(env, workers) {
         // Ensure header exists
         if (rows.length === 0) {
             valuesToAppend.push([
-                'FIN / NRIC', 'Worker Name', 'WP No', 'Date of Birth',
-                'Nationality', 'Sex', 'Employer', 'WP Expiry', 'Recorded Date', 'Export Date'
+                'FIN / NRIC', 'Worker Name', 'Pass No', 'Date of Birth',
+                'Nationality', 'Sex', 'Employer', 'Pass Expiry', 'Recorded Date', 'Export Date'
             ]);
         }
 
@@ -144,12 +144,12 @@ export async function exportMultipleWorkersToSheet(env, workers) {
             valuesToAppend.push([
                 worker.fin_number || '',
                 worker.worker_name || '',
-                worker.work_permit_no || '',
+                worker.pass_no || '',
                 worker.date_of_birth || '',
                 worker.nationality || '',
                 worker.sex || '',
                 worker.employer_name || '',
-                worker.wp_expiry_date || '',
+                worker.pass_expiry || '',
                 worker.created_at || '',
                 exportTime
             ]);
@@ -4,11 +4,32 @@
  */
 
 import { handleCors, addCorsHeaders } from './middleware/cors.js';
+import { requireAuth, isPublicRoute } from './middleware/auth.js';
+import { handleAuth } from './routes/auth.js';
+import { handleUsers } from './routes/users.js';
+import { handleAudit } from './routes/audit.js';
+import { handleAlerts } from './routes/alerts.js';
+import { handleDigests } from './routes/digests.js';
+import { handleWebhooks } from './routes/webhooks.js';
 import { handleWorkers } from './routes/workers.js';
 import { handleCertifications } from './routes/certifications.js';
+import { handleCourses } from './routes/courses.js';
+import { handleCompliance } from './routes/compliance.js';
 import { handleDocuments } from './routes/documents.js';
 import { handleOCR } from './routes/ocr.js';
+import { handleOCRJobs } from './routes/ocr-jobs.js';
+import { runExpiryScan } from './expiry-scan.js';
+import { sendDueDigests } from './digest.js';
+import { sendDueDeliveries } from './webhooks.js';
+import { processQueuedOCRJobs } from './ocr/jobs.js';
 import { jsonResponse, errorResponse } from './utils/response.js';
+import { WORKER_STATUSES, parseStatusFilter, statusCondition } from './utils/status.js';
+import { EXPIRING_SOON_DAYS } from './utils/expiries.js';
+import { verificationCondition } from './utils/verification.js';
+import { PASS_TYPES } from './utils/passes.js';
+
+// Must match the daily entry in wrangler.toml [triggers]
+const DAILY_CRON = '0 0 * * *';
 
 export default {
     async fetch(request, env, ctx) {
@@ -22,16 +43,44 @@ export default {
 
         try {
             let response;
+            let user = null;
+
+            // ─── Authentication & Permissions ────────────────────
+            if (!isPublicRoute(path)) {
+                const auth = await requireAuth(request, env, path);
+                if (auth.error) {
+                    return addCorsHeaders(auth.error, env, request);
+                }
+                user = auth.user;
+            }
 
             // ─── API Routes ──────────────────────────────────────
-            if (path.startsWith('/api/ocr')) {
-                response = await handleOCR(request, env, path);
+            if (path.startsWith('/api/auth')) {
+                response = await handleAuth(request, env, path, user);
+            } else if (path.startsWith('/api/users')) {
+                response = await handleUsers(request, env, path, user);
+            } else if (path.startsWith('/api/ocr/jobs')) {
+                response = await handleOCRJobs(request, env, path, user);
+            } else if (path.startsWith('/api/ocr')) {
+                response = await handleOCR(request, env, path, user);
             } else if (path.startsWith('/api/workers')) {
-                response = await handleWorkers(request, env, path);
+                response = await handleWorkers(request, env, path, user);
             } else if (path.startsWith('/api/certifications')) {
-                response = await handleCertifications(request, env, path);
+                response = await handleCertifications(request, env, path, user);
+            } else if (path.startsWith('/api/courses')) {
+                response = await handleCourses(request, env, path, user);
+            } else if (path.startsWith('/api/compliance') || path.startsWith('/api/requirement-profiles')) {
+                response = await handleCompliance(request, env, path, user);
             } else if (path.startsWith('/api/documents') || path.startsWith('/api/files')) {
-                response = await handleDocuments(request, env, path);
+                response = await handleDocuments(request, env, path, user);
+            } else if (path.startsWith('/api/audit')) {
+                response = await handleAudit(request, env, path, user);
+            } else if (path.startsWith('/api/alerts')) {
+                response = await handleAlerts(request, env, path, user);
+            } else if (path.startsWith('/api/digests')) {
+                response = await handleDigests(request, env, path, user);
+            } else if (path.startsWith('/api/webhooks')) {
+                response = await handleWebhooks(request, env, path, user);
             } else if (path === '/api/stats') {
                 response = await handleStats(request, env);
             } else if (path === '/api/health') {
@@ -44,6 +93,13 @@ export default {
                 response = errorResponse('Not Found', 404);
             }
 
+            // Webhook events queued by a write go out after the response, not during it
+            if (request.method !== 'GET') {
+                ctx.waitUntil(sendDueDeliveries(env).catch(err => {
+                    console.error('Webhook deliveries failed:', err.message, err.stack);
+                }));
+            }
+
             return addCorsHeaders(response, env, request);
         } catch (err) {
             console.error('Unhandled error:', err.message, err.stack);
@@ -54,52 +110,144 @@ export default {
             );
         }
     },
+
+    /**
+     * Cron Triggers (see [triggers] in wrangler.toml): the daily run does the expiry scan, then
+     * email digests; every run sends webhook deliveries that are due (including retries) and works
+     * through queued batch OCR items.
+     */
+    async scheduled(event, env, ctx) {
+        ctx.waitUntil((async () => {
+            if (event.cron === DAILY_CRON) {
+                try {
+                    await runExpiryScan(env);
+                } catch (err) {
+                    console.error('Expiry scan failed:', err.message, err.stack);
+                }
+                try {
+                    await sendDueDigests(env, new Date(event.scheduledTime));
+                } catch (err) {
+                    console.error('Email digests failed:', err.message, err.stack);
+                }
+            }
+            try {
+                await sendDueDeliveries(env);
+            } catch (err) {
+                console.error('Webhook deliveries failed:', err.message, err.stack);
+            }
+            try {
+                await processQueuedOCRJobs(env);
+            } catch (err) {
+                console.error('OCR job queue failed:', err.message, err.stack);
+            }
+        })());
+    },
 };
 
 /**
  * Dashboard statistics
+ * ?status= limits counts to workers in those lifecycle statuses (default active, 'all' for everyone).
+ * ?verified_only=true counts only verified certifications as expiring or expired.
  */
 async function handleStats(request, env) {
     if (request.method !== 'GET') {
         return errorResponse('Method Not Allowed', 405);
     }
 
+    const url = new URL(request.url);
+    const { statuses, error } = parseStatusFilter(url.searchParams.get('status'));
+    if (error) return errorResponse(error, 400);
+    const statusFilter = statusCondition('w.status', statuses);
+    const countedCerts = verificationCondition('c.verification_status', url.searchParams.get('verified_only') === 'true');
+
+    // Only current (non-merged) workers in the requested statuses are counted
+    const inScope = `w.merged_into_id IS NULL${statusFilter.sql}`;
+    const scopeParams = statusFilter.params;
+
     const totalWorkers = await env.DB.prepare(
-        'SELECT COUNT(*) as count FROM workers'
-    ).first('count');
+        `SELECT COUNT(*) as count FROM workers w WHERE ${inScope}`
+    ).bind(...scopeParams).first('count');
 
     const totalCerts = await env.DB.prepare(
-        'SELECT COUNT(*) as count FROM certifications'
-    ).first('count');
+        `SELECT COUNT(*) as count FROM certifications c JOIN workers w ON c.worker_id = w.id WHERE ${inScope}`
+    ).bind(...scopeParams).first('count');
 
     const totalDocs = await env.DB.prepare(
-        'SELECT COUNT(*) as count FROM documents'
-    ).first('count');
+        `SELECT COUNT(*) as count FROM documents d JOIN workers w ON d.worker_id = w.id WHERE ${inScope}`
+    ).bind(...scopeParams).first('count');
 
-    // Certs expiring within 90 days
+    // Certs expiring within the "expiring soon" horizon (90 days); renewed and rejected certs don't count
     const certsExpiringSoon = await env.DB.prepare(
-        "SELECT COUNT(*) as count FROM certifications WHERE expiry_date <= date('now', '+90 days') AND expiry_date >= date('now')"
-    ).first('count');
+        `SELECT COUNT(*) as count FROM certifications c JOIN workers w ON c.worker_id = w.id
+         WHERE c.expiry_date <= date('now', ?) AND c.expiry_date >= date('now') AND c.superseded_by_id IS NULL${countedCerts} AND ${inScope}`
+    ).bind(`+${EXPIRING_SOON_DAYS} days`, ...scopeParams).first('count');
 
     // Certs already expired
     const certsExpired = await env.DB.prepare(
-        "SELECT COUNT(*) as count FROM certifications WHERE expiry_date < date('now')"
-    ).first('count');
+        `SELECT COUNT(*) as count FROM certifications c JOIN workers w ON c.worker_id = w.id
+         WHERE c.expiry_date < date('now') AND c.superseded_by_id IS NULL${countedCerts} AND ${inScope}`
+    ).bind(...scopeParams).first('count');
+
+    // Passes (Work Permit, S Pass, EP, ...)
+    const passesExpiringSoon = await env.DB.prepare(
+        `SELECT COUNT(*) as count FROM workers w
+         WHERE w.pass_expiry <= date('now', ?) AND w.pass_expiry >= date('now') AND ${inScope}`
+    ).bind(`+${EXPIRING_SOON_DAYS} days`, ...scopeParams).first('count');
+
+    const passesExpired = await env.DB.prepare(
+        `SELECT COUNT(*) as count FROM workers w WHERE w.pass_expiry < date('now') AND ${inScope}`
+    ).bind(...scopeParams).first('count');
+
+    const { results: passTypeCounts } = await env.DB.prepare(
+        `SELECT w.pass_type, COUNT(*) as count FROM workers w WHERE ${inScope} GROUP BY w.pass_type`
+    ).bind(...scopeParams).all();
+    const byPassType = Object.fromEntries(Object.keys(PASS_TYPES).map(t => [t, 0]));
+    for (const row of passTypeCounts) {
+        if (row.pass_type) byPassType[row.pass_type] = row.count;
+    }
+
+    // Passports — a short-dated passport blocks the work permit renewal
+    const passportsExpiringSoon = await env.DB.prepare(
+        `SELECT COUNT(*) as count FROM workers w
+         WHERE w.passport_expiry <= date('now', ?) AND w.passport_expiry >= date('now') AND ${inScope}`
+    ).bind(`+${EXPIRING_SOON_DAYS} days`, ...scopeParams).first('count');
+
+    const passportsExpired = await env.DB.prepare(
+        `SELECT COUNT(*) as count FROM workers w WHERE w.passport_expiry < date('now') AND ${inScope}`
+    ).bind(...scopeParams).first('count');
+
+    // Headcount per status, regardless of the filter
+    const { results: statusCounts } = await env.DB.prepare(
+        'SELECT status, COUNT(*) as count FROM workers WHERE merged_into_id IS NULL GROUP BY status'
+    ).all();
+    const byStatus = Object.fromEntries(WORKER_STATUSES.map(s => [s, 0]));
+    for (const row of statusCounts) byStatus[row.status] = row.count;
 
     // Recent workers (last 5)
     const { results: recentWorkers } = await env.DB.prepare(
-        'SELECT id, fin_number, worker_name, employer_name, created_at FROM workers ORDER BY created_at DESC LIMIT 5'
-    ).all();
+        `SELECT w.id, w.fin_number, w.pass_type, w.pass_no, w.worker_name, w.employer_name, w.nationality, w.status, w.created_at FROM workers w
+         WHERE ${inScope} ORDER BY w.created_at DESC LIMIT 5`
+    ).bind(...scopeParams).all();
 
     return jsonResponse({
         workers: {
             total: totalWorkers,
+            by_status: byStatus,
         },
         certifications: {
             total: totalCerts,
             expiring_soon: certsExpiringSoon,
             expired: certsExpired,
         },
+        passes: {
+            expiring_soon: passesExpiringSoon,
+            expired: passesExpired,
+            by_type: byPassType,
+        },
+        passports: {
+            expiring_soon: passportsExpiringSoon,
+            expired: passportsExpired,
+        },
         documents: {
             total: totalDocs,
         },
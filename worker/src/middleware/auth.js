@@ -1,30 +1,156 @@
 /**
  * Auth Middleware
- * Simple shared-secret authentication for API protection.
+ * Session-token authentication against D1 user accounts,
+ * plus role-based permission checks per route.
+ *
+ * Roles:
+ *   admin      — full access, including deletes and user management
+ *   hr_clerk   — create / update workers, certifications, documents, OCR
+ *   supervisor — read-only
  */
 
-export function authenticate(request, env) {
+import { errorResponse } from '../utils/response.js';
+import { sha256Hex, timingSafeEqual } from '../utils/crypto.js';
+import { fileUrlSignature } from '../utils/file-urls.js';
+
+export const ROLES = ['admin', 'hr_clerk', 'supervisor'];
+
+const WRITE_ROLES = ['admin', 'hr_clerk'];
+
+/**
+ * Routes that need no session at all.
+ */
+const PUBLIC_ROUTES = ['/api/health', '/api/auth/login', '/api/auth/setup'];
+
+/**
+ * Explicit per-route rules. First match wins; routes not listed here fall back to
+ * "any role may read (GET), only WRITE_ROLES may mutate".
+ */
+const ROUTE_PERMISSIONS = [
+    { pattern: /^\/api\/auth\//, roles: ROLES },
+    { pattern: /^\/api\/users(\/|$)/, roles: ['admin'] },
+    { pattern: /^\/api\/audit(\/|$)/, roles: WRITE_ROLES },
+    { pattern: /^\/api\/webhooks(\/|$)/, roles: ['admin'] },
+    // Everyone sees the course catalogue (certification forms use it); only admins maintain it
+    { method: 'GET', pattern: /^\/api\/courses(\/|$)/, roles: ROLES },
+    { pattern: /^\/api\/courses(\/|$)/, roles: ['admin'] },
+    // Admins define requirement profiles; HR Clerks may assign workers to them
+    { method: 'GET', pattern: /^\/api\/requirement-profiles(\/|$)/, roles: ROLES },
+    { pattern: /^\/api\/requirement-profiles\/\d+\/workers(\/|$)/, roles: WRITE_ROLES },
+    { pattern: /^\/api\/requirement-profiles(\/|$)/, roles: ['admin'] },
+    // Raw OCR text holds personal data; reviewers post outcomes but only admins read runs back
+    { pattern: /^\/api\/ocr\/(evaluation|replay|corrections|runs(\/\d+)?)$/, roles: ['admin'] },
+    // Batch OCR jobs are reviewed before anything reaches a worker record — not for supervisors
+    { pattern: /^\/api\/ocr\/jobs(\/|$)/, roles: WRITE_ROLES },
+    { method: 'POST', pattern: /^\/api\/alerts\/scan$/, roles: ['admin'] },
+    // Every user manages their own digest subscription
+    { pattern: /^\/api\/digests\//, roles: ROLES },
+    { method: 'DELETE', pattern: /^\/api\/workers\/\d+$/, roles: ['admin'] },
+    { method: 'DELETE', pattern: /^\/api\/certifications\/\d+$/, roles: ['admin'] },
+    { method: 'DELETE', pattern: /^\/api\/files\//, roles: ['admin'] },
+    { method: 'POST', pattern: /^\/api\/workers\/export$/, roles: ROLES },
+];
+
+export function isPublicRoute(path) {
+    return PUBLIC_ROUTES.includes(path);
+}
+
+/**
+ * Read the session token from the Authorization header.
+ * File downloads loaded by <img>/<a> tags use signed URLs instead (see utils/file-urls.js).
+ */
+export function getSessionToken(request) {
     const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return false;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.slice(7).trim();
     }
+    return null;
+}
 
-    const token = authHeader.slice(7);
-    return token === env.AUTH_SECRET;
+/**
+ * Resolve the user for the request's session token — or, for GET /api/files/*, a signed
+ * file URL — or null if it is missing, unknown, expired or belongs to a deactivated account.
+ */
+export async function authenticate(request, env) {
+    const token = getSessionToken(request);
+    const row = token
+        ? await findSession(env, 's.token_hash = ?', await sha256Hex(token))
+        : await signedFileSession(request, env);
+
+    if (!row || !row.is_active) return null;
+
+    return {
+        id: row.id,
+        username: row.username,
+        display_name: row.display_name,
+        email: row.email,
+        role: row.role,
+        session_id: row.session_id,
+        session_expires_at: row.expires_at,
+    };
 }
 
-export function requireAuth(request, env) {
-    if (!env.AUTH_SECRET) {
-        // No secret configured — allow all requests (dev mode)
-        return null;
+/**
+ * Check whether a user's role may call the given method + path.
+ */
+export function authorize(user, method, path) {
+    if (!user) return false;
+
+    const rule = ROUTE_PERMISSIONS.find(r =>
+        (!r.method || r.method === method) && r.pattern.test(path)
+    );
+    if (rule) return rule.roles.includes(user.role);
+
+    if (method === 'GET') return ROLES.includes(user.role);
+    return WRITE_ROLES.includes(user.role);
+}
+
+/**
+ * Authenticate and authorize a request.
+ * Returns { user } on success, or { error } holding a 401/403 response.
+ */
+export async function requireAuth(request, env, path) {
+    const user = await authenticate(request, env);
+    if (!user) {
+        return { error: errorResponse('Unauthorized', 401) };
+    }
+
+    if (!authorize(user, request.method, path)) {
+        return { error: errorResponse('Forbidden: your role does not allow this action', 403) };
     }
 
-    if (!authenticate(request, env)) {
-        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-            status: 401,
-            headers: { 'Content-Type': 'application/json' },
-        });
+    return { user };
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+async function findSession(env, condition, value) {
+    return env.DB.prepare(`
+        SELECT s.id AS session_id, s.token_hash, s.expires_at, u.id, u.username, u.display_name, u.email, u.role, u.is_active
+        FROM sessions s
+        JOIN users u ON s.user_id = u.id
+        WHERE ${condition} AND s.expires_at > datetime('now')
+    `).bind(value).first();
+}
+
+// The session a signed GET /api/files/<key>?sid=&exp=&sig= URL was issued to, if it checks out
+async function signedFileSession(request, env) {
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || !url.pathname.startsWith('/api/files/')) return null;
+
+    const sessionId = parseInt(url.searchParams.get('sid'), 10);
+    const expires = parseInt(url.searchParams.get('exp'), 10);
+    const sig = url.searchParams.get('sig');
+    if (!sessionId || !expires || !sig || expires < Date.now() / 1000) return null;
+
+    let key;
+    try {
+        key = decodeURIComponent(url.pathname.replace('/api/files/', ''));
+    } catch (e) {
+        return null;
     }
 
-    return null; // Auth passed
+    const row = await findSession(env, 's.id = ?', sessionId);
+    if (!row) return null;
+    return timingSafeEqual(sig, await fileUrlSignature(row.token_hash, sessionId, expires, key)) ? row : null;
 }
@@ -28,7 +28,7 @@ export function handleCors(request, env) {
         status: 204,
         headers: {
             'Access-Control-Allow-Origin': origin,
-            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
             'Access-Control-Allow-Headers': 'Content-Type, Authorization',
             'Access-Control-Max-Age': '86400',
         },
@@ -39,7 +39,7 @@ export function addCorsHeaders(response, env, request) {
     const origin = request ? getAllowedOrigin(request, env) : (env.CORS_ORIGIN || '*');
     const newResponse = new Response(response.body, response);
     newResponse.headers.set('Access-Control-Allow-Origin', origin);
-    newResponse.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    newResponse.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     newResponse.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     return newResponse;
 }
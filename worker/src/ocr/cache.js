@@ -0,0 +1,46 @@
+/**
+ * OCR Result Cache
+ * Stores the /api/ocr/process response per (file SHA-256, parser version, document type).
+ * Bumping PARSER_VERSION invalidates every entry; stale versions of a file are dropped when
+ * it is cached again. Cache failures are logged and treated as a miss.
+ */
+
+import { PARSER_VERSION } from './index.js';
+
+/**
+ * @returns {Promise<object|null>} { result, cached_at } or null on a miss
+ */
+export async function readCache(env, fileHash, documentType) {
+    try {
+        const row = await env.DB.prepare(`
+            SELECT id, result, created_at FROM ocr_cache
+            WHERE file_hash = ? AND parser_version = ? AND document_type = ?
+        `).bind(fileHash, PARSER_VERSION, documentType).first();
+        if (!row) return null;
+
+        await env.DB.prepare(
+            "UPDATE ocr_cache SET hits = hits + 1, last_hit_at = datetime('now') WHERE id = ?"
+        ).bind(row.id).run();
+
+        return { result: JSON.parse(row.result), cached_at: row.created_at };
+    } catch (err) {
+        console.error('OCR cache read failed:', err.message);
+        return null;
+    }
+}
+
+export async function writeCache(env, fileHash, documentType, result) {
+    try {
+        await env.DB.batch([
+            env.DB.prepare('DELETE FROM ocr_cache WHERE file_hash = ? AND parser_version != ?').bind(fileHash, PARSER_VERSION),
+            env.DB.prepare(`
+                INSERT INTO ocr_cache (file_hash, parser_version, document_type, result)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT (file_hash, parser_version, document_type)
+                DO UPDATE SET result = excluded.result, created_at = datetime('now'), hits = 0, last_hit_at = NULL
+            `).bind(fileHash, PARSER_VERSION, documentType, JSON.stringify(result)),
+        ]);
+    } catch (err) {
+        console.error('OCR cache write failed:', err.message);
+    }
+}
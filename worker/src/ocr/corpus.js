@@ -0,0 +1,341 @@
+/**
+ * OCR Regression Corpus
+ * Anonymised raw OCR texts (names, FINs, numbers and addresses are made up; layouts and OCR
+ * quirks are kept) with the fields the parser should extract from each. Used by
+ * ./evaluate.js — run `npm run ocr:eval` in worker/ or GET /api/ocr/evaluation.
+ *
+ * expected lists every field the document carries; any other field is expected to be empty.
+ * template is the document template that should win detection.
+ */
+
+export const CORPUS = [
+    // ─── Work Permit ─────────────────────────────────────────
+    {
+        id: 'wp-front-labelled',
+        template: 'wp_front',
+        text: `WORK PERMIT
+Employer: ABC BUILDERS PTE. LTD.
+Name: RAHMAN MD ABDUL
+Work Permit No: 0 34773262
+Sector: CONSTRUCTION`,
+        expected: {
+            employer_name: 'ABC BUILDERS PTE. LTD.',
+            worker_name: 'RAHMAN MD ABDUL',
+            pass_type: 'work_permit',
+            pass_no: '0 34773262',
+        },
+    },
+    {
+        id: 'wp-front-stacked-labels',
+        template: 'wp_front',
+        text: `MINISTRY OF MANPOWER
+WORK PERMIT
+Employer
+LIAN HUAT ENGINEERING PTE LTD
+Name
+MURUGAN SELVAM
+Work Permit No.
+0 51122873
+Sector CONSTRUCTION`,
+        expected: {
+            employer_name: 'LIAN HUAT ENGINEERING PTE LTD',
+            worker_name: 'MURUGAN SELVAM',
+            pass_type: 'work_permit',
+            pass_no: '0 51122873',
+        },
+    },
+    {
+        id: 'wp-back-visit-pass',
+        template: 'wp_back',
+        text: `VISIT PASS
+Name: RAHMAN MD ABDUL
+FIN: G6550858W
+Date of Birth: 16-06-1988 Sex: M
+Nationality: BANGLADESHI
+Date of Issue      Date of Expiry
+01-02-2024   31-01-2026`,
+        expected: {
+            worker_name: 'RAHMAN MD ABDUL',
+            fin_number: 'G6550858W',
+            date_of_birth: '1988-06-16',
+            sex: 'M',
+            nationality: 'BANGLADESHI',
+            issue_date: '2024-02-01',
+            pass_expiry: '2026-01-31',
+        },
+    },
+    {
+        id: 'wp-back-fin-misread',
+        template: 'wp_back',
+        text: `EMPLOYMENT OF FOREIGN MANPOWER ACT
+FIN G655O858W
+Name
+MURUGAN SELVAM
+DOB 02/11/1991
+Nationality INDIAN
+Expiry: 14/08/2026`,
+        expected: {
+            fin_number: 'G6550858W',
+            worker_name: 'MURUGAN SELVAM',
+            date_of_birth: '1991-11-02',
+            nationality: 'INDIAN',
+            pass_expiry: '2026-08-14',
+        },
+    },
+
+    // ─── S Pass / Employment Pass ────────────────────────────
+    {
+        id: 's-pass-card',
+        template: 's_pass',
+        text: `S PASS
+Employer: KIM SENG ENGINEERING PTE. LTD.
+Name: SANTOS MARIA CLARA
+Occupation: QUANTITY SURVEYOR
+FIN: G1234567X
+Date of Birth: 03-04-1990 Sex: F
+Nationality: FILIPINO
+Date of Issue      Date of Expiry
+15-03-2024   14-03-2026`,
+        expected: {
+            pass_type: 's_pass',
+            employer_name: 'KIM SENG ENGINEERING PTE. LTD.',
+            worker_name: 'SANTOS MARIA CLARA',
+            fin_number: 'G1234567X',
+            date_of_birth: '1990-04-03',
+            sex: 'F',
+            nationality: 'FILIPINO',
+            issue_date: '2024-03-15',
+            pass_expiry: '2026-03-14',
+        },
+    },
+    {
+        id: 'employment-pass-card',
+        template: 'employment_pass',
+        text: `MINISTRY OF MANPOWER
+EMPLOYMENT PASS
+Employer
+ORCHID DESIGN CONSULTANTS PTE LTD
+Name
+KRISHNAN ARUN KUMAR
+FIN M1234567K
+Date of Birth 21-09-1985
+Sex M
+Nationality INDIAN
+Date of Issue      Date of Expiry
+02-01-2025   01-01-2027`,
+        expected: {
+            pass_type: 'employment_pass',
+            employer_name: 'ORCHID DESIGN CONSULTANTS PTE LTD',
+            worker_name: 'KRISHNAN ARUN KUMAR',
+            fin_number: 'M1234567K',
+            date_of_birth: '1985-09-21',
+            sex: 'M',
+            nationality: 'INDIAN',
+            issue_date: '2025-01-02',
+            pass_expiry: '2027-01-01',
+        },
+    },
+
+    // ─── NRIC ────────────────────────────────────────────────
+    {
+        id: 'nric-front',
+        template: 'nric_front',
+        text: `REPUBLIC OF SINGAPORE
+IDENTITY CARD NO. S7616077E
+Name
+TAN AH KOW
+Race
+CHINESE
+Date of birth
+01-02-1976
+Sex M
+Country/Place of birth
+SINGAPORE`,
+        expected: {
+            pass_type: 'citizen_pr',
+            fin_number: 'S7616077E',
+            worker_name: 'TAN AH KOW',
+            race: 'CHINESE',
+            date_of_birth: '1976-02-01',
+            sex: 'M',
+            country_of_birth: 'SINGAPORE',
+        },
+    },
+    {
+        id: 'nric-back',
+        template: 'nric_back',
+        text: `S7616077E
+Date of issue 12-03-2015
+APT BLK 221 BOON LAY PLACE #20-104
+SINGAPORE 640221`,
+        expected: {
+            pass_type: 'citizen_pr',
+            fin_number: 'S7616077E',
+            issue_date: '2015-03-12',
+            address: 'APT BLK 221 BOON LAY PLACE #20-104, SINGAPORE 640221',
+        },
+    },
+
+    // ─── Passport ────────────────────────────────────────────
+    {
+        id: 'passport-mrz',
+        template: 'passport',
+        text: `REPUBLIC OF INDIA
+PASSPORT
+Type P Country Code IND Passport No. Z1234567
+Surname KUMAR
+Given Name(s) RAJESH
+Nationality INDIAN Sex M
+Date of Birth 16/06/1988
+Date of Expiry 01/04/2030
+P<INDKUMAR<<RAJESH<<<<<<<<<<<<<<<<<<<<<<<<<<
+Z1234567<1IND88O6161M3004010<<<<<<<<<<<<<< 04`,
+        expected: {
+            worker_name: 'RAJESH KUMAR',
+            passport_no: 'Z1234567',
+            nationality: 'INDIAN',
+            sex: 'M',
+            date_of_birth: '1988-06-16',
+            passport_expiry: '2030-04-01',
+        },
+    },
+    {
+        id: 'passport-no-mrz',
+        template: 'passport',
+        text: `PEOPLE'S REPUBLIC OF BANGLADESH
+PASSPORT
+Passport No. : BX0123456
+Surname: HOSSAIN Given Names: MD ALAMGIR
+Nationality: BANGLADESHI
+Date of Birth: 02 MAR 1990
+Sex: M
+Date of Expiry: 14 AUG 2031`,
+        expected: {
+            worker_name: 'MD ALAMGIR HOSSAIN',
+            passport_no: 'BX0123456',
+            nationality: 'BANGLADESHI',
+            sex: 'M',
+            date_of_birth: '1990-03-02',
+            passport_expiry: '2031-08-14',
+        },
+    },
+
+    // ─── Certificates ────────────────────────────────────────
+    {
+        id: 'bca-coretrade',
+        template: 'bca_coretrade',
+        text: `BUILDING AND CONSTRUCTION AUTHORITY
+CORETRADE REGISTRATION
+Name: KUMAR RAJESH
+FIN: G6550858W
+Trade: TILING
+Registration No: CT-2023-001234
+Date of Registration: 01-03-2023
+Expiry Date: 28-02-2025`,
+        expected: {
+            worker_name: 'KUMAR RAJESH',
+            fin_number: 'G6550858W',
+            course_title: 'CoreTrade (Tiling)',
+            course_provider: 'Building and Construction Authority (BCA)',
+            cert_serial_no: 'CT-2023-001234',
+            issue_date: '2023-03-01',
+            expiry_date: '2025-02-28',
+        },
+    },
+    {
+        id: 'scal-csoc',
+        template: 'scal_csoc',
+        text: `SINGAPORE CONTRACTORS ASSOCIATION LTD
+This is to certify that
+KUMAR RAJESH (G6550858W)
+has attended the
+Construction Safety Orientation Course for Workers
+Course Date: 12-05-2022
+Serial No: CSOC-22-123456`,
+        expected: {
+            worker_name: 'KUMAR RAJESH',
+            fin_number: 'G6550858W',
+            course_title: 'Construction Safety Orientation Course (CSOC)',
+            course_provider: 'Singapore Contractors Association Ltd (SCAL)',
+            cert_serial_no: 'CSOC-22-123456',
+            issue_date: '2022-05-12',
+            expiry_date: 'No Expiry',
+        },
+    },
+    {
+        id: 'wah-rescue',
+        template: 'wah_cert',
+        text: `Avanta Global Academy
+Work-At-Height Rescue Course (WAHRC)
+S/N WAHRC-2025-B134P-659
+KUMAR RAJESH
+G6550858W
+Course Date: 13-02-2025
+Validity: No Expiry`,
+        expected: {
+            course_provider: 'Avanta Global Academy',
+            course_title: 'Work-At-Height Rescue Course (WAHRC)',
+            cert_serial_no: 'WAHRC-2025-B134P-659',
+            worker_name: 'KUMAR RAJESH',
+            fin_number: 'G6550858W',
+            issue_date: '2025-02-13',
+            expiry_date: 'No Expiry',
+        },
+    },
+    {
+        id: 'wah-perform-text-month',
+        template: 'wah_cert',
+        text: `CERTIFICATE OF ACHIEVEMENT
+This is to certify that
+HOSSAIN MOHAMMAD ALI (M1234567K)
+has successfully completed
+Perform Work at Height (18 HOURS)
+Issued Date: 07 June 2025
+Student Number: WPH-GMS-1110-1.1-1292
+Training Manager Of Wong Fong Academy`,
+        expected: {
+            worker_name: 'HOSSAIN MOHAMMAD ALI',
+            fin_number: 'M1234567K',
+            course_title: 'Perform Work-At-Height (WAHW)',
+            course_duration: '18 HOURS',
+            issue_date: '2025-06-07',
+            cert_serial_no: 'WPH-GMS-1110-1.1-1292',
+            course_provider: 'Wong Fong Academy',
+        },
+    },
+    {
+        id: 'generic-forklift',
+        template: 'generic_cert',
+        text: `CERTIFICATE OF COMPLETION
+Name: KUMAR RAJESH
+ID No: G6550858W
+Course Title: Forklift Operation Course
+Issued Date: 07-06-2025
+Wong Fong Academy`,
+        expected: {
+            worker_name: 'KUMAR RAJESH',
+            fin_number: 'G6550858W',
+            course_title: 'Forklift Operation Course',
+            issue_date: '2025-06-07',
+            course_provider: 'Wong Fong Academy',
+        },
+    },
+    {
+        id: 'generic-date-range',
+        template: 'generic_cert',
+        text: `BUILDSAFE TRAINING CENTRE
+CERTIFICATE
+This is to certify that
+NGUYEN VAN MINH (G7654321L)
+has attended
+Signalman and Rigger Course
+16 NOV 2017 TO 21 DEC 2017`,
+        expected: {
+            course_provider: 'BUILDSAFE TRAINING CENTRE',
+            worker_name: 'NGUYEN VAN MINH',
+            fin_number: 'G7654321L',
+            course_title: 'Signalman and Rigger Course',
+            issue_date: '2017-12-21',
+        },
+    },
+];
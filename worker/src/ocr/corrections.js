@@ -0,0 +1,74 @@
+/**
+ * OCR Corrections
+ * Compares what the parser extracted with what the reviewer finally saved, and rolls those
+ * comparisons up per document template to show which fields need parser work.
+ *
+ * Per field of a saved run:
+ *   kept      — extracted and saved unchanged
+ *   corrected — extracted, but the reviewer changed or cleared it
+ *   missed    — not extracted by this run nor any other image in the same save, yet filled in
+ */
+
+import { FIELD_KEYS, normaliseValue } from './extractors.js';
+
+/**
+ * @param {object} extracted    this run's parsed fields
+ * @param {object[]} siblings   parsed fields of the other runs saved together (other images of the same card)
+ * @param {object} finalValues  what was saved, keyed like FIELD_KEYS (form fields only)
+ * @returns {object} { field: { extracted, saved, outcome } }
+ */
+export function compareWithSaved(extracted, siblings, finalValues) {
+    const corrections = {};
+
+    for (const field of FIELD_KEYS) {
+        if (!(field in finalValues)) continue;
+        const was = extracted[field] ?? null;
+        const saved = finalValues[field] ?? null;
+
+        let outcome = null;
+        if (normaliseValue(was) !== null) {
+            outcome = normaliseValue(was) === normaliseValue(saved) ? 'kept' : 'corrected';
+        } else if (normaliseValue(saved) !== null && !siblings.some(s => normaliseValue(s[field]) !== null)) {
+            outcome = 'missed';
+        }
+        if (outcome) corrections[field] = { extracted: was, saved, outcome };
+    }
+
+    return corrections;
+}
+
+/**
+ * Roll saved runs up per template.
+ *
+ * @param {object[]} runs  [{ template_id, corrections (JSON) }]
+ * @returns {object[]} [{ template_id, runs, corrected_fields, fields: [{ field, kept, corrected, missed, correction_rate }] }]
+ *          templates with the most fixes first; within a template, most-fixed fields first
+ */
+export function summariseCorrections(runs) {
+    const templates = {};
+
+    for (const run of runs) {
+        const id = run.template_id || 'unknown';
+        const summary = templates[id] ??= { template_id: id, runs: 0, corrected_fields: 0, fields: {} };
+        summary.runs++;
+
+        for (const [field, c] of Object.entries(JSON.parse(run.corrections || '{}'))) {
+            const counts = summary.fields[field] ??= { field, kept: 0, corrected: 0, missed: 0 };
+            counts[c.outcome]++;
+            if (c.outcome !== 'kept') summary.corrected_fields++;
+        }
+    }
+
+    return Object.values(templates)
+        .map(t => ({
+            ...t,
+            fields: Object.values(t.fields)
+                .map(f => ({
+                    ...f,
+                    // Share of times the reviewer had to touch this field
+                    correction_rate: Math.round(((f.corrected + f.missed) / (f.kept + f.corrected + f.missed)) * 1000) / 1000,
+                }))
+                .sort((a, b) => (b.corrected + b.missed) - (a.corrected + a.missed) || b.correction_rate - a.correction_rate),
+        }))
+        .sort((a, b) => b.corrected_fields - a.corrected_fields);
+}
@@ -0,0 +1,104 @@
+/**
+ * OCR Accuracy Evaluation
+ * Runs the regression corpus (./corpus.js) through parseDocument() and scores the result per
+ * field, and re-parses stored OCR texts to show what a parser change would do to past uploads.
+ *
+ * Per field, over every fixture:
+ *   true positive  — extracted and equal to the expected value
+ *   false positive — extracted but wrong, or extracted where nothing was expected
+ *   false negative — expected but missing or wrong
+ *   precision = TP / (TP + FP), recall = TP / (TP + FN)
+ */
+
+import { parseDocument } from './index.js';
+import { FIELD_KEYS, normaliseValue } from './extractors.js';
+import { CORPUS } from './corpus.js';
+
+/**
+ * @param {Array} [corpus]  fixtures: [{ id, template, document_type?, text, expected }]
+ * @returns {object} { fixtures, template_accuracy, overall, fields: { field: { tp, fp, fn, precision, recall } }, failures }
+ */
+export function evaluateCorpus(corpus = CORPUS) {
+    const counts = Object.fromEntries(FIELD_KEYS.map(k => [k, { tp: 0, fp: 0, fn: 0 }]));
+    const failures = [];
+    let templateHits = 0;
+
+    for (const fixture of corpus) {
+        const result = parseDocument(fixture.text, fixture.document_type || 'auto');
+        const mismatches = [];
+
+        for (const field of FIELD_KEYS) {
+            const expected = normaliseValue(fixture.expected[field]);
+            const actual = normaliseValue(result.fields[field]);
+            if (expected === null && actual === null) continue;
+
+            if (actual !== null && actual === expected) {
+                counts[field].tp++;
+                continue;
+            }
+            if (actual !== null) counts[field].fp++;
+            if (expected !== null) counts[field].fn++;
+            mismatches.push({ field, expected: fixture.expected[field] ?? null, actual: result.fields[field] ?? null });
+        }
+
+        const templateOk = !fixture.template || fixture.template === result.template.id;
+        if (templateOk) templateHits++;
+
+        if (mismatches.length > 0 || !templateOk) {
+            failures.push({
+                id: fixture.id,
+                expected_template: fixture.template || null,
+                template: result.template.id,
+                mismatches,
+            });
+        }
+    }
+
+    const fields = Object.fromEntries(Object.entries(counts).map(([field, c]) => [field, { ...c, ...rates(c) }]));
+    const total = Object.values(counts).reduce((sum, c) => ({ tp: sum.tp + c.tp, fp: sum.fp + c.fp, fn: sum.fn + c.fn }), { tp: 0, fp: 0, fn: 0 });
+
+    return {
+        fixtures: corpus.length,
+        template_accuracy: corpus.length > 0 ? round(templateHits / corpus.length) : null,
+        overall: { ...total, ...rates(total) },
+        fields,
+        failures,
+    };
+}
+
+/**
+ * Re-parse one stored OCR run with the current parser.
+ *
+ * @param {object} run  ocr_runs row: { raw_text, document_type, template_id, extracted (JSON) }
+ * @returns {object} { template_before, template_after, changes: [{ field, before, after }] }
+ */
+export function replayRun(run) {
+    const before = JSON.parse(run.extracted || '{}');
+    const result = parseDocument(run.raw_text, run.document_type || 'auto');
+
+    const changes = [];
+    for (const field of FIELD_KEYS) {
+        const was = before[field] ?? null;
+        const now = result.fields[field] ?? null;
+        if (normaliseValue(was) !== normaliseValue(now)) changes.push({ field, before: was, after: now });
+    }
+
+    return {
+        template_before: run.template_id || null,
+        template_after: result.template.id,
+        changes,
+    };
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+function rates({ tp, fp, fn }) {
+    return {
+        precision: tp + fp > 0 ? round(tp / (tp + fp)) : null,
+        recall: tp + fn > 0 ? round(tp / (tp + fn)) : null,
+    };
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,1106 @@
+/**
+ * OCR Field Extractors
+ * Building blocks for the document templates in ./templates/: each extractor reads one group
+ * of fields from the OCR text and records them with how they were found.
+ *
+ * Every extractor takes (ctx, out):
+ *   ctx — { text (upper-cased), lines, upperLines (trimmed, non-empty), isCertification }
+ *   out — field set from createFieldSet(); extractors only fill fields that are still empty
+ *         unless a more specific rule is meant to win
+ */
+
+import { correctFin, findFinInText } from '../utils/fin.js';
+
+// Every field a template can return — the review form and worker/certification records use these keys
+export const FIELD_KEYS = [
+    'worker_name', 'fin_number', 'pass_type', 'pass_no', 'date_of_birth', 'nationality', 'sex', 'race',
+    'address', 'country_of_birth', 'employer_name', 'pass_expiry', 'passport_no', 'passport_expiry',
+    'course_title', 'course_provider', 'cert_serial_no', 'course_duration', 'issue_date', 'expiry_date',
+];
+
+/**
+ * Empty result: { fields, evidence, found(field, value, rule, source) }.
+ * evidence[field] = { rule: 'labelled' | 'next_line' | 'heuristic' | 'template' | 'mrz', source: text it was read from }
+ */
+export function createFieldSet() {
+    const fields = Object.fromEntries(FIELD_KEYS.map(k => [k, null]));
+    fields.fin_validation = null;
+    fields.mrz_validation = null;
+    const evidence = {};
+    return {
+        fields,
+        evidence,
+        found(field, value, rule, source) {
+            fields[field] = value;
+            evidence[field] = { rule, source };
+        },
+    };
+}
+
+/**
+ * Split raw OCR text into the shared extractor context.
+ */
+export function buildContext(rawText, isCertification) {
+    return {
+        text: rawText.toUpperCase(),
+        lines: rawText.split('\n').map(l => l.trim()).filter(Boolean),
+        upperLines: rawText.toUpperCase().split('\n').map(l => l.trim()).filter(Boolean),
+        isCertification,
+    };
+}
+
+/**
+ * Detection score from weighted signals: [[RegExp, weight], …] tested against the upper-cased
+ * text. Negative weights count against a template. Clamped to 0–1.
+ */
+export function scoreSignals(text, signals) {
+    const score = signals.reduce((sum, [pattern, weight]) => sum + (pattern.test(text) ? weight : 0), 0);
+    return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+}
+
+// ─── Pass / ID card fields ────────────────────────────────
+
+/**
+ * FIN / NRIC number.
+ *   FIN: F/G/M + 7 digits + check letter
+ *   NRIC: S/T + 7 digits + check letter
+ */
+export function extractFin(ctx, out) {
+    const { text } = ctx;
+    const { fields, found } = out;
+
+    // Singapore IC: "IDENTITY CARD NO." pattern
+    const icNoMatch = text.match(/IDENTITY\s*CARD\s*(?:NO\.?|NUMBER)\s*[:\-]?\s*([STFGM]\d{7}[A-Z])/);
+    if (icNoMatch) {
+        found('fin_number', icNoMatch[1], 'labelled', icNoMatch[0]);
+    }
+
+    // "NRIC No:" on back of card
+    if (!fields.fin_number) {
+        const nricNoMatch = text.match(/NRIC\s*(?:NO\.?|NUMBER)\s*[:\-]?\s*([ST]\d{7}[A-Z])/);
+        if (nricNoMatch) {
+            found('fin_number', nricNoMatch[1], 'labelled', nricNoMatch[0]);
+        }
+    }
+
+    // Other labeled patterns: "FIN", "ID NO", "ID Number"
+    if (!fields.fin_number) {
+        const idLabelMatch = text.match(/(?:FIN|ID\s*(?:NO|NUMBER)\.?)\s*[:\-]?\s*([FGMST]\d{7}[A-Z])/);
+        if (idLabelMatch) {
+            found('fin_number', idLabelMatch[1], 'labelled', idLabelMatch[0]);
+        }
+    }
+
+    // Name with ID in parentheses: "VERNON TAN (S7616077E)" — name on the same line only
+    if (!fields.fin_number) {
+        const nameIdMatch = text.match(/([A-Z][A-Z .'\-]{4,})[ \t]*\(([FGMST]\d{7}[A-Z])\)/);
+        if (nameIdMatch) {
+            found('fin_number', nameIdMatch[2], 'heuristic', nameIdMatch[0]);
+            if (!fields.worker_name) {
+                const candidate = cleanName(nameIdMatch[1]);
+                if (isValidName(candidate)) found('worker_name', candidate, 'heuristic', nameIdMatch[0]);
+            }
+        }
+    }
+
+    // General scan for FIN/NRIC-format string
+    if (!fields.fin_number) {
+        const finMatch = text.match(/\b([FGMST]\d{7}[A-Z])\b/);
+        if (finMatch) {
+            found('fin_number', finMatch[1], 'heuristic', finMatch[0]);
+        }
+    }
+}
+
+/**
+ * Pass number (separate from FIN) — the work permit number on a Work Permit card.
+ * Typically 8-9 digits, printed with spaces like "0 34773262".
+ * Found on the front of the Work Permit card.
+ */
+export function extractWorkPermitNo(ctx, out) {
+    const { text, upperLines } = ctx;
+    const { fields, found } = out;
+
+    const wpPatterns = [
+        /WORK\s*PERMIT\s*NO\.?\s*:?\s*(\d[\d\s]{6,})/i,
+        /WP\s*NO\.?\s*:?\s*(\d[\d\s]{6,})/i,
+        /PERMIT\s*NO\.?\s*:?\s*(\d[\d\s]{6,})/i,
+        /\bPASS\s*NO\.?\s*:?\s*(\d[\d\s]{6,})/i,
+    ];
+
+    for (const pattern of wpPatterns) {
+        const match = text.match(pattern);
+        if (match) {
+            found('pass_no', match[1].trim(), 'labelled', match[0]);
+            break;
+        }
+    }
+
+    // If "Work Permit No" label found but number is on the next line
+    if (!fields.pass_no) {
+        for (let i = 0; i < upperLines.length; i++) {
+            if (upperLines[i].match(/WORK\s*PERMIT\s*NO/)) {
+                const sameLine = upperLines[i].match(/WORK\s*PERMIT\s*NO\.?\s*:?\s*(\d[\d\s]+)/);
+                if (sameLine) {
+                    found('pass_no', sameLine[1].trim(), 'labelled', upperLines[i]);
+                } else if (i + 1 < upperLines.length) {
+                    const nextLine = upperLines[i + 1];
+                    const sameNextLine = nextLine.match(/^(\d[\d\s]{6,})/);
+                    if (sameNextLine) {
+                        found('pass_no', sameNextLine[1].trim(), 'next_line', nextLine);
+                    }
+                }
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Pass type from the card title. Most specific title first: "DEPENDANT'S PASS" ends in
+ * "S PASS" and "TRAINING WORK PERMIT" contains "WORK PERMIT". Left empty when the card
+ * doesn't say (a visit pass, the back of a card) — saving a worker then defaults it from the FIN.
+ */
+export const PASS_TITLES = [
+    [/DEPENDANT'?[S5]?\s*PASS\b/, 'dependant_pass'],
+    [/TRAINING\s*WORK\s*PERMIT/, 'training_work_permit'],
+    [/EMPLOYMENT\s*PASS\b/, 'employment_pass'],
+    [/(?:^|[^A-Z'’])S[\s\-]*PASS\b/m, 's_pass'],
+    [/WORK\s*PERMIT/, 'work_permit'],
+];
+
+export function extractPassType(ctx, out) {
+    if (out.fields.pass_type) return;
+    for (const [pattern, passType] of PASS_TITLES) {
+        const match = ctx.text.match(pattern);
+        if (match) {
+            out.found('pass_type', passType, 'labelled', match[0].trim());
+            return;
+        }
+    }
+}
+
+/**
+ * An NRIC is only issued to citizens and PRs, so the identity card templates set the type
+ * outright.
+ */
+export function markCitizenPr(ctx, out) {
+    const source = ctx.text.match(/IDENTITY\s*CARD|\b[ST]\d{7}[A-Z]\b/)?.[0] || 'NRIC';
+    out.found('pass_type', 'citizen_pr', 'template', source);
+}
+
+/**
+ * Worker name — line-by-line approach.
+ * Look for "Name" label and take the text on the next line(s) that looks like a
+ * person name (all letters), then fall back to certificate layouts.
+ */
+export function extractWorkerName(ctx, out) {
+    const { text, upperLines, isCertification } = ctx;
+    const { fields, found } = out;
+
+    for (let i = 0; i < upperLines.length; i++) {
+        const line = upperLines[i];
+
+        // Skip lines that contain "NAME" as part of another label
+        if (line.match(/^NAME\s*$/i) ||
+            line.match(/^NAME\s*[:\-]/i) ||
+            line.match(/^NAME\s+OF\s+(WORKER|HOLDER)/i)) {
+
+            // The name might be on the same line after the label
+            const sameLineMatch = line.match(/^NAME\s*(?:OF\s+(?:WORKER|HOLDER))?\s*[:\-]?\s+([A-Z][A-Z\s.'-]{2,})/);
+            if (sameLineMatch) {
+                const candidate = cleanName(sameLineMatch[1]);
+                if (isValidName(candidate)) {
+                    found('worker_name', candidate, 'labelled', line);
+                    break;
+                }
+            }
+
+            // Otherwise, look at the following lines
+            for (let j = i + 1; j < Math.min(i + 4, upperLines.length); j++) {
+                const nextLine = upperLines[j].trim();
+                // Skip FIN-like numbers, empty lines, and labels
+                if (nextLine.match(/^[A-Z]\d{7}[A-Z]$/)) continue; // FIN number
+                if (nextLine.match(/^\d+$/)) continue; // just numbers
+                if (nextLine.match(/^(WORK\s*PERMIT|SECTOR|DOB|DATE|SEX|EMPLOYER|NATIONALITY|ID\s*NO|FIN|SERIAL|ISSUED)/)) break;
+
+                // This line should be the name — all uppercase letters, spaces, dots, hyphens
+                if (nextLine.match(/^[A-Z][A-Z\s.'\-\/]{2,}$/) && !nextLine.match(/PTE|LTD|SDN|BHD|CORP|INC|COMPANY/)) {
+                    const candidate = cleanName(nextLine);
+                    if (isValidName(candidate)) {
+                        found('worker_name', candidate, 'next_line', nextLine);
+                        break;
+                    }
+                }
+            }
+            break;
+        }
+    }
+
+    // Fallback: look for "NAME" with inline value (with or without colon)
+    if (!fields.worker_name) {
+        const nameInline = text.match(/NAME\s*[:\-]?\s+([A-Z][A-Z\s.'\-]{2,})/);
+        if (nameInline) {
+            const candidate = cleanName(nameInline[1]);
+            if (isValidName(candidate)) {
+                found('worker_name', candidate, 'labelled', nameInline[0]);
+            }
+        }
+    }
+
+    // Fallback for certs without "Name:" label:
+    // look for a line that looks like a person name, positioned before the FIN line
+    if (!fields.worker_name && isCertification && fields.fin_number) {
+        const finIdx = upperLines.findIndex(l => l.includes(fields.fin_number));
+        if (finIdx > 0) {
+            for (let i = finIdx - 1; i >= 0 && i >= finIdx - 3; i--) {
+                const line = upperLines[i].trim();
+                // Strip ID in parentheses if present
+                const cleaned = line.replace(/\s*\([FGMST]\d{7}[A-Z]\)/, '').trim();
+                if (cleaned.match(/^[A-Z][A-Z\s.'\-\/]{4,}$/) &&
+                    !cleaned.match(/ACADEMY|PTE|LTD|COURSE|CERTIFICATE|TRAINING|PERFORM|HEIGHT|SAFETY|WORK|SINGAPORE|QUALIFICATION/) &&
+                    !cleaned.match(/SERIAL|STUDENT|NUMBER|ISSUED|VALID|VENUE|GLOBAL|ACHIEVEMENT|COMPLETION|CERTIFY|ATTENDED|COMPLETED/) &&
+                    !cleaned.match(/^[FGMST]\d{7}[A-Z]$/)) {
+                    const candidate = cleanName(cleaned);
+                    if (isValidName(candidate) && candidate.split(/\s+/).length >= 2) {
+                        found('worker_name', candidate, 'heuristic', line);
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
+    // Fallback: "This is to certify that" → name on following line(s)
+    if (!fields.worker_name) {
+        for (let i = 0; i < upperLines.length; i++) {
+            if (upperLines[i].match(/THIS\s*IS\s*TO\s*CERTIFY/)) {
+                // Name is typically 1-3 lines after
+                for (let j = i + 1; j < Math.min(i + 4, upperLines.length); j++) {
+                    let nameLine = upperLines[j].trim();
+                    // Skip filler text
+                    if (nameLine.match(/^(HAS\s|THAT\s|THE\s|WHO\s)/)) continue;
+                    if (nameLine.length < 4) continue;
+                    // Strip ID in parentheses
+                    nameLine = nameLine.replace(/\s*\([FGMST]\d{7}[A-Z]\)/, '').trim();
+                    if (nameLine.match(/^[A-Z][A-Z\s.'\-]{3,}$/) && !nameLine.match(/ACADEMY|COURSE|CERTIFICATE|TRAINING|COMPLETION|ACHIEVEMENT/)) {
+                        const candidate = cleanName(nameLine);
+                        if (isValidName(candidate) && candidate.split(/\s+/).length >= 2) {
+                            found('worker_name', candidate, 'next_line', upperLines[j]);
+                            break;
+                        }
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    // Fallback: label-below-value (Autodesk format): line before "NAME" label
+    if (!fields.worker_name) {
+        for (let i = 1; i < upperLines.length; i++) {
+            if (upperLines[i].match(/^NAME\s*$/)) {
+                const prev = upperLines[i - 1].trim();
+                if (prev.match(/^[A-Z][A-Z\s.'\-]{3,}$/) && !prev.match(/CERTIFICATE|COMPLETION|ACHIEVEMENT|COURSE/)) {
+                    const candidate = cleanName(prev);
+                    if (isValidName(candidate)) {
+                        found('worker_name', candidate, 'next_line', prev);
+                    }
+                }
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Employer — "Employer" label, value on the same or next line; else a "PTE LTD" name.
+ */
+export function extractEmployer(ctx, out) {
+    const { text, upperLines } = ctx;
+    const { fields, found } = out;
+
+    for (let i = 0; i < upperLines.length; i++) {
+        if (upperLines[i].match(/^EMPLOYER\s*$/i) ||
+            upperLines[i].match(/^EMPLOYER\s*[:\-]/i)) {
+
+            // Same line?
+            const sameLineMatch = upperLines[i].match(/^EMPLOYER\s*[:\-]?\s+(.+)/);
+            if (sameLineMatch && sameLineMatch[1].trim().length > 2) {
+                found('employer_name', sameLineMatch[1].trim(), 'labelled', upperLines[i]);
+                break;
+            }
+
+            // Next line
+            if (i + 1 < upperLines.length) {
+                const nextLine = upperLines[i + 1].trim();
+                if (nextLine.length > 2 && !nextLine.match(/^(NAME|WORK\s*PERMIT|SECTOR)/)) {
+                    found('employer_name', nextLine, 'next_line', nextLine);
+                    break;
+                }
+            }
+            break;
+        }
+    }
+
+    // Fallback: look for PTE LTD pattern
+    if (!fields.employer_name) {
+        const pteMatch = text.match(/([A-Z0-9][A-Z0-9\s&.,]+PTE\.?\s*LTD\.?)/);
+        if (pteMatch) found('employer_name', pteMatch[1].trim(), 'heuristic', pteMatch[0]);
+    }
+}
+
+/**
+ * Nationality — labelled, else the first known nationality mentioned.
+ */
+export function extractNationality(ctx, out) {
+    const { text } = ctx;
+    const { fields, found } = out;
+
+    const nationalityPatterns = [
+        /NATIONALITY\s*[:\-]?\s*([A-Z][A-Z\s]+?)(?:\n|$)/,
+        /COUNTRY\s*(?:OF\s*ORIGIN)?\s*[:\-]?\s*([A-Z][A-Z\s]+?)(?:\n|$)/,
+    ];
+    const knownNationalities = [
+        'INDIAN', 'INDIA', 'BANGLADESHI', 'BANGLADESH', 'CHINESE', 'CHINA', 'PRC',
+        'NEPALESE', 'NEPAL', 'VIETNAMESE', 'VIETNAM', 'THAI', 'THAILAND',
+        'MYANMAR', 'BURMESE', 'FILIPINO', 'PHILIPPINES', 'INDONESIAN', 'INDONESIA',
+        'SRI LANKAN', 'SRI LANKA', 'MALAYSIAN', 'MALAYSIA', 'PAKISTANI', 'PAKISTAN',
+    ];
+
+    for (const pattern of nationalityPatterns) {
+        const match = text.match(pattern);
+        if (match) {
+            found('nationality', match[1].trim(), 'labelled', match[0]);
+            break;
+        }
+    }
+    if (!fields.nationality) {
+        for (const nat of knownNationalities) {
+            if (text.includes(nat)) {
+                found('nationality', nat, 'heuristic', nat);
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Sex.
+ */
+export function extractSex(ctx, out) {
+    const { text } = ctx;
+    const { found } = out;
+
+    const sexMatch = text.match(/SEX\s*[:\-]?\s*(MALE|FEMALE|M|F)\b/);
+    if (sexMatch) {
+        found('sex', sexMatch[1] === 'MALE' ? 'M' : sexMatch[1] === 'FEMALE' ? 'F' : sexMatch[1], 'labelled', sexMatch[0]);
+    }
+}
+
+/**
+ * Race (Singapore IC, Work Permit).
+ */
+export function extractRace(ctx, out) {
+    const { text, upperLines, isCertification } = ctx;
+    const { fields, found } = out;
+
+    const knownRaces = ['CHINESE', 'MALAY', 'INDIAN', 'EURASIAN', 'CAUCASIAN', 'JAPANESE', 'KOREAN', 'SIKH'];
+    for (let i = 0; i < upperLines.length; i++) {
+        if (upperLines[i].match(/^RACE\s*$/)) {
+            // Value on the NEXT line
+            if (i + 1 < upperLines.length) {
+                const nextLine = upperLines[i + 1].trim();
+                if (knownRaces.some(r => nextLine.includes(r))) {
+                    found('race', nextLine, 'next_line', nextLine);
+                    break;
+                }
+            }
+        }
+        // Same-line: "Race CHINESE"
+        const raceMatch = upperLines[i].match(/RACE\s*[:\-]?\s*(CHINESE|MALAY|INDIAN|EURASIAN|CAUCASIAN|JAPANESE|KOREAN|SIKH)/);
+        if (raceMatch) {
+            found('race', raceMatch[1].trim(), 'labelled', raceMatch[0]);
+            break;
+        }
+    }
+    // Fallback: scan for known race words near "Race" label
+    if (!fields.race && !isCertification) {
+        for (const race of knownRaces) {
+            if (text.includes(race)) {
+                found('race', race, 'heuristic', race);
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Country / place of birth (Singapore IC).
+ */
+export function extractCountryOfBirth(ctx, out) {
+    const { upperLines } = ctx;
+    const { found } = out;
+
+    for (let i = 0; i < upperLines.length; i++) {
+        const countryMatch = upperLines[i].match(/(?:COUNTRY|PLACE)\s*(?:\/\s*PLACE)?\s*(?:OF\s*)?BIRTH\s*[:\-]?\s*/);
+        if (countryMatch) {
+            // Value after the label on same line
+            const afterLabel = upperLines[i].replace(countryMatch[0], '').trim();
+            if (afterLabel.length >= 3) {
+                found('country_of_birth', afterLabel, 'labelled', upperLines[i]);
+            } else if (i + 1 < upperLines.length) {
+                // Value on next line
+                const nextLine = upperLines[i + 1].trim();
+                if (nextLine.length >= 3 && !nextLine.match(/^(DATE|SEX|RACE|NAME|FIN|NRIC|IDENTITY)/)) {
+                    found('country_of_birth', nextLine, 'next_line', nextLine);
+                }
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Address (Singapore IC back)
+ * e.g. "APT BLK 221 BOON LAY PLACE #20-104\nSINGAPORE 640221"
+ */
+export function extractAddress(ctx, out) {
+    const { lines, upperLines } = ctx;
+    const { fields, found } = out;
+
+    // Look for address patterns: BLK, APT, SINGAPORE + postal code
+    const addressParts = [];
+    for (let i = 0; i < upperLines.length; i++) {
+        // Detect lines with block/street patterns or Singapore postal code
+        if (upperLines[i].match(/(?:APT|BLK|BLOCK|AVENUE|AVE|ROAD|RD|STREET|ST|PLACE|DRIVE|DR|CRESCENT|CRES|LANE|LN|TERRACE|LORONG|LOR|JALAN|JLN|TAMPINES|WOODLANDS|JURONG|YISHUN|BEDOK|TOA PAYOH|ANG MO KIO|BUKIT|SENGKANG|PUNGGOL|PASIR RIS|CLEMENTI|QUEENSTOWN|BOON LAY|CHOA CHU KANG|HOUGANG|SERANGOON|GEYLANG)/)) {
+            addressParts.push(lines[i].trim());
+            // Check next lines for continuation (e.g. "SINGAPORE 640221")
+            for (let j = i + 1; j < Math.min(i + 3, upperLines.length); j++) {
+                if (upperLines[j].match(/SINGAPORE\s*\d{6}/) || upperLines[j].match(/^#?\d+[\-\/]\d+/)) {
+                    addressParts.push(lines[j].trim());
+                } else break;
+            }
+            break;
+        }
+        // Also detect "SINGAPORE xxxxxx" standalone
+        if (upperLines[i].match(/^SINGAPORE\s+\d{6}$/) && !fields.address) {
+            // Look backwards for address lines
+            for (let j = i - 1; j >= Math.max(0, i - 3); j--) {
+                if (upperLines[j].match(/(?:APT|BLK|BLOCK|AVENUE|AVE|ROAD|STREET|PLACE|DRIVE|#\d)/)) {
+                    addressParts.unshift(lines[j].trim());
+                }
+            }
+            addressParts.push(lines[i].trim());
+            break;
+        }
+    }
+    if (addressParts.length > 0) {
+        found('address', addressParts.join(', '), 'heuristic', addressParts[0]);
+    }
+}
+
+/**
+ * Date of issue (IC back).
+ */
+export function extractIcIssueDate(ctx, out) {
+    const { text } = ctx;
+    const { fields, found } = out;
+
+    if (!fields.issue_date) {
+        const dateOfIssueMatch = text.match(/DATE\s*(?:OF\s*)?ISSUE\s*[:;\-]?\s*(\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{4})/);
+        if (dateOfIssueMatch) {
+            found('issue_date', formatDate(dateOfIssueMatch[1]), 'labelled', dateOfIssueMatch[0]);
+        }
+    }
+}
+
+// ─── Dates ────────────────────────────────────────────────
+
+/**
+ * Dates — context-aware routing
+ *   "Course Date" → issue_date (NOT DOB)
+ *   "Date of Birth" / "DOB" → date_of_birth
+ *   "Issue Date" / "Issued" → issue_date
+ *   "Expiry" / "Valid Until" → pass_expiry on passes, expiry_date on certificates
+ *   "Validity: No Expiry" → expiry_date = 'No Expiry'
+ * Unlabelled dates are assigned last, from the sorted leftovers.
+ */
+export function extractDates(ctx, out) {
+    const { text, upperLines, isCertification } = ctx;
+    const { fields, found } = out;
+
+    // Course Date → issue_date
+    const courseDateMatch = text.match(/COURSE\s*DATE\s*[:\-]?\s*(\d{1,2}[\\\/\\.\\-]\d{1,2}[\\\/\\.\\-]\d{4})/);
+    if (courseDateMatch) {
+        found('issue_date', formatDate(courseDateMatch[1]), 'labelled', courseDateMatch[0]);
+    }
+
+    // Text-month course date: "13-FEBRUARY-2022" or labeled "COURSE DATE" above
+    if (!fields.issue_date) {
+        for (let i = 0; i < upperLines.length; i++) {
+            if (upperLines[i].match(/^COURSE\s*DATE\s*$/)) {
+                // Value on PREVIOUS line (label-below-value) or on SAME line after label
+                if (i > 0) {
+                    const prev = upperLines[i - 1].trim();
+                    const textDate = parseTextMonthDate(prev);
+                    if (textDate) { found('issue_date', textDate, 'next_line', prev); break; }
+                }
+            }
+        }
+    }
+
+    // Explicit DOB (only for non-certification docs)
+    const dobMatch = text.match(/(?:DATE\s*OF\s*BIRTH|DOB|D\.?O\.?B\.?|BORN)\s*[:\-]?\s*(\d{1,2}[\\\/\\.\\-]\d{1,2}[\\\/\\.\\-]\d{4})/);
+    if (dobMatch) {
+        found('date_of_birth', formatDate(dobMatch[1]), 'labelled', dobMatch[0]);
+    }
+
+    // Fallback: DOB label and date on separate lines (IC format)
+    if (!fields.date_of_birth) {
+        for (let i = 0; i < upperLines.length; i++) {
+            if (upperLines[i].match(/DATE\s*OF\s*BIRTH|^DOB$/)) {
+                // Check next line for a date
+                if (i + 1 < upperLines.length) {
+                    const nextLine = upperLines[i + 1].trim();
+                    const dateMatch = nextLine.match(/^(\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{4})/);
+                    if (dateMatch) {
+                        found('date_of_birth', formatDate(dateMatch[1]), 'next_line', nextLine);
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    // Explicit Issue Date — also match "Issued Date:" pattern
+    if (!fields.issue_date) {
+        const issueMatch = text.match(/(?:ISSUED?\s*DATE|ISSUE|ISSUED|DATE\s*OF\s*ISSUE)\s*[:\-]?\s*(\d{1,2}[\\\/\\.\\-]\d{1,2}[\\\/\\.\\-]\d{4})/);
+        if (issueMatch) found('issue_date', formatDate(issueMatch[1]), 'labelled', issueMatch[0]);
+    }
+
+    // Text-month issue dates: "Issued Date: 07 June 2025" or "14 December 2011"
+    if (!fields.issue_date) {
+        const issueTmMatch = text.match(/(?:ISSUED?\s*DATE|ISSUE|ISSUED|DATE\s*OF\s*ISSUE)\s*[:\-]?\s*(\d{1,2}[\s\-](?:JAN(?:UARY)?|FEB(?:RUARY)?|MAR(?:CH)?|APR(?:IL)?|MAY|JUN(?:E)?|JUL(?:Y)?|AUG(?:UST)?|SEP(?:TEMBER)?|OCT(?:OBER)?|NOV(?:EMBER)?|DEC(?:EMBER)?)\s*[,\-]?\s*\d{4})/i);
+        if (issueTmMatch) {
+            found('issue_date', parseTextMonthDate(issueTmMatch[1]), 'labelled', issueTmMatch[0]);
+        }
+    }
+
+    // Date range: "16 NOV 2017 TO 21 DEC 2017" → issue_date = end date
+    if (!fields.issue_date) {
+        const rangeMatch = text.match(/(\d{1,2}[\s\-](?:JAN(?:UARY)?|FEB(?:RUARY)?|MAR(?:CH)?|APR(?:IL)?|MAY|JUN(?:E)?|JUL(?:Y)?|AUG(?:UST)?|SEP(?:TEMBER)?|OCT(?:OBER)?|NOV(?:EMBER)?|DEC(?:EMBER)?)\s*[,\-]?\s*\d{4})\s+TO\s+(\d{1,2}[\s\-](?:JAN(?:UARY)?|FEB(?:RUARY)?|MAR(?:CH)?|APR(?:IL)?|MAY|JUN(?:E)?|JUL(?:Y)?|AUG(?:UST)?|SEP(?:TEMBER)?|OCT(?:OBER)?|NOV(?:EMBER)?|DEC(?:EMBER)?)\s*[,\-]?\s*\d{4})/i);
+        if (rangeMatch) {
+            found('issue_date', parseTextMonthDate(rangeMatch[2]), 'heuristic', rangeMatch[0]); // use END date
+        }
+    }
+
+    // "conducted on ... December 2011" → try to extract a date
+    if (!fields.issue_date) {
+        const conductedMatch = text.match(/CONDUCTED\s+ON\s+.+?(\d{1,2})(?:ST|ND|RD|TH)?\s+(?:AND\s+\d{1,2}(?:ST|ND|RD|TH)?\s+)?((?:JAN(?:UARY)?|FEB(?:RUARY)?|MAR(?:CH)?|APR(?:IL)?|MAY|JUN(?:E)?|JUL(?:Y)?|AUG(?:UST)?|SEP(?:TEMBER)?|OCT(?:OBER)?|NOV(?:EMBER)?|DEC(?:EMBER)?)\s*[,\-]?\s*\d{4})/i);
+        if (conductedMatch) {
+            found('issue_date', parseTextMonthDate(conductedMatch[1] + ' ' + conductedMatch[2]), 'heuristic', conductedMatch[0]);
+        }
+    }
+
+    // Standalone text-month date as last resort for issue_date on certs
+    if (!fields.issue_date && isCertification) {
+        // Look for a standalone date line with text month
+        for (const ul of upperLines) {
+            const d = parseTextMonthDate(ul);
+            if (d) {
+                found('issue_date', d, 'heuristic', ul);
+                break;
+            }
+        }
+    }
+
+    // Expiry Date — route to pass_expiry for passes / IC, expiry_date for certs
+    const expiryMatch = text.match(/(?:EXPIR|VALID\s*(?:UNTIL|TILL|TO)|EXP\.?)\s*[:\-]?\s*(\d{1,2}[\\\/\\.\\-]\d{1,2}[\\\/\\.\\-]\d{4})/);
+    if (expiryMatch) {
+        const parsedExpiry = formatDate(expiryMatch[1]);
+        if (!isCertification) {
+            found('pass_expiry', parsedExpiry, 'labelled', expiryMatch[0]);
+        } else {
+            found('expiry_date', parsedExpiry, 'labelled', expiryMatch[0]);
+        }
+    }
+
+    // Text-month expiry: "Valid Until 15 June 2027"
+    if (!fields.pass_expiry && !fields.expiry_date) {
+        const expiryTmMatch = text.match(/(?:EXPIR|VALID\s*(?:UNTIL|TILL|TO)|EXP\.?)\s*[:\-]?\s*(\d{1,2}[\s\-](?:JAN(?:UARY)?|FEB(?:RUARY)?|MAR(?:CH)?|APR(?:IL)?|MAY|JUN(?:E)?|JUL(?:Y)?|AUG(?:UST)?|SEP(?:TEMBER)?|OCT(?:OBER)?|NOV(?:EMBER)?|DEC(?:EMBER)?)\s*[,\-]?\s*\d{4})/i);
+        if (expiryTmMatch) {
+            const parsedTm = parseTextMonthDate(expiryTmMatch[1]);
+            if (parsedTm) {
+                if (!isCertification) {
+                    found('pass_expiry', parsedTm, 'labelled', expiryTmMatch[0]);
+                } else {
+                    found('expiry_date', parsedTm, 'labelled', expiryTmMatch[0]);
+                }
+            }
+        }
+    }
+
+    // "Validity: No Expiry" / "Validity Period: NIL" handling
+    if (!fields.expiry_date) {
+        const noExpiryMatch = text.match(/VALIDITY\s*(?:PERIOD)?\s*[:\-]?\s*(?:NO\s*EXPIRY|NIL|N\/A|NONE|LIFETIME|NO\s*LIMIT)/);
+        if (noExpiryMatch) {
+            found('expiry_date', 'No Expiry', 'labelled', noExpiryMatch[0]);
+        }
+    }
+
+    // Collect all dates for fallback
+    const datePattern = /(\d{1,2})[\\\/\\.\\-](\d{1,2})[\\\/\\.\\-](\d{4})/g;
+    const dates = [];
+    const dateSources = {}; // ISO date → text it was read from
+    let dateMatch2;
+    while ((dateMatch2 = datePattern.exec(text)) !== null) {
+        const day = dateMatch2[1].padStart(2, '0');
+        const month = dateMatch2[2].padStart(2, '0');
+        const year = dateMatch2[3];
+        dates.push(`${year}-${month}-${day}`);
+        dateSources[`${year}-${month}-${day}`] ??= dateMatch2[0];
+    }
+    const fromDates = (field, date) => found(field, date, 'heuristic', dateSources[date]);
+
+    // Fallback DOB: if this is NOT a certification, use earliest date
+    if (!fields.date_of_birth && !isCertification && dates.length > 0) {
+        const sorted = [...dates].sort();
+        fromDates('date_of_birth', sorted[0]);
+    }
+
+    // Fallback issue/expiry from remaining dates
+    if (!fields.issue_date && !fields.expiry_date && dates.length >= 2) {
+        const sorted = [...dates].sort();
+        const remaining = sorted.filter(d => d !== fields.date_of_birth);
+        if (remaining.length >= 2) {
+            fromDates('issue_date', remaining[0]);
+            if (!isCertification) {
+                if (!fields.pass_expiry) fromDates('pass_expiry', remaining[remaining.length - 1]);
+            } else {
+                fromDates('expiry_date', remaining[remaining.length - 1]);
+            }
+        } else if (remaining.length === 1) {
+            if (isCertification) {
+                fromDates('issue_date', remaining[0]);
+            } else if (!fields.pass_expiry) {
+                fromDates('pass_expiry', remaining[0]);
+            }
+        }
+    }
+}
+
+/**
+ * Pass cards print "Date of Issue" and "Date of Expiry" side by side with both dates on the
+ * line below, which the generic date rules would otherwise leave to the sorted-dates fallback.
+ */
+export function extractIssueExpiryRow(ctx, out) {
+    const { upperLines } = ctx;
+    for (let i = 0; i < upperLines.length - 1; i++) {
+        const line = upperLines[i];
+        const issueAt = line.search(/DATE\s*OF\s*ISSUE/);
+        const expiryAt = line.search(/DATE\s*OF\s*EXPIRY/);
+        if (issueAt < 0 && expiryAt < 0) continue;
+
+        const dates = [...upperLines[i + 1].matchAll(/\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{4}/g)].map(m => formatDate(m[0]));
+        if (dates.length === 0) return;
+
+        // Two dates under two labels → left to right; one date under one label → that label
+        if (issueAt >= 0 && expiryAt >= 0 && dates.length >= 2) {
+            const [issue, expiry] = issueAt < expiryAt ? dates : [dates[1], dates[0]];
+            out.found('issue_date', issue, 'next_line', upperLines[i + 1]);
+            out.found('pass_expiry', expiry, 'next_line', upperLines[i + 1]);
+        } else if (expiryAt >= 0 && issueAt < 0) {
+            out.found('pass_expiry', dates[0], 'next_line', upperLines[i + 1]);
+        } else if (issueAt >= 0 && expiryAt < 0) {
+            out.found('issue_date', dates[0], 'next_line', upperLines[i + 1]);
+        }
+        return;
+    }
+}
+
+// ─── Certificate fields ───────────────────────────────────
+
+/**
+ * Certificate serial number (S/N)
+ * Patterns: "S/N WAHRC-2025-B134P-659"
+ *           "Serial Number: 0226-02901"
+ *           "Student Number: WPH-GMS-1110-1.1-1292"
+ *           "Certificate No. AP006309688720501O278"
+ */
+export function extractSerialNo(ctx, out) {
+    const { text, upperLines } = ctx;
+    const { fields, found } = out;
+
+    // Pattern 1: "Serial Number:", "Student Number:", or "Certificate No."
+    const serialNumMatch = text.match(/(?:SERIAL|STUDENT)\s*(?:NUMBER|NO\.?)\s*[:\-]?\s*([\dA-Z][\dA-Z\-\.]+)/i);
+    if (serialNumMatch) {
+        found('cert_serial_no', serialNumMatch[1].trim(), 'labelled', serialNumMatch[0]);
+    }
+
+    // Certificate No. pattern
+    if (!fields.cert_serial_no) {
+        const certNoMatch = text.match(/CERTIFICATE\s*(?:NO|NUMBER)\.?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\.]+)/i);
+        if (certNoMatch) {
+            found('cert_serial_no', certNoMatch[1].trim(), 'labelled', certNoMatch[0]);
+        }
+    }
+
+    // Pattern 2: "S/N WAHRC-2025-B134P-659" (inline)
+    if (!fields.cert_serial_no) {
+        const snMatch = text.match(/S\/N\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\.]+)/);
+        if (snMatch) {
+            found('cert_serial_no', snMatch[1].trim(), 'labelled', snMatch[0]);
+        }
+    }
+
+    // Pattern 3: "S/N" on its own line, number on next line
+    if (!fields.cert_serial_no) {
+        for (let i = 0; i < upperLines.length; i++) {
+            if (upperLines[i].match(/^S\/N\s*$/)) {
+                if (i + 1 < upperLines.length) {
+                    const nextLine = upperLines[i + 1].trim();
+                    if (nextLine.match(/^[A-Z0-9][A-Z0-9\-\.]+$/)) {
+                        found('cert_serial_no', nextLine, 'next_line', nextLine);
+                    }
+                }
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Course title
+ * Look for known course name patterns (with abbreviations)
+ * e.g. "Work-At-Height Rescue Course (WAHRC)"
+ */
+export function extractCourseTitle(ctx, out) {
+    const { text, lines, upperLines } = ctx;
+    const { fields, found } = out;
+
+    // Strategy 1: Look for full course name lines with known keywords
+    const courseKeywords = [
+        'COURSE', 'CERTIFICATE', 'CERTIFICATION', 'TRAINING',
+        'SAFETY', 'RESCUE', 'WELDING', 'RIGGING', 'SCAFFOLD',
+        'ELECTRICAL', 'PLUMBING', 'CRANE', 'FORKLIFT', 'HEIGHT',
+        'CORETRADE', 'MULTI-SKILL', 'SEC(K)', 'FIRST AID',
+        'PERFORM', 'LIFTING', 'OPERATIONS', 'SUPERVISE',
+        'CONFINED', 'SPACE', 'ERECT', 'DISMANTLE',
+    ];
+
+    // Look for lines that contain a known keyword and look like a course title
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const upperLine = upperLines[i];
+
+        // Skip very short lines, date lines, name/ID lines, venue lines
+        if (line.length < 5) continue;
+        if (upperLine.match(/^(NAME|ID\s*(NO|NUMBER)|FIN|COURSE\s*(DATE|VENUE)|VALIDITY|S\/N|DATE|DOB)/)) continue;
+        if (upperLine.match(/^(SERIAL\s*NUM|STUDENT\s*NUM|ISSUED?\s*DATE)/)) continue;
+        if (upperLine.match(/\d{1,2}[\\\/\\.\\-]\d{1,2}[\\\/\\.\\-]\d{4}/)) continue;
+        if (upperLine.match(/^[FGM]\d{7}[A-Z]$/)) continue;
+        if (upperLine.match(/SINGAPORE|PIONEER|STREET|AVENUE|ROAD|BLOCK/)) continue;
+        if (upperLine.match(/^MR\.|^MS\.|DIRECTOR|PRINCIPAL|TRAINER(?:\s|$)|DIVISION/)) continue;
+        if (upperLine.match(/^MANAGING|^WORKFORCE|^QUALIF|^STEPS\s*TO/)) continue;
+        // Skip lines that are just a person's name (all-uppercase, 2-3 words, no keywords)
+        if (upperLine.match(/^[A-Z]+\s+[A-Z]+(?:\s+[A-Z]+)?$/) && !courseKeywords.some(k => upperLine.includes(k))) continue;
+
+        // Check if this line contains a course keyword
+        const hasKeyword = courseKeywords.some(k => upperLine.includes(k));
+        if (hasKeyword && line.length >= 10) {
+            // Strip "Course Title:" prefix if present
+            const labelled = /^Course\s*Title\s*[:\-]?\s*/i.test(line);
+            const title = line.replace(/\s+/g, ' ').trim().replace(/^Course\s*Title\s*[:\-]?\s*/i, '').trim();
+            found('course_title', title, labelled ? 'labelled' : 'heuristic', line);
+            break;
+        }
+    }
+
+    // Strategy 2: Regex fallback — strip "Course Title:" prefix
+    if (!fields.course_title) {
+        const titlePatterns = [
+            /COURSE\s*TITLE\s*[:\-]\s*([^\n]{5,})/,
+            /COURSE\s*[:\-]\s*([^\n]{5,})/,
+            /CERTIFICATE\s*(?:IN|OF|FOR)\s*[:\-]?\s*([^\n]{5,})/,
+        ];
+        for (const pattern of titlePatterns) {
+            const match = text.match(pattern);
+            if (match) {
+                found('course_title', match[1].trim(), 'labelled', match[0]);
+                break;
+            }
+        }
+    }
+
+    // Strategy 3: label-below-value (Autodesk) — value on line BEFORE "COURSE TITLE" label
+    if (!fields.course_title) {
+        for (let i = 1; i < upperLines.length; i++) {
+            if (upperLines[i].match(/^COURSE\s*TITLE\s*$/)) {
+                const prev = lines[i - 1]?.trim();
+                if (prev && prev.length >= 5) {
+                    found('course_title', prev.replace(/\s+/g, ' ').trim(), 'next_line', prev);
+                }
+                break;
+            }
+        }
+    }
+
+    // Strategy 4: "has successfully completed a course in" / "has attended"
+    // → course title on the next non-filler line
+    if (!fields.course_title) {
+        for (let i = 0; i < upperLines.length; i++) {
+            if (upperLines[i].match(/(?:COMPLETED|ATTENDED)\s*(?:A\s*)?(?:COURSE)?\s*(?:IN)?\s*$/) ||
+                upperLines[i].match(/HAS\s+(?:SUCCESSFULLY\s+)?COMPLETED/) ||
+                upperLines[i].match(/HAS\s+ATTENDED/)) {
+                // Course title on following lines
+                for (let j = i + 1; j < Math.min(i + 4, upperLines.length); j++) {
+                    const cl = lines[j]?.trim();
+                    if (!cl || cl.length < 4) continue;
+                    const ucl = upperLines[j];
+                    // Skip filler phrases
+                    if (ucl.match(/^(HAS\s|A\s*COURSE|THIS\s|THAT\s|THE\s|CONDUCTED|IN$)/)) continue;
+                    // Skip dates, names, IDs
+                    if (ucl.match(/^[FGMST]\d{7}[A-Z]$/)) continue;
+                    if (ucl.match(/\d{1,2}[\\\/\\.\\-]\d{1,2}[\\\/\\.\\-]\d{4}/)) continue;
+                    if (ucl.match(/^(NAME|ID|ISSUED|SERIAL|VALID)/)) continue;
+                    // This should be the course title
+                    let title = cl.replace(/\s+/g, ' ').trim();
+                    // Remove parenthetical duration
+                    title = title.replace(/\s*\(\d+[\s\-]+\d*\s*HOURS?\)\s*/i, '').trim();
+                    if (title.length >= 5) {
+                        found('course_title', title, 'next_line', cl);
+                        break;
+                    }
+                }
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Course duration
+ * e.g. "(18 HOURS)", "41-100 HOURS", "COURSE DURATION" label
+ */
+export function extractCourseDuration(ctx, out) {
+    const { text, lines, upperLines } = ctx;
+    const { fields, found } = out;
+
+    const durationMatch = text.match(/(?:\(\s*)?(\d+[\s\-]+\d*\s*HOURS?)(?:\s*\))?/i);
+    if (durationMatch) {
+        found('course_duration', durationMatch[0].replace(/[()]/g, '').trim(), 'heuristic', durationMatch[0]);
+    }
+    // Label-below-value: line before "COURSE DURATION" label
+    if (!fields.course_duration) {
+        for (let i = 1; i < upperLines.length; i++) {
+            if (upperLines[i].match(/^COURSE\s*DURATION\s*$/)) {
+                const prev = lines[i - 1]?.trim();
+                if (prev && prev.match(/\d+/)) {
+                    found('course_duration', prev, 'next_line', prev);
+                }
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Course provider
+ * Look for provider names (often multi-line, near top of cert)
+ * e.g. "Avanta\nGlobal" → "Avanta Global"
+ */
+export function extractCourseProvider(ctx, out) {
+    const { text, lines, upperLines, isCertification } = ctx;
+    const { fields, found } = out;
+
+    const providerPatterns = [
+        /(?:PROVIDER|ISSUED\s*BY|ISSUING\s*(?:BODY|ORG))\s*[:\-]?\s*([A-Z0-9\s&.,]+?)(?:\n|$)/,
+    ];
+    for (const pattern of providerPatterns) {
+        const match = text.match(pattern);
+        if (match) {
+            found('course_provider', match[1].trim(), 'labelled', match[0]);
+            break;
+        }
+    }
+
+    // Provider pattern: "Training Manager Of Wong Fong Academy"
+    if (!fields.course_provider) {
+        const mgrMatch = text.match(/TRAINING\s*MANAGER\s*(?:OF|AT|FOR)\s+(.+?)(?:\n|$)/);
+        if (mgrMatch) {
+            found('course_provider', mgrMatch[1].trim(), 'labelled', mgrMatch[0]);
+        }
+    }
+
+    // Provider pattern: line containing "ACADEMY", "INSTITUTE", "CENTRE", "CENTER" etc.
+    if (!fields.course_provider && isCertification) {
+        const providerIndicators = ['ACADEMY', 'INSTITUTE', 'CENTRE', 'CENTER', 'COLLEGE', 'SCHOOL'];
+        for (let i = 0; i < Math.min(upperLines.length, 8); i++) {
+            const ul = upperLines[i];
+            // Skip lines that are also the course title
+            if (fields.course_title && ul.includes(fields.course_title.toUpperCase().substring(0, 10))) continue;
+            // Skip lines with labels
+            if (ul.match(/^(NAME|ID|FIN|SERIAL|STUDENT|COURSE\s*(DATE|VENUE|TITLE)|ISSUED|VALIDITY|S\/N)/)) continue;
+            if (ul.match(/^(MR\.|MS\.|DIRECTOR|PRINCIPAL|MANAGING|STEPS\s*TO)/)) continue;
+            // Check for known provider indicators
+            if (providerIndicators.some(ind => ul.includes(ind))) {
+                // Use original case from lines[]
+                let prov = lines[i].trim();
+                // Strip common suffixes like "®" or tagline words
+                prov = prov.replace(/[®©™]/g, '').replace(/\s+/g, ' ').trim();
+                found('course_provider', prov, 'heuristic', lines[i]);
+                break;
+            }
+        }
+    }
+
+    // Provider: "Pte Ltd" / "Pte. Ltd." company pattern
+    if (!fields.course_provider) {
+        const pteLtdMatch = text.match(/([A-Z][A-Z0-9\s&.,]+PTE\.?\s*LTD\.?)/);
+        if (pteLtdMatch) {
+            found('course_provider', pteLtdMatch[1].trim(), 'heuristic', pteLtdMatch[0]);
+        }
+    }
+
+    // Provider: "Accredited Training Provider" → name is on lines above
+    if (!fields.course_provider) {
+        for (let i = 0; i < upperLines.length; i++) {
+            if (upperLines[i].match(/ACCREDITED\s*TRAINING\s*PROVIDER/)) {
+                // Provider name is typically on lines before this
+                for (let j = i - 1; j >= 0 && j >= i - 3; j--) {
+                    const line = lines[j]?.trim();
+                    if (!line || line.length < 3) continue;
+                    if (upperLines[j].match(/^(CERTIFICATE|THIS|CONGRATUL|APPROVED)/)) continue;
+                    if (line.match(/^[A-Za-z]/) && line.length >= 5) {
+                        found('course_provider', line.replace(/[®©™]/g, '').trim(), 'next_line', line);
+                        break;
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    // Provider: "AUTHORIZED TRAINING CENTER" label → line above has the institution
+    if (!fields.course_provider) {
+        for (let i = 1; i < upperLines.length; i++) {
+            if (upperLines[i].match(/AUTHORIZED\s*TRAINING\s*CENTER/) ||
+                upperLines[i].match(/CONTINUING\s*EDUCATION/)) {
+                if (i > 0) {
+                    const prev = lines[i - 1]?.trim();
+                    if (prev && prev.length >= 5 && prev.match(/^[A-Za-z]/) &&
+                        !prev.match(/^(Director|Divisional|Managing|Mr|Ms)/i)) {
+                        found('course_provider', prev, 'next_line', prev);
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    // Provider: "Institute of" / "Polytechnic" patterns
+    if (!fields.course_provider) {
+        const instMatch = text.match(/(INSTITUTE\s+OF\s+[A-Z\s&]+?)(?:\n|$)/);
+        if (instMatch) {
+            found('course_provider', instMatch[1].trim(), 'heuristic', instMatch[0]);
+        }
+    }
+    if (!fields.course_provider) {
+        const polyMatch = text.match(/([A-Z][A-Z\s]+POLYTECHNIC)/);
+        if (polyMatch) {
+            found('course_provider', polyMatch[1].trim(), 'heuristic', polyMatch[0]);
+        }
+    }
+}
+
+// ─── Finishing ────────────────────────────────────────────
+
+/**
+ * FIN check digit
+ * Fix common misreads (O/0, I/1, S/5, wrong check letter).
+ * Run last so earlier line lookups still see the FIN as printed.
+ * Raw and corrected values are both returned for the reviewer.
+ */
+export function checkFinDigits(ctx, out) {
+    const { text } = ctx;
+    const { fields, found } = out;
+
+    if (fields.fin_number) {
+        fields.fin_validation = correctFin(fields.fin_number);
+        fields.fin_number = fields.fin_validation.corrected;
+    } else {
+        const finInText = findFinInText(text);
+        if (finInText) {
+            fields.fin_validation = finInText;
+            found('fin_number', finInText.corrected, 'heuristic', finInText.raw);
+        }
+    }
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+/**
+ * Clean a name string: remove extra whitespace, trailing junk
+ */
+function cleanName(name) {
+    return name
+        .replace(/\s+/g, ' ')
+        .replace(/[^A-Z\s.'\-\/]/gi, '')
+        .trim();
+}
+
+/**
+ * Check if a string looks like a valid person name (at least 2 words)
+ */
+function isValidName(name) {
+    if (!name || name.length < 3) return false;
+    // Must have at least one space (first + last name)
+    // Or be at least 5 chars (some single-name cultures)
+    const words = name.split(/\s+/).filter(w => w.length > 0);
+    return words.length >= 2 || name.length >= 5;
+}
+
+/**
+ * Compare values the way a reviewer would: case and spacing don't count, '' is empty.
+ */
+export function normaliseValue(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return String(value).replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Format a date string (DD/MM/YYYY) to ISO (YYYY-MM-DD).
+ */
+export function formatDate(dateStr) {
+    const match = dateStr.match(/(\d{1,2})[\\\/\\.\\-](\d{1,2})[\\\/\\.\\-](\d{4})/);
+    if (!match) return null;
+    const day = match[1].padStart(2, '0');
+    const month = match[2].padStart(2, '0');
+    const year = match[3];
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse text-month dates like "16 NOV 2017", "14 December 2011", "13-FEBRUARY-2022".
+ * Returns ISO format YYYY-MM-DD or null.
+ */
+export function parseTextMonthDate(str) {
+    if (!str) return null;
+    const months = {
+        JAN: '01', JANUARY: '01', FEB: '02', FEBRUARY: '02',
+        MAR: '03', MARCH: '03', APR: '04', APRIL: '04',
+        MAY: '05', JUN: '06', JUNE: '06', JUL: '07', JULY: '07',
+        AUG: '08', AUGUST: '08', SEP: '09', SEPTEMBER: '09',
+        OCT: '10', OCTOBER: '10', NOV: '11', NOVEMBER: '11',
+        DEC: '12', DECEMBER: '12',
+    };
+    const match = str.match(/(\d{1,2})[\s\-,]+([A-Z]+)[\s\-,]+(\d{4})/i);
+    if (!match) return null;
+    const day = match[1].padStart(2, '0');
+    const monthName = match[2].toUpperCase();
+    const month = months[monthName];
+    const year = match[3];
+    if (!month) return null;
+    return `${year}-${month}-${day}`;
+}
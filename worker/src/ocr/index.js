@@ -0,0 +1,82 @@
+/**
+ * OCR Document Templates
+ * Each template knows one document layout: detect(ctx) scores how well the OCR text fits it
+ * (0–1) and parse(ctx, out) runs only the extractors that make sense for that layout.
+ * parseDocument() scores every template and lets the best match parse the text.
+ *
+ * Adding a layout: write a template in ./templates/, add it to TEMPLATES below. Give it
+ * signals specific enough that it only outscores the existing templates on its own documents.
+ */
+
+import { createFieldSet, buildContext } from './extractors.js';
+import { wpFront } from './templates/wp-front.js';
+import { wpBack } from './templates/wp-back.js';
+import { sPass } from './templates/s-pass.js';
+import { employmentPass } from './templates/employment-pass.js';
+import { nricFront } from './templates/nric-front.js';
+import { nricBack } from './templates/nric-back.js';
+import { passport } from './templates/passport.js';
+import { bcaCoreTrade } from './templates/bca-coretrade.js';
+import { scalCsoc } from './templates/scal-csoc.js';
+import { wahCert } from './templates/wah-cert.js';
+import { genericCert } from './templates/generic-cert.js';
+
+// Bump whenever a template or extractor changes what gets parsed — cached OCR results
+// (./cache.js) are only reused for the same version
+export const PARSER_VERSION = '4';
+
+// Registry order breaks ties — specific layouts before the catch-all
+export const TEMPLATES = [
+    wpFront,
+    wpBack,
+    sPass,
+    employmentPass,
+    nricFront,
+    nricBack,
+    passport,
+    bcaCoreTrade,
+    scalCsoc,
+    wahCert,
+    genericCert,
+];
+
+// document_type hint from the upload form → template kinds it may match
+const HINT_KINDS = {
+    work_permit: ['pass', 'identity'],
+    visit_pass: ['pass'],
+    passport: ['passport'],
+    certification: ['certification'],
+};
+
+/**
+ * Pick the best-matching template and parse the text with it.
+ *
+ * @param {string} rawText       OCR text
+ * @param {string} documentType  'auto' | 'work_permit' | 'visit_pass' | 'passport' | 'certification'
+ * @returns {object} { fields, evidence, template: { id, label, kind, score }, candidates: [{ id, label, score }] }
+ */
+export function parseDocument(rawText, documentType = 'auto') {
+    const kinds = HINT_KINDS[documentType];
+    const allowed = kinds ? TEMPLATES.filter(t => kinds.includes(t.kind)) : TEMPLATES;
+
+    const probe = buildContext(rawText, false);
+    const candidates = allowed
+        .map(t => ({ template: t, score: t.detect(probe) }))
+        .sort((a, b) => b.score - a.score || allowed.indexOf(a.template) - allowed.indexOf(b.template));
+
+    // Nothing recognisable: fall back to the catch-all certificate parser when allowed
+    let best = candidates[0];
+    if (best.score === 0) best = candidates.find(c => c.template === genericCert) || best;
+
+    const template = best.template;
+    const ctx = buildContext(rawText, template.kind === 'certification');
+    const out = createFieldSet();
+    template.parse(ctx, out);
+
+    return {
+        fields: out.fields,
+        evidence: out.evidence,
+        template: { id: template.id, label: template.label, kind: template.kind, score: best.score },
+        candidates: candidates.map(c => ({ id: c.template.id, label: c.template.label, score: c.score })),
+    };
+}
@@ -0,0 +1,524 @@
+/**
+ * Batch OCR Jobs
+ * A ZIP of scans or a multi-page PDF is split into items (one per image, one per PDF page),
+ * the items are OCR'd from a queue — by the review page polling POST /api/ocr/jobs/:id/run and
+ * by the five-minute Cron Trigger — and, once none are left, grouped into one bundle per
+ * worker (by FIN) for review. See database/migrations/0019_add_ocr_jobs.sql for the states.
+ */
+
+import { readZipEntries } from '../utils/zip.js';
+import { countPdfPages } from '../utils/pdf.js';
+import { crossCheckPassport } from '../utils/mrz.js';
+import { normaliseValue } from './extractors.js';
+import { ocrFile } from './pipeline.js';
+
+const MAX_SOURCE_BYTES = 50 * 1024 * 1024;
+const MAX_ITEM_BYTES = 10 * 1024 * 1024;
+const MAX_ITEMS = 200;
+// Caps on what a ZIP may unpack to, checked while inflating
+const MAX_ZIP_ENTRIES = 1000;
+const MAX_UNZIPPED_BYTES = 200 * 1024 * 1024;
+// An item is tried this many times before it is marked failed
+const MAX_ATTEMPTS = 3;
+// A claimed item not finished within this long is picked up again (the run was cut short)
+const LOCK_MINUTES = 2;
+// A failed attempt waits this long before the next, so one run doesn't spend every retry at once
+const RETRY_MINUTES = 1;
+
+const MIME_BY_EXTENSION = {
+    jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp',
+    gif: 'image/gif', bmp: 'image/bmp', tif: 'image/tiff', tiff: 'image/tiff',
+    pdf: 'application/pdf',
+};
+
+export const WORKER_FIELDS = [
+    'fin_number', 'worker_name', 'pass_type', 'pass_no', 'date_of_birth', 'nationality', 'sex',
+    'race', 'address', 'country_of_birth', 'employer_name', 'pass_expiry', 'passport_no', 'passport_expiry',
+];
+const CERT_FIELDS = ['course_title', 'course_provider', 'cert_serial_no', 'course_duration', 'issue_date', 'expiry_date'];
+
+/**
+ * Store an upload and queue its items.
+ * @returns {Promise<{ error: string } | { job: object }>}
+ */
+export async function createJob(env, user, { bytes, name, mimeType, documentType = 'auto' }) {
+    if (bytes.byteLength > MAX_SOURCE_BYTES) {
+        return { error: `File is larger than ${MAX_SOURCE_BYTES / 1024 / 1024}MB` };
+    }
+
+    const prefix = `ocr-jobs/${Date.now()}_${sanitize(name)}`;
+    const isZip = mimeType.includes('zip') || /\.zip$/i.test(name);
+    const sourceKey = isZip ? `${prefix}/source.zip` : `${prefix}/${sanitize(name)}`;
+
+    // Files to OCR: { key, name, mimeType, bytes } — ZIP entries get their own R2 object
+    let files;
+    if (isZip) {
+        let entries;
+        try {
+            entries = await readZipEntries(bytes, {
+                maxEntries: MAX_ZIP_ENTRIES,
+                maxEntryBytes: MAX_ITEM_BYTES,
+                maxTotalBytes: MAX_UNZIPPED_BYTES,
+            });
+        } catch (err) {
+            return { error: `Could not read ZIP: ${err.message}` };
+        }
+        files = entries
+            .filter(e => !/(^|\/)(__MACOSX|\.)/.test(e.name) && mimeFor(e.name))
+            .map((e, i) => ({
+                key: `${prefix}/${String(i + 1).padStart(3, '0')}_${sanitize(e.name.split('/').pop())}`,
+                name: e.name.split('/').pop(),
+                mimeType: mimeFor(e.name),
+                bytes: e.bytes,
+            }));
+        const tooBig = files.find(f => f.bytes.byteLength > MAX_ITEM_BYTES);
+        if (tooBig) return { error: `${tooBig.name} is larger than ${MAX_ITEM_BYTES / 1024 / 1024}MB` };
+    } else {
+        files = [{ key: sourceKey, name, mimeType, bytes }];
+    }
+
+    // One item per image, one per PDF page (a PDF whose pages can't be counted stays whole)
+    const items = [];
+    for (const file of files) {
+        const pages = file.mimeType === 'application/pdf' ? countPdfPages(file.bytes) : null;
+        if (pages && pages > 1) {
+            for (let page = 1; page <= pages; page++) items.push({ ...file, page });
+        } else {
+            items.push({ ...file, page: null });
+        }
+    }
+    if (items.length === 0) return { error: 'No images or PDFs found in the upload' };
+    if (items.length > MAX_ITEMS) return { error: `Upload holds ${items.length} pages; the limit is ${MAX_ITEMS}` };
+
+    await env.BUCKET.put(sourceKey, bytes, {
+        httpMetadata: { contentType: mimeType },
+        customMetadata: { originalName: name, documentType: 'ocr_job' },
+    });
+    for (const file of files) {
+        if (file.key === sourceKey) continue;
+        await env.BUCKET.put(file.key, file.bytes, {
+            httpMetadata: { contentType: file.mimeType },
+            customMetadata: { originalName: file.name, documentType: 'ocr_job' },
+        });
+    }
+
+    const inserted = await env.DB.prepare(`
+        INSERT INTO ocr_jobs (document_type, source_key, source_name, mime_type, total_items, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(documentType, sourceKey, name, mimeType, items.length, user?.username ?? null).run();
+    const jobId = inserted.meta.last_row_id;
+
+    await env.DB.batch(items.map((item, i) => env.DB.prepare(`
+        INSERT INTO ocr_job_items (job_id, seq, r2_key, file_name, mime_type, page)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(jobId, i + 1, item.key, item.name, item.mimeType, item.page)));
+
+    const job = await env.DB.prepare('SELECT * FROM ocr_jobs WHERE id = ?').bind(jobId).first();
+    return { job };
+}
+
+/**
+ * OCR up to `limit` queued items, oldest job first (or only `jobId`'s). Jobs left with no
+ * queued items are grouped into bundles and moved to review.
+ * @returns {Promise<{ processed: number, failed: number }>}
+ */
+export async function processJobItems(env, { jobId = null, limit = 5 } = {}) {
+    let processed = 0;
+    let failed = 0;
+
+    // Items whose lock lapsed on their last allowed attempt won't be claimed again
+    await env.DB.prepare(`
+        UPDATE ocr_job_items SET status = 'failed', error = COALESCE(error, 'Timed out'), updated_at = datetime('now')
+        WHERE status = 'processing' AND locked_until < datetime('now') AND attempts >= ?
+    `).bind(MAX_ATTEMPTS).run();
+
+    const touched = new Set();
+    for (let i = 0; i < limit; i++) {
+        const item = await claimItem(env, jobId);
+        if (!item) break;
+        touched.add(item.job_id);
+
+        const job = await env.DB.prepare('SELECT * FROM ocr_jobs WHERE id = ?').bind(item.job_id).first();
+        if (job.status === 'queued') {
+            await env.DB.prepare(
+                "UPDATE ocr_jobs SET status = 'running', updated_at = datetime('now') WHERE id = ?"
+            ).bind(job.id).run();
+        }
+
+        try {
+            const object = await env.BUCKET.get(item.r2_key);
+            if (!object) throw new Error(`${item.r2_key} is missing from storage`);
+
+            const result = await ocrFile(env, { username: job.created_by }, {
+                bytes: await object.arrayBuffer(),
+                name: item.file_name,
+                mimeType: item.mime_type,
+                documentType: job.document_type,
+                page: item.page,
+            });
+
+            // A PDF that couldn't be split up front comes back split by the provider: the item
+            // keeps the merged fields and is filed under its first page's run and template
+            const lead = result.pages?.[0] || result;
+            const note = result.truncated
+                ? `Only the first ${result.page_count} of ${result.total_pages} pages were read`
+                : null;
+
+            await env.DB.prepare(`
+                UPDATE ocr_job_items SET
+                    status = 'done', locked_until = NULL, error = ?, ocr_run_id = ?, template_id = ?,
+                    template_kind = ?, fin_number = ?, extracted = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `).bind(
+                note,
+                lead.ocr_run_id ?? null,
+                lead.template?.id ?? null,
+                lead.template?.kind ?? null,
+                result.extracted?.fin_number || null,
+                JSON.stringify(result.extracted || {}),
+                item.id
+            ).run();
+            processed++;
+        } catch (err) {
+            const giveUp = item.attempts >= MAX_ATTEMPTS;
+            await env.DB.prepare(`
+                UPDATE ocr_job_items SET
+                    status = ?, locked_until = datetime('now', '+${RETRY_MINUTES} minutes'), error = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `).bind(giveUp ? 'failed' : 'pending', err.message, item.id).run();
+            console.error(`OCR job ${item.job_id} item ${item.seq} failed:`, err.message);
+            if (giveUp) failed++;
+        }
+    }
+
+    for (const id of touched) await finishJobIfDone(env, id);
+
+    return { processed, failed };
+}
+
+/**
+ * Cron entry point: a small slice of every queued job per tick, so a closed browser tab
+ * doesn't stall a batch.
+ */
+export async function processQueuedOCRJobs(env) {
+    const { processed, failed } = await processJobItems(env, { limit: 10 });
+    if (processed || failed) console.log(`OCR jobs: ${processed} item(s) processed, ${failed} failed`);
+}
+
+/**
+ * Put a job's failed items back in the queue (and the job back to running).
+ * @returns {Promise<number>} items requeued
+ */
+export async function resumeJob(env, jobId) {
+    const requeued = await env.DB.prepare(`
+        UPDATE ocr_job_items SET status = 'pending', attempts = 0, error = NULL, locked_until = NULL, updated_at = datetime('now')
+        WHERE job_id = ? AND status = 'failed'
+    `).bind(jobId).run();
+
+    const count = requeued.meta.changes || 0;
+    if (count > 0) {
+        await env.DB.prepare(`
+            UPDATE ocr_jobs SET status = 'running', error = NULL, completed_at = NULL, updated_at = datetime('now')
+            WHERE id = ?
+        `).bind(jobId).run();
+    }
+    return count;
+}
+
+/**
+ * Item counts by status plus bundle counts, for progress bars and polling.
+ */
+export async function jobProgress(env, jobId) {
+    const { results: items } = await env.DB.prepare(
+        'SELECT status, COUNT(*) AS count FROM ocr_job_items WHERE job_id = ? GROUP BY status'
+    ).bind(jobId).all();
+    const { results: bundles } = await env.DB.prepare(
+        'SELECT status, COUNT(*) AS count FROM ocr_job_bundles WHERE job_id = ? GROUP BY status'
+    ).bind(jobId).all();
+
+    const itemCounts = { pending: 0, processing: 0, done: 0, failed: 0 };
+    for (const row of items) itemCounts[row.status] = row.count;
+    const bundleCounts = { pending: 0, approved: 0, rejected: 0 };
+    for (const row of bundles) bundleCounts[row.status] = row.count;
+
+    return { items: itemCounts, bundles: bundleCounts };
+}
+
+/**
+ * Remove a purged worker from batch OCR jobs: their bundles are emptied (and rejected if still
+ * open), the values read from their pages cleared, and the job files holding their scans
+ * deleted from R2 — except a file other workers' pages still await review in (a shared batch
+ * PDF); their review needs it.
+ * @returns {Promise<number>} number of job files deleted
+ */
+export async function forgetWorkerInJobs(env, worker) {
+    const { results: affected } = await env.DB.prepare(`
+        SELECT id, job_id FROM ocr_job_items
+        WHERE fin_number = ? OR bundle_id IN (SELECT id FROM ocr_job_bundles WHERE worker_id = ? OR fin_number = ?)
+    `).bind(worker.fin_number, worker.id, worker.fin_number).all();
+    const { results: bundles } = await env.DB.prepare(
+        'SELECT id, job_id FROM ocr_job_bundles WHERE worker_id = ? OR fin_number = ?'
+    ).bind(worker.id, worker.fin_number).all();
+    const jobIds = [...new Set([...affected, ...bundles].map(r => r.job_id))];
+    if (jobIds.length === 0) return 0;
+
+    // Every item of the jobs involved, to see which files are still needed by someone else
+    const jobList = jobIds.map(() => '?').join(', ');
+    const { results: jobItems } = await env.DB.prepare(`
+        SELECT i.id, i.r2_key, b.status AS bundle_status FROM ocr_job_items i
+        LEFT JOIN ocr_job_bundles b ON b.id = i.bundle_id
+        WHERE i.job_id IN (${jobList})
+    `).bind(...jobIds).all();
+    const { results: jobs } = await env.DB.prepare(
+        `SELECT source_key FROM ocr_jobs WHERE id IN (${jobList})`
+    ).bind(...jobIds).all();
+
+    const affectedIds = new Set(affected.map(r => r.id));
+    const stillNeeded = new Set(jobItems
+        .filter(i => !affectedIds.has(i.id) && (!i.bundle_status || i.bundle_status === 'pending' || i.bundle_status === 'approving'))
+        .map(i => i.r2_key));
+    const keys = [...new Set([
+        ...jobItems.filter(i => affectedIds.has(i.id)).map(i => i.r2_key),
+        ...jobs.map(j => j.source_key),
+    ])].filter(key => !stillNeeded.has(key));
+
+    const redactItems = affected.map(r => env.DB.prepare(
+        'UPDATE ocr_job_items SET fin_number = NULL, extracted = NULL, updated_at = datetime(\'now\') WHERE id = ?'
+    ).bind(r.id));
+    const redactBundles = bundles.map(b => env.DB.prepare(`
+        UPDATE ocr_job_bundles SET
+            fin_number = NULL,
+            proposed = '{"worker":{},"certifications":[]}',
+            review_note = CASE WHEN status IN ('pending', 'approving') THEN 'Worker purged' ELSE review_note END,
+            status = CASE WHEN status IN ('pending', 'approving') THEN 'rejected' ELSE status END
+        WHERE id = ?
+    `).bind(b.id));
+    await env.DB.batch([...redactItems, ...redactBundles]);
+    for (const jobId of jobIds) await completeJobIfReviewed(env, jobId);
+
+    let deleted = 0;
+    for (const key of keys) {
+        // Never a file a worker's documents point at
+        const inUse = await env.DB.prepare('SELECT 1 AS used FROM documents WHERE r2_key = ?').bind(key).first();
+        if (inUse) continue;
+        try {
+            await env.BUCKET.delete(key);
+            deleted++;
+        } catch (e) { /* ignore */ }
+    }
+    return deleted;
+}
+
+// A job is complete once every item is settled and no bundle awaits review
+export async function completeJobIfReviewed(env, jobId) {
+    await env.DB.prepare(`
+        UPDATE ocr_jobs SET status = 'completed', completed_at = datetime('now'), updated_at = datetime('now')
+        WHERE id = ? AND status = 'review'
+          AND NOT EXISTS (SELECT 1 FROM ocr_job_bundles WHERE job_id = ? AND status IN ('pending', 'approving'))
+    `).bind(jobId, jobId).run();
+}
+
+/**
+ * Group OCR'd items into bundles, one per worker.
+ * Items sharing a FIN go together. An item without a FIN joins the group whose worker name
+ * matches its own, or else the item scanned just before it (the back of a card usually follows
+ * its front); failing both it becomes a bundle of its own for the reviewer to fill in.
+ * @param {Array<object>} items  done items, extracted already parsed, in seq order
+ * @returns {Array<{ fin_number: string|null, items: Array<object>, grouped_by: object }>}
+ */
+export function groupItems(items) {
+    const groups = [];
+    const byFin = new Map();
+    const groupOf = new Map();
+
+    for (const item of items) {
+        const fin = normaliseValue(item.fin_number);
+        if (!fin) continue;
+        if (!byFin.has(fin)) {
+            const group = { fin_number: fin, items: [], grouped_by: {} };
+            byFin.set(fin, group);
+            groups.push(group);
+        }
+        byFin.get(fin).items.push(item);
+        byFin.get(fin).grouped_by[item.id] = 'fin';
+        groupOf.set(item.seq, byFin.get(fin));
+    }
+
+    for (const item of items) {
+        if (groupOf.has(item.seq)) continue;
+
+        const name = normaliseValue(item.extracted.worker_name);
+        let group = name && groups.find(g => g.items.some(i => normaliseValue(i.extracted.worker_name) === name));
+        let reason = 'name';
+        if (!group && groupOf.has(item.seq - 1)) {
+            group = groupOf.get(item.seq - 1);
+            reason = 'previous_item';
+        }
+        if (!group) {
+            group = { fin_number: null, items: [], grouped_by: {} };
+            groups.push(group);
+            reason = 'none';
+        }
+        group.items.push(item);
+        group.grouped_by[item.id] = reason;
+        groupOf.set(item.seq, group);
+    }
+
+    for (const group of groups) group.items.sort((a, b) => a.seq - b.seq);
+    return groups;
+}
+
+/**
+ * What approving a group would save: worker fields from its pass / identity pages (the first
+ * page to read a field wins, then any page), and one certification per certificate page.
+ * passport_mismatches lists where a passport page disagrees with the work permit.
+ */
+export function proposeBundle(group) {
+    const worker = Object.fromEntries(WORKER_FIELDS.map(f => [f, null]));
+    // Work pass / IC values win, then the passport's; certificates only fill what's left
+    const rank = item => (item.template_kind === 'certification' ? 2 : item.template_kind === 'passport' ? 1 : 0);
+    const passFirst = [...group.items].sort((a, b) => rank(a) - rank(b) || a.seq - b.seq);
+    for (const item of passFirst) {
+        for (const field of WORKER_FIELDS) {
+            if (!worker[field] && item.extracted[field]) worker[field] = item.extracted[field];
+        }
+    }
+    worker.fin_number = group.fin_number || worker.fin_number;
+
+    const passportItem = group.items.find(item => item.template_kind === 'passport');
+    const permitItem = group.items.find(item => item.template_kind === 'pass');
+    const passportMismatches = passportItem && permitItem
+        ? crossCheckPassport(passportItem.extracted, permitItem.extracted)
+        : [];
+
+    const certifications = group.items
+        .filter(item => item.template_kind === 'certification' && item.extracted.course_title)
+        .map(item => ({
+            item_id: item.id,
+            ...Object.fromEntries(CERT_FIELDS.map(f => [f, item.extracted[f] || null])),
+        }));
+
+    return {
+        worker,
+        certifications,
+        passport_mismatches: passportMismatches,
+        sources: group.items.map(item => ({
+            item_id: item.id,
+            seq: item.seq,
+            template_id: item.template_id,
+            grouped_by: group.grouped_by[item.id],
+        })),
+    };
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+async function claimItem(env, jobId) {
+    return env.DB.prepare(`
+        UPDATE ocr_job_items SET
+            status = 'processing', attempts = attempts + 1,
+            locked_until = datetime('now', '+${LOCK_MINUTES} minutes'), updated_at = datetime('now')
+        WHERE id = (
+            SELECT i.id FROM ocr_job_items i
+            JOIN ocr_jobs j ON j.id = i.job_id
+            WHERE j.status IN ('queued', 'running')
+              AND (? IS NULL OR i.job_id = ?)
+              AND (i.locked_until IS NULL OR i.locked_until < datetime('now'))
+              AND i.status IN ('pending', 'processing')
+            ORDER BY i.job_id, i.seq
+            LIMIT 1
+        )
+        RETURNING *
+    `).bind(jobId, jobId).first();
+}
+
+/**
+ * Once nothing is queued or in flight: bundle the new results and hand the job to review.
+ * The status flip is conditional so two runners finishing together bundle only once.
+ */
+async function finishJobIfDone(env, jobId) {
+    const open = await env.DB.prepare(`
+        SELECT COUNT(*) AS count FROM ocr_job_items WHERE job_id = ? AND status IN ('pending', 'processing')
+    `).bind(jobId).first('count');
+    if (open > 0) return;
+
+    const claimed = await env.DB.prepare(`
+        UPDATE ocr_jobs SET status = 'review', updated_at = datetime('now')
+        WHERE id = ? AND status IN ('queued', 'running')
+        RETURNING id
+    `).bind(jobId).first();
+    if (!claimed) return;
+
+    await buildBundles(env, jobId);
+
+    const pendingBundles = await env.DB.prepare(
+        "SELECT COUNT(*) AS count FROM ocr_job_bundles WHERE job_id = ? AND status = 'pending'"
+    ).bind(jobId).first('count');
+    if (pendingBundles === 0) {
+        const anyRead = await env.DB.prepare(
+            "SELECT COUNT(*) AS count FROM ocr_job_items WHERE job_id = ? AND status = 'done'"
+        ).bind(jobId).first('count');
+        await env.DB.prepare(`
+            UPDATE ocr_jobs SET status = ?, error = ?, completed_at = datetime('now'), updated_at = datetime('now')
+            WHERE id = ?
+        `).bind(
+            anyRead ? 'completed' : 'failed',
+            anyRead ? null : 'No page could be read',
+            jobId
+        ).run();
+    }
+}
+
+/**
+ * Bundle the job's done items that aren't in a bundle yet. A group whose FIN already has a
+ * pending bundle (a resumed job) is folded into it; the reviewer's edits to fields it already
+ * had are kept.
+ */
+async function buildBundles(env, jobId) {
+    const { results } = await env.DB.prepare(`
+        SELECT * FROM ocr_job_items WHERE job_id = ? AND status = 'done' AND bundle_id IS NULL ORDER BY seq
+    `).bind(jobId).all();
+    const items = results.map(r => ({ ...r, extracted: JSON.parse(r.extracted || '{}') }));
+    if (items.length === 0) return;
+
+    const { results: pending } = await env.DB.prepare(
+        "SELECT * FROM ocr_job_bundles WHERE job_id = ? AND status = 'pending' AND fin_number IS NOT NULL"
+    ).bind(jobId).all();
+
+    for (const group of groupItems(items)) {
+        const proposal = proposeBundle(group);
+        const existing = group.fin_number && pending.find(b => b.fin_number === group.fin_number);
+        let bundleId;
+
+        if (existing) {
+            const current = JSON.parse(existing.proposed);
+            for (const [field, value] of Object.entries(proposal.worker)) {
+                if (!current.worker[field]) current.worker[field] = value;
+            }
+            current.certifications.push(...proposal.certifications);
+            current.sources.push(...proposal.sources);
+            await env.DB.prepare('UPDATE ocr_job_bundles SET proposed = ? WHERE id = ?')
+                .bind(JSON.stringify(current), existing.id).run();
+            bundleId = existing.id;
+        } else {
+            const inserted = await env.DB.prepare(
+                'INSERT INTO ocr_job_bundles (job_id, fin_number, proposed) VALUES (?, ?, ?)'
+            ).bind(jobId, group.fin_number, JSON.stringify(proposal)).run();
+            bundleId = inserted.meta.last_row_id;
+        }
+
+        const ids = group.items.map(i => i.id);
+        await env.DB.prepare(
+            `UPDATE ocr_job_items SET bundle_id = ? WHERE id IN (${ids.map(() => '?').join(', ')})`
+        ).bind(bundleId, ...ids).run();
+    }
+}
+
+function mimeFor(fileName) {
+    const ext = fileName.split('.').pop().toLowerCase();
+    return MIME_BY_EXTENSION[ext] || null;
+}
+
+function sanitize(fileName) {
+    return fileName.replace(/[^a-zA-Z0-9._-]/g, '_');
+}
@@ -0,0 +1,127 @@
+/**
+ * Worker Matching
+ * Pairs an OCR result with the workers it may belong to, so the reviewer decides whether the
+ * scan updates one of them, only adds a certificate to one, or is a new worker — instead of
+ * the save silently upserting by whatever FIN was read.
+ *
+ *   fin       — same FIN / NRIC (an archived duplicate's FIN leads to the worker it was merged into)
+ *   pass_no   — same pass number, ignoring spacing ("0 34773262" = "034773262")
+ *   name_dob  — same date of birth and a similar name (word order and spelling slips allowed)
+ */
+
+import { normaliseValue } from './extractors.js';
+import { WORKER_FIELDS } from './jobs.js';
+
+// Names at least this similar (0–1) with the same date of birth are offered as a match
+const NAME_SIMILARITY = 0.75;
+const MAX_MATCHES = 5;
+
+const REASON_SCORES = { fin: 1, pass_no: 0.9, name_dob: 0.5 };
+
+/**
+ * Candidate workers for a set of extracted fields, best first.
+ *
+ * @param {object} env
+ * @param {object} fields  extracted (or reviewed) values — fin_number, pass_no, worker_name, date_of_birth, …
+ * @returns {Promise<Array>} [{ worker, reasons: [], score, name_similarity, diff: [{ field, stored, extracted, status }] }]
+ *          status is 'same', 'new' (nothing stored yet) or 'different'
+ */
+export async function findWorkerMatches(env, fields) {
+    const candidates = new Map();
+    const add = (worker, reason, nameSimilarity = null) => {
+        if (!candidates.has(worker.id)) candidates.set(worker.id, { worker, reasons: [], name_similarity: nameSimilarity });
+        const candidate = candidates.get(worker.id);
+        if (!candidate.reasons.includes(reason)) candidate.reasons.push(reason);
+        if (nameSimilarity !== null) candidate.name_similarity = nameSimilarity;
+    };
+
+    const fin = normaliseValue(fields.fin_number)?.replace(/\s/g, '');
+    if (fin) {
+        const worker = await env.DB.prepare(`
+            SELECT w.* FROM workers f
+            JOIN workers w ON w.id = COALESCE(f.merged_into_id, f.id)
+            WHERE f.fin_number = ?
+        `).bind(fin).first();
+        if (worker) add(worker, 'fin');
+    }
+
+    const passNo = normaliseValue(fields.pass_no)?.replace(/\s/g, '');
+    if (passNo) {
+        const { results } = await env.DB.prepare(
+            "SELECT * FROM workers WHERE merged_into_id IS NULL AND REPLACE(UPPER(pass_no), ' ', '') = ?"
+        ).bind(passNo).all();
+        for (const worker of results) add(worker, 'pass_no');
+    }
+
+    if (fields.worker_name && fields.date_of_birth) {
+        const { results } = await env.DB.prepare(
+            'SELECT * FROM workers WHERE merged_into_id IS NULL AND date_of_birth = ?'
+        ).bind(fields.date_of_birth).all();
+        for (const worker of results) {
+            const similarity = nameSimilarity(fields.worker_name, worker.worker_name);
+            if (similarity >= NAME_SIMILARITY) add(worker, 'name_dob', similarity);
+        }
+    }
+
+    return [...candidates.values()]
+        .map(c => ({
+            ...c,
+            score: Math.max(...c.reasons.map(r => (r === 'name_dob' ? REASON_SCORES.name_dob + 0.4 * c.name_similarity : REASON_SCORES[r]))),
+            diff: diffWorker(c.worker, fields),
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_MATCHES);
+}
+
+/**
+ * Field-by-field comparison of a stored worker with the values read from the scan. Only
+ * fields the scan has a value for are listed.
+ */
+export function diffWorker(worker, fields) {
+    const diff = [];
+    for (const field of WORKER_FIELDS) {
+        const extracted = fields[field];
+        if (normaliseValue(extracted) === null) continue;
+        const stored = worker[field] ?? null;
+        const status = normaliseValue(stored) === null
+            ? 'new'
+            : comparable(field, stored) === comparable(field, extracted) ? 'same' : 'different';
+        diff.push({ field, stored, extracted, status });
+    }
+    return diff;
+}
+
+/**
+ * How alike two names are, 0–1: Dice coefficient over letter pairs of the names with their
+ * words sorted, so "KUMAR RAJESH" and "RAJESH KUMAR" are identical and a misread letter
+ * costs little.
+ */
+export function nameSimilarity(a, b) {
+    const pairs = (name) => {
+        const text = (normaliseValue(name) || '').replace(/[^A-Z ]/g, '').split(' ').filter(Boolean).sort().join(' ');
+        const list = [];
+        for (let i = 0; i < text.length - 1; i++) list.push(text.substring(i, i + 2));
+        return list;
+    };
+    const left = pairs(a);
+    const right = pairs(b);
+    if (left.length === 0 || right.length === 0) return 0;
+
+    const remaining = [...right];
+    let shared = 0;
+    for (const pair of left) {
+        const at = remaining.indexOf(pair);
+        if (at >= 0) {
+            shared++;
+            remaining.splice(at, 1);
+        }
+    }
+    return Math.round((2 * shared / (left.length + right.length)) * 100) / 100;
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+function comparable(field, value) {
+    const normalised = normaliseValue(value);
+    return field === 'pass_no' || field === 'fin_number' ? normalised.replace(/\s/g, '') : normalised;
+}
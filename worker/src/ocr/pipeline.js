@@ -0,0 +1,235 @@
+/**
+ * OCR Pipeline
+ * One file (or one page of a PDF) from bytes to reviewed-ready fields: cache lookup, provider
+ * chain, template parsing, Gemini fill-in, evidence scoring and the ocr_runs log. Used by
+ * POST /api/ocr/process and by batch jobs (jobs.js).
+ *
+ * When the provider splits a PDF by page, every page is parsed (and logged) on its own and the
+ * response carries them in `pages`; the top-level fields merge the pages, first page first.
+ * `truncated` says the PDF had more pages (`total_pages`) than the provider read.
+ */
+
+import { correctFin } from '../utils/fin.js';
+import { sha256Hex } from '../utils/crypto.js';
+import { recognize } from '../utils/ocr-providers.js';
+import { scoreFields, LOW_CONFIDENCE } from '../utils/ocr-evidence.js';
+import { parseDocument, PARSER_VERSION } from './index.js';
+import { readCache, writeCache } from './cache.js';
+
+/**
+ * @param {object} env
+ * @param {object|null} user
+ * @param {object} file  { bytes: ArrayBuffer, name, mimeType, documentType, force?, page? }
+ * @returns {Promise<object>} the /api/ocr/process response body
+ * @throws {Error} when every OCR provider failed (error.attempts lists them)
+ */
+export async function ocrFile(env, user, { bytes, name, mimeType, documentType = 'auto', force = false, page = null }) {
+    // A single PDF page is cached and logged apart from the rest of the file
+    const fileHash = await sha256Hex(bytes) + (page ? `#p${page}` : '');
+    const meta = { documentType, name, mimeType, size: bytes.byteLength, fileHash, page };
+
+    // Same bytes, same parser → same answer, without paying for another OCR call
+    if (!force) {
+        const cached = await readCache(env, fileHash, documentType);
+        if (cached) {
+            const { result } = cached;
+            const logged = { ...meta, provider: result.provider, ocrMs: 0, parseMs: 0, cacheHit: true };
+            const runId = result.pages ? null : await logRun(env, user, {
+                ...logged, rawText: result.raw_text, template: result.template, extracted: result.extracted,
+            });
+            return {
+                ...result,
+                pages: await logPages(env, user, logged, result.pages),
+                ocr_run_id: runId,
+                file_hash: fileHash,
+                timing: { ocr_ms: 0, parse_ms: 0 },
+                cached: true,
+                cached_at: cached.cached_at,
+            };
+        }
+    }
+
+    const ocrStarted = Date.now();
+    const ocr = await recognize(env, { bytes, mimeType, page });
+    const ocrMs = Date.now() - ocrStarted;
+
+    const provenance = {
+        provider: ocr.provider,
+        confidence: ocr.confidence,
+        fallback_from: ocr.fallback_from,
+    };
+
+    const rawText = ocr.text || '';
+    if (!rawText.trim()) {
+        return {
+            success: true,
+            raw_text: '',
+            extracted: {},
+            ...provenance,
+            message: mimeType === 'application/pdf' ? 'No text detected in document' : 'No text detected in image',
+        };
+    }
+
+    if (ocr.pages) return ocrPages(env, user, { meta, ocr, ocrMs, provenance });
+
+    // Parse structured fields with the template that best fits the text
+    const parseStarted = Date.now();
+    const { extracted, evidence, template, candidates } = parseText(rawText, documentType, ocr.fields);
+    const parseMs = Date.now() - parseStarted;
+
+    const runId = await logRun(env, user, {
+        ...meta, provider: ocr.provider, rawText, template, extracted, ocrMs, parseMs,
+    });
+
+    const result = {
+        success: true,
+        parser_version: PARSER_VERSION,
+        raw_text: rawText,
+        extracted,
+        field_evidence: scoreFields(extracted, evidence, ocr),
+        low_confidence_threshold: LOW_CONFIDENCE,
+        document_type: documentType,
+        template,
+        template_candidates: candidates,
+        ...provenance,
+        words: ocr.words,
+    };
+    await writeCache(env, fileHash, documentType, result);
+
+    return {
+        ...result,
+        ocr_run_id: runId,
+        file_hash: fileHash,
+        timing: { ocr_ms: ocrMs, parse_ms: parseMs },
+        cached: false,
+    };
+}
+
+/**
+ * A PDF the provider split by page: parse and log each page, then merge — a field comes from
+ * the first page that has it, and its evidence says which page that was.
+ */
+async function ocrPages(env, user, { meta, ocr, ocrMs, provenance }) {
+    const parseStarted = Date.now();
+    const pages = ocr.pages.map(page => {
+        // A blank page (separator sheet, empty back) is listed but not parsed or logged
+        if (!page.text.trim()) {
+            return {
+                page: page.page, raw_text: '', extracted: {}, field_evidence: {},
+                template: null, template_candidates: [], confidence: page.confidence,
+            };
+        }
+        const { extracted, evidence, template, candidates } = parseText(page.text, meta.documentType, null);
+        return {
+            page: page.page,
+            raw_text: page.text,
+            extracted,
+            field_evidence: scoreFields(extracted, evidence, page),
+            template,
+            template_candidates: candidates,
+            confidence: page.confidence,
+        };
+    });
+
+    const extracted = {};
+    const fieldEvidence = {};
+    for (const page of pages) {
+        for (const [key, value] of Object.entries(page.extracted)) {
+            if (value && !extracted[key]) {
+                extracted[key] = value;
+                if (page.field_evidence[key]) fieldEvidence[key] = { ...page.field_evidence[key], page: page.page };
+            }
+        }
+    }
+    // Gemini's fields cover the whole document, so they only fill the merged result
+    for (const [key, value] of Object.entries(ocr.fields || {})) {
+        if (!extracted[key]) {
+            extracted[key] = value;
+            fieldEvidence[key] = scoreFields({ [key]: value }, { [key]: { rule: 'model', source: value } }, ocr)[key];
+        }
+    }
+    const parseMs = Date.now() - parseStarted;
+
+    const result = {
+        success: true,
+        parser_version: PARSER_VERSION,
+        raw_text: pages.map(p => `── Page ${p.page} ──\n${p.raw_text}`).join('\n\n'),
+        extracted,
+        field_evidence: fieldEvidence,
+        low_confidence_threshold: LOW_CONFIDENCE,
+        document_type: meta.documentType,
+        template: null,
+        page_count: pages.length,
+        total_pages: ocr.total_pages ?? pages.length,
+        truncated: ocr.truncated,
+        pages,
+        ...provenance,
+        words: ocr.words,
+    };
+    await writeCache(env, meta.fileHash, meta.documentType, result);
+
+    return {
+        ...result,
+        pages: await logPages(env, user, { ...meta, provider: ocr.provider, ocrMs, parseMs }, pages),
+        ocr_run_id: null,
+        file_hash: meta.fileHash,
+        timing: { ocr_ms: ocrMs, parse_ms: parseMs },
+        cached: false,
+    };
+}
+
+/**
+ * Template parse plus the fields a structured-extraction provider (Gemini) returned for the
+ * blanks, and the FIN check digit.
+ */
+function parseText(rawText, documentType, modelFields) {
+    const { fields: extracted, evidence, template, candidates } = parseDocument(rawText, documentType);
+
+    for (const [key, value] of Object.entries(modelFields || {})) {
+        if (key in extracted && !extracted[key]) {
+            extracted[key] = value;
+            evidence[key] = { rule: 'model', source: value };
+        }
+    }
+    if (extracted.fin_number && !extracted.fin_validation) {
+        extracted.fin_validation = correctFin(extracted.fin_number);
+        extracted.fin_number = extracted.fin_validation.corrected;
+    }
+    return { extracted, evidence, template, candidates };
+}
+
+/**
+ * One ocr_runs row per non-blank page; returns the pages with their run ids (null when not split).
+ */
+async function logPages(env, user, logged, pages) {
+    if (!pages) return null;
+    const withRuns = [];
+    for (const page of pages) {
+        const runId = page.template && await logRun(env, user, {
+            ...logged, page: page.page, rawText: page.raw_text, template: page.template, extracted: page.extracted,
+        });
+        withRuns.push({ ...page, ocr_run_id: runId });
+    }
+    return withRuns;
+}
+
+/**
+ * Keep the raw text and what the parser made of it. Never throws — OCR still answers if the
+ * log write fails.
+ */
+async function logRun(env, user, { documentType, name, mimeType, size, fileHash, page = null, provider, rawText, template, extracted, ocrMs, parseMs, cacheHit = false }) {
+    try {
+        const result = await env.DB.prepare(`
+            INSERT INTO ocr_runs (document_type, provider, raw_text, template_id, extracted, created_by,
+                file_hash, file_name, mime_type, file_size, page, ocr_ms, parse_ms, parser_version, cache_hit)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            documentType, provider, rawText, template.id, JSON.stringify(extracted), user?.username ?? null,
+            fileHash, name || null, mimeType, size, page, ocrMs, parseMs, PARSER_VERSION, cacheHit ? 1 : 0
+        ).run();
+        return result.meta.last_row_id;
+    } catch (err) {
+        console.error('OCR run log write failed:', err.message);
+        return null;
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * BCA CoreTrade registration certificate
+ *
+ *   BUILDING AND CONSTRUCTION AUTHORITY
+ *   CORETRADE REGISTRATION
+ *   Name: WORKER FULL NAME        FIN: G6550858W
+ *   Trade: TILING                 Registration No: CT-2023-001234
+ *   Date of Registration: 01-03-2023    Expiry Date: 28-02-2025
+ */
+
+import {
+    scoreSignals, extractFin, extractWorkerName, extractDates, extractSerialNo, checkFinDigits, formatDate,
+} from '../extractors.js';
+
+const PROVIDER = 'Building and Construction Authority (BCA)';
+
+export const bcaCoreTrade = {
+    id: 'bca_coretrade',
+    label: 'BCA CoreTrade certificate',
+    kind: 'certification',
+
+    detect(ctx) {
+        return scoreSignals(ctx.text, [
+            [/CORE\s*TRADE/, 0.6],
+            [/\bBCA\b|BUILDING\s*AND\s*CONSTRUCTION\s*AUTHORITY/, 0.3],
+            [/CERTIFICATE|REGISTRATION/, 0.1],
+        ]);
+    },
+
+    parse(ctx, out) {
+        const { text } = ctx;
+        const { fields, found } = out;
+
+        extractFin(ctx, out);
+        extractWorkerName(ctx, out);
+
+        const registration = text.match(/(?:REGISTRATION|REG\.?|CERTIFICATE)\s*(?:NO|NUMBER)\.?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/]{4,})/);
+        if (registration) found('cert_serial_no', registration[1], 'labelled', registration[0]);
+        else extractSerialNo(ctx, out);
+
+        // Registration date is the issue date; "Expiry Date:" puts the label before the word the
+        // generic expiry rule looks for
+        const registered = text.match(/DATE\s*OF\s*REGISTRATION\s*[:\-]?\s*(\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{4})/);
+        if (registered) found('issue_date', formatDate(registered[1]), 'labelled', registered[0]);
+        const expiry = text.match(/EXPIRY\s*DATE\s*[:\-]?\s*(\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{4})/);
+        if (expiry) found('expiry_date', formatDate(expiry[1]), 'labelled', expiry[0]);
+        extractDates(ctx, out);
+
+        const trade = text.match(/TRADE\s*[:\-]\s*([A-Z][A-Z &\/\-]{2,}?)\s*(?:REGISTRATION|REG\.?|\n|$)/);
+        found('course_title', trade ? `CoreTrade (${titleCase(trade[1].trim())})` : 'CoreTrade',
+            trade ? 'labelled' : 'template', trade ? trade[0] : 'CORETRADE');
+        if (!fields.course_provider) found('course_provider', PROVIDER, 'template', 'BCA');
+
+        checkFinDigits(ctx, out);
+    },
+};
+
+function titleCase(value) {
+    return value.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+}
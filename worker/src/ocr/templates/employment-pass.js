@@ -0,0 +1,41 @@
+/**
+ * Employment Pass — front and back of card
+ *
+ *   EMPLOYMENT PASS
+ *   Employer: COMPANY NAME PTE. LTD.
+ *   Name: WORKER FULL NAME
+ *   Occupation: PROJECT MANAGER
+ *
+ *   FIN: M1234567K
+ *   Date of Birth: 21-09-1985    Sex: M
+ *   Nationality: INDIAN
+ *   Date of Issue          Date of Expiry
+ *   02-01-2025             01-01-2027
+ *
+ * Same fields as the S Pass card (./s-pass.js); like it, no pass number besides the FIN.
+ */
+
+import { scoreSignals } from '../extractors.js';
+import { readPassCard } from './s-pass.js';
+
+export const employmentPass = {
+    id: 'employment_pass',
+    label: 'Employment Pass',
+    kind: 'pass',
+
+    detect(ctx) {
+        return scoreSignals(ctx.text, [
+            [/EMPLOYMENT\s*PASS\b/, 0.6],
+            [/\bFIN\b/, 0.15],
+            [/EMPLOYER/, 0.15],
+            [/DATE\s*OF\s*(?:EXPIRY|ISSUE|APPLICATION)/, 0.15],
+            [/NATIONALITY|OCCUPATION/, 0.1],
+            [/WORK\s*PERMIT/, -0.3],
+            [/CERTIF(?:Y|ICATE)/, -0.3],
+        ]);
+    },
+
+    parse(ctx, out) {
+        readPassCard(ctx, out);
+    },
+};
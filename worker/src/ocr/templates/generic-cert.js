@@ -0,0 +1,37 @@
+/**
+ * Any other training certificate — the catch-all when no specific template matches.
+ * Runs every certificate rule (course title, provider, serial number, duration, dates).
+ */
+
+import {
+    scoreSignals, extractFin, extractWorkerName, extractDates, extractSerialNo, extractCourseTitle,
+    extractCourseDuration, extractCourseProvider, checkFinDigits,
+} from '../extractors.js';
+
+const CERT_KEYWORDS = [
+    /COURSE\s*DATE/, /COURSE\s*VENUE/, /COURSE\s*TITLE/, /ISSUED\s*DATE/, /SERIAL\s*NUMBER/,
+    /STUDENT\s*NUMBER/, /CERTIFICATE/, /CERTIFICATION/, /ACADEMY/, /TRAINING/, /VALIDITY/,
+];
+
+export const genericCert = {
+    id: 'generic_cert',
+    label: 'Training certificate',
+    kind: 'certification',
+
+    // Deliberately capped below the specific templates so it only wins when nothing else fits
+    detect(ctx) {
+        const score = scoreSignals(ctx.text, CERT_KEYWORDS.map(pattern => [pattern, 0.1]));
+        return Math.max(0.05, Math.min(score, 0.5));
+    },
+
+    parse(ctx, out) {
+        extractFin(ctx, out);
+        extractWorkerName(ctx, out);
+        extractDates(ctx, out);
+        extractSerialNo(ctx, out);
+        extractCourseTitle(ctx, out);
+        extractCourseDuration(ctx, out);
+        extractCourseProvider(ctx, out);
+        checkFinDigits(ctx, out);
+    },
+};
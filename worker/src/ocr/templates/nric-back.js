@@ -0,0 +1,39 @@
+/**
+ * NRIC — back of card
+ *
+ *   S7616077E
+ *   Date of issue 12-03-2015
+ *   APT BLK 221 BOON LAY PLACE #20-104
+ *   SINGAPORE 640221
+ */
+
+import {
+    scoreSignals, extractFin, extractAddress, extractIcIssueDate, checkFinDigits, markCitizenPr,
+} from '../extractors.js';
+
+export const nricBack = {
+    id: 'nric_back',
+    label: 'NRIC (back)',
+    kind: 'identity',
+
+    detect(ctx) {
+        return scoreSignals(ctx.text, [
+            [/DATE\s*(?:OF\s*)?ISSUE/, 0.3],
+            [/SINGAPORE\s*\d{6}/, 0.3],
+            [/\b(?:BLK|APT)\b/, 0.2],
+            [/\b[ST]\d{7}[A-Z]\b/, 0.1],
+            [/NRIC\s*NO/, 0.1],
+            [/WORK\s*PERMIT|VISIT\s*PASS/, -0.3],
+            [/CERTIF(?:Y|ICATE)/, -0.3],
+        ]);
+    },
+
+    // No date of birth on the back — the only date is the date of issue
+    parse(ctx, out) {
+        extractFin(ctx, out);
+        extractAddress(ctx, out);
+        extractIcIssueDate(ctx, out);
+        markCitizenPr(ctx, out);
+        checkFinDigits(ctx, out);
+    },
+};
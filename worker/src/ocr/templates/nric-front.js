@@ -0,0 +1,46 @@
+/**
+ * NRIC — front of card (Singapore Identity Card)
+ *
+ *   REPUBLIC OF SINGAPORE
+ *   IDENTITY CARD NO. S7616077E
+ *   Name
+ *   TAN AH KOW
+ *   Race            Date of birth      Sex
+ *   CHINESE         01-02-1976         M
+ *   Country/Place of birth
+ *   SINGAPORE
+ */
+
+import {
+    scoreSignals, extractFin, extractWorkerName, extractRace, extractSex, extractDates,
+    extractCountryOfBirth, checkFinDigits, markCitizenPr,
+} from '../extractors.js';
+
+export const nricFront = {
+    id: 'nric_front',
+    label: 'NRIC (front)',
+    kind: 'identity',
+
+    detect(ctx) {
+        return scoreSignals(ctx.text, [
+            [/IDENTITY\s*CARD/, 0.35],
+            [/REPUBLIC\s*OF\s*SINGAPORE/, 0.25],
+            [/\bRACE\b/, 0.2],
+            [/(?:COUNTRY|PLACE)\s*(?:\/\s*PLACE)?\s*(?:OF\s*)?BIRTH/, 0.2],
+            [/\b[ST]\d{7}[A-Z]\b/, 0.1],
+            [/WORK\s*PERMIT/, -0.3],
+            [/CERTIF(?:Y|ICATE)/, -0.3],
+        ]);
+    },
+
+    parse(ctx, out) {
+        extractFin(ctx, out);
+        extractWorkerName(ctx, out);
+        extractRace(ctx, out);
+        extractSex(ctx, out);
+        extractDates(ctx, out);
+        extractCountryOfBirth(ctx, out);
+        markCitizenPr(ctx, out);
+        checkFinDigits(ctx, out);
+    },
+};
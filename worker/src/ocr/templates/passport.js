@@ -0,0 +1,104 @@
+/**
+ * Passport — data page
+ *
+ *   REPUBLIC OF INDIA              PASSPORT
+ *   Passport No. Z1234567
+ *   Surname KUMAR   Given Name(s) RAJESH
+ *   Nationality INDIAN   Sex M   Date of Birth 16/06/1988
+ *   Date of Expiry 01/04/2030
+ *   P<INDKUMAR<<RAJESH<<<<<<<<<<<<<<<<<<<<<<<<<<
+ *   Z1234567<1IND8806161M3004010<<<<<<<<<<<<<<04
+ *
+ * The machine-readable zone (utils/mrz.js) is the reliable source: its check digits say which
+ * fields read cleanly. The printed labels are only used for what the MRZ didn't give us.
+ */
+
+import {
+    scoreSignals, extractNationality, extractSex, formatDate, parseTextMonthDate,
+} from '../extractors.js';
+import { findTD3Lines, parseTD3 } from '../../utils/mrz.js';
+
+const DATE = String.raw`(\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{4}|\d{1,2}[\s\-][A-Z]{3,9}[\s\-]\d{4})`;
+
+export const passport = {
+    id: 'passport',
+    label: 'Passport (data page)',
+    kind: 'passport',
+
+    detect(ctx) {
+        return scoreSignals(ctx.text, [
+            [/P[A-Z<][A-Z]{3}[A-Z<]*<<<</, 0.6],
+            [/PASSPORT/, 0.4],
+            [/PASSPORT\s*(?:NO|NUMBER)/, 0.2],
+            [/GIVEN\s*NAMES?|SURNAME/, 0.2],
+            [/WORK\s*PERMIT|VISIT\s*PASS/, -0.3],
+            [/CERTIF(?:Y|ICATE)/, -0.3],
+        ]);
+    },
+
+    parse(ctx, out) {
+        readMrz(ctx, out);
+        readPrintedFields(ctx, out);
+        if (!out.fields.nationality) extractNationality(ctx, out);
+        if (!out.fields.sex) extractSex(ctx, out);
+    },
+};
+
+/**
+ * Fields from the MRZ. A field whose check digit fails is still filled in — the reviewer
+ * sees it flagged — and mrz_validation lists every check.
+ */
+function readMrz(ctx, out) {
+    const lines = findTD3Lines(ctx.text);
+    if (!lines) return;
+
+    const mrz = parseTD3(lines);
+    out.fields.mrz_validation = { valid: mrz.valid, checks: mrz.checks, lines };
+
+    const sources = {
+        worker_name: lines[0],
+        passport_no: lines[1],
+        nationality: lines[1],
+        date_of_birth: lines[1],
+        sex: lines[1],
+        passport_expiry: lines[1],
+    };
+    for (const [field, source] of Object.entries(sources)) {
+        if (!mrz[field]) continue;
+        out.found(field, mrz[field], 'mrz', source);
+        if (mrz.checks[field] === false) out.evidence[field].check_failed = true;
+    }
+}
+
+/**
+ * Labelled fields in the visual zone, for a page whose MRZ was cut off or unreadable.
+ */
+function readPrintedFields(ctx, out) {
+    const { text } = ctx;
+    const { fields, found } = out;
+
+    if (!fields.passport_no) {
+        const match = text.match(/PASSPORT\s*(?:NO|NUMBER)\.?\s*[:\-]?\s*([A-Z]{0,2}\d{6,8}[A-Z]?)\b/);
+        if (match) found('passport_no', match[1], 'labelled', match[0]);
+    }
+    if (!fields.date_of_birth) {
+        const match = text.match(new RegExp(String.raw`DATE\s*OF\s*BIRTH\s*[:\-]?\s*` + DATE));
+        if (match) found('date_of_birth', toIso(match[1]), 'labelled', match[0]);
+    }
+    if (!fields.passport_expiry) {
+        const match = text.match(new RegExp(String.raw`(?:DATE\s*OF\s*EXPIRY|EXPIRY\s*DATE|VALID\s*UNTIL)\s*[:\-]?\s*` + DATE));
+        if (match) found('passport_expiry', toIso(match[1]), 'labelled', match[0]);
+    }
+    if (!fields.worker_name) {
+        const surname = text.match(/SURNAME\s*[:\-]?\s*([A-Z][A-Z ]+?)\s*(?:GIVEN|\n|$)/);
+        const given = text.match(/GIVEN\s*NAMES?(?:\(S\))?\s*[:\-]?\s*([A-Z][A-Z ]+?)\s*(?:\n|$)/);
+        if (surname || given) {
+            const name = [given?.[1], surname?.[1]].filter(Boolean).join(' ').trim();
+            found('worker_name', name, 'labelled', (surname || given)[0]);
+        }
+    }
+}
+
+function toIso(value) {
+    return formatDate(value) || parseTextMonthDate(value);
+}
@@ -0,0 +1,58 @@
+/**
+ * S Pass — front and back of card (one layout covers both; each side fills what it prints)
+ *
+ *   S PASS
+ *   Employer: COMPANY NAME PTE. LTD.
+ *   Name: WORKER FULL NAME
+ *   Occupation: QUANTITY SURVEYOR
+ *
+ *   FIN: G1234567X
+ *   Date of Birth: 03-04-1990    Sex: F
+ *   Nationality: FILIPINO
+ *   Date of Issue          Date of Expiry
+ *   15-03-2024             14-03-2026
+ *
+ * S Passes carry no separate pass number — the FIN identifies the pass.
+ */
+
+import {
+    scoreSignals, extractFin, extractWorkerName, extractEmployer, extractNationality, extractSex,
+    extractDates, extractIssueExpiryRow, extractPassType, checkFinDigits,
+} from '../extractors.js';
+
+export const sPass = {
+    id: 's_pass',
+    label: 'S Pass',
+    kind: 'pass',
+
+    detect(ctx) {
+        return scoreSignals(ctx.text, [
+            [/(?:^|[^A-Z'’])S[\s\-]*PASS\b/m, 0.6],
+            [/\bFIN\b/, 0.15],
+            [/EMPLOYER/, 0.15],
+            [/DATE\s*OF\s*(?:EXPIRY|ISSUE|APPLICATION)/, 0.15],
+            [/NATIONALITY|OCCUPATION/, 0.1],
+            [/WORK\s*PERMIT|EMPLOYMENT\s*PASS/, -0.3],
+            [/CERTIF(?:Y|ICATE)/, -0.3],
+        ]);
+    },
+
+    parse(ctx, out) {
+        readPassCard(ctx, out);
+    },
+};
+
+/**
+ * Shared with the Employment Pass template — both cards print the same fields.
+ */
+export function readPassCard(ctx, out) {
+    extractFin(ctx, out);
+    extractWorkerName(ctx, out);
+    extractEmployer(ctx, out);
+    extractNationality(ctx, out);
+    extractSex(ctx, out);
+    extractIssueExpiryRow(ctx, out);
+    extractDates(ctx, out);
+    extractPassType(ctx, out);
+    checkFinDigits(ctx, out);
+}
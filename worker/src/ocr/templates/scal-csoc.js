@@ -0,0 +1,54 @@
+/**
+ * SCAL Construction Safety Orientation Course (CSOC) certificate
+ *
+ *   SINGAPORE CONTRACTORS ASSOCIATION LTD
+ *   This is to certify that
+ *   WORKER FULL NAME (G6550858W)
+ *   has attended the Construction Safety Orientation Course for Workers
+ *   Course Date: 12-05-2022    Serial No: CSOC-22-123456
+ *
+ * CSOC has no expiry.
+ */
+
+import {
+    scoreSignals, extractFin, extractWorkerName, extractDates, extractSerialNo, extractCourseDuration,
+    extractCourseProvider, checkFinDigits,
+} from '../extractors.js';
+
+const TITLE = 'Construction Safety Orientation Course (CSOC)';
+const SCAL = 'Singapore Contractors Association Ltd (SCAL)';
+
+export const scalCsoc = {
+    id: 'scal_csoc',
+    label: 'SCAL Construction Safety Orientation Course',
+    kind: 'certification',
+
+    detect(ctx) {
+        return scoreSignals(ctx.text, [
+            [/CONSTRUCTION\s*SAFETY\s*ORIENTATION/, 0.6],
+            [/\bCSOC\b/, 0.4],
+            [/\bSCAL\b|SINGAPORE\s*CONTRACTORS\s*ASSOCIATION/, 0.3],
+        ]);
+    },
+
+    parse(ctx, out) {
+        const { text } = ctx;
+        const { fields, found } = out;
+
+        extractFin(ctx, out);
+        extractWorkerName(ctx, out);
+        extractDates(ctx, out);
+        extractSerialNo(ctx, out);
+        extractCourseDuration(ctx, out);
+
+        found('course_title', TITLE, 'template', text.match(/CONSTRUCTION\s*SAFETY\s*ORIENTATION[^\n]*|\bCSOC\b/)?.[0]);
+
+        const scal = text.match(/\bSCAL\b|SINGAPORE\s*CONTRACTORS\s*ASSOCIATION[^\n]*/);
+        if (scal) found('course_provider', SCAL, 'template', scal[0]);
+        else extractCourseProvider(ctx, out);
+
+        if (!fields.expiry_date) found('expiry_date', 'No Expiry', 'template', fields.course_title);
+
+        checkFinDigits(ctx, out);
+    },
+};
@@ -0,0 +1,61 @@
+/**
+ * Work-at-Height course certificates (WSQ / MOM-accredited providers)
+ *
+ *   Work-At-Height Rescue Course (WAHRC)
+ *   S/N WAHRC-2025-B134P-659
+ *   WORKER FULL NAME
+ *   G6550858W
+ *   Course Date: 13-02-2025
+ */
+
+import {
+    scoreSignals, extractFin, extractWorkerName, extractDates, extractSerialNo, extractCourseTitle,
+    extractCourseDuration, extractCourseProvider, checkFinDigits,
+} from '../extractors.js';
+
+// Serial-number / abbreviation prefix → canonical course name, most specific first
+const WAH_COURSES = [
+    [/WAHRC|RESCUE/, 'Work-At-Height Rescue Course (WAHRC)'],
+    [/WAHMS|MANAGE\s+WORK/, 'Manage Work-At-Height Safety (WAHMS)'],
+    [/WAHS\b|SUPERVISE/, 'Supervise Work-At-Height (WAHS)'],
+    [/WAHW|PERFORM/, 'Perform Work-At-Height (WAHW)'],
+];
+
+export const wahCert = {
+    id: 'wah_cert',
+    label: 'Work-at-Height course certificate',
+    kind: 'certification',
+
+    detect(ctx) {
+        return scoreSignals(ctx.text, [
+            [/WORK[\s\-]*AT[\s\-]*HEIGHT/, 0.55],
+            [/\bWAH[A-Z]*\b/, 0.2],
+            [/RESCUE|SUPERVISE|PERFORM/, 0.1],
+            [/CERTIF(?:Y|ICATE)/, 0.1],
+            [/S\/N/, 0.05],
+        ]);
+    },
+
+    parse(ctx, out) {
+        const { text } = ctx;
+        const { fields, evidence, found } = out;
+
+        extractFin(ctx, out);
+        extractWorkerName(ctx, out);
+        extractDates(ctx, out);
+        extractSerialNo(ctx, out);
+        extractCourseTitle(ctx, out);
+        extractCourseDuration(ctx, out);
+        extractCourseProvider(ctx, out);
+
+        // Keep a printed, labelled title; replace a guessed one with the canonical name
+        if (!fields.course_title || evidence.course_title?.rule === 'heuristic') {
+            const source = `${fields.cert_serial_no || ''} ${fields.course_title || ''}`.toUpperCase();
+            const course = WAH_COURSES.find(([pattern]) => pattern.test(source))
+                || WAH_COURSES.find(([pattern]) => pattern.test(text));
+            if (course) found('course_title', course[1], 'template', fields.course_title || fields.cert_serial_no);
+        }
+
+        checkFinDigits(ctx, out);
+    },
+};
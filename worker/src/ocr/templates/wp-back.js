@@ -0,0 +1,54 @@
+/**
+ * Work Permit — back of card / Visit Pass
+ *
+ *   VISIT PASS
+ *   Name: WORKER FULL NAME
+ *   FIN: G6550858W
+ *   Date of Birth: 16-06-1988    Sex: M
+ *   Nationality: INDIAN
+ *   Date of Issue          Date of Expiry
+ *   01-02-2024             31-01-2026
+ *
+ * FIN format: F/G/M + 7 digits + letter (e.g. G6550858W)
+ *   F = issued before 2000
+ *   G = issued 2000–2021
+ *   M = issued from 2022 onwards
+ */
+
+import {
+    scoreSignals, extractFin, extractWorkPermitNo, extractWorkerName, extractEmployer,
+    extractNationality, extractSex, extractDates, extractIssueExpiryRow, extractPassType, checkFinDigits,
+} from '../extractors.js';
+
+export const wpBack = {
+    id: 'wp_back',
+    label: 'Work Permit (back) / Visit Pass',
+    kind: 'pass',
+
+    detect(ctx) {
+        return scoreSignals(ctx.text, [
+            [/\bFIN\b/, 0.25],
+            [/VISIT\s*PASS/, 0.3],
+            [/DATE\s*OF\s*BIRTH|\bDOB\b/, 0.2],
+            [/NATIONALITY/, 0.2],
+            [/DATE\s*OF\s*(?:EXPIRY|ISSUE|APPLICATION)/, 0.2],
+            [/EMPLOYMENT\s*OF\s*FOREIGN\s*MANPOWER/, 0.1],
+            [/IDENTITY\s*CARD/, -0.3],
+            [/EMPLOYMENT\s*PASS|(?:^|[^A-Z'’])S[\s\-]*PASS\b/m, -0.3],
+            [/CERTIF(?:Y|ICATE)/, -0.3],
+        ]);
+    },
+
+    parse(ctx, out) {
+        extractFin(ctx, out);
+        extractWorkerName(ctx, out);
+        extractWorkPermitNo(ctx, out);
+        extractEmployer(ctx, out);
+        extractNationality(ctx, out);
+        extractSex(ctx, out);
+        extractIssueExpiryRow(ctx, out);
+        extractDates(ctx, out);
+        extractPassType(ctx, out);
+        checkFinDigits(ctx, out);
+    },
+};
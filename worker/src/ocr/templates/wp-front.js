@@ -0,0 +1,43 @@
+/**
+ * Work Permit — front of card
+ *
+ *   WORK PERMIT
+ *   Employer: COMPANY NAME PTE. LTD.
+ *   Name: WORKER FULL NAME
+ *   Work Permit No: 034773262    Sector: CONSTRUCTION
+ */
+
+import {
+    scoreSignals, extractFin, extractWorkPermitNo, extractWorkerName, extractEmployer,
+    extractNationality, extractSex, extractDates, extractPassType, checkFinDigits,
+} from '../extractors.js';
+
+export const wpFront = {
+    id: 'wp_front',
+    label: 'Work Permit (front)',
+    kind: 'pass',
+
+    detect(ctx) {
+        return scoreSignals(ctx.text, [
+            [/WORK\s*PERMIT/, 0.35],
+            [/WORK\s*PERMIT\s*NO/, 0.2],
+            [/EMPLOYER/, 0.25],
+            [/SECTOR/, 0.15],
+            [/EMPLOYMENT\s*OF\s*FOREIGN\s*MANPOWER/, 0.1],
+            [/DATE\s*OF\s*BIRTH/, -0.1],
+            [/CERTIF(?:Y|ICATE)/, -0.3],
+        ]);
+    },
+
+    parse(ctx, out) {
+        extractFin(ctx, out);
+        extractWorkPermitNo(ctx, out);
+        extractWorkerName(ctx, out);
+        extractEmployer(ctx, out);
+        extractNationality(ctx, out);
+        extractSex(ctx, out);
+        extractDates(ctx, out);
+        extractPassType(ctx, out);
+        checkFinDigits(ctx, out);
+    },
+};
@@ -0,0 +1,166 @@
+/**
+ * Alerts Route Handler
+ * Expiry alerts generated by the scheduled scan (see expiry-scan.js).
+ *
+ * GET  /api/alerts                 — List alerts
+ *   Filters: state (open | snoozed | acknowledged | resolved | all, default open), entity_type, worker_id, page, limit
+ * POST /api/alerts/acknowledge     — Acknowledge several alerts: { ids: [...] }
+ * POST /api/alerts/:id/acknowledge — Acknowledge one alert
+ * POST /api/alerts/:id/snooze      — Hide an alert until a date: { until: 'YYYY-MM-DD' } or { days }
+ * POST /api/alerts/scan            — Run the expiry scan now (admin)
+ */
+
+import { jsonResponse, errorResponse } from '../utils/response.js';
+import { runExpiryScan } from '../expiry-scan.js';
+
+const STATE_CONDITIONS = {
+    open: "a.resolved_at IS NULL AND a.acknowledged_at IS NULL AND (a.snoozed_until IS NULL OR a.snoozed_until <= date('now'))",
+    snoozed: "a.resolved_at IS NULL AND a.acknowledged_at IS NULL AND a.snoozed_until > date('now')",
+    acknowledged: 'a.resolved_at IS NULL AND a.acknowledged_at IS NOT NULL',
+    resolved: 'a.resolved_at IS NOT NULL',
+    all: '1=1',
+};
+
+export async function handleAlerts(request, env, path, user) {
+    const method = request.method;
+
+    if (path === '/api/alerts' && method === 'GET') {
+        return listAlerts(request, env);
+    }
+
+    if (path === '/api/alerts/scan' && method === 'POST') {
+        return jsonResponse(await runExpiryScan(env));
+    }
+
+    if (path === '/api/alerts/acknowledge' && method === 'POST') {
+        return acknowledgeMany(request, env, user);
+    }
+
+    const ackMatch = path.match(/^\/api\/alerts\/(\d+)\/acknowledge$/);
+    if (ackMatch && method === 'POST') {
+        return acknowledgeAlert(env, parseInt(ackMatch[1], 10), user);
+    }
+
+    const snoozeMatch = path.match(/^\/api\/alerts\/(\d+)\/snooze$/);
+    if (snoozeMatch && method === 'POST') {
+        return snoozeAlert(request, env, parseInt(snoozeMatch[1], 10));
+    }
+
+    return errorResponse('Not Found', 404);
+}
+
+/**
+ * List alerts, most urgent expiry first. Also returns the open count for the nav badge.
+ */
+async function listAlerts(request, env) {
+    const url = new URL(request.url);
+    const state = url.searchParams.get('state') || 'open';
+    const entityType = url.searchParams.get('entity_type');
+    const workerId = url.searchParams.get('worker_id');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '50', 10), 200);
+    const offset = (page - 1) * limit;
+
+    if (!STATE_CONDITIONS[state]) {
+        return errorResponse(`state must be one of: ${Object.keys(STATE_CONDITIONS).join(', ')}`, 400);
+    }
+
+    let query = `
+        SELECT a.*, w.worker_name, w.fin_number, w.employer_name,
+            CAST(julianday(a.expiry_date) - julianday(date('now')) AS INTEGER) AS days_left
+        FROM alerts a
+        LEFT JOIN workers w ON a.worker_id = w.id
+        WHERE ${STATE_CONDITIONS[state]}
+    `;
+    const params = [];
+
+    if (entityType) {
+        query += ' AND a.entity_type = ?';
+        params.push(entityType);
+    }
+    if (workerId) {
+        query += ' AND a.worker_id = ?';
+        params.push(parseInt(workerId, 10));
+    }
+
+    const countQuery = `SELECT COUNT(*) as count FROM (${query})`;
+    const total = await env.DB.prepare(countQuery).bind(...params).first('count');
+
+    const openCount = await env.DB.prepare(
+        `SELECT COUNT(*) as count FROM alerts a WHERE ${STATE_CONDITIONS.open}`
+    ).first('count');
+
+    query += ' ORDER BY a.expiry_date ASC, a.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+
+    return jsonResponse({
+        data: results,
+        counts: { open: openCount },
+        pagination: { page, limit, total, total_pages: Math.ceil(total / limit) },
+    });
+}
+
+async function acknowledgeAlert(env, id, user) {
+    const result = await env.DB.prepare(`
+        UPDATE alerts SET acknowledged_at = datetime('now'), acknowledged_by = ?
+        WHERE id = ? AND acknowledged_at IS NULL
+    `).bind(user?.username ?? null, id).run();
+
+    if (!result.meta.changes) {
+        const exists = await env.DB.prepare('SELECT id FROM alerts WHERE id = ?').bind(id).first();
+        if (!exists) return errorResponse('Alert not found', 404);
+    }
+
+    const alert = await env.DB.prepare('SELECT * FROM alerts WHERE id = ?').bind(id).first();
+    return jsonResponse(alert);
+}
+
+async function acknowledgeMany(request, env, user) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const ids = Array.isArray(body.ids) ? body.ids.map(id => parseInt(id, 10)).filter(Boolean) : [];
+    if (ids.length === 0) {
+        return errorResponse('ids must be a non-empty array of alert ids', 400);
+    }
+
+    const placeholders = ids.map(() => '?').join(',');
+    const result = await env.DB.prepare(`
+        UPDATE alerts SET acknowledged_at = datetime('now'), acknowledged_by = ?
+        WHERE id IN (${placeholders}) AND acknowledged_at IS NULL
+    `).bind(user?.username ?? null, ...ids).run();
+
+    return jsonResponse({ success: true, acknowledged: result.meta.changes });
+}
+
+async function snoozeAlert(request, env, id) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    let until = body.until;
+    if (!until && body.days) {
+        const days = parseInt(body.days, 10);
+        if (!(days > 0)) return errorResponse('days must be a positive number', 400);
+        until = new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+    }
+    if (!until || !/^\d{4}-\d{2}-\d{2}$/.test(until) || isNaN(new Date(until))) {
+        return errorResponse('Provide until (YYYY-MM-DD) or days', 400);
+    }
+
+    const result = await env.DB.prepare(
+        'UPDATE alerts SET snoozed_until = ? WHERE id = ?'
+    ).bind(until, id).run();
+    if (!result.meta.changes) return errorResponse('Alert not found', 404);
+
+    const alert = await env.DB.prepare('SELECT * FROM alerts WHERE id = ?').bind(id).first();
+    return jsonResponse(alert);
+}
@@ -0,0 +1,78 @@
+/**
+ * Audit Route Handler
+ *
+ * GET /api/audit — List audit entries
+ *   Filters: worker_id, actor (username), action, entity_type, from, to (YYYY-MM-DD), page, limit
+ */
+
+import { jsonResponse, errorResponse } from '../utils/response.js';
+
+export async function handleAudit(request, env, path) {
+    if (path === '/api/audit' && request.method === 'GET') {
+        return listAudit(request, env);
+    }
+
+    return errorResponse('Not Found', 404);
+}
+
+/**
+ * List audit entries, newest first.
+ */
+async function listAudit(request, env) {
+    const url = new URL(request.url);
+    const workerId = url.searchParams.get('worker_id');
+    const actor = url.searchParams.get('actor');
+    const action = url.searchParams.get('action');
+    const entityType = url.searchParams.get('entity_type');
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '50', 10), 200);
+    const offset = (page - 1) * limit;
+
+    let query = 'SELECT * FROM audit_log WHERE 1=1';
+    const params = [];
+
+    if (workerId) {
+        query += ' AND worker_id = ?';
+        params.push(parseInt(workerId, 10));
+    }
+    if (actor) {
+        query += ' AND actor_username = ?';
+        params.push(actor.toLowerCase().trim());
+    }
+    if (action) {
+        query += ' AND action = ?';
+        params.push(action);
+    }
+    if (entityType) {
+        query += ' AND entity_type = ?';
+        params.push(entityType);
+    }
+    if (from) {
+        query += ' AND created_at >= ?';
+        params.push(from);
+    }
+    if (to) {
+        // Inclusive of the whole "to" day
+        query += " AND created_at < date(?, '+1 day')";
+        params.push(to);
+    }
+
+    const countQuery = query.replace('SELECT *', 'SELECT COUNT(*) as count');
+    const total = await env.DB.prepare(countQuery).bind(...params).first('count');
+
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+
+    const data = results.map(r => ({
+        ...r,
+        changes: r.changes ? JSON.parse(r.changes) : null,
+    }));
+
+    return jsonResponse({
+        data,
+        pagination: { page, limit, total, total_pages: Math.ceil(total / limit) },
+    });
+}
@@ -0,0 +1,158 @@
+/**
+ * Auth Route Handler
+ * Username/password login with server-side sessions.
+ *
+ * POST /api/auth/login   — Exchange credentials for a session token
+ * POST /api/auth/logout  — Revoke the current session
+ * GET  /api/auth/me      — Current user
+ * POST /api/auth/setup   — Create the first admin (requires AUTH_SECRET, only while no users exist)
+ */
+
+import { jsonResponse, errorResponse, createdResponse } from '../utils/response.js';
+import { hashPassword, verifyPassword, generateToken, sha256Hex, timingSafeEqual } from '../utils/crypto.js';
+
+const DEFAULT_SESSION_TTL_HOURS = 12;
+
+export async function handleAuth(request, env, path, user) {
+    const method = request.method;
+
+    if (path === '/api/auth/login' && method === 'POST') {
+        return login(request, env);
+    }
+
+    if (path === '/api/auth/logout' && method === 'POST') {
+        return logout(env, user);
+    }
+
+    if (path === '/api/auth/me' && method === 'GET') {
+        return jsonResponse(publicUser(user));
+    }
+
+    if (path === '/api/auth/setup' && method === 'POST') {
+        return setupFirstAdmin(request, env);
+    }
+
+    return errorResponse('Not Found', 404);
+}
+
+/**
+ * Verify username/password and open a new session.
+ */
+async function login(request, env) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const username = (body.username || '').toLowerCase().trim();
+    const password = body.password || '';
+
+    if (!username || !password) {
+        return errorResponse('username and password are required', 400);
+    }
+
+    const account = await env.DB.prepare(
+        'SELECT * FROM users WHERE username = ?'
+    ).bind(username).first();
+
+    // Same error for unknown user, wrong password and disabled account
+    const valid = account && account.is_active && await verifyPassword(password, account.password_hash);
+    if (!valid) {
+        return errorResponse('Invalid username or password', 401);
+    }
+
+    const token = generateToken();
+    const ttlHours = parseInt(env.SESSION_TTL_HOURS || DEFAULT_SESSION_TTL_HOURS, 10);
+    const expiresAt = new Date(Date.now() + ttlHours * 3600 * 1000)
+        .toISOString().replace('T', ' ').substring(0, 19); // match datetime('now') format
+
+    await env.DB.prepare(`
+        INSERT INTO sessions (user_id, token_hash, ip_address, expires_at)
+        VALUES (?, ?, ?, ?)
+    `).bind(account.id, await sha256Hex(token), request.headers.get('CF-Connecting-IP'), expiresAt).run();
+
+    await env.DB.prepare(
+        "UPDATE users SET last_login_at = datetime('now') WHERE id = ?"
+    ).bind(account.id).run();
+
+    // Opportunistic cleanup of expired sessions
+    await env.DB.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run();
+
+    return jsonResponse({
+        token,
+        expires_at: expiresAt,
+        user: publicUser(account),
+    });
+}
+
+/**
+ * Revoke the session used for this request.
+ */
+async function logout(env, user) {
+    await env.DB.prepare('DELETE FROM sessions WHERE id = ?').bind(user.session_id).run();
+    return jsonResponse({ success: true, message: 'Logged out' });
+}
+
+/**
+ * Bootstrap the first admin account.
+ * Guarded by the AUTH_SECRET secret and only allowed while the users table is empty.
+ */
+async function setupFirstAdmin(request, env) {
+    if (!env.AUTH_SECRET) {
+        return errorResponse('AUTH_SECRET not configured. Set it via wrangler secret put AUTH_SECRET.', 500);
+    }
+
+    const authHeader = request.headers.get('Authorization') || '';
+    if (!timingSafeEqual(authHeader.replace(/^Bearer\s+/, ''), env.AUTH_SECRET)) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const userCount = await env.DB.prepare('SELECT COUNT(*) as count FROM users').first('count');
+    if (userCount > 0) {
+        return errorResponse('Setup already completed', 409);
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+    const username = (body.username || '').toLowerCase().trim();
+    if (!username || !body.password || body.password.length < 8) {
+        return errorResponse('username and a password of at least 8 characters are required', 400);
+    }
+
+    const result = await env.DB.prepare(`
+        INSERT INTO users (username, display_name, email, password_hash, role)
+        VALUES (?, ?, ?, ?, 'admin')
+    `).bind(
+        username,
+        body.display_name || username,
+        // A first admin set up with an email as username gets it as their address too
+        /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(username) ? username : null,
+        await hashPassword(body.password)
+    ).run();
+
+    const created = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(result.meta.last_row_id).first();
+    return createdResponse(publicUser(created));
+}
+
+/**
+ * Strip credentials from a user row before returning it.
+ */
+export function publicUser(user) {
+    if (!user) return null;
+    return {
+        id: user.id,
+        username: user.username,
+        display_name: user.display_name,
+        email: user.email ?? null,
+        role: user.role,
+        is_active: user.is_active,
+        last_login_at: user.last_login_at,
+        created_at: user.created_at,
+    };
+}
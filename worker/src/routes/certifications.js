@@ -2,32 +2,56 @@
  * Certifications Route Handler
  *
  * POST /api/certifications/create   — Create a certification
- * GET  /api/certifications/list     — List certifications
+ * GET  /api/certifications/list     — List certifications (filters: worker_id, status, verification)
+ * GET  /api/certifications/review   — Review queue: certifications with their source document
+ *                                     (filters: verification, default unverified; page, limit)
  * GET  /api/certifications/:id      — Get single certification
+ * PUT/PATCH /api/certifications/:id — Update certification (optionally reassign by FIN, or set supersedes_id)
+ * POST /api/certifications/:id/verify — Set the verification status: { status, note? }
  * DELETE /api/certifications/:id    — Delete certification
  */
 
 import { jsonResponse, errorResponse, createdResponse } from '../utils/response.js';
 import { syncCertificationToSheet } from '../google-sync.js';
+import { recordAudit } from '../utils/audit.js';
+import { parseStatusFilter, statusCondition } from '../utils/status.js';
+import { emitEvent } from '../webhooks.js';
+import { resolveCourse, computeExpiry } from '../utils/courses.js';
+import { linkRenewal, unlinkRenewal, setSupersedes } from '../utils/renewals.js';
+import { VERIFICATION_STATUSES } from '../utils/verification.js';
+import { fileUrlSigner } from '../utils/file-urls.js';
 
-export async function handleCertifications(request, env, path) {
+export async function handleCertifications(request, env, path, user) {
     const method = request.method;
 
     if (path === '/api/certifications/create' && method === 'POST') {
-        return createCertification(request, env);
+        return createCertification(request, env, user);
     }
 
     if (path === '/api/certifications/list' && method === 'GET') {
         return listCertifications(request, env);
     }
 
+    if (path === '/api/certifications/review' && method === 'GET') {
+        return reviewQueue(request, env, user);
+    }
+
+    const verifyMatch = path.match(/^\/api\/certifications\/(\d+)\/verify$/);
+    if (verifyMatch && method === 'POST') {
+        return verifyCertification(request, env, parseInt(verifyMatch[1], 10), user);
+    }
+
     const idMatch = path.match(/^\/api\/certifications\/(\d+)$/);
     if (idMatch && method === 'GET') {
         return getCertification(env, parseInt(idMatch[1], 10));
     }
 
+    if (idMatch && (method === 'PUT' || method === 'PATCH')) {
+        return updateCertification(request, env, parseInt(idMatch[1], 10), user);
+    }
+
     if (idMatch && method === 'DELETE') {
-        return deleteCertification(env, parseInt(idMatch[1], 10));
+        return deleteCertification(request, env, parseInt(idMatch[1], 10), user);
     }
 
     return errorResponse('Not Found', 404);
@@ -35,54 +59,91 @@ export async function handleCertifications(request, env, path) {
 
 /**
  * Create a new certification.
- * Links to worker by worker_id or fin_number.
+ * Links to worker by worker_id or fin_number. A course_title found in the course catalogue is
+ * filed under the catalogue's title, and a missing expiry_date is worked out from issue_date.
+ * A certification of a course the worker already holds is linked in as its renewal.
+ */
+async function createCertification(request, env, user) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+    const saved = await insertCertification(env, request, user, body);
+    if (saved.error) return saved.error;
+
+    return createdResponse(saved.cert);
+}
+
+/**
+ * Insert a certification from an already-parsed body, with audit, sheet sync and webhook.
+ * Shared with OCR batch review (routes/ocr-jobs.js).
+ * @returns {Promise<{ error: Response } | { cert: object }>}
  */
-async function createCertification(request, env) {
-    const body = await request.json();
+export async function insertCertification(env, request, user, body) {
     const { worker_id, fin_number, course_title, course_provider, cert_serial_no, course_duration, issue_date, expiry_date } = body;
 
     if (!course_title) {
-        return errorResponse('course_title is required', 400);
+        return { error: errorResponse('course_title is required', 400) };
     }
 
     // Resolve worker ID
     let resolvedWorkerId = worker_id;
     if (!resolvedWorkerId && fin_number) {
+        // Archived duplicates resolve to the worker they were merged into
         const worker = await env.DB.prepare(
-            'SELECT id FROM workers WHERE fin_number = ?'
+            'SELECT COALESCE(merged_into_id, id) AS id FROM workers WHERE fin_number = ?'
         ).bind(fin_number.toUpperCase().trim()).first();
         if (worker) resolvedWorkerId = worker.id;
     }
 
     if (!resolvedWorkerId) {
-        return errorResponse('Could not resolve worker. Provide worker_id or valid fin_number.', 400);
+        return { error: errorResponse('Could not resolve worker. Provide worker_id or valid fin_number.', 400) };
     }
 
-    // Verify worker exists
+    // Verify worker exists (an archived duplicate's id resolves like its FIN)
     const workerExists = await env.DB.prepare(
-        'SELECT id FROM workers WHERE id = ?'
+        'SELECT COALESCE(merged_into_id, id) AS id FROM workers WHERE id = ?'
     ).bind(resolvedWorkerId).first();
     if (!workerExists) {
-        return errorResponse('Worker not found', 404);
+        return { error: errorResponse('Worker not found', 404) };
     }
+    resolvedWorkerId = workerExists.id;
+
+    const fields = await applyCourse(env,
+        normalizeCertFields({ course_title, course_provider, cert_serial_no, course_duration, issue_date, expiry_date }));
 
     const result = await env.DB.prepare(`
-        INSERT INTO certifications (worker_id, course_title, course_provider, cert_serial_no, course_duration, issue_date, expiry_date)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO certifications (worker_id, course_id, course_title, course_provider, cert_serial_no, course_duration, issue_date, expiry_date)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
         resolvedWorkerId,
-        course_title.toUpperCase().trim(),
-        course_provider ? course_provider.toUpperCase().trim() : null,
-        cert_serial_no ? cert_serial_no.toUpperCase().trim() : null,
-        course_duration ? course_duration.toUpperCase().trim() : null,
-        issue_date || null,
-        expiry_date || null
+        fields.course_id,
+        fields.course_title,
+        fields.course_provider,
+        fields.cert_serial_no,
+        fields.course_duration,
+        fields.issue_date,
+        fields.expiry_date
     ).run();
 
-    const cert = await env.DB.prepare(
+    let cert = await env.DB.prepare(
         'SELECT * FROM certifications WHERE id = ?'
     ).bind(result.meta.last_row_id).first();
 
+    if (await linkRenewal(env, cert)) {
+        cert = await env.DB.prepare('SELECT * FROM certifications WHERE id = ?').bind(cert.id).first();
+    }
+
+    await recordAudit(env, request, user, {
+        action: 'create',
+        entityType: 'certification',
+        entityId: cert.id,
+        workerId: cert.worker_id,
+        after: cert,
+    });
+
     // Sync to Google Sheets (fire-and-forget)
     try {
         const worker = await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(resolvedWorkerId).first();
@@ -91,7 +152,237 @@ async function createCertification(request, env) {
         console.error('Google Sheets cert sync failed:', err.message);
     }
 
-    return createdResponse(cert);
+    await emitEvent(env, 'certification.created', { certification: cert });
+
+    return { cert };
+}
+
+/**
+ * Update a certification.
+ * Only fields present in the body are changed; null / empty clears an optional field.
+ * Passing fin_number (or worker_id) reassigns the certification to that worker, moving it into
+ * that worker's renewal chain. supersedes_id sets which certification this one renewed (null: none).
+ * Any change to a reviewed certification puts it back to unverified.
+ */
+async function updateCertification(request, env, id, user) {
+    const existing = await env.DB.prepare('SELECT * FROM certifications WHERE id = ?').bind(id).first();
+    if (!existing) return errorResponse('Certification not found', 404);
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const editable = CERT_FIELDS.filter(f => f in body);
+    if ('course_title' in body && !(body.course_title || '').trim()) {
+        return errorResponse('course_title cannot be empty', 400);
+    }
+
+    let updates = normalizeCertFields(Object.fromEntries(editable.map(f => [f, body[f]])));
+    if (['course_title', 'issue_date', 'expiry_date'].some(f => f in updates)) {
+        updates = await applyCourse(env, updates, existing);
+    }
+
+    // Reassign to another worker by FIN or id — an archived duplicate resolves to the worker it was merged into
+    if (body.fin_number || body.worker_id) {
+        const target = body.fin_number
+            ? await env.DB.prepare('SELECT COALESCE(merged_into_id, id) AS id FROM workers WHERE fin_number = ?').bind(body.fin_number.toUpperCase().trim()).first()
+            : await env.DB.prepare('SELECT COALESCE(merged_into_id, id) AS id FROM workers WHERE id = ?').bind(body.worker_id).first();
+        if (!target) {
+            return errorResponse('Worker not found for reassignment', 404);
+        }
+        updates.worker_id = target.id;
+    }
+
+    if (updates.worker_id !== undefined && updates.worker_id !== existing.worker_id) {
+        if ('supersedes_id' in body && body.supersedes_id) {
+            return errorResponse('supersedes_id cannot be set while reassigning the certification', 400);
+        }
+        await unlinkRenewal(env, existing);
+    } else if ('supersedes_id' in body) {
+        const previousId = body.supersedes_id ? parseInt(body.supersedes_id, 10) : null;
+        if (Number.isNaN(previousId)) return errorResponse('supersedes_id must be a certification id', 400);
+        const chainError = await setSupersedes(env, existing, previousId);
+        if (chainError) return errorResponse(chainError, 400);
+    }
+
+    const columns = Object.keys(updates).filter(c => updates[c] !== existing[c]);
+    if (columns.length === 0) {
+        if ('supersedes_id' in body) await auditChainChange(env, request, user, existing);
+        return getCertification(env, id);
+    }
+
+    // Changed details have to be checked against the document again
+    if (existing.verification_status !== 'unverified') {
+        Object.assign(updates, { verification_status: 'unverified', verified_by: null, verified_at: null, verification_note: null });
+        columns.push('verification_status', 'verified_by', 'verified_at', 'verification_note');
+    }
+
+    await env.DB.prepare(`
+        UPDATE certifications SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = datetime('now')
+        WHERE id = ?
+    `).bind(...columns.map(c => updates[c]), id).run();
+
+    let cert = await env.DB.prepare('SELECT * FROM certifications WHERE id = ?').bind(id).first();
+
+    // A reassigned cert may renew (or be renewed by) one of its new worker's certs
+    if (cert.worker_id !== existing.worker_id && await linkRenewal(env, cert)) {
+        cert = await env.DB.prepare('SELECT * FROM certifications WHERE id = ?').bind(id).first();
+    }
+
+    await recordAudit(env, request, user, {
+        action: 'update',
+        entityType: 'certification',
+        entityId: id,
+        workerId: cert.worker_id,
+        before: existing,
+        after: cert,
+    });
+
+    // Reassignment: also leave a trail on the worker the cert was moved away from
+    if (cert.worker_id !== existing.worker_id) {
+        await recordAudit(env, request, user, {
+            action: 'update',
+            entityType: 'certification',
+            entityId: id,
+            workerId: existing.worker_id,
+            before: { worker_id: existing.worker_id },
+            after: { worker_id: cert.worker_id },
+        });
+    }
+
+    return getCertification(env, id);
+}
+
+/**
+ * Record the outcome of checking a certification against its source document.
+ * Body: { status: unverified | verified | rejected | needs_rescan, note? }. The note says why a
+ * certification was rejected or needs a re-scan; the verifier is the current user. A rejected
+ * certification is taken out of its renewal chain, so the one it claimed to renew is current again.
+ */
+async function verifyCertification(request, env, id, user) {
+    const existing = await env.DB.prepare('SELECT * FROM certifications WHERE id = ?').bind(id).first();
+    if (!existing) return errorResponse('Certification not found', 404);
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const status = body.status;
+    if (!VERIFICATION_STATUSES.includes(status)) {
+        return errorResponse(`status must be one of: ${VERIFICATION_STATUSES.join(', ')}`, 400);
+    }
+    const note = (body.note || '').trim() || null;
+    const reviewed = status !== 'unverified';
+
+    if (status === 'rejected') await unlinkRenewal(env, existing);
+    await env.DB.prepare(`
+        UPDATE certifications SET
+            verification_status = ?, verified_by = ?, verified_at = ${reviewed ? "datetime('now')" : 'NULL'},
+            verification_note = ?, updated_at = datetime('now')
+        WHERE id = ?
+    `).bind(status, reviewed ? user?.username ?? null : null, note, id).run();
+
+    const cert = await env.DB.prepare('SELECT * FROM certifications WHERE id = ?').bind(id).first();
+
+    await recordAudit(env, request, user, {
+        action: 'update',
+        entityType: 'certification',
+        entityId: id,
+        workerId: cert.worker_id,
+        before: { verification_status: existing.verification_status, verification_note: existing.verification_note },
+        after: { verification_status: cert.verification_status, verification_note: cert.verification_note },
+    });
+
+    if (cert.verification_status !== existing.verification_status) {
+        await emitEvent(env, 'certification.verification_changed', {
+            certification: cert,
+            from_status: existing.verification_status,
+            to_status: cert.verification_status,
+        });
+    }
+
+    return getCertification(env, id);
+}
+
+/**
+ * Audit a change that only touched the renewal chain.
+ */
+async function auditChainChange(env, request, user, existing) {
+    const cert = await env.DB.prepare('SELECT * FROM certifications WHERE id = ?').bind(existing.id).first();
+    if (cert.supersedes_id === existing.supersedes_id) return;
+
+    await recordAudit(env, request, user, {
+        action: 'update',
+        entityType: 'certification',
+        entityId: cert.id,
+        workerId: cert.worker_id,
+        before: { supersedes_id: existing.supersedes_id },
+        after: { supersedes_id: cert.supersedes_id },
+    });
+}
+
+/**
+ * Certification columns that can be set on create/update (worker_id handled separately).
+ */
+const CERT_FIELDS = ['course_title', 'course_provider', 'cert_serial_no', 'course_duration', 'issue_date', 'expiry_date'];
+
+/**
+ * Normalise certification fields the same way for create and update:
+ * text fields upper-cased and trimmed, empty values stored as NULL, dates stored as given.
+ * Only keys present in the input are returned.
+ */
+function normalizeCertFields(input) {
+    const out = {};
+    for (const field of CERT_FIELDS) {
+        if (!(field in input)) continue;
+        const value = input[field];
+        if (value === null || value === undefined || String(value).trim() === '') {
+            out[field] = null;
+        } else if (field === 'issue_date' || field === 'expiry_date') {
+            out[field] = String(value).trim();
+        } else {
+            out[field] = String(value).toUpperCase().trim();
+        }
+    }
+    return out;
+}
+
+/**
+ * Apply the course catalogue to normalised certification fields. When course_title is among
+ * them it is resolved: a catalogue course sets course_id, replaces the title with the
+ * catalogue's and fills an empty course_provider; an unknown title clears course_id.
+ * An expiry_date left empty is computed from issue_date and the course's validity_months.
+ * `existing` is the stored certification on update.
+ */
+async function applyCourse(env, fields, existing = null) {
+    const out = { ...fields };
+    let course = null;
+
+    if ('course_title' in fields) {
+        course = await resolveCourse(env, fields.course_title);
+        out.course_id = course ? course.id : null;
+        if (course) {
+            out.course_title = course.title;
+            const provider = 'course_provider' in fields ? fields.course_provider : existing?.course_provider;
+            if (!provider && course.provider) out.course_provider = course.provider;
+        }
+    } else if (existing?.course_id) {
+        course = await env.DB.prepare('SELECT * FROM courses WHERE id = ?').bind(existing.course_id).first();
+    }
+
+    const expiry = 'expiry_date' in fields ? fields.expiry_date : existing?.expiry_date;
+    const issued = 'issue_date' in fields ? fields.issue_date : existing?.issue_date;
+    if (!expiry && course?.validity_months) {
+        const computed = computeExpiry(issued, course.validity_months);
+        if (computed) out.expiry_date = computed;
+    }
+    return out;
 }
 
 /**
@@ -105,7 +396,7 @@ async function listCertifications(request, env) {
     const offset = (page - 1) * limit;
 
     let query = `
-        SELECT c.*, w.worker_name, w.fin_number
+        SELECT c.*, w.worker_name, w.fin_number, w.status AS worker_status
         FROM certifications c
         LEFT JOIN workers w ON c.worker_id = w.id
         WHERE 1=1
@@ -115,9 +406,25 @@ async function listCertifications(request, env) {
     if (workerId) {
         query += ' AND c.worker_id = ?';
         params.push(workerId);
+    } else {
+        // Across all workers, only show certs of workers in the requested statuses (default active)
+        const { statuses, error } = parseStatusFilter(url.searchParams.get('status'));
+        if (error) return errorResponse(error, 400);
+        const statusFilter = statusCondition('w.status', statuses);
+        query += statusFilter.sql;
+        params.push(...statusFilter.params);
+    }
+
+    const verification = url.searchParams.get('verification');
+    if (verification) {
+        if (!VERIFICATION_STATUSES.includes(verification)) {
+            return errorResponse(`Unknown verification: ${verification}. Use one of: ${VERIFICATION_STATUSES.join(', ')}`, 400);
+        }
+        query += ' AND c.verification_status = ?';
+        params.push(verification);
     }
 
-    const countQuery = query.replace(/SELECT c\.\*, w\.worker_name, w\.fin_number/, 'SELECT COUNT(*) as count');
+    const countQuery = query.replace(/SELECT c\.\*, w\.worker_name, w\.fin_number, w\.status AS worker_status/, 'SELECT COUNT(*) as count');
     const total = await env.DB.prepare(countQuery).bind(...params).first('count');
 
     query += ' ORDER BY c.created_at DESC LIMIT ? OFFSET ?';
@@ -130,6 +437,57 @@ async function listCertifications(request, env) {
     });
 }
 
+/**
+ * Certifications awaiting review (unverified by default, oldest first), each with the scan it
+ * was read from: the document filed by the OCR save that created it, else the cert's own file.
+ * source_document: { id, r2_key, original_name, mime_type, page, file_url } | null
+ */
+async function reviewQueue(request, env, user) {
+    const url = new URL(request.url);
+    const verification = url.searchParams.get('verification') || 'unverified';
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '20', 10), 100);
+
+    if (!VERIFICATION_STATUSES.includes(verification)) {
+        return errorResponse(`Unknown verification: ${verification}. Use one of: ${VERIFICATION_STATUSES.join(', ')}`, 400);
+    }
+
+    const total = await env.DB.prepare(`
+        SELECT COUNT(*) as count FROM certifications c JOIN workers w ON c.worker_id = w.id
+        WHERE c.verification_status = ? AND w.merged_into_id IS NULL
+    `).bind(verification).first('count');
+
+    const { results } = await env.DB.prepare(`
+        SELECT c.*, w.worker_name, w.fin_number, w.status AS worker_status,
+            d.id AS document_id, COALESCE(d.r2_key, c.file_key) AS document_r2_key,
+            d.original_name AS document_name, d.mime_type AS document_mime_type, d.page AS document_page
+        FROM certifications c
+        JOIN workers w ON c.worker_id = w.id
+        LEFT JOIN documents d ON d.id = (
+            SELECT r.document_id FROM ocr_runs r
+            WHERE r.certification_id = c.id AND r.document_id IS NOT NULL
+            ORDER BY r.id DESC LIMIT 1
+        )
+        WHERE c.verification_status = ? AND w.merged_into_id IS NULL
+        ORDER BY c.created_at, c.id
+        LIMIT ? OFFSET ?
+    `).bind(verification, limit, (page - 1) * limit).all();
+
+    const sign = await fileUrlSigner(env, user);
+    return jsonResponse({
+        data: await Promise.all(results.map(async ({ document_id, document_r2_key, document_name, document_mime_type, document_page, ...cert }) => ({
+            ...cert,
+            source_document: document_r2_key
+                ? {
+                    id: document_id, r2_key: document_r2_key, original_name: document_name, mime_type: document_mime_type,
+                    page: document_page, file_url: await sign(document_r2_key),
+                }
+                : null,
+        }))),
+        pagination: { page, limit, total, total_pages: Math.ceil(total / limit) },
+    });
+}
+
 /**
  * Get a single certification.
  */
@@ -148,7 +506,7 @@ async function getCertification(env, id) {
 /**
  * Delete a certification.
  */
-async function deleteCertification(env, id) {
+async function deleteCertification(request, env, id, user) {
     const existing = await env.DB.prepare('SELECT * FROM certifications WHERE id = ?').bind(id).first();
     if (!existing) return errorResponse('Certification not found', 404);
 
@@ -157,6 +515,18 @@ async function deleteCertification(env, id) {
         try { await env.BUCKET.delete(existing.file_key); } catch (e) { /* ignore */ }
     }
 
+    await unlinkRenewal(env, existing);
     await env.DB.prepare('DELETE FROM certifications WHERE id = ?').bind(id).run();
+
+    await recordAudit(env, request, user, {
+        action: 'delete',
+        entityType: 'certification',
+        entityId: id,
+        workerId: existing.worker_id,
+        before: existing,
+    });
+
+    await emitEvent(env, 'certification.deleted', { certification: existing });
+
     return jsonResponse({ success: true, message: 'Certification deleted' });
 }
@@ -0,0 +1,370 @@
+/**
+ * Compliance & Requirement Profiles Route Handler
+ * Admins define requirement profiles; Admins and HR Clerks assign workers to them; every role
+ * can read the compliance report.
+ *
+ * GET    /api/compliance                                — Workers checked against their profiles.
+ *                                                          Filters: site, profile_id, worker_id,
+ *                                                          compliance (compliant|expiring|missing),
+ *                                                          status (worker status, default active),
+ *                                                          days (expiring horizon),
+ *                                                          verified_only (true: only verified certs count),
+ *                                                          page, limit
+ * GET    /api/requirement-profiles                      — List profiles with required courses and worker counts
+ * POST   /api/requirement-profiles                      — Create: { name, trade?, site?, description?, course_ids }
+ * PUT/PATCH /api/requirement-profiles/:id               — Update (fields as above; only those present change)
+ * DELETE /api/requirement-profiles/:id                  — Delete a profile and its assignments
+ * GET    /api/requirement-profiles/:id/workers          — Workers assigned to a profile
+ * POST   /api/requirement-profiles/:id/workers          — Assign: { worker_ids?, fin_numbers? }
+ * DELETE /api/requirement-profiles/:id/workers/:worker  — Unassign a worker
+ */
+
+import { jsonResponse, errorResponse, createdResponse } from '../utils/response.js';
+import { recordAudit } from '../utils/audit.js';
+import { parseStatusFilter } from '../utils/status.js';
+import { EXPIRING_SOON_DAYS } from '../utils/expiries.js';
+import { COMPLIANCE_STATUSES, evaluateCompliance, summarizeBySite } from '../utils/compliance.js';
+
+export async function handleCompliance(request, env, path, user) {
+    const method = request.method;
+
+    if (path === '/api/compliance' && method === 'GET') {
+        return complianceReport(request, env);
+    }
+
+    if (path === '/api/requirement-profiles' && method === 'GET') {
+        return listProfiles(env);
+    }
+
+    if (path === '/api/requirement-profiles' && method === 'POST') {
+        return createProfile(request, env, user);
+    }
+
+    const idMatch = path.match(/^\/api\/requirement-profiles\/(\d+)$/);
+    if (idMatch && (method === 'PUT' || method === 'PATCH')) {
+        return updateProfile(request, env, parseInt(idMatch[1], 10), user);
+    }
+
+    if (idMatch && method === 'DELETE') {
+        return deleteProfile(request, env, parseInt(idMatch[1], 10), user);
+    }
+
+    const workersMatch = path.match(/^\/api\/requirement-profiles\/(\d+)\/workers$/);
+    if (workersMatch && method === 'GET') {
+        return listAssignedWorkers(env, parseInt(workersMatch[1], 10));
+    }
+
+    if (workersMatch && method === 'POST') {
+        return assignWorkers(request, env, parseInt(workersMatch[1], 10), user);
+    }
+
+    const unassignMatch = path.match(/^\/api\/requirement-profiles\/(\d+)\/workers\/(\d+)$/);
+    if (unassignMatch && method === 'DELETE') {
+        return unassignWorker(request, env, parseInt(unassignMatch[1], 10), parseInt(unassignMatch[2], 10), user);
+    }
+
+    return errorResponse('Not Found', 404);
+}
+
+// ─── Compliance report ─────────────────────────────────────
+
+async function complianceReport(request, env) {
+    const url = new URL(request.url);
+    const compliance = url.searchParams.get('compliance');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = parseInt(url.searchParams.get('limit') || '50', 10);
+    const days = parseInt(url.searchParams.get('days') || String(EXPIRING_SOON_DAYS), 10);
+    const verifiedOnly = url.searchParams.get('verified_only') === 'true';
+
+    if (compliance && !COMPLIANCE_STATUSES.includes(compliance)) {
+        return errorResponse(`Unknown compliance: ${compliance}. Use one of: ${COMPLIANCE_STATUSES.join(', ')}`, 400);
+    }
+    if (!Number.isInteger(days) || days < 0) {
+        return errorResponse('days must be a whole number of days', 400);
+    }
+    const { statuses, error } = parseStatusFilter(url.searchParams.get('status'));
+    if (error) return errorResponse(error, 400);
+
+    const workers = await evaluateCompliance(env, {
+        site: url.searchParams.get('site') || null,
+        profileId: parseInt(url.searchParams.get('profile_id') || '0', 10) || null,
+        workerId: parseInt(url.searchParams.get('worker_id') || '0', 10) || null,
+        statuses,
+        days,
+        verifiedOnly,
+    });
+
+    const summary = { workers: workers.length, compliant: 0, expiring: 0, missing: 0 };
+    for (const w of workers) summary[w.status]++;
+
+    const filtered = compliance ? workers.filter(w => w.status === compliance) : workers;
+    const total = filtered.length;
+
+    return jsonResponse({
+        data: filtered.slice((page - 1) * limit, page * limit),
+        summary,
+        sites: summarizeBySite(workers),
+        days,
+        verified_only: verifiedOnly,
+        pagination: { page, limit, total, total_pages: Math.ceil(total / limit) },
+    });
+}
+
+// ─── Requirement profiles ──────────────────────────────────
+
+async function findProfile(env, id) {
+    const profile = await env.DB.prepare('SELECT * FROM requirement_profiles WHERE id = ?').bind(id).first();
+    if (!profile) return null;
+
+    const { results: courses } = await env.DB.prepare(`
+        SELECT c.id, c.title FROM requirement_profile_courses r
+        JOIN courses c ON r.course_id = c.id
+        WHERE r.profile_id = ?
+        ORDER BY c.title
+    `).bind(id).all();
+    return { ...profile, courses };
+}
+
+/**
+ * Validate and normalise a create / update body. Returns { fields, courseIds } or { error, status }.
+ * courseIds is undefined when the body doesn't change the required courses.
+ */
+async function validateProfileFields(env, body, existing = null) {
+    const fields = {};
+
+    if (!existing || 'name' in body) {
+        const name = String(body.name || '').replace(/\s+/g, ' ').trim();
+        if (!name) return { error: 'name is required' };
+        const clash = await env.DB.prepare('SELECT id FROM requirement_profiles WHERE name = ? AND id != ?')
+            .bind(name, existing?.id ?? 0).first();
+        if (clash) return { error: `A requirement profile named "${name}" already exists`, status: 409 };
+        fields.name = name;
+    }
+    for (const field of ['trade', 'site', 'description']) {
+        if (field in body) fields[field] = String(body[field] || '').trim() || null;
+    }
+
+    let courseIds;
+    if (!existing || 'course_ids' in body) {
+        if (!Array.isArray(body.course_ids) || body.course_ids.length === 0) {
+            return { error: 'course_ids must list at least one catalogue course' };
+        }
+        courseIds = [...new Set(body.course_ids.map(id => parseInt(id, 10)))];
+        const { results } = await env.DB.prepare(
+            `SELECT id FROM courses WHERE id IN (${courseIds.map(() => '?').join(', ')})`
+        ).bind(...courseIds).all();
+        const known = new Set(results.map(r => r.id));
+        const unknown = courseIds.filter(id => !known.has(id));
+        if (unknown.length > 0) return { error: `Unknown course id: ${unknown.join(', ')}` };
+    }
+
+    return { fields, courseIds };
+}
+
+function replaceCourses(env, profileId, courseIds) {
+    return [
+        env.DB.prepare('DELETE FROM requirement_profile_courses WHERE profile_id = ?').bind(profileId),
+        ...courseIds.map(courseId =>
+            env.DB.prepare('INSERT INTO requirement_profile_courses (profile_id, course_id) VALUES (?, ?)').bind(profileId, courseId)
+        ),
+    ];
+}
+
+async function listProfiles(env) {
+    const { results: profiles } = await env.DB.prepare(`
+        SELECT p.*,
+            (SELECT COUNT(*) FROM worker_requirement_profiles a
+                JOIN workers w ON a.worker_id = w.id
+                WHERE a.profile_id = p.id AND w.status = 'active' AND w.merged_into_id IS NULL) AS worker_count
+        FROM requirement_profiles p
+        ORDER BY p.site, p.name
+    `).all();
+
+    const { results: courses } = await env.DB.prepare(`
+        SELECT r.profile_id, c.id, c.title FROM requirement_profile_courses r
+        JOIN courses c ON r.course_id = c.id
+        ORDER BY c.title
+    `).all();
+
+    return jsonResponse({
+        data: profiles.map(p => ({
+            ...p,
+            courses: courses.filter(c => c.profile_id === p.id).map(({ id, title }) => ({ id, title })),
+        })),
+    });
+}
+
+async function createProfile(request, env, user) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const { fields, courseIds, error, status } = await validateProfileFields(env, body);
+    if (error) return errorResponse(error, status || 400);
+
+    const result = await env.DB.prepare(`
+        INSERT INTO requirement_profiles (name, trade, site, description, created_by)
+        VALUES (?, ?, ?, ?, ?)
+    `).bind(fields.name, fields.trade ?? null, fields.site ?? null, fields.description ?? null, user?.username ?? null).run();
+    const id = result.meta.last_row_id;
+    await env.DB.batch(replaceCourses(env, id, courseIds));
+
+    const profile = await findProfile(env, id);
+
+    await recordAudit(env, request, user, {
+        action: 'create',
+        entityType: 'requirement_profile',
+        entityId: id,
+        after: profile,
+    });
+
+    return createdResponse(profile);
+}
+
+async function updateProfile(request, env, id, user) {
+    const existing = await findProfile(env, id);
+    if (!existing) return errorResponse('Requirement profile not found', 404);
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const { fields, courseIds, error, status } = await validateProfileFields(env, body, existing);
+    if (error) return errorResponse(error, status || 400);
+
+    const columns = Object.keys(fields).filter(c => fields[c] !== existing[c]);
+    const statements = courseIds ? replaceCourses(env, id, courseIds) : [];
+    if (columns.length > 0) {
+        statements.push(env.DB.prepare(`
+            UPDATE requirement_profiles SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = datetime('now')
+            WHERE id = ?
+        `).bind(...columns.map(c => fields[c]), id));
+    }
+    if (statements.length > 0) await env.DB.batch(statements);
+
+    const profile = await findProfile(env, id);
+
+    await recordAudit(env, request, user, {
+        action: 'update',
+        entityType: 'requirement_profile',
+        entityId: id,
+        before: existing,
+        after: profile,
+    });
+
+    return jsonResponse(profile);
+}
+
+async function deleteProfile(request, env, id, user) {
+    const existing = await findProfile(env, id);
+    if (!existing) return errorResponse('Requirement profile not found', 404);
+
+    await env.DB.batch([
+        env.DB.prepare('DELETE FROM worker_requirement_profiles WHERE profile_id = ?').bind(id),
+        env.DB.prepare('DELETE FROM requirement_profile_courses WHERE profile_id = ?').bind(id),
+        env.DB.prepare('DELETE FROM requirement_profiles WHERE id = ?').bind(id),
+    ]);
+
+    await recordAudit(env, request, user, {
+        action: 'delete',
+        entityType: 'requirement_profile',
+        entityId: id,
+        before: existing,
+    });
+
+    return jsonResponse({ success: true, message: 'Requirement profile deleted' });
+}
+
+// ─── Assignments ───────────────────────────────────────────
+
+async function listAssignedWorkers(env, profileId) {
+    const profile = await findProfile(env, profileId);
+    if (!profile) return errorResponse('Requirement profile not found', 404);
+
+    const { results } = await env.DB.prepare(`
+        SELECT w.id, w.worker_name, w.fin_number, w.employer_name, w.status, a.assigned_by, a.assigned_at
+        FROM worker_requirement_profiles a
+        JOIN workers w ON a.worker_id = w.id
+        WHERE a.profile_id = ?
+        ORDER BY w.worker_name
+    `).bind(profileId).all();
+
+    return jsonResponse({ data: results });
+}
+
+/**
+ * Assign workers by id and / or FIN (archived duplicates resolve to the worker they were merged
+ * into). Workers already assigned are left as they are.
+ */
+async function assignWorkers(request, env, profileId, user) {
+    const profile = await findProfile(env, profileId);
+    if (!profile) return errorResponse('Requirement profile not found', 404);
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const workerIds = new Set();
+    const notFound = [];
+    for (const id of body.worker_ids || []) {
+        const worker = await env.DB.prepare('SELECT COALESCE(merged_into_id, id) AS id FROM workers WHERE id = ?').bind(id).first();
+        if (worker) workerIds.add(worker.id);
+        else notFound.push(id);
+    }
+    for (const fin of body.fin_numbers || []) {
+        const value = String(fin || '').toUpperCase().trim();
+        if (!value) continue;
+        const worker = await env.DB.prepare('SELECT COALESCE(merged_into_id, id) AS id FROM workers WHERE fin_number = ?').bind(value).first();
+        if (worker) workerIds.add(worker.id);
+        else notFound.push(value);
+    }
+    if (workerIds.size === 0 && notFound.length === 0) {
+        return errorResponse('Provide worker_ids or fin_numbers', 400);
+    }
+
+    let assigned = 0;
+    for (const workerId of workerIds) {
+        const result = await env.DB.prepare(`
+            INSERT OR IGNORE INTO worker_requirement_profiles (worker_id, profile_id, assigned_by) VALUES (?, ?, ?)
+        `).bind(workerId, profileId, user?.username ?? null).run();
+        if (!result.meta?.changes) continue;
+        assigned++;
+
+        await recordAudit(env, request, user, {
+            action: 'update',
+            entityType: 'requirement_profile',
+            entityId: profileId,
+            workerId,
+            after: { assigned: profile.name },
+        });
+    }
+
+    return jsonResponse({ assigned, already_assigned: workerIds.size - assigned, not_found: notFound });
+}
+
+async function unassignWorker(request, env, profileId, workerId, user) {
+    const result = await env.DB.prepare(
+        'DELETE FROM worker_requirement_profiles WHERE profile_id = ? AND worker_id = ?'
+    ).bind(profileId, workerId).run();
+    if (!result.meta?.changes) return errorResponse('Worker is not assigned to this profile', 404);
+
+    const profile = await findProfile(env, profileId);
+    await recordAudit(env, request, user, {
+        action: 'update',
+        entityType: 'requirement_profile',
+        entityId: profileId,
+        workerId,
+        before: { assigned: profile?.name ?? profileId },
+    });
+
+    return jsonResponse({ success: true, message: 'Worker unassigned' });
+}
@@ -0,0 +1,238 @@
+/**
+ * Course Catalogue Route Handler
+ * Any role may read the catalogue; only admins maintain it.
+ *
+ * GET    /api/courses       — List courses, with refresher title and number of linked certifications
+ * POST   /api/courses       — Add a course: { title, aliases?, provider?, validity_months?, refresher_course_id? }
+ * PUT/PATCH /api/courses/:id — Update a course (fields as above; only those present change)
+ * DELETE /api/courses/:id   — Remove a course; its certifications keep their title but lose the link,
+ *                             and requirement profiles stop requiring it
+ *
+ * Saving a course links existing certifications whose title matches it and aren't linked yet.
+ */
+
+import { jsonResponse, errorResponse, createdResponse } from '../utils/response.js';
+import { recordAudit } from '../utils/audit.js';
+import { courseKey, courseAliases, matchCourse } from '../utils/courses.js';
+
+export async function handleCourses(request, env, path, user) {
+    const method = request.method;
+
+    if (path === '/api/courses' && method === 'GET') {
+        return listCourses(env);
+    }
+
+    if (path === '/api/courses' && method === 'POST') {
+        return createCourse(request, env, user);
+    }
+
+    const idMatch = path.match(/^\/api\/courses\/(\d+)$/);
+    if (idMatch && (method === 'PUT' || method === 'PATCH')) {
+        return updateCourse(request, env, parseInt(idMatch[1], 10), user);
+    }
+
+    if (idMatch && method === 'DELETE') {
+        return deleteCourse(request, env, parseInt(idMatch[1], 10), user);
+    }
+
+    return errorResponse('Not Found', 404);
+}
+
+async function findCourse(env, id) {
+    return env.DB.prepare('SELECT * FROM courses WHERE id = ?').bind(id).first();
+}
+
+/**
+ * Course as returned by the API (aliases parsed).
+ */
+function presentCourse(course) {
+    return { ...course, aliases: courseAliases(course) };
+}
+
+/**
+ * Validate and normalise a create / update body. Titles and aliases are stored upper-cased like
+ * certification titles. Returns { fields } or { error, status }.
+ */
+async function validateCourseFields(env, body, existing = null) {
+    const fields = {};
+
+    if (!existing || 'title' in body) {
+        const title = String(body.title || '').toUpperCase().replace(/\s+/g, ' ').trim();
+        if (!title) return { error: 'title is required' };
+        fields.title = title;
+    }
+
+    if ('aliases' in body) {
+        if (body.aliases !== null && !Array.isArray(body.aliases)) {
+            return { error: 'aliases must be an array of titles' };
+        }
+        const titleKey = courseKey(fields.title ?? existing.title);
+        const seen = new Set([titleKey]);
+        const aliases = [];
+        for (const alias of body.aliases || []) {
+            const value = String(alias || '').toUpperCase().replace(/\s+/g, ' ').trim();
+            if (!value || seen.has(courseKey(value))) continue;
+            seen.add(courseKey(value));
+            aliases.push(value);
+        }
+        fields.aliases = JSON.stringify(aliases);
+    }
+
+    if ('provider' in body) {
+        fields.provider = String(body.provider || '').toUpperCase().trim() || null;
+    }
+
+    if ('validity_months' in body) {
+        const months = body.validity_months;
+        if (months === null || months === '') {
+            fields.validity_months = null;
+        } else if (!Number.isInteger(Number(months)) || Number(months) < 1 || Number(months) > 600) {
+            return { error: 'validity_months must be a whole number of months (1–600), or null for no expiry' };
+        } else {
+            fields.validity_months = Number(months);
+        }
+    }
+
+    if ('refresher_course_id' in body) {
+        const refresherId = body.refresher_course_id ? parseInt(body.refresher_course_id, 10) : null;
+        if (refresherId && refresherId !== existing?.id && !(await findCourse(env, refresherId))) {
+            return { error: 'refresher_course_id does not match a course' };
+        }
+        fields.refresher_course_id = refresherId;
+    }
+
+    // A title or alias may only belong to one course, or resolving would be ambiguous
+    const { results: others } = await env.DB.prepare('SELECT * FROM courses WHERE id != ?').bind(existing?.id ?? 0).all();
+    const names = [fields.title ?? existing.title, ...('aliases' in fields ? JSON.parse(fields.aliases) : courseAliases(existing))];
+    for (const name of names) {
+        const clash = matchCourse(others, name);
+        if (clash) return { error: `"${name}" is already a title or alias of course ${clash.title}`, status: 409 };
+    }
+
+    return { fields };
+}
+
+/**
+ * Link certifications not yet in the catalogue whose title matches `course`. Titles are left as
+ * they were typed. Returns the number linked.
+ */
+async function linkCertifications(env, course) {
+    const { results } = await env.DB.prepare(
+        'SELECT DISTINCT course_title FROM certifications WHERE course_id IS NULL AND course_title IS NOT NULL'
+    ).all();
+    const titles = results.map(r => r.course_title).filter(t => matchCourse([course], t));
+    if (titles.length === 0) return 0;
+
+    const result = await env.DB.prepare(`
+        UPDATE certifications SET course_id = ?, updated_at = datetime('now')
+        WHERE course_id IS NULL AND course_title IN (${titles.map(() => '?').join(', ')})
+    `).bind(course.id, ...titles).run();
+    return result.meta?.changes ?? 0;
+}
+
+async function listCourses(env) {
+    const { results } = await env.DB.prepare(`
+        SELECT c.*, r.title AS refresher_title,
+            (SELECT COUNT(*) FROM certifications x WHERE x.course_id = c.id) AS cert_count
+        FROM courses c
+        LEFT JOIN courses r ON c.refresher_course_id = r.id
+        ORDER BY c.title
+    `).all();
+
+    return jsonResponse({ data: results.map(presentCourse) });
+}
+
+async function createCourse(request, env, user) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const { fields, error, status } = await validateCourseFields(env, body);
+    if (error) return errorResponse(error, status || 400);
+
+    const result = await env.DB.prepare(`
+        INSERT INTO courses (title, aliases, provider, validity_months, refresher_course_id, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(
+        fields.title,
+        fields.aliases ?? '[]',
+        fields.provider ?? null,
+        fields.validity_months ?? null,
+        fields.refresher_course_id ?? null,
+        user?.username ?? null
+    ).run();
+
+    const course = await findCourse(env, result.meta.last_row_id);
+    const linked = await linkCertifications(env, course);
+
+    await recordAudit(env, request, user, {
+        action: 'create',
+        entityType: 'course',
+        entityId: course.id,
+        after: presentCourse(course),
+    });
+
+    return createdResponse({ ...presentCourse(course), linked_certifications: linked });
+}
+
+async function updateCourse(request, env, id, user) {
+    const existing = await findCourse(env, id);
+    if (!existing) return errorResponse('Course not found', 404);
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const { fields, error, status } = await validateCourseFields(env, body, existing);
+    if (error) return errorResponse(error, status || 400);
+
+    const columns = Object.keys(fields).filter(c => fields[c] !== existing[c]);
+    if (columns.length > 0) {
+        await env.DB.prepare(`
+            UPDATE courses SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = datetime('now')
+            WHERE id = ?
+        `).bind(...columns.map(c => fields[c]), id).run();
+    }
+
+    const course = await findCourse(env, id);
+    const linked = await linkCertifications(env, course);
+
+    if (columns.length > 0) {
+        await recordAudit(env, request, user, {
+            action: 'update',
+            entityType: 'course',
+            entityId: id,
+            before: presentCourse(existing),
+            after: presentCourse(course),
+        });
+    }
+
+    return jsonResponse({ ...presentCourse(course), linked_certifications: linked });
+}
+
+async function deleteCourse(request, env, id, user) {
+    const existing = await findCourse(env, id);
+    if (!existing) return errorResponse('Course not found', 404);
+
+    await env.DB.batch([
+        env.DB.prepare('UPDATE certifications SET course_id = NULL WHERE course_id = ?').bind(id),
+        env.DB.prepare('UPDATE courses SET refresher_course_id = NULL WHERE refresher_course_id = ?').bind(id),
+        env.DB.prepare('DELETE FROM requirement_profile_courses WHERE course_id = ?').bind(id),
+        env.DB.prepare('DELETE FROM courses WHERE id = ?').bind(id),
+    ]);
+
+    await recordAudit(env, request, user, {
+        action: 'delete',
+        entityType: 'course',
+        entityId: id,
+        before: presentCourse(existing),
+    });
+
+    return jsonResponse({ success: true, message: 'Course deleted' });
+}
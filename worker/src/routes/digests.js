@@ -0,0 +1,202 @@
+/**
+ * Email Digests Route Handler
+ * Each user manages their own subscription; admins can see every delivery.
+ *
+ * GET  /api/digests/subscription — Current user's subscription (or defaults) plus the available options
+ * PUT  /api/digests/subscription — Create / update: { email, frequency, weekly_day, employers, thresholds }
+ *                                  (email: the address on the user's account or one at DIGEST_EMAIL_DOMAINS)
+ * GET  /api/digests/preview      — Render the current user's digest without sending (?format=html|text|json)
+ * POST /api/digests/send         — Send the current user's digest now (MANUAL_SENDS_PER_HOUR at most)
+ * GET  /api/digests/deliveries   — Delivery log (own deliveries; admins see all). Filters: status, page, limit
+ */
+
+import { jsonResponse, errorResponse } from '../utils/response.js';
+import { findExpiring, EXPIRING_SOON_DAYS } from '../utils/expiries.js';
+import { mailProviderName } from '../utils/mailer.js';
+import {
+    DIGEST_FREQUENCIES, MANUAL_SENDS_PER_HOUR, digestAddressAllowed, digestThresholdOptions, renderDigest, sendDigest,
+} from '../digest.js';
+
+export async function handleDigests(request, env, path, user) {
+    const method = request.method;
+
+    if (path === '/api/digests/subscription' && method === 'GET') {
+        return getSubscription(env, user);
+    }
+
+    if (path === '/api/digests/subscription' && method === 'PUT') {
+        return saveSubscription(request, env, user);
+    }
+
+    if (path === '/api/digests/preview' && method === 'GET') {
+        return previewDigest(request, env, user);
+    }
+
+    if (path === '/api/digests/send' && method === 'POST') {
+        return sendNow(env, user);
+    }
+
+    if (path === '/api/digests/deliveries' && method === 'GET') {
+        return listDeliveries(request, env, user);
+    }
+
+    return errorResponse('Not Found', 404);
+}
+
+async function findSubscription(env, user) {
+    return env.DB.prepare('SELECT * FROM digest_subscriptions WHERE user_id = ?').bind(user.id).first();
+}
+
+function presentSubscription(subscription) {
+    return {
+        ...subscription,
+        employers: subscription.employers ? JSON.parse(subscription.employers) : [],
+        thresholds: subscription.thresholds ? JSON.parse(subscription.thresholds) : [],
+    };
+}
+
+async function getSubscription(env, user) {
+    const subscription = await findSubscription(env, user);
+
+    const { results: employerRows } = await env.DB.prepare(`
+        SELECT DISTINCT employer_name FROM workers
+        WHERE employer_name IS NOT NULL AND status = 'active' AND merged_into_id IS NULL
+        ORDER BY employer_name
+    `).all();
+
+    return jsonResponse({
+        subscription: subscription
+            ? presentSubscription(subscription)
+            : { email: user.email || '', frequency: 'off', weekly_day: 1, employers: [], thresholds: [] },
+        options: {
+            frequencies: DIGEST_FREQUENCIES,
+            thresholds: digestThresholdOptions(env),
+            employers: employerRows.map(r => r.employer_name),
+            horizon_days: EXPIRING_SOON_DAYS,
+            provider: mailProviderName(env),
+        },
+    });
+}
+
+/**
+ * Empty employers / thresholds arrays mean "all".
+ */
+async function saveSubscription(request, env, user) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const email = (body.email || '').trim();
+    const frequency = body.frequency || 'weekly';
+    const weeklyDay = body.weekly_day === undefined ? 1 : parseInt(body.weekly_day, 10);
+    const employers = Array.isArray(body.employers) ? body.employers.filter(Boolean) : [];
+    const thresholds = Array.isArray(body.thresholds) ? body.thresholds.map(String) : [];
+
+    if (!/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(email)) {
+        return errorResponse('A valid email address is required', 400);
+    }
+    if (!digestAddressAllowed(env, user, email)) {
+        return errorResponse('Digests can only be sent to the email address on your account or an approved company domain', 400);
+    }
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+        return errorResponse(`frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`, 400);
+    }
+    if (!(weeklyDay >= 0 && weeklyDay <= 6)) {
+        return errorResponse('weekly_day must be 0 (Sunday) to 6 (Saturday)', 400);
+    }
+    const allowedThresholds = digestThresholdOptions(env);
+    const unknown = thresholds.filter(t => !allowedThresholds.includes(t));
+    if (unknown.length > 0) {
+        return errorResponse(`Unknown threshold: ${unknown.join(', ')}. Use: ${allowedThresholds.join(', ')}`, 400);
+    }
+
+    await env.DB.prepare(`
+        INSERT INTO digest_subscriptions (user_id, email, frequency, weekly_day, employers, thresholds)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+            email = excluded.email,
+            frequency = excluded.frequency,
+            weekly_day = excluded.weekly_day,
+            employers = excluded.employers,
+            thresholds = excluded.thresholds,
+            updated_at = datetime('now')
+    `).bind(
+        user.id, email, frequency, weeklyDay,
+        employers.length > 0 ? JSON.stringify(employers) : null,
+        thresholds.length > 0 ? JSON.stringify(thresholds) : null
+    ).run();
+
+    return jsonResponse(presentSubscription(await findSubscription(env, user)));
+}
+
+async function previewDigest(request, env, user) {
+    const subscription = await findSubscription(env, user);
+    if (!subscription) return errorResponse('Set up your digest subscription first', 404);
+
+    const items = await findExpiring(env, { horizonDays: EXPIRING_SOON_DAYS, includeExpired: true });
+    const rendered = renderDigest(env, subscription, items);
+    const format = new URL(request.url).searchParams.get('format') || 'json';
+
+    if (format === 'html') {
+        return new Response(rendered.html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    }
+    if (format === 'text') {
+        return new Response(rendered.text, { headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+    }
+    return jsonResponse(rendered);
+}
+
+async function sendNow(env, user) {
+    const subscription = await findSubscription(env, user);
+    if (!subscription) return errorResponse('Set up your digest subscription first', 404);
+    if (!digestAddressAllowed(env, user, subscription.email)) {
+        return errorResponse('Digests can only be sent to the email address on your account or an approved company domain', 400);
+    }
+
+    const recentSends = await env.DB.prepare(
+        "SELECT COUNT(*) as count FROM email_deliveries WHERE user_id = ? AND created_at >= datetime('now', '-1 hour')"
+    ).bind(user.id).first('count');
+    if (recentSends >= MANUAL_SENDS_PER_HOUR) {
+        return errorResponse(`At most ${MANUAL_SENDS_PER_HOUR} digests an hour — try again later`, 429);
+    }
+
+    const items = await findExpiring(env, { horizonDays: EXPIRING_SOON_DAYS, includeExpired: true });
+    const delivery = await sendDigest(env, subscription, items);
+
+    return jsonResponse(delivery, delivery.status === 'sent' ? 200 : 502);
+}
+
+async function listDeliveries(request, env, user) {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '20', 10), 200);
+    const offset = (page - 1) * limit;
+
+    let query = 'SELECT * FROM email_deliveries WHERE 1=1';
+    const params = [];
+
+    if (user.role !== 'admin') {
+        query += ' AND user_id = ?';
+        params.push(user.id);
+    }
+    if (status) {
+        query += ' AND status = ?';
+        params.push(status);
+    }
+
+    const countQuery = query.replace('SELECT *', 'SELECT COUNT(*) as count');
+    const total = await env.DB.prepare(countQuery).bind(...params).first('count');
+
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+
+    return jsonResponse({
+        data: results,
+        pagination: { page, limit, total, total_pages: Math.ceil(total / limit) },
+    });
+}
@@ -8,22 +8,36 @@
  */
 
 import { jsonResponse, errorResponse, createdResponse } from '../utils/response.js';
+import { recordAudit } from '../utils/audit.js';
+import { fileUrlSigner } from '../utils/file-urls.js';
 
-export async function handleDocuments(request, env, path) {
+// Keys only admins may read: the pre-purge exports of deleted workers and the local mail outbox
+const ADMIN_ONLY_PREFIXES = ['purged/', 'mail-outbox/'];
+
+export async function handleDocuments(request, env, path, user) {
     const method = request.method;
 
     // POST /api/documents/upload
     if (path === '/api/documents/upload' && method === 'POST') {
-        return uploadDocument(request, env);
+        return uploadDocument(request, env, user);
     }
 
     // GET/DELETE /api/files/:key
     if (path.startsWith('/api/files/')) {
-        const key = decodeURIComponent(path.replace('/api/files/', ''));
+        let key;
+        try {
+            key = decodeURIComponent(path.replace('/api/files/', ''));
+        } catch (e) {
+            return errorResponse('Invalid file key', 400);
+        }
         if (!key) return errorResponse('File key required', 400);
+        // Checked on the decoded key — the raw path can spell the prefix in percent-escapes
+        if (ADMIN_ONLY_PREFIXES.some(prefix => key.startsWith(prefix)) && user?.role !== 'admin') {
+            return errorResponse('Forbidden: your role does not allow this action', 403);
+        }
 
-        if (method === 'GET') return getFile(env, key);
-        if (method === 'DELETE') return deleteFile(env, key);
+        if (method === 'GET') return getFile(request, env, key, user);
+        if (method === 'DELETE') return deleteFile(request, env, key, user);
         return errorResponse('Method Not Allowed', 405);
     }
 
@@ -33,7 +47,7 @@ export async function handleDocuments(request, env, path) {
 /**
  * Upload a document to R2 and record in D1.
  */
-async function uploadDocument(request, env) {
+async function uploadDocument(request, env, user) {
     const contentType = request.headers.get('Content-Type') || '';
     if (!contentType.includes('multipart/form-data')) {
         return errorResponse('Content-Type must be multipart/form-data', 400);
@@ -76,28 +90,48 @@ async function uploadDocument(request, env) {
     });
 
     // Record in database
-    await env.DB.prepare(`
+    const inserted = await env.DB.prepare(`
         INSERT INTO documents (worker_id, document_type, r2_key, original_name, mime_type, file_size)
         VALUES (?, ?, ?, ?, ?, ?)
     `).bind(workerId, documentType, r2Key, file.name, file.type, arrayBuffer.byteLength).run();
 
+    await recordAudit(env, request, user, {
+        action: 'upload',
+        entityType: 'document',
+        entityId: inserted.meta.last_row_id,
+        workerId: workerId ? parseInt(workerId, 10) : null,
+        after: { document_type: documentType, r2_key: r2Key, original_name: file.name },
+    });
+
     return createdResponse({
         r2_key: r2Key,
         worker_id: workerId,
         document_type: documentType,
         original_name: file.name,
         file_size: arrayBuffer.byteLength,
-        file_url: `/api/files/${encodeURIComponent(r2Key)}`,
+        file_url: await (await fileUrlSigner(env, user))(r2Key),
     });
 }
 
 /**
  * Get file from R2 via Worker (signed access — not public).
+ * Every download is audited — permit scans carry personal data.
  */
-async function getFile(env, key) {
+async function getFile(request, env, key, user) {
     const object = await env.BUCKET.get(key);
     if (!object) return errorResponse('File not found', 404);
 
+    const doc = await env.DB.prepare(
+        'SELECT id, worker_id FROM documents WHERE r2_key = ?'
+    ).bind(key).first();
+
+    await recordAudit(env, request, user, {
+        action: 'download',
+        entityType: 'document',
+        entityId: doc ? doc.id : key,
+        workerId: doc ? doc.worker_id : null,
+    });
+
     const headers = new Headers();
     headers.set('Content-Type', object.httpMetadata?.contentType || 'application/octet-stream');
     headers.set('Content-Length', String(object.size));
@@ -113,12 +147,22 @@ async function getFile(env, key) {
 /**
  * Delete file from R2 and database.
  */
-async function deleteFile(env, key) {
+async function deleteFile(request, env, key, user) {
     const object = await env.BUCKET.head(key);
     if (!object) return errorResponse('File not found', 404);
 
+    const doc = await env.DB.prepare('SELECT * FROM documents WHERE r2_key = ?').bind(key).first();
+
     await env.BUCKET.delete(key);
     await env.DB.prepare('DELETE FROM documents WHERE r2_key = ?').bind(key).run();
 
+    await recordAudit(env, request, user, {
+        action: 'delete',
+        entityType: 'document',
+        entityId: doc ? doc.id : key,
+        workerId: doc ? doc.worker_id : null,
+        before: doc || { r2_key: key },
+    });
+
     return jsonResponse({ success: true, message: 'File deleted' });
 }
@@ -0,0 +1,447 @@
+/**
+ * Batch OCR Jobs Route Handler
+ * Upload a ZIP of scans or a multi-page PDF once; it is split into items, OCR'd from a queue and
+ * grouped into per-worker bundles (by FIN) for review. See ocr/jobs.js.
+ *
+ * POST /api/ocr/jobs                             — multipart 'file' (ZIP, PDF or image) + optional 'document_type'
+ * GET  /api/ocr/jobs                             — List jobs (?status=, page, limit)
+ * GET  /api/ocr/jobs/:id                         — Job with progress counts and its items
+ * POST /api/ocr/jobs/:id/run                     — OCR the next few queued items ({ limit? }, max 10), return progress
+ * POST /api/ocr/jobs/:id/resume                  — Requeue the job's failed items
+ * GET  /api/ocr/jobs/:id/bundles                 — Proposed worker + certifications per bundle, with their items
+ * PUT  /api/ocr/jobs/:id/bundles/:bid            — Save reviewer edits: { worker, certifications }
+ * POST /api/ocr/jobs/:id/bundles/:bid/approve    — Save the worker, certifications and scans ({ worker?, certifications?, allow_invalid_fin? })
+ * POST /api/ocr/jobs/:id/bundles/:bid/reject     — Discard the bundle: { note? }
+ */
+
+import { jsonResponse, errorResponse, createdResponse } from '../utils/response.js';
+import { recordAudit } from '../utils/audit.js';
+import { fileUrlSigner } from '../utils/file-urls.js';
+import { createJob, processJobItems, resumeJob, jobProgress, completeJobIfReviewed } from '../ocr/jobs.js';
+import { compareWithSaved } from '../ocr/corrections.js';
+import { saveWorker } from './workers.js';
+import { insertCertification } from './certifications.js';
+
+const JOB_STATUSES = ['queued', 'running', 'review', 'completed', 'failed'];
+const UPLOAD_TYPES = [
+    'application/zip', 'application/x-zip-compressed', 'application/pdf',
+    'image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp', 'image/tiff',
+];
+
+export async function handleOCRJobs(request, env, path, user) {
+    const method = request.method;
+
+    if (path === '/api/ocr/jobs' && method === 'POST') {
+        return uploadJob(request, env, user);
+    }
+
+    if (path === '/api/ocr/jobs' && method === 'GET') {
+        return listJobs(request, env);
+    }
+
+    const jobMatch = path.match(/^\/api\/ocr\/jobs\/(\d+)(\/run|\/resume|\/bundles)?$/);
+    if (jobMatch) {
+        const jobId = parseInt(jobMatch[1], 10);
+        const action = jobMatch[2];
+
+        if (!action && method === 'GET') return getJob(env, jobId);
+        if (action === '/run' && method === 'POST') return runJob(request, env, jobId);
+        if (action === '/resume' && method === 'POST') return resume(env, jobId);
+        if (action === '/bundles' && method === 'GET') return listBundles(env, jobId, user);
+    }
+
+    const bundleMatch = path.match(/^\/api\/ocr\/jobs\/(\d+)\/bundles\/(\d+)(\/approve|\/reject)?$/);
+    if (bundleMatch) {
+        const jobId = parseInt(bundleMatch[1], 10);
+        const bundleId = parseInt(bundleMatch[2], 10);
+        const action = bundleMatch[3];
+
+        if (!action && method === 'PUT') return editBundle(request, env, jobId, bundleId);
+        if (action === '/approve' && method === 'POST') return approveBundle(request, env, jobId, bundleId, user);
+        if (action === '/reject' && method === 'POST') return rejectBundle(request, env, jobId, bundleId, user);
+    }
+
+    return errorResponse('Not Found', 404);
+}
+
+async function uploadJob(request, env, user) {
+    const contentType = request.headers.get('Content-Type') || '';
+    if (!contentType.includes('multipart/form-data')) {
+        return errorResponse('Content-Type must be multipart/form-data', 400);
+    }
+
+    const formData = await request.formData();
+    const file = formData.get('file');
+    const documentType = formData.get('document_type') || 'auto';
+
+    if (!file || !(file instanceof File)) {
+        return errorResponse('No file provided', 400);
+    }
+    if (!UPLOAD_TYPES.includes(file.type) && !/\.zip$/i.test(file.name)) {
+        return errorResponse('File must be a ZIP archive, a PDF or an image', 400);
+    }
+
+    const { error, job } = await createJob(env, user, {
+        bytes: await file.arrayBuffer(),
+        name: file.name,
+        mimeType: file.type || 'application/zip',
+        documentType,
+    });
+    if (error) return errorResponse(error, 400);
+
+    return createdResponse({ ...job, progress: await jobProgress(env, job.id) });
+}
+
+async function listJobs(request, env) {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '20', 10), 100);
+    const offset = (page - 1) * limit;
+
+    let query = `
+        SELECT j.*,
+            (SELECT COUNT(*) FROM ocr_job_items i WHERE i.job_id = j.id AND i.status = 'done') AS items_done,
+            (SELECT COUNT(*) FROM ocr_job_items i WHERE i.job_id = j.id AND i.status = 'failed') AS items_failed,
+            (SELECT COUNT(*) FROM ocr_job_bundles b WHERE b.job_id = j.id AND b.status = 'pending') AS bundles_pending
+        FROM ocr_jobs j
+        WHERE 1=1
+    `;
+    const params = [];
+    if (status && JOB_STATUSES.includes(status)) {
+        query += ' AND j.status = ?';
+        params.push(status);
+    }
+
+    const countQuery = `SELECT COUNT(*) as count FROM (${query})`;
+    const total = await env.DB.prepare(countQuery).bind(...params).first('count');
+
+    query += ' ORDER BY j.created_at DESC, j.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+
+    return jsonResponse({
+        data: results,
+        pagination: { page, limit, total, total_pages: Math.ceil(total / limit) },
+    });
+}
+
+async function getJob(env, jobId) {
+    const job = await env.DB.prepare('SELECT * FROM ocr_jobs WHERE id = ?').bind(jobId).first();
+    if (!job) return errorResponse('OCR job not found', 404);
+
+    const { results: items } = await env.DB.prepare(`
+        SELECT id, seq, r2_key, file_name, mime_type, page, status, attempts, error, ocr_run_id,
+            template_id, template_kind, fin_number, bundle_id, updated_at
+        FROM ocr_job_items WHERE job_id = ? ORDER BY seq
+    `).bind(jobId).all();
+
+    return jsonResponse({ ...job, progress: await jobProgress(env, jobId), items });
+}
+
+/**
+ * Drive the queue from the review page: each poll OCRs a few items, so progress doesn't wait
+ * for the next cron tick.
+ */
+async function runJob(request, env, jobId) {
+    let body = {};
+    try {
+        body = await request.json();
+    } catch (e) {
+        // Empty body → defaults
+    }
+
+    const job = await env.DB.prepare('SELECT id FROM ocr_jobs WHERE id = ?').bind(jobId).first();
+    if (!job) return errorResponse('OCR job not found', 404);
+
+    const limit = Math.min(Math.max(parseInt(body.limit || '3', 10), 1), 10);
+    const run = await processJobItems(env, { jobId, limit });
+
+    const updated = await env.DB.prepare('SELECT * FROM ocr_jobs WHERE id = ?').bind(jobId).first();
+    return jsonResponse({ ...updated, ...run, progress: await jobProgress(env, jobId) });
+}
+
+async function resume(env, jobId) {
+    const job = await env.DB.prepare('SELECT id FROM ocr_jobs WHERE id = ?').bind(jobId).first();
+    if (!job) return errorResponse('OCR job not found', 404);
+
+    const requeued = await resumeJob(env, jobId);
+    const updated = await env.DB.prepare('SELECT * FROM ocr_jobs WHERE id = ?').bind(jobId).first();
+    return jsonResponse({ ...updated, requeued, progress: await jobProgress(env, jobId) });
+}
+
+async function listBundles(env, jobId, user) {
+    const job = await env.DB.prepare('SELECT id FROM ocr_jobs WHERE id = ?').bind(jobId).first();
+    if (!job) return errorResponse('OCR job not found', 404);
+
+    const { results: bundles } = await env.DB.prepare(
+        'SELECT * FROM ocr_job_bundles WHERE job_id = ? ORDER BY id'
+    ).bind(jobId).all();
+    const { results: items } = await env.DB.prepare(`
+        SELECT id, seq, r2_key, file_name, mime_type, page, template_id, template_kind, fin_number, extracted, bundle_id
+        FROM ocr_job_items WHERE job_id = ? AND bundle_id IS NOT NULL ORDER BY seq
+    `).bind(jobId).all();
+
+    const sign = await fileUrlSigner(env, user);
+    const fileUrls = Object.fromEntries(await Promise.all(items.map(async i => [i.id, await sign(i.r2_key)])));
+
+    return jsonResponse({
+        data: bundles.map(b => ({
+            ...b,
+            proposed: JSON.parse(b.proposed),
+            items: items
+                .filter(i => i.bundle_id === b.id)
+                .map(i => ({ ...i, extracted: JSON.parse(i.extracted || '{}'), file_url: fileUrls[i.id] })),
+        })),
+    });
+}
+
+async function editBundle(request, env, jobId, bundleId) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const bundle = await getPendingBundle(env, jobId, bundleId);
+    if (bundle.error) return bundle.error;
+
+    const proposed = mergeProposal(JSON.parse(bundle.proposed), body);
+    await env.DB.prepare('UPDATE ocr_job_bundles SET proposed = ?, fin_number = ? WHERE id = ?')
+        .bind(JSON.stringify(proposed), proposed.worker.fin_number || bundle.fin_number, bundleId).run();
+
+    return jsonResponse({ ...bundle, proposed, fin_number: proposed.worker.fin_number || bundle.fin_number });
+}
+
+/**
+ * Save a bundle the way the single-upload review form does: upsert the worker (source 'ocr'),
+ * file every scan under them, create the certifications and store the final values against
+ * each page's OCR run. A worker that fails validation (e.g. FIN check digit) stops the approval
+ * with the same error as POST /api/workers/create; a certification that fails is reported in
+ * warnings and the rest still save.
+ */
+async function approveBundle(request, env, jobId, bundleId, user) {
+    let body = {};
+    try {
+        body = await request.json();
+    } catch (e) {
+        // Empty body → approve as proposed
+    }
+
+    const bundle = await getPendingBundle(env, jobId, bundleId);
+    if (bundle.error) return bundle.error;
+
+    // Claim the bundle before writing anything, so a double-click or a second reviewer can't
+    // approve it twice
+    const claim = await env.DB.prepare(
+        "UPDATE ocr_job_bundles SET status = 'approving' WHERE id = ? AND job_id = ? AND status = 'pending'"
+    ).bind(bundleId, jobId).run();
+    if (claim.meta.changes === 0) return errorResponse('Bundle is already being reviewed', 409);
+
+    try {
+        return await saveBundle(request, env, jobId, bundle, body, user);
+    } catch (err) {
+        // Left 'approving' the bundle could never be approved, rejected or completed
+        await releaseBundle(env, bundleId);
+        throw err;
+    }
+}
+
+// The writes of an approval, once the bundle is claimed
+async function saveBundle(request, env, jobId, bundle, body, user) {
+    const bundleId = bundle.id;
+    const proposed = mergeProposal(JSON.parse(bundle.proposed), body);
+    const saved = await saveWorker(env, request, user, {
+        ...proposed.worker,
+        source: 'ocr',
+        allow_invalid_fin: body.allow_invalid_fin,
+    });
+    if (saved.error) {
+        await releaseBundle(env, bundleId);
+        return saved.error;
+    }
+    const { worker } = saved;
+
+    const { results: items } = await env.DB.prepare(
+        'SELECT * FROM ocr_job_items WHERE bundle_id = ? ORDER BY seq'
+    ).bind(bundleId).all();
+
+    // One document per item — a PDF's pages become page records sharing the stored file. The
+    // job's files are copied to keys this worker owns: a batch PDF's pages go to different
+    // workers, and deleting one worker's scans must not take the others' with them.
+    const documentIds = {};
+    const copies = new Map();
+    for (const item of items) {
+        const documentType = documentRole(item);
+        if (!copies.has(item.r2_key)) {
+            copies.set(item.r2_key, await copyToWorker(env, item.r2_key, documentType, worker));
+        }
+        const { key, size } = copies.get(item.r2_key);
+        const inserted = await env.DB.prepare(`
+            INSERT INTO documents (worker_id, document_type, r2_key, original_name, mime_type, file_size, page)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(worker.id, documentType, key, item.file_name, item.mime_type, size, item.page).run();
+        documentIds[item.id] = inserted.meta.last_row_id;
+
+        await recordAudit(env, request, user, {
+            action: 'upload',
+            entityType: 'document',
+            entityId: inserted.meta.last_row_id,
+            workerId: worker.id,
+            after: {
+                document_type: documentType, r2_key: key, original_name: item.file_name,
+                page: item.page, ocr_job_id: jobId,
+            },
+        });
+    }
+
+    const certifications = [];
+    const warnings = [...saved.warnings];
+    const certByItem = {};
+    for (const proposedCert of proposed.certifications) {
+        if (!proposedCert.course_title) continue;
+        const { item_id, ...fields } = proposedCert;
+        const result = await insertCertification(env, request, user, { ...fields, worker_id: worker.id });
+        if (result.error) {
+            const { error } = await result.error.json();
+            warnings.push(`Certification ${fields.course_title}: ${error}`);
+            continue;
+        }
+        certifications.push(result.cert);
+        if (item_id) certByItem[item_id] = { fields, cert: result.cert };
+    }
+
+    await saveRunOutcomes(env, user, items, worker, certByItem, documentIds);
+
+    await env.DB.prepare(`
+        UPDATE ocr_job_bundles SET
+            status = 'approved', proposed = ?, worker_id = ?, reviewed_by = ?, reviewed_at = datetime('now')
+        WHERE id = ?
+    `).bind(JSON.stringify(proposed), worker.id, user?.username ?? null, bundleId).run();
+    await completeJobIfReviewed(env, jobId);
+
+    return jsonResponse({ bundle_id: bundleId, worker, certifications, documents: Object.values(documentIds), warnings });
+}
+
+async function rejectBundle(request, env, jobId, bundleId, user) {
+    let body = {};
+    try {
+        body = await request.json();
+    } catch (e) {
+        // No note
+    }
+
+    const bundle = await getPendingBundle(env, jobId, bundleId);
+    if (bundle.error) return bundle.error;
+
+    const rejected = await env.DB.prepare(`
+        UPDATE ocr_job_bundles SET
+            status = 'rejected', review_note = ?, reviewed_by = ?, reviewed_at = datetime('now')
+        WHERE id = ? AND status = 'pending'
+    `).bind(body.note || null, user?.username ?? null, bundleId).run();
+    if (rejected.meta.changes === 0) return errorResponse('Bundle is already being reviewed', 409);
+    await completeJobIfReviewed(env, jobId);
+
+    return jsonResponse({ bundle_id: bundleId, status: 'rejected' });
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+async function getPendingBundle(env, jobId, bundleId) {
+    const bundle = await env.DB.prepare(
+        'SELECT * FROM ocr_job_bundles WHERE id = ? AND job_id = ?'
+    ).bind(bundleId, jobId).first();
+    if (!bundle) return { error: errorResponse('Bundle not found', 404) };
+    if (bundle.status !== 'pending') return { error: errorResponse(`Bundle already ${bundle.status}`, 409) };
+    return bundle;
+}
+
+// Hands a claimed bundle back for review when approval failed (anything already saved stays)
+async function releaseBundle(env, bundleId) {
+    await env.DB.prepare(
+        "UPDATE ocr_job_bundles SET status = 'pending' WHERE id = ? AND status = 'approving'"
+    ).bind(bundleId).run();
+}
+
+/**
+ * Reviewer edits over the stored proposal: worker fields are merged, certifications replaced
+ * when sent.
+ */
+function mergeProposal(proposed, edits) {
+    const worker = { ...proposed.worker };
+    if (edits.worker && typeof edits.worker === 'object') {
+        for (const field of Object.keys(worker)) {
+            if (field in edits.worker) worker[field] = edits.worker[field] || null;
+        }
+    }
+    const certifications = Array.isArray(edits.certifications) ? edits.certifications : proposed.certifications;
+    return { ...proposed, worker, certifications };
+}
+
+// Copy a job file to a key of the worker's own, as a direct upload would be stored
+async function copyToWorker(env, sourceKey, documentType, worker) {
+    const object = await env.BUCKET.get(sourceKey);
+    if (!object) throw new Error(`Scan ${sourceKey} is missing from storage`);
+
+    const key = `${documentType}/${Date.now()}_${sourceKey.split('/').pop()}`;
+    await env.BUCKET.put(key, await object.arrayBuffer(), {
+        httpMetadata: object.httpMetadata,
+        customMetadata: { ...object.customMetadata, documentType, finNumber: worker.fin_number || '' },
+    });
+    return { key, size: object.size };
+}
+
+/**
+ * documents.document_type for an item. A PDF page is filed under the role its template
+ * implies (see PAGE_ROLES in routes/workers.js); a whole file keeps the broad type.
+ */
+function documentRole(item) {
+    if (!item.page) return item.template_kind === 'certification' ? 'certification' : 'work_permit';
+    if (item.template_id === 'wp_front') return 'work_permit_front';
+    if (item.template_id === 'wp_back') return 'work_permit_back';
+    return item.template_kind === 'certification' ? 'certification' : 'other';
+}
+
+/**
+ * Store the approved values against each page's OCR run, as POST /api/ocr/runs/outcome does
+ * for single uploads. A certificate page is compared with its own certification.
+ */
+async function saveRunOutcomes(env, user, items, worker, certByItem, documentIds) {
+    const runItems = items.filter(i => i.ocr_run_id);
+    if (runItems.length === 0) return;
+
+    const workerValues = Object.fromEntries(
+        ['fin_number', 'worker_name', 'pass_type', 'pass_no', 'date_of_birth', 'nationality', 'sex', 'race',
+            'address', 'country_of_birth', 'employer_name', 'pass_expiry', 'passport_no', 'passport_expiry'].map(f => [f, worker[f] ?? null])
+    );
+    const extractedById = Object.fromEntries(runItems.map(i => [i.id, JSON.parse(i.extracted || '{}')]));
+
+    const statements = runItems.map(item => {
+        const certEntry = certByItem[item.id];
+        const finalValues = { ...workerValues, ...(certEntry ? certEntry.fields : {}) };
+        const siblings = runItems.filter(i => i.id !== item.id).map(i => extractedById[i.id]);
+        const corrections = compareWithSaved(extractedById[item.id], siblings, finalValues);
+
+        return env.DB.prepare(`
+            UPDATE ocr_runs SET
+                final_values = ?, corrections = ?, worker_id = ?, certification_id = ?, document_id = ?,
+                saved_by = ?, saved_at = datetime('now')
+            WHERE id = ? AND saved_at IS NULL
+        `).bind(
+            JSON.stringify(finalValues),
+            JSON.stringify(corrections),
+            worker.id,
+            certEntry ? certEntry.cert.id : null,
+            documentIds[item.id] ?? null,
+            user?.username ?? null,
+            item.ocr_run_id
+        );
+    });
+
+    try {
+        await env.DB.batch(statements);
+    } catch (err) {
+        console.error('OCR job outcome write failed:', err.message);
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Users Route Handler (admin only)
+ *
+ * GET  /api/users/list     — List user accounts
+ * POST /api/users/create   — Create a user account
+ * PUT  /api/users/:id      — Update name, email, role, active flag or password
+ */
+
+import { jsonResponse, errorResponse, createdResponse } from '../utils/response.js';
+import { hashPassword } from '../utils/crypto.js';
+import { ROLES } from '../middleware/auth.js';
+import { publicUser } from './auth.js';
+import { recordAudit } from '../utils/audit.js';
+
+export async function handleUsers(request, env, path, user) {
+    const method = request.method;
+
+    if (path === '/api/users/list' && method === 'GET') {
+        return listUsers(env);
+    }
+
+    if (path === '/api/users/create' && method === 'POST') {
+        return createUser(request, env, user);
+    }
+
+    const idMatch = path.match(/^\/api\/users\/(\d+)$/);
+    if (idMatch && method === 'PUT') {
+        return updateUser(request, env, parseInt(idMatch[1], 10), user);
+    }
+
+    return errorResponse('Not Found', 404);
+}
+
+async function listUsers(env) {
+    const { results } = await env.DB.prepare(
+        'SELECT * FROM users ORDER BY username ASC'
+    ).all();
+    return jsonResponse({ data: results.map(publicUser) });
+}
+
+async function createUser(request, env, currentUser) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+    const username = (body.username || '').toLowerCase().trim();
+    const role = body.role || 'supervisor';
+    const email = (body.email || '').trim().toLowerCase();
+
+    if (!username || !body.password) {
+        return errorResponse('username and password are required', 400);
+    }
+    if (!/^[a-z0-9._-]{3,}$/.test(username)) {
+        return errorResponse('username must be at least 3 characters: letters, digits, . _ -', 400);
+    }
+    if (body.password.length < 8) {
+        return errorResponse('password must be at least 8 characters', 400);
+    }
+    if (email && !isEmail(email)) {
+        return errorResponse('email must be a valid email address', 400);
+    }
+    if (!ROLES.includes(role)) {
+        return errorResponse(`role must be one of: ${ROLES.join(', ')}`, 400);
+    }
+
+    const existing = await env.DB.prepare('SELECT id FROM users WHERE username = ?').bind(username).first();
+    if (existing) {
+        return errorResponse('Username already exists', 409);
+    }
+
+    const result = await env.DB.prepare(`
+        INSERT INTO users (username, display_name, email, password_hash, role)
+        VALUES (?, ?, ?, ?, ?)
+    `).bind(username, body.display_name || username, email || null, await hashPassword(body.password), role).run();
+
+    const created = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(result.meta.last_row_id).first();
+
+    await recordAudit(env, request, currentUser, {
+        action: 'create',
+        entityType: 'user',
+        entityId: created.id,
+        after: publicUser(created),
+    });
+
+    return createdResponse(publicUser(created));
+}
+
+async function updateUser(request, env, id, currentUser) {
+    const existing = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(id).first();
+    if (!existing) return errorResponse('User not found', 404);
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+    const { display_name, email, role, is_active, password } = body;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+        return errorResponse(`role must be one of: ${ROLES.join(', ')}`, 400);
+    }
+    // An empty email clears it
+    if (email !== undefined && email !== null && email !== '' && !isEmail(String(email).trim())) {
+        return errorResponse('email must be a valid email address', 400);
+    }
+    if (password !== undefined && (!password || password.length < 8)) {
+        return errorResponse('password must be at least 8 characters', 400);
+    }
+
+    // Don't let an admin lock themselves out
+    if (id === currentUser.id && ((role && role !== 'admin') || is_active === false)) {
+        return errorResponse('You cannot demote or deactivate your own account', 400);
+    }
+
+    await env.DB.prepare(`
+        UPDATE users SET
+            display_name = COALESCE(?, display_name),
+            email = CASE WHEN ? THEN ? ELSE email END,
+            role = COALESCE(?, role),
+            is_active = COALESCE(?, is_active),
+            password_hash = COALESCE(?, password_hash),
+            updated_at = datetime('now')
+        WHERE id = ?
+    `).bind(
+        display_name ? display_name.trim() : null,
+        email === undefined ? 0 : 1,
+        email ? String(email).trim().toLowerCase() : null,
+        role || null,
+        is_active === undefined ? null : (is_active ? 1 : 0),
+        password ? await hashPassword(password) : null,
+        id
+    ).run();
+
+    // Revoke sessions when access is reduced or credentials change
+    if (is_active === false || password || (role && role !== existing.role)) {
+        await env.DB.prepare('DELETE FROM sessions WHERE user_id = ?').bind(id).run();
+    }
+
+    const updated = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(id).first();
+
+    await recordAudit(env, request, currentUser, {
+        action: 'update',
+        entityType: 'user',
+        entityId: id,
+        before: { ...publicUser(existing), password_changed: false },
+        after: { ...publicUser(updated), password_changed: !!password },
+    });
+
+    return jsonResponse(publicUser(updated));
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+function isEmail(value) {
+    return /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(value);
+}
@@ -0,0 +1,255 @@
+/**
+ * Webhooks Route Handler (admin only)
+ *
+ * GET    /api/webhooks                            — List endpoints (secrets masked)
+ * POST   /api/webhooks                            — Register an endpoint: { url, events, description, secret? }
+ * PUT    /api/webhooks/:id                        — Update url, events, description, is_active; { rotate_secret: true } issues a new secret
+ * DELETE /api/webhooks/:id                        — Remove an endpoint and its delivery log
+ * POST   /api/webhooks/:id/test                   — Send a "ping" event
+ * GET    /api/webhooks/deliveries                 — Delivery log. Filters: endpoint_id, status, event_type, page, limit
+ * POST   /api/webhooks/deliveries/:id/redeliver   — Send a delivery's payload again
+ */
+
+import { jsonResponse, errorResponse, createdResponse } from '../utils/response.js';
+import { generateToken } from '../utils/crypto.js';
+import { recordAudit } from '../utils/audit.js';
+import { WEBHOOK_EVENTS, redeliver, sendTestEvent } from '../webhooks.js';
+
+export async function handleWebhooks(request, env, path, user) {
+    const method = request.method;
+
+    if (path === '/api/webhooks' && method === 'GET') {
+        return listEndpoints(env);
+    }
+
+    if (path === '/api/webhooks' && method === 'POST') {
+        return createEndpoint(request, env, user);
+    }
+
+    if (path === '/api/webhooks/deliveries' && method === 'GET') {
+        return listDeliveries(request, env);
+    }
+
+    const redeliverMatch = path.match(/^\/api\/webhooks\/deliveries\/(\d+)\/redeliver$/);
+    if (redeliverMatch && method === 'POST') {
+        const delivery = await redeliver(env, parseInt(redeliverMatch[1], 10));
+        if (!delivery) return errorResponse('Delivery or endpoint not found', 404);
+        return jsonResponse(delivery);
+    }
+
+    const idMatch = path.match(/^\/api\/webhooks\/(\d+)$/);
+    if (idMatch && method === 'PUT') {
+        return updateEndpoint(request, env, parseInt(idMatch[1], 10), user);
+    }
+
+    if (idMatch && method === 'DELETE') {
+        return deleteEndpoint(request, env, parseInt(idMatch[1], 10), user);
+    }
+
+    const testMatch = path.match(/^\/api\/webhooks\/(\d+)\/test$/);
+    if (testMatch && method === 'POST') {
+        const endpoint = await findEndpoint(env, parseInt(testMatch[1], 10));
+        if (!endpoint) return errorResponse('Webhook endpoint not found', 404);
+        return jsonResponse(await sendTestEvent(env, endpoint));
+    }
+
+    return errorResponse('Not Found', 404);
+}
+
+async function findEndpoint(env, id) {
+    return env.DB.prepare('SELECT * FROM webhook_endpoints WHERE id = ?').bind(id).first();
+}
+
+/**
+ * Endpoint as returned by the API. The full secret is only shown when it is created or rotated.
+ */
+function presentEndpoint(endpoint, { revealSecret = false } = {}) {
+    return {
+        ...endpoint,
+        events: JSON.parse(endpoint.events || '["*"]'),
+        secret: revealSecret ? endpoint.secret : `${endpoint.secret.slice(0, 6)}…`,
+    };
+}
+
+/**
+ * Validate url / events from a create or update body. Returns { url, events } or { error }.
+ */
+function validateEndpointFields(body, existing = null) {
+    const url = body.url !== undefined ? (body.url || '').trim() : existing?.url;
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (e) {
+        return { error: 'url must be a valid http(s) URL' };
+    }
+    if (!['https:', 'http:'].includes(parsedUrl.protocol)) {
+        return { error: 'url must be a valid http(s) URL' };
+    }
+
+    let events = existing ? JSON.parse(existing.events) : ['*'];
+    if (body.events !== undefined) {
+        if (!Array.isArray(body.events) || body.events.length === 0) {
+            return { error: 'events must be a non-empty array (use ["*"] for all events)' };
+        }
+        const unknown = body.events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+        if (unknown.length > 0) {
+            return { error: `Unknown event: ${unknown.join(', ')}. Use: ${WEBHOOK_EVENTS.join(', ')} or *` };
+        }
+        events = body.events.includes('*') ? ['*'] : body.events;
+    }
+
+    return { url, events };
+}
+
+async function listEndpoints(env) {
+    const { results } = await env.DB.prepare(`
+        SELECT e.*,
+            (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id = e.id AND d.status = 'failed') AS failed_count,
+            (SELECT MAX(d.last_attempt_at) FROM webhook_deliveries d WHERE d.endpoint_id = e.id) AS last_attempt_at
+        FROM webhook_endpoints e
+        ORDER BY e.created_at DESC
+    `).all();
+
+    return jsonResponse({
+        data: results.map(e => presentEndpoint(e)),
+        events: WEBHOOK_EVENTS,
+    });
+}
+
+async function createEndpoint(request, env, user) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const { url, events, error } = validateEndpointFields(body);
+    if (error) return errorResponse(error, 400);
+
+    const secret = body.secret || `whsec_${generateToken(24)}`;
+    const result = await env.DB.prepare(`
+        INSERT INTO webhook_endpoints (url, description, events, secret, created_by)
+        VALUES (?, ?, ?, ?, ?)
+    `).bind(url, body.description || null, JSON.stringify(events), secret, user?.username ?? null).run();
+
+    const endpoint = await findEndpoint(env, result.meta.last_row_id);
+
+    await recordAudit(env, request, user, {
+        action: 'create',
+        entityType: 'webhook',
+        entityId: endpoint.id,
+        after: presentEndpoint(endpoint),
+    });
+
+    return createdResponse(presentEndpoint(endpoint, { revealSecret: true }));
+}
+
+async function updateEndpoint(request, env, id, user) {
+    const existing = await findEndpoint(env, id);
+    if (!existing) return errorResponse('Webhook endpoint not found', 404);
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const { url, events, error } = validateEndpointFields(body, existing);
+    if (error) return errorResponse(error, 400);
+
+    const secret = body.rotate_secret ? `whsec_${generateToken(24)}` : existing.secret;
+
+    await env.DB.prepare(`
+        UPDATE webhook_endpoints SET
+            url = ?, events = ?, secret = ?,
+            description = COALESCE(?, description),
+            is_active = COALESCE(?, is_active),
+            updated_at = datetime('now')
+        WHERE id = ?
+    `).bind(
+        url,
+        JSON.stringify(events),
+        secret,
+        body.description === undefined ? null : body.description,
+        body.is_active === undefined ? null : (body.is_active ? 1 : 0),
+        id
+    ).run();
+
+    const endpoint = await findEndpoint(env, id);
+
+    await recordAudit(env, request, user, {
+        action: 'update',
+        entityType: 'webhook',
+        entityId: id,
+        before: { ...presentEndpoint(existing), secret_rotated: false },
+        after: { ...presentEndpoint(endpoint), secret_rotated: !!body.rotate_secret },
+    });
+
+    return jsonResponse(presentEndpoint(endpoint, { revealSecret: !!body.rotate_secret }));
+}
+
+async function deleteEndpoint(request, env, id, user) {
+    const existing = await findEndpoint(env, id);
+    if (!existing) return errorResponse('Webhook endpoint not found', 404);
+
+    await env.DB.batch([
+        env.DB.prepare('DELETE FROM webhook_deliveries WHERE endpoint_id = ?').bind(id),
+        env.DB.prepare('DELETE FROM webhook_endpoints WHERE id = ?').bind(id),
+    ]);
+
+    await recordAudit(env, request, user, {
+        action: 'delete',
+        entityType: 'webhook',
+        entityId: id,
+        before: presentEndpoint(existing),
+    });
+
+    return jsonResponse({ success: true, message: 'Webhook endpoint deleted' });
+}
+
+async function listDeliveries(request, env) {
+    const url = new URL(request.url);
+    const endpointId = url.searchParams.get('endpoint_id');
+    const status = url.searchParams.get('status');
+    const eventType = url.searchParams.get('event_type');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '50', 10), 200);
+    const offset = (page - 1) * limit;
+
+    let query = `
+        SELECT d.id, d.endpoint_id, d.event_id, d.event_type, d.status, d.attempts, d.next_attempt_at,
+            d.last_attempt_at, d.last_status_code, d.last_error, d.last_response, d.delivered_at, d.created_at,
+            e.url AS endpoint_url
+        FROM webhook_deliveries d
+        LEFT JOIN webhook_endpoints e ON d.endpoint_id = e.id
+        WHERE 1=1
+    `;
+    const params = [];
+
+    if (endpointId) {
+        query += ' AND d.endpoint_id = ?';
+        params.push(parseInt(endpointId, 10));
+    }
+    if (status) {
+        query += ' AND d.status = ?';
+        params.push(status);
+    }
+    if (eventType) {
+        query += ' AND d.event_type = ?';
+        params.push(eventType);
+    }
+
+    const countQuery = `SELECT COUNT(*) as count FROM (${query})`;
+    const total = await env.DB.prepare(countQuery).bind(...params).first('count');
+
+    query += ' ORDER BY d.created_at DESC, d.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+
+    return jsonResponse({
+        data: results,
+        pagination: { page, limit, total, total_pages: Math.ceil(total / limit) },
+    });
+}
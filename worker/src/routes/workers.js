@@ -3,25 +3,54 @@
  * CRUD operations with FIN-based upsert (duplicate prevention).
  *
  * POST /api/workers/create          — Create or update worker by FIN
- * POST /api/workers/upload-document — Upload a document for a worker
- * GET  /api/workers/list            — List workers with search/pagination
+ * POST /api/workers/upload-document — Upload a document for a worker (optionally split into page records)
+ * GET  /api/workers/list            — List workers with search/pagination (?status=, ?pass_type=)
+ * GET  /api/workers/duplicates      — Likely duplicate pairs (name+DOB, FIN typo, same pass no)
+ * POST /api/workers/merge           — Merge a duplicate into a surviving record
  * GET  /api/workers/:id             — Get single worker with certs & docs
+ * PATCH /api/workers/:id            — Partial update (explicit nulls clear a field)
+ * GET  /api/workers/:id/history     — Field-level change history
+ * PUT  /api/workers/:id/status      — Change lifecycle status (effective date + reason)
+ * DELETE /api/workers/:id           — Purge (admin only): export to R2, then hard delete
  */
 
 import { jsonResponse, errorResponse, createdResponse } from '../utils/response.js';
 import { syncWorkerToSheet } from '../google-sync.js';
+import { recordAudit } from '../utils/audit.js';
+import { isValidFin, correctFin } from '../utils/fin.js';
+import { crossCheckPassport } from '../utils/mrz.js';
+import { WORKER_STATUSES, parseStatusFilter, statusCondition } from '../utils/status.js';
+import { PASS_TYPES, defaultPassType, passTypeError } from '../utils/passes.js';
+import { emitEvent } from '../webhooks.js';
+import { forgetWorkerInJobs } from '../ocr/jobs.js';
+import { fileUrlSigner } from '../utils/file-urls.js';
 
-export async function handleWorkers(request, env, path) {
+/**
+ * Editable worker columns. Also the whitelist for dynamic UPDATE column names.
+ */
+const WORKER_FIELDS = [
+    'fin_number', 'worker_name', 'pass_type', 'pass_no', 'date_of_birth', 'nationality', 'sex',
+    'race', 'address', 'country_of_birth', 'employer_name', 'pass_expiry', 'passport_no', 'passport_expiry',
+];
+const REQUIRED_FIELDS = ['fin_number', 'worker_name'];
+const DATE_FIELDS = ['date_of_birth', 'pass_expiry', 'passport_expiry'];
+const HISTORY_SOURCES = ['manual', 'ocr', 'import', 'merge'];
+/**
+ * Roles a page of a multi-page PDF can be filed under (documents.document_type on page rows).
+ */
+const PAGE_ROLES = ['work_permit_front', 'work_permit_back', 'certification', 'other'];
+
+export async function handleWorkers(request, env, path, user) {
     const method = request.method;
 
     // POST /api/workers/create
     if (path === '/api/workers/create' && method === 'POST') {
-        return upsertWorker(request, env);
+        return upsertWorker(request, env, user);
     }
 
     // POST /api/workers/upload-document
     if (path === '/api/workers/upload-document' && method === 'POST') {
-        return uploadWorkerDocument(request, env);
+        return uploadWorkerDocument(request, env, user);
     }
 
     // POST /api/workers/export
@@ -34,15 +63,42 @@ export async function handleWorkers(request, env, path) {
         return listWorkers(request, env);
     }
 
+    // GET /api/workers/duplicates
+    if (path === '/api/workers/duplicates' && method === 'GET') {
+        return findDuplicates(env);
+    }
+
+    // POST /api/workers/merge
+    if (path === '/api/workers/merge' && method === 'POST') {
+        return mergeWorkers(request, env, user);
+    }
+
     // GET /api/workers/:id
     const idMatch = path.match(/^\/api\/workers\/(\d+)$/);
     if (idMatch && method === 'GET') {
-        return getWorker(env, parseInt(idMatch[1], 10));
+        return getWorker(env, parseInt(idMatch[1], 10), user);
+    }
+
+    // PATCH /api/workers/:id
+    if (idMatch && method === 'PATCH') {
+        return patchWorker(request, env, parseInt(idMatch[1], 10), user);
     }
 
     // DELETE /api/workers/:id
     if (idMatch && method === 'DELETE') {
-        return deleteWorker(env, parseInt(idMatch[1], 10));
+        return purgeWorker(request, env, parseInt(idMatch[1], 10), user);
+    }
+
+    // GET /api/workers/:id/history
+    const historyMatch = path.match(/^\/api\/workers\/(\d+)\/history$/);
+    if (historyMatch && method === 'GET') {
+        return getWorkerHistory(request, env, parseInt(historyMatch[1], 10));
+    }
+
+    // PUT /api/workers/:id/status
+    const statusMatch = path.match(/^\/api\/workers\/(\d+)\/status$/);
+    if (statusMatch && method === 'PUT') {
+        return changeWorkerStatus(request, env, parseInt(statusMatch[1], 10), user);
     }
 
     return errorResponse('Not Found', 404);
@@ -53,31 +109,77 @@ export async function handleWorkers(request, env, path) {
  * If FIN exists → update existing record.
  * If FIN does not exist → create new record.
  */
-async function upsertWorker(request, env) {
-    const body = await request.json();
-    const { fin_number, worker_name, work_permit_no, date_of_birth, nationality, sex, race, address, country_of_birth, employer_name, wp_expiry_date } = body;
+async function upsertWorker(request, env, user) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+    const saved = await saveWorker(env, request, user, body);
+    if (saved.error) return saved.error;
+
+    const { worker, isNew } = saved;
+    const warnings = [...saved.warnings];
+    if (!isValidFin(worker.fin_number)) warnings.unshift(`FIN ${worker.fin_number} fails the NRIC/FIN check digit`);
+    const payload = warnings.length > 0 ? { ...worker, warnings } : worker;
+
+    return isNew ? createdResponse(payload) : jsonResponse(payload);
+}
+
+/**
+ * Upsert a worker from an already-parsed body, with field history, audit, sheet sync and
+ * webhook. Shared with OCR batch review (routes/ocr-jobs.js).
+ * When the body carries a passport, its date of birth / nationality are checked against the
+ * stored work permit details; disagreements come back as warnings.
+ * pass_type defaults from the FIN for new workers (NRIC → citizen_pr, else work_permit). The
+ * pre-pass-type names work_permit_no / wp_expiry_date are still accepted for pass_no / pass_expiry.
+ * @returns {Promise<{ error: Response } | { worker: object, isNew: boolean, warnings: string[] }>}
+ */
+export async function saveWorker(env, request, user, body) {
+    const { fin_number, worker_name, pass_type, date_of_birth, nationality, sex, race, address, country_of_birth, employer_name, passport_no, passport_expiry } = body;
+    const pass_no = body.pass_no ?? body.work_permit_no;
+    const pass_expiry = body.pass_expiry ?? body.wp_expiry_date;
 
     if (!fin_number || !worker_name) {
-        return errorResponse('fin_number and worker_name are required', 400);
+        return { error: errorResponse('fin_number and worker_name are required', 400) };
     }
+    const passError = passTypeError(pass_type);
+    if (passError) return { error: errorResponse(passError, 400) };
 
     const cleanFin = fin_number.toUpperCase().trim();
     const cleanName = worker_name.toUpperCase().trim();
 
+    // Reject FINs that fail the check digit unless the caller explicitly accepts it
+    const finError = checkFin(cleanFin, body.allow_invalid_fin);
+    if (finError) return { error: finError };
+
     // Check if worker with this FIN already exists
-    const existing = await env.DB.prepare(
-        'SELECT id FROM workers WHERE fin_number = ?'
+    let existing = await env.DB.prepare(
+        'SELECT * FROM workers WHERE fin_number = ?'
     ).bind(cleanFin).first();
 
+    // A FIN belonging to an archived duplicate updates the worker it was merged into
+    if (existing && existing.merged_into_id) {
+        existing = await env.DB.prepare(
+            'SELECT * FROM workers WHERE id = ?'
+        ).bind(existing.merged_into_id).first();
+    }
+
     let workerId;
     let isNew = false;
+    const warnings = passport_no && existing
+        ? crossCheckPassport({ date_of_birth, nationality }, existing).map(m =>
+            `Passport ${m.field.replace(/_/g, ' ')} ${m.passport} differs from the work permit's ${m.permit}`)
+        : [];
 
     if (existing) {
         // Update existing worker
         await env.DB.prepare(`
             UPDATE workers SET
                 worker_name = ?,
-                work_permit_no = COALESCE(?, work_permit_no),
+                pass_type = COALESCE(?, pass_type),
+                pass_no = COALESCE(?, pass_no),
                 date_of_birth = COALESCE(?, date_of_birth),
                 nationality = COALESCE(?, nationality),
                 sex = COALESCE(?, sex),
@@ -85,12 +187,15 @@ async function upsertWorker(request, env) {
                 address = COALESCE(?, address),
                 country_of_birth = COALESCE(?, country_of_birth),
                 employer_name = COALESCE(?, employer_name),
-                wp_expiry_date = COALESCE(?, wp_expiry_date),
+                pass_expiry = COALESCE(?, pass_expiry),
+                passport_no = COALESCE(?, passport_no),
+                passport_expiry = COALESCE(?, passport_expiry),
                 updated_at = datetime('now')
-            WHERE fin_number = ?
+            WHERE id = ?
         `).bind(
             cleanName,
-            work_permit_no ? work_permit_no.toUpperCase().trim() : null,
+            pass_type || null,
+            pass_no ? pass_no.toUpperCase().trim() : null,
             date_of_birth || null,
             nationality ? nationality.toUpperCase().trim() : null,
             sex ? sex.toUpperCase().trim() : null,
@@ -98,20 +203,23 @@ async function upsertWorker(request, env) {
             address ? address.toUpperCase().trim() : null,
             country_of_birth ? country_of_birth.toUpperCase().trim() : null,
             employer_name ? employer_name.toUpperCase().trim() : null,
-            wp_expiry_date || null,
-            cleanFin
+            pass_expiry || null,
+            passport_no ? passport_no.toUpperCase().trim() : null,
+            passport_expiry || null,
+            existing.id
         ).run();
 
         workerId = existing.id;
     } else {
         // Create new worker
         const result = await env.DB.prepare(`
-            INSERT INTO workers (fin_number, worker_name, work_permit_no, date_of_birth, nationality, sex, race, address, country_of_birth, employer_name, wp_expiry_date)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO workers (fin_number, worker_name, pass_type, pass_no, date_of_birth, nationality, sex, race, address, country_of_birth, employer_name, pass_expiry, passport_no, passport_expiry)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `).bind(
             cleanFin,
             cleanName,
-            work_permit_no ? work_permit_no.toUpperCase().trim() : null,
+            pass_type || defaultPassType(cleanFin),
+            pass_no ? pass_no.toUpperCase().trim() : null,
             date_of_birth || null,
             nationality ? nationality.toUpperCase().trim() : null,
             sex ? sex.toUpperCase().trim() : null,
@@ -119,7 +227,9 @@ async function upsertWorker(request, env) {
             address ? address.toUpperCase().trim() : null,
             country_of_birth ? country_of_birth.toUpperCase().trim() : null,
             employer_name ? employer_name.toUpperCase().trim() : null,
-            wp_expiry_date || null
+            pass_expiry || null,
+            passport_no ? passport_no.toUpperCase().trim() : null,
+            passport_expiry || null
         ).run();
 
         workerId = result.meta.last_row_id;
@@ -131,6 +241,17 @@ async function upsertWorker(request, env) {
         'SELECT * FROM workers WHERE id = ?'
     ).bind(workerId).first();
 
+    await recordFieldHistory(env, workerId, existing, worker, body.source, user);
+
+    await recordAudit(env, request, user, {
+        action: isNew ? 'create' : 'update',
+        entityType: 'worker',
+        entityId: workerId,
+        workerId,
+        before: existing,
+        after: worker,
+    });
+
     // Sync to Google Sheets (fire-and-forget)
     try {
         await syncWorkerToSheet(env, worker);
@@ -138,14 +259,213 @@ async function upsertWorker(request, env) {
         console.error('Google Sheets sync failed:', err.message);
     }
 
-    return isNew ? createdResponse(worker) : jsonResponse(worker);
+    await emitEvent(env, isNew ? 'worker.created' : 'worker.updated', { worker });
+
+    return { worker, isNew, warnings };
+}
+
+/**
+ * Validate a FIN's check digit.
+ * Returns null when valid (or when allowInvalid is set), otherwise a 422 response
+ * carrying the expected check letter and any single OCR-style correction.
+ */
+function checkFin(fin, allowInvalid) {
+    if (allowInvalid || isValidFin(fin)) return null;
+
+    const check = correctFin(fin);
+    return jsonResponse({
+        error: `FIN ${fin} fails the NRIC/FIN check digit`,
+        code: 'INVALID_FIN_CHECKSUM',
+        expected_check_letter: check.expected_check_letter,
+        suggestion: check.was_corrected ? check.corrected : null,
+        candidates: check.candidates,
+    }, 422);
+}
+
+/**
+ * Partially update a worker.
+ * Only fields present in the body are touched; an explicit null (or empty string) clears the field.
+ * Optional body.source ('manual' | 'ocr' | 'import') is recorded in the field history.
+ */
+async function patchWorker(request, env, id, user) {
+    const existing = await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(id).first();
+    if (!existing) return errorResponse('Worker not found', 404);
+    if (existing.merged_into_id) {
+        return errorResponse(`Worker was merged into worker ${existing.merged_into_id}; edit that record instead`, 409);
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const { source = 'manual', allow_invalid_fin = false, ...fields } = body;
+    if (!HISTORY_SOURCES.includes(source)) {
+        return errorResponse(`source must be one of: ${HISTORY_SOURCES.join(', ')}`, 400);
+    }
+
+    const updates = {};
+    for (const [field, raw] of Object.entries(fields)) {
+        if (!WORKER_FIELDS.includes(field)) {
+            return errorResponse(`Unknown or read-only field: ${field}`, 400);
+        }
+        const { value, error } = normalizeWorkerField(field, raw);
+        if (error) return errorResponse(error, 400);
+        if (value !== existing[field]) updates[field] = value;
+    }
+
+    const columns = Object.keys(updates);
+    if (columns.length === 0) {
+        return jsonResponse(existing);
+    }
+
+    // FIN is the identity key — refuse invalid check digits and collisions
+    if (updates.fin_number) {
+        const finError = checkFin(updates.fin_number, allow_invalid_fin);
+        if (finError) return finError;
+
+        const clash = await env.DB.prepare(
+            'SELECT id FROM workers WHERE fin_number = ? AND id != ?'
+        ).bind(updates.fin_number, id).first();
+        if (clash) {
+            return errorResponse(`Another worker (id ${clash.id}) already has FIN ${updates.fin_number}`, 409);
+        }
+    }
+
+    await env.DB.prepare(`
+        UPDATE workers SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = datetime('now')
+        WHERE id = ?
+    `).bind(...columns.map(c => updates[c]), id).run();
+
+    const worker = await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(id).first();
+
+    await recordFieldHistory(env, id, existing, worker, source, user);
+
+    await recordAudit(env, request, user, {
+        action: 'update',
+        entityType: 'worker',
+        entityId: id,
+        workerId: id,
+        before: existing,
+        after: worker,
+    });
+
+    // Sync to Google Sheets (fire-and-forget)
+    try {
+        await syncWorkerToSheet(env, worker);
+    } catch (err) {
+        console.error('Google Sheets sync failed:', err.message);
+    }
+
+    await emitEvent(env, 'worker.updated', { worker });
+
+    return jsonResponse(worker);
+}
+
+/**
+ * Validate and normalise a single worker field value.
+ * Returns { value } or { error }.
+ */
+function normalizeWorkerField(field, raw) {
+    if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) {
+        if (REQUIRED_FIELDS.includes(field)) {
+            return { error: `${field} cannot be empty` };
+        }
+        return { value: null };
+    }
+
+    if (typeof raw !== 'string') {
+        return { error: `${field} must be a string` };
+    }
+
+    const value = raw.trim();
+
+    if (DATE_FIELDS.includes(field)) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+            return { error: `${field} must be a date in YYYY-MM-DD format` };
+        }
+        return { value };
+    }
+
+    if (field === 'pass_type') {
+        const error = passTypeError(value);
+        return error ? { error } : { value };
+    }
+
+    if (field === 'sex') {
+        const sex = value.toUpperCase();
+        if (!['M', 'F'].includes(sex)) {
+            return { error: 'sex must be M or F' };
+        }
+        return { value: sex };
+    }
+
+    if (field === 'fin_number' && !/^[FGMST]\d{7}[A-Z]$/.test(value.toUpperCase())) {
+        return { error: 'fin_number must look like G1234567X' };
+    }
+
+    return { value: value.toUpperCase() };
+}
+
+/**
+ * Record one worker_field_history row per changed field between two worker rows.
+ * For newly created workers (before = null) every non-empty field is recorded.
+ */
+async function recordFieldHistory(env, workerId, before, after, source, user) {
+    const historySource = HISTORY_SOURCES.includes(source) ? source : 'manual';
+    const statements = [];
+
+    for (const field of WORKER_FIELDS) {
+        const oldValue = before ? before[field] ?? null : null;
+        const newValue = after ? after[field] ?? null : null;
+        if (oldValue === newValue) continue;
+
+        statements.push(env.DB.prepare(`
+            INSERT INTO worker_field_history (worker_id, field_name, old_value, new_value, source, changed_by_id, changed_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(workerId, field, oldValue, newValue, historySource, user?.id ?? null, user?.username ?? null));
+    }
+
+    if (statements.length > 0) {
+        try {
+            await env.DB.batch(statements);
+        } catch (err) {
+            console.error('Field history write failed:', err.message);
+        }
+    }
+}
+
+/**
+ * Field-level change history for a worker, newest first.
+ * Optional ?field= narrows to a single field.
+ */
+async function getWorkerHistory(request, env, id) {
+    const worker = await env.DB.prepare('SELECT id FROM workers WHERE id = ?').bind(id).first();
+    if (!worker) return errorResponse('Worker not found', 404);
+
+    const field = new URL(request.url).searchParams.get('field');
+
+    let query = 'SELECT * FROM worker_field_history WHERE worker_id = ?';
+    const params = [id];
+    if (field) {
+        query += ' AND field_name = ?';
+        params.push(field);
+    }
+    query += ' ORDER BY changed_at DESC, id DESC';
+
+    const { results } = await env.DB.prepare(query).bind(...params).all();
+    return jsonResponse({ data: results });
 }
 
 /**
  * Upload a document for a worker.
- * Accepts multipart/form-data with: file, fin_number, document_type
+ * Accepts multipart/form-data with: file, fin_number, document_type, and for a multi-page PDF
+ * optionally pages — JSON [{ page, document_type }] giving each page its role. The file is
+ * stored once; each listed page gets its own documents row pointing at it.
  */
-async function uploadWorkerDocument(request, env) {
+async function uploadWorkerDocument(request, env, user) {
     const contentType = request.headers.get('Content-Type') || '';
     if (!contentType.includes('multipart/form-data')) {
         return errorResponse('Content-Type must be multipart/form-data', 400);
@@ -160,6 +480,23 @@ async function uploadWorkerDocument(request, env) {
         return errorResponse('No file provided', 400);
     }
 
+    let pages = null;
+    if (formData.get('pages')) {
+        try {
+            pages = JSON.parse(formData.get('pages'));
+        } catch (e) {
+            return errorResponse('pages must be a JSON array', 400);
+        }
+        const invalid = !Array.isArray(pages) || pages.length === 0
+            || pages.some(p => !Number.isInteger(p?.page) || p.page < 1 || !PAGE_ROLES.includes(p.document_type));
+        if (invalid) {
+            return errorResponse(`pages must list { page, document_type } with document_type one of: ${PAGE_ROLES.join(', ')}`, 400);
+        }
+        if (file.type !== 'application/pdf') {
+            return errorResponse('pages can only be given for a PDF', 400);
+        }
+    }
+
     // Validate file type
     const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf',
         'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
@@ -171,7 +508,7 @@ async function uploadWorkerDocument(request, env) {
     let workerId = null;
     if (finNumber) {
         const worker = await env.DB.prepare(
-            'SELECT id FROM workers WHERE fin_number = ?'
+            'SELECT COALESCE(merged_into_id, id) AS id FROM workers WHERE fin_number = ?'
         ).bind(finNumber.toUpperCase().trim()).first();
         if (worker) workerId = worker.id;
     }
@@ -192,24 +529,40 @@ async function uploadWorkerDocument(request, env) {
         },
     });
 
-    // Record in database
-    await env.DB.prepare(`
-        INSERT INTO documents (worker_id, document_type, r2_key, original_name, mime_type, file_size)
-        VALUES (?, ?, ?, ?, ?, ?)
-    `).bind(workerId, documentType, r2Key, file.name, file.type, arrayBuffer.byteLength).run();
+    // Record in database — one row for the file, or one per page
+    const documents = [];
+    for (const { page, document_type: type } of pages || [{ page: null, document_type: documentType }]) {
+        const inserted = await env.DB.prepare(`
+            INSERT INTO documents (worker_id, document_type, r2_key, original_name, mime_type, file_size, page)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(workerId, type, r2Key, file.name, file.type, arrayBuffer.byteLength, page).run();
+
+        await recordAudit(env, request, user, {
+            action: 'upload',
+            entityType: 'document',
+            entityId: inserted.meta.last_row_id,
+            workerId,
+            after: { document_type: type, r2_key: r2Key, original_name: file.name, page },
+        });
+        documents.push({ id: inserted.meta.last_row_id, page, document_type: type });
+    }
 
     return createdResponse({
+        id: documents[0].id,
         r2_key: r2Key,
         worker_id: workerId,
-        document_type: documentType,
+        document_type: documents[0].document_type,
         original_name: file.name,
         file_size: arrayBuffer.byteLength,
-        file_url: `/api/files/${encodeURIComponent(r2Key)}`,
+        file_url: await (await fileUrlSigner(env, user))(r2Key),
+        documents,
     });
 }
 
 /**
  * List workers with search & pagination.
+ * ?status= filters by lifecycle status (comma-separated, or 'all'); defaults to active.
+ * ?pass_type= filters by pass type.
  */
 async function listWorkers(request, env) {
     const url = new URL(request.url);
@@ -218,11 +571,24 @@ async function listWorkers(request, env) {
     const limit = parseInt(url.searchParams.get('limit') || '20', 10);
     const offset = (page - 1) * limit;
 
-    let query = 'SELECT * FROM workers WHERE 1=1';
-    const params = [];
+    const { statuses, error } = parseStatusFilter(url.searchParams.get('status'));
+    if (error) return errorResponse(error, 400);
+    const statusFilter = statusCondition('status', statuses);
+
+    const passType = url.searchParams.get('pass_type');
+    if (passType && !PASS_TYPES[passType]) return errorResponse(passTypeError(passType), 400);
+
+    // Archived duplicates stay out of the list; they are reachable from their survivor
+    let query = 'SELECT * FROM workers WHERE merged_into_id IS NULL' + statusFilter.sql;
+    const params = [...statusFilter.params];
+
+    if (passType) {
+        query += ' AND pass_type = ?';
+        params.push(passType);
+    }
 
     if (search) {
-        query += ' AND (worker_name LIKE ? OR fin_number LIKE ? OR work_permit_no LIKE ? OR employer_name LIKE ?)';
+        query += ' AND (worker_name LIKE ? OR fin_number LIKE ? OR pass_no LIKE ? OR employer_name LIKE ?)';
         const term = `%${search}%`;
         params.push(term, term, term, term);
     }
@@ -245,7 +611,7 @@ async function listWorkers(request, env) {
 /**
  * Get a single worker with their certifications and documents.
  */
-async function getWorker(env, id) {
+async function getWorker(env, id, user) {
     const worker = await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(id).first();
     if (!worker) return errorResponse('Worker not found', 404);
 
@@ -257,26 +623,123 @@ async function getWorker(env, id) {
         'SELECT * FROM documents WHERE worker_id = ? ORDER BY created_at DESC'
     ).bind(id).all();
 
+    const { results: statusHistory } = await env.DB.prepare(
+        'SELECT * FROM worker_status_history WHERE worker_id = ? ORDER BY effective_date DESC, id DESC'
+    ).bind(id).all();
+
     // Add signed file URLs to documents
-    const docsWithUrls = documents.map(d => ({
+    const sign = await fileUrlSigner(env, user);
+    const docsWithUrls = await Promise.all(documents.map(async d => ({
         ...d,
-        file_url: `/api/files/${encodeURIComponent(d.r2_key)}`,
-    }));
+        file_url: await sign(d.r2_key),
+    })));
 
-    return jsonResponse({ ...worker, certifications, documents: docsWithUrls });
+    return jsonResponse({ ...worker, certifications, documents: docsWithUrls, status_history: statusHistory });
 }
 
 /**
- * Delete a worker and their associated data.
+ * Change a worker's lifecycle status.
+ * Body: { status, effective_date (YYYY-MM-DD, default today), reason (required unless returning to active) }
  */
-async function deleteWorker(env, id) {
+async function changeWorkerStatus(request, env, id, user) {
     const existing = await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(id).first();
     if (!existing) return errorResponse('Worker not found', 404);
+    if (existing.merged_into_id) {
+        return errorResponse(`Worker was merged into worker ${existing.merged_into_id}; edit that record instead`, 409);
+    }
 
-    // Delete associated documents from R2
-    const { results: docs } = await env.DB.prepare(
-        'SELECT r2_key FROM documents WHERE worker_id = ?'
-    ).bind(id).all();
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const status = body.status;
+    const effectiveDate = body.effective_date || new Date().toISOString().slice(0, 10);
+    const reason = (body.reason || '').trim() || null;
+
+    if (!WORKER_STATUSES.includes(status)) {
+        return errorResponse(`status must be one of: ${WORKER_STATUSES.join(', ')}`, 400);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate) || isNaN(new Date(effectiveDate))) {
+        return errorResponse('effective_date must be a date in YYYY-MM-DD format', 400);
+    }
+    if (status !== 'active' && !reason) {
+        return errorResponse('reason is required when a worker leaves active status', 400);
+    }
+
+    await env.DB.batch([
+        env.DB.prepare(`
+            UPDATE workers SET status = ?, status_effective_date = ?, status_reason = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `).bind(status, effectiveDate, reason, id),
+        env.DB.prepare(`
+            INSERT INTO worker_status_history (worker_id, from_status, to_status, effective_date, reason, changed_by_id, changed_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).bind(id, existing.status, status, effectiveDate, reason, user?.id ?? null, user?.username ?? null),
+    ]);
+
+    const worker = await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(id).first();
+
+    await recordAudit(env, request, user, {
+        action: 'update',
+        entityType: 'worker',
+        entityId: id,
+        workerId: id,
+        before: existing,
+        after: worker,
+    });
+
+    // Sync to Google Sheets (fire-and-forget)
+    try {
+        await syncWorkerToSheet(env, worker);
+    } catch (err) {
+        console.error('Google Sheets sync failed:', err.message);
+    }
+
+    await emitEvent(env, 'worker.status_changed', {
+        worker,
+        from_status: existing.status,
+        to_status: worker.status,
+        effective_date: effectiveDate,
+        reason,
+    });
+
+    return jsonResponse(worker);
+}
+
+/**
+ * Permanently delete a worker and their associated data (admin only).
+ * Workers who leave should get a status change instead — records must be kept.
+ * Everything held about the worker is first archived in R2 under purged/<fin>_<time>/: a copy
+ * of every file and the photo, then a JSON export (export.json) pointing at those copies.
+ * If any of it cannot be saved, nothing is deleted.
+ */
+async function purgeWorker(request, env, id, user) {
+    const existing = await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(id).first();
+    if (!existing) return errorResponse('Worker not found', 404);
+
+    const archivePrefix = `purged/${existing.fin_number}_${Date.now()}/`;
+    const exportKey = `${archivePrefix}export.json`;
+    let exportData;
+    try {
+        const archived = await archiveWorkerFiles(env, existing, archivePrefix);
+        exportData = await buildWorkerExport(env, existing, archived);
+        await env.BUCKET.put(exportKey, JSON.stringify(exportData, null, 2), {
+            httpMetadata: { contentType: 'application/json' },
+            customMetadata: { finNumber: existing.fin_number, purgedBy: user?.username || '' },
+        });
+    } catch (err) {
+        console.error('Purge export failed:', err.message);
+        return errorResponse('Could not save the worker export; nothing was deleted', 500);
+    }
+
+    // Delete associated documents from R2 — but not a file another worker's documents still use
+    const { results: docs } = await env.DB.prepare(`
+        SELECT DISTINCT r2_key FROM documents
+        WHERE worker_id = ? AND r2_key NOT IN (SELECT r2_key FROM documents WHERE worker_id != ?)
+    `).bind(id, id).all();
 
     for (const doc of docs) {
         try { await env.BUCKET.delete(doc.r2_key); } catch (e) { /* ignore */ }
@@ -290,9 +753,297 @@ async function deleteWorker(env, id) {
     // Cascade deletes in DB
     await env.DB.prepare('DELETE FROM documents WHERE worker_id = ?').bind(id).run();
     await env.DB.prepare('DELETE FROM certifications WHERE worker_id = ?').bind(id).run();
+    await env.DB.prepare('DELETE FROM worker_field_history WHERE worker_id = ?').bind(id).run();
+    await env.DB.prepare('DELETE FROM worker_requirement_profiles WHERE worker_id = ?').bind(id).run();
+    // Alerts of archived duplicates still point at them
+    await env.DB.prepare(
+        'DELETE FROM alerts WHERE worker_id = ? OR worker_id IN (SELECT id FROM workers WHERE merged_into_id = ?)'
+    ).bind(id, id).run();
+    await env.DB.prepare('DELETE FROM ocr_cache WHERE file_hash IN (SELECT file_hash FROM ocr_runs WHERE worker_id = ?)').bind(id).run();
+    await env.DB.prepare('DELETE FROM ocr_runs WHERE worker_id = ?').bind(id).run();
+    await forgetWorkerInJobs(env, existing);
+    await env.DB.prepare('DELETE FROM workers WHERE merged_into_id = ?').bind(id).run();
     await env.DB.prepare('DELETE FROM workers WHERE id = ?').bind(id).run();
 
-    return jsonResponse({ success: true, message: 'Worker deleted successfully' });
+    await env.DB.prepare('DELETE FROM worker_status_history WHERE worker_id = ?').bind(id).run();
+
+    await recordAudit(env, request, user, {
+        action: 'delete',
+        entityType: 'worker',
+        entityId: id,
+        workerId: id,
+        before: { ...existing, export_key: null },
+        after: { export_key: exportKey },
+    });
+
+    await emitEvent(env, 'worker.deleted', { worker: existing, export_key: exportKey });
+
+    return jsonResponse({
+        success: true,
+        message: 'Worker purged',
+        export_key: exportKey,
+        export_url: await (await fileUrlSigner(env, user))(exportKey),
+        export: exportData,
+    });
+}
+
+/**
+ * Copy the worker's files and photo under the purge archive prefix.
+ * Returns { [r2_key]: archived key } — null for a key whose object was already gone.
+ */
+async function archiveWorkerFiles(env, worker, prefix) {
+    const { results: docs } = await env.DB.prepare(
+        'SELECT DISTINCT r2_key FROM documents WHERE worker_id = ?'
+    ).bind(worker.id).all();
+    const keys = docs.map(d => d.r2_key);
+    if (worker.photo_key) keys.push(worker.photo_key);
+
+    const archived = {};
+    for (const key of keys) {
+        const object = await env.BUCKET.get(key);
+        if (!object) {
+            archived[key] = null;
+            continue;
+        }
+        archived[key] = `${prefix}files/${key}`;
+        await env.BUCKET.put(archived[key], await object.arrayBuffer(), {
+            httpMetadata: object.httpMetadata,
+            customMetadata: object.customMetadata,
+        });
+    }
+    return archived;
+}
+
+/**
+ * Everything held about a worker, for the pre-purge export. Each document carries
+ * archived_key (and the worker photo_archived_key): the copy archiveWorkerFiles made of the file.
+ */
+async function buildWorkerExport(env, worker, archived) {
+    const id = worker.id;
+    const all = async (sql) => (await env.DB.prepare(sql).bind(id).all()).results;
+
+    return {
+        exported_at: new Date().toISOString(),
+        worker: { ...worker, photo_archived_key: archived[worker.photo_key] ?? null },
+        certifications: await all('SELECT * FROM certifications WHERE worker_id = ? ORDER BY id'),
+        documents: (await all('SELECT * FROM documents WHERE worker_id = ? ORDER BY id'))
+            .map(d => ({ ...d, archived_key: archived[d.r2_key] ?? null })),
+        field_history: await all('SELECT * FROM worker_field_history WHERE worker_id = ? ORDER BY id'),
+        status_history: await all('SELECT * FROM worker_status_history WHERE worker_id = ? ORDER BY id'),
+        alerts: (await env.DB.prepare(
+            'SELECT * FROM alerts WHERE worker_id = ? OR worker_id IN (SELECT id FROM workers WHERE merged_into_id = ?) ORDER BY id'
+        ).bind(id, id).all()).results,
+        merged_records: await all('SELECT * FROM workers WHERE merged_into_id = ? ORDER BY id'),
+        audit_log: await all('SELECT * FROM audit_log WHERE worker_id = ? ORDER BY id'),
+    };
+}
+
+/**
+ * Find likely duplicate worker records among active (non-merged) workers.
+ * A pair is flagged when any of these hold:
+ *   same_name_dob       — identical name and date of birth
+ *   fin_edit_distance   — FINs differ by a single character (typical OCR misread)
+ *   same_pass_no        — identical pass (work permit / S Pass / EP) number
+ */
+async function findDuplicates(env) {
+    const { results: workers } = await env.DB.prepare(`
+        SELECT w.*,
+            (SELECT COUNT(*) FROM certifications c WHERE c.worker_id = w.id) AS cert_count,
+            (SELECT COUNT(*) FROM documents d WHERE d.worker_id = w.id) AS doc_count
+        FROM workers w
+        WHERE w.merged_into_id IS NULL
+    `).all();
+
+    const pairs = new Map();
+    const addPair = (a, b, reason) => {
+        const [first, second] = a.id < b.id ? [a, b] : [b, a];
+        const key = `${first.id}:${second.id}`;
+        if (!pairs.has(key)) pairs.set(key, { workers: [first, second], reasons: [] });
+        const pair = pairs.get(key);
+        if (!pair.reasons.includes(reason)) pair.reasons.push(reason);
+    };
+    const pairWithin = (keyOf, reason) => {
+        const groups = new Map();
+        for (const w of workers) {
+            const key = keyOf(w);
+            if (!key) continue;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(w);
+        }
+        for (const group of groups.values()) {
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) addPair(group[i], group[j], reason);
+            }
+        }
+    };
+
+    pairWithin(w => (w.worker_name && w.date_of_birth ? `${w.worker_name}|${w.date_of_birth}` : null), 'same_name_dob');
+    pairWithin(w => w.pass_no, 'same_pass_no');
+
+    // FIN edit distance 1: one substituted character (same mask), or one extra character
+    for (let pos = 0; pos < 10; pos++) {
+        pairWithin(w => (w.fin_number.length > pos
+            ? `${w.fin_number.length}|${w.fin_number.slice(0, pos)}*${w.fin_number.slice(pos + 1)}`
+            : null), 'fin_edit_distance');
+    }
+    const byFin = new Map(workers.map(w => [w.fin_number, w]));
+    for (const w of workers) {
+        for (let pos = 0; pos < w.fin_number.length; pos++) {
+            const shorter = byFin.get(w.fin_number.slice(0, pos) + w.fin_number.slice(pos + 1));
+            if (shorter) addPair(w, shorter, 'fin_edit_distance');
+        }
+    }
+
+    const data = [...pairs.values()].sort((a, b) => b.reasons.length - a.reasons.length);
+    return jsonResponse({ data, total: data.length });
+}
+
+/**
+ * Merge one worker record (the loser) into another (the survivor).
+ *
+ * Body: {
+ *   survivor_id, loser_id,
+ *   fields:       { field: 'survivor' | 'loser' } — which record's value to keep per field;
+ *                 unlisted fields keep the survivor's value, or the loser's when the survivor's is empty,
+ *   loser_action: 'archive' (default) keeps the loser row pointing at the survivor,
+ *                 'delete' removes it (admin only)
+ * }
+ *
+ * Certifications, documents and field history move to the survivor. An archived loser
+ * keeps whichever FIN the survivor gave up, so lookups by either FIN reach the survivor.
+ */
+async function mergeWorkers(request, env, user) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return errorResponse('Invalid JSON payload', 400);
+    }
+
+    const survivorId = parseInt(body.survivor_id, 10);
+    const loserId = parseInt(body.loser_id, 10);
+    const choices = body.fields || {};
+    const loserAction = body.loser_action || 'archive';
+
+    if (!survivorId || !loserId || survivorId === loserId) {
+        return errorResponse('survivor_id and loser_id must be two different worker ids', 400);
+    }
+    if (!['archive', 'delete'].includes(loserAction)) {
+        return errorResponse('loser_action must be archive or delete', 400);
+    }
+    if (loserAction === 'delete' && user?.role !== 'admin') {
+        return errorResponse('Forbidden: only admins can delete the merged record', 403);
+    }
+
+    const survivor = await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(survivorId).first();
+    const loser = await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(loserId).first();
+    if (!survivor || !loser) return errorResponse('Worker not found', 404);
+    if (survivor.merged_into_id || loser.merged_into_id) {
+        return errorResponse('One of these workers has already been merged', 409);
+    }
+
+    const merged = {};
+    for (const field of WORKER_FIELDS) {
+        const choice = choices[field] || (survivor[field] == null ? 'loser' : 'survivor');
+        if (!['survivor', 'loser'].includes(choice)) {
+            return errorResponse(`fields.${field} must be survivor or loser`, 400);
+        }
+        merged[field] = choice === 'loser' ? loser[field] : survivor[field];
+    }
+    if (!merged.fin_number || !merged.worker_name) {
+        return errorResponse('Merged record needs a fin_number and worker_name', 400);
+    }
+    const mergedPhoto = survivor.photo_key || loser.photo_key || null;
+
+    const certCount = await env.DB.prepare('SELECT COUNT(*) as count FROM certifications WHERE worker_id = ?').bind(loserId).first('count');
+    const docCount = await env.DB.prepare('SELECT COUNT(*) as count FROM documents WHERE worker_id = ?').bind(loserId).first('count');
+
+    const columns = WORKER_FIELDS.filter(f => merged[f] !== survivor[f]);
+    const takesLoserFin = merged.fin_number !== survivor.fin_number;
+    const statements = [];
+
+    // FIN is unique: move the loser's FIN out of the way before the survivor takes it
+    statements.push(env.DB.prepare('UPDATE workers SET fin_number = ? WHERE id = ?').bind(`MERGED-${loserId}`, loserId));
+
+    statements.push(
+        env.DB.prepare('UPDATE certifications SET worker_id = ? WHERE worker_id = ?').bind(survivorId, loserId),
+        env.DB.prepare('UPDATE documents SET worker_id = ? WHERE worker_id = ?').bind(survivorId, loserId),
+        env.DB.prepare('UPDATE worker_field_history SET worker_id = ? WHERE worker_id = ?').bind(survivorId, loserId),
+        env.DB.prepare('UPDATE ocr_runs SET worker_id = ? WHERE worker_id = ?').bind(survivorId, loserId),
+        env.DB.prepare(`
+            INSERT OR IGNORE INTO worker_requirement_profiles (worker_id, profile_id, assigned_by, assigned_at)
+            SELECT ?, profile_id, assigned_by, assigned_at FROM worker_requirement_profiles WHERE worker_id = ?
+        `).bind(survivorId, loserId),
+        env.DB.prepare('DELETE FROM worker_requirement_profiles WHERE worker_id = ?').bind(loserId),
+        env.DB.prepare('UPDATE workers SET merged_into_id = ? WHERE merged_into_id = ?').bind(survivorId, loserId),
+        env.DB.prepare(`
+            UPDATE workers SET ${columns.map(c => `${c} = ?, `).join('')}photo_key = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `).bind(...columns.map(c => merged[c]), mergedPhoto, survivorId)
+    );
+
+    if (loserAction === 'archive') {
+        statements.push(env.DB.prepare(`
+            UPDATE workers SET fin_number = ?, photo_key = ?, merged_into_id = ?, merged_at = datetime('now'), updated_at = datetime('now')
+            WHERE id = ?
+        `).bind(
+            takesLoserFin ? survivor.fin_number : loser.fin_number,
+            loser.photo_key === mergedPhoto ? null : loser.photo_key,
+            survivorId,
+            loserId
+        ));
+    } else {
+        // Last, once everything has moved: the cascades would otherwise take the loser's records with it
+        statements.push(env.DB.prepare('DELETE FROM workers WHERE id = ?').bind(loserId));
+    }
+
+    await env.DB.batch(statements);
+
+    // A deleted loser's photo is only orphaned if the survivor didn't take it
+    if (loserAction === 'delete' && loser.photo_key && loser.photo_key !== mergedPhoto) {
+        try { await env.BUCKET.delete(loser.photo_key); } catch (e) { /* ignore */ }
+    }
+
+    const worker = await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(survivorId).first();
+
+    await recordFieldHistory(env, survivorId, survivor, worker, 'merge', user);
+
+    await recordAudit(env, request, user, {
+        action: 'merge',
+        entityType: 'worker',
+        entityId: survivorId,
+        workerId: survivorId,
+        before: { ...survivor, merged_worker_id: null },
+        after: { ...worker, merged_worker_id: loserId, merged_fin_number: loser.fin_number },
+    });
+
+    const archived = loserAction === 'archive'
+        ? await env.DB.prepare('SELECT * FROM workers WHERE id = ?').bind(loserId).first()
+        : null;
+    await recordAudit(env, request, user, {
+        action: loserAction === 'archive' ? 'update' : 'delete',
+        entityType: 'worker',
+        entityId: loserId,
+        workerId: loserId,
+        before: loser,
+        after: archived,
+    });
+
+    await emitEvent(env, 'worker.updated', { worker, merged_worker_id: loserId });
+    await emitEvent(env, archived ? 'worker.updated' : 'worker.deleted', { worker: archived || loser, merged_into_id: survivorId });
+
+    // Sync to Google Sheets (fire-and-forget)
+    try {
+        await syncWorkerToSheet(env, worker);
+    } catch (err) {
+        console.error('Google Sheets sync failed:', err.message);
+    }
+
+    return jsonResponse({
+        worker,
+        loser_action: loserAction,
+        moved: { certifications: certCount, documents: docCount },
+    });
 }
 
 /**
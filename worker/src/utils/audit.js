@@ -0,0 +1,62 @@
+/**
+ * Audit Utilities
+ * Records who did what to which record into the audit_log table.
+ */
+
+// Bookkeeping columns that change on every write and add nothing to a diff
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at'];
+
+/**
+ * Write an audit entry. Never throws — a failed audit write is logged, not surfaced.
+ *
+ * @param {object} env
+ * @param {Request} request
+ * @param {object|null} user     Authenticated user from the auth middleware
+ * @param {object} entry
+ * @param {string} entry.action      create | update | delete | merge | upload | download
+ * @param {string} entry.entityType  worker | certification | document | user | webhook
+ * @param {string|number} entry.entityId
+ * @param {number} [entry.workerId]  Worker the entity belongs to, if any
+ * @param {object} [entry.before]    Record before the change (null for creates)
+ * @param {object} [entry.after]     Record after the change (null for deletes)
+ */
+export async function recordAudit(env, request, user, { action, entityType, entityId, workerId = null, before = null, after = null }) {
+    try {
+        const changes = diffRecords(before, after);
+
+        await env.DB.prepare(`
+            INSERT INTO audit_log (actor_id, actor_username, action, entity_type, entity_id, worker_id, changes, ip_address)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            user?.id ?? null,
+            user?.username ?? null,
+            action,
+            entityType,
+            entityId != null ? String(entityId) : null,
+            workerId,
+            Object.keys(changes).length > 0 ? JSON.stringify(changes) : null,
+            request?.headers.get('CF-Connecting-IP') || null
+        ).run();
+    } catch (err) {
+        console.error('Audit log write failed:', err.message);
+    }
+}
+
+/**
+ * Field-level diff between two records: { field: { from, to } } for every field that differs.
+ */
+export function diffRecords(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+        if (IGNORED_FIELDS.includes(key)) continue;
+        const from = before ? before[key] ?? null : null;
+        const to = after ? after[key] ?? null : null;
+        if (from !== to) {
+            changes[key] = { from, to };
+        }
+    }
+
+    return changes;
+}
@@ -0,0 +1,176 @@
+/**
+ * Compliance Evaluation
+ * Checks the certifications of workers assigned to requirement profiles against the courses
+ * each profile requires. Requirements are catalogue courses, so only certifications linked to
+ * the catalogue (certifications.course_id) count, and only current ones (not renewed or
+ * rejected, and verified when `verifiedOnly` is set); a certification of the required course's
+ * refresher course also meets the requirement.
+ *
+ * Per requirement: valid | expiring (within `days`) | expired | missing.
+ * Per profile and per worker: compliant | expiring | missing — missing when any required course
+ * has no certification or only expired ones.
+ */
+
+import { EXPIRING_SOON_DAYS } from './expiries.js';
+import { statusCondition } from './status.js';
+import { verificationCondition } from './verification.js';
+
+export const COMPLIANCE_STATUSES = ['compliant', 'expiring', 'missing'];
+
+const RANK = { compliant: 0, expiring: 1, missing: 2 };
+
+/**
+ * Evaluate every assignment of a non-merged worker in the given worker statuses, optionally
+ * limited to one site, profile or worker.
+ *
+ * @returns {Promise<Array>} one entry per worker, worst first:
+ *   { worker_id, worker_name, fin_number, employer_name, status,
+ *     profiles: [{ profile_id, name, trade, site, status, missing: [titles], expiring: [titles],
+ *                  requirements: [{ course_id, course_title, status, certification_id, expiry_date, days_left }] }] }
+ */
+export async function evaluateCompliance(env, { site, profileId, workerId, statuses = ['active'], days = EXPIRING_SOON_DAYS, verifiedOnly = false } = {}) {
+    let query = `
+        SELECT a.worker_id, a.profile_id, p.name, p.trade, p.site,
+            w.worker_name, w.fin_number, w.employer_name
+        FROM worker_requirement_profiles a
+        JOIN requirement_profiles p ON a.profile_id = p.id
+        JOIN workers w ON a.worker_id = w.id
+        WHERE w.merged_into_id IS NULL
+    `;
+    const params = [];
+    if (site) {
+        query += ' AND p.site = ?';
+        params.push(site);
+    }
+    if (profileId) {
+        query += ' AND a.profile_id = ?';
+        params.push(profileId);
+    }
+    if (workerId) {
+        query += ' AND a.worker_id = ?';
+        params.push(workerId);
+    }
+    const statusFilter = statusCondition('w.status', statuses);
+    query += statusFilter.sql;
+    params.push(...statusFilter.params);
+
+    const { results: assignments } = await env.DB.prepare(query + ' ORDER BY w.worker_name, p.name').bind(...params).all();
+    if (assignments.length === 0) return [];
+
+    const { results: requirements } = await env.DB.prepare(`
+        SELECT r.profile_id, c.id AS course_id, c.title AS course_title, c.refresher_course_id
+        FROM requirement_profile_courses r
+        JOIN courses c ON r.course_id = c.id
+        ORDER BY c.title
+    `).all();
+
+    const { results: certs } = await env.DB.prepare(`
+        SELECT id, worker_id, course_id, expiry_date,
+            CAST(julianday(expiry_date) - julianday(date('now')) AS INTEGER) AS days_left
+        FROM certifications
+        WHERE course_id IS NOT NULL AND superseded_by_id IS NULL${verificationCondition('verification_status', verifiedOnly)}
+            AND worker_id IN (SELECT worker_id FROM worker_requirement_profiles)
+    `).all();
+
+    const certsByWorker = groupBy(certs, c => c.worker_id);
+    const requirementsByProfile = groupBy(requirements, r => r.profile_id);
+
+    const workers = new Map();
+    for (const a of assignments) {
+        if (!workers.has(a.worker_id)) {
+            workers.set(a.worker_id, {
+                worker_id: a.worker_id,
+                worker_name: a.worker_name,
+                fin_number: a.fin_number,
+                employer_name: a.employer_name,
+                status: 'compliant',
+                profiles: [],
+            });
+        }
+        const worker = workers.get(a.worker_id);
+        const workerCerts = certsByWorker.get(a.worker_id) || [];
+        const checked = (requirementsByProfile.get(a.profile_id) || []).map(r => checkRequirement(r, workerCerts, days));
+
+        const profile = {
+            profile_id: a.profile_id,
+            name: a.name,
+            trade: a.trade,
+            site: a.site,
+            status: worst(checked.map(r => (r.status === 'valid' ? 'compliant' : r.status === 'expiring' ? 'expiring' : 'missing'))),
+            missing: checked.filter(r => r.status === 'missing' || r.status === 'expired').map(r => r.course_title),
+            expiring: checked.filter(r => r.status === 'expiring').map(r => r.course_title),
+            requirements: checked,
+        };
+        worker.profiles.push(profile);
+        worker.status = worst([worker.status, profile.status]);
+    }
+
+    return [...workers.values()].sort((a, b) => RANK[b.status] - RANK[a.status]);
+}
+
+/**
+ * Per-site counts of workers by their worst status among the profiles they hold at that site.
+ * Profiles without a site are counted under site null.
+ */
+export function summarizeBySite(workers) {
+    const sites = new Map();
+    for (const worker of workers) {
+        const statusAtSite = new Map();
+        for (const profile of worker.profiles) {
+            statusAtSite.set(profile.site, worst([statusAtSite.get(profile.site) || 'compliant', profile.status]));
+        }
+        for (const [site, status] of statusAtSite) {
+            if (!sites.has(site)) sites.set(site, { site, workers: 0, compliant: 0, expiring: 0, missing: 0 });
+            const summary = sites.get(site);
+            summary.workers++;
+            summary[status]++;
+        }
+    }
+    return [...sites.values()].sort((a, b) => String(a.site ?? '').localeCompare(String(b.site ?? '')));
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+/**
+ * The worker's best certification for a required course: one without an expiry date, otherwise
+ * the latest-expiring. Unreadable expiry dates count as no expiry.
+ */
+function checkRequirement(requirement, certs, days) {
+    const matching = certs.filter(c =>
+        c.course_id === requirement.course_id
+        || (requirement.refresher_course_id && c.course_id === requirement.refresher_course_id)
+    );
+    const best = matching.find(c => c.days_left === null)
+        || matching.sort((a, b) => b.days_left - a.days_left)[0];
+
+    let status = 'missing';
+    if (best) {
+        if (best.days_left === null) status = 'valid';
+        else if (best.days_left < 0) status = 'expired';
+        else if (best.days_left <= days) status = 'expiring';
+        else status = 'valid';
+    }
+
+    return {
+        course_id: requirement.course_id,
+        course_title: requirement.course_title,
+        status,
+        certification_id: best?.id ?? null,
+        expiry_date: best?.expiry_date ?? null,
+        days_left: best?.days_left ?? null,
+    };
+}
+
+function worst(statuses) {
+    return statuses.reduce((acc, s) => (RANK[s] > RANK[acc] ? s : acc), 'compliant');
+}
+
+function groupBy(rows, key) {
+    const groups = new Map();
+    for (const row of rows) {
+        const k = key(row);
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(row);
+    }
+    return groups;
+}
@@ -0,0 +1,61 @@
+/**
+ * Course Catalogue Utilities
+ * Resolves the free-text course_title of a certification against the courses table and works
+ * out expiry dates from a course's validity.
+ */
+
+/**
+ * Comparison key for a course title or alias: upper-cased, punctuation dropped, spaces collapsed,
+ * so "Work-at-Height Course" and "WORK AT HEIGHT COURSE" are the same title.
+ */
+export function courseKey(title) {
+    return String(title || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+}
+
+export function courseAliases(course) {
+    try {
+        return JSON.parse(course?.aliases || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * The catalogue course among `courses` whose title or one of whose aliases is `title`, or null.
+ */
+export function matchCourse(courses, title) {
+    const key = courseKey(title);
+    if (!key) return null;
+    return courses.find(c =>
+        courseKey(c.title) === key || courseAliases(c).some(a => courseKey(a) === key)
+    ) || null;
+}
+
+/**
+ * Look a certification's course title up in the catalogue. Returns the course row or null.
+ */
+export async function resolveCourse(env, title) {
+    if (!courseKey(title)) return null;
+    const { results } = await env.DB.prepare('SELECT * FROM courses').all();
+    return matchCourse(results, title);
+}
+
+/**
+ * Expiry of a certificate issued on `issueDate` (YYYY-MM-DD) and valid for `months`: the day
+ * before the same date `months` later, so a 24-month course issued 2025-01-15 expires
+ * 2027-01-14. Returns null when there is no validity or the issue date isn't YYYY-MM-DD.
+ */
+export function computeExpiry(issueDate, months) {
+    if (!months || !/^\d{4}-\d{2}-\d{2}$/.test(issueDate || '')) return null;
+
+    const [year, month, day] = issueDate.split('-').map(Number);
+    const target = month - 1 + months;
+    const targetYear = year + Math.floor(target / 12);
+    const targetMonth = target % 12;
+    // Issued on the 31st, ending in a shorter month: count from that month's last day
+    const lastDay = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+
+    const expiry = new Date(Date.UTC(targetYear, targetMonth, Math.min(day, lastDay)));
+    expiry.setUTCDate(expiry.getUTCDate() - 1);
+    return expiry.toISOString().substring(0, 10);
+}
@@ -0,0 +1,103 @@
+/**
+ * Crypto Utilities
+ * Password hashing, session tokens, digests and HMAC signatures via the Web Crypto API.
+ */
+
+const PBKDF2_ITERATIONS = 100000; // Workers runtime maximum for PBKDF2
+const PBKDF2_PREFIX = 'pbkdf2_sha256';
+
+/**
+ * Hash a password with a random salt.
+ * Returns a self-describing string: pbkdf2_sha256$<iterations>$<salt>$<hash>
+ */
+export async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+    return `${PBKDF2_PREFIX}$${PBKDF2_ITERATIONS}$${bytesToHex(salt)}$${hash}`;
+}
+
+/**
+ * Verify a password against a stored hash produced by hashPassword().
+ */
+export async function verifyPassword(password, stored) {
+    if (!password || !stored) return false;
+
+    const [prefix, iterations, saltHex, expected] = stored.split('$');
+    if (prefix !== PBKDF2_PREFIX || !iterations || !saltHex || !expected) return false;
+
+    const actual = await pbkdf2(password, hexToBytes(saltHex), parseInt(iterations, 10));
+    return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Generate a random URL-safe token (hex, 32 bytes by default).
+ */
+export function generateToken(byteLength = 32) {
+    return bytesToHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * SHA-256 digest of a string or ArrayBuffer, as lowercase hex.
+ */
+export async function sha256Hex(input) {
+    const data = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return bytesToHex(new Uint8Array(digest));
+}
+
+/**
+ * HMAC-SHA256 of a message with a string secret, as lowercase hex.
+ */
+export async function hmacSha256Hex(secret, message) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+    return bytesToHex(new Uint8Array(signature));
+}
+
+/**
+ * Compare two strings without short-circuiting on the first mismatch.
+ */
+export function timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+async function pbkdf2(password, salt, iterations) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        key,
+        256
+    );
+    return bytesToHex(new Uint8Array(bits));
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
@@ -0,0 +1,61 @@
+/**
+ * Expiry Queries
+ * Certifications, passes (Work Permit, S Pass, EP, ...) and passports of current workers
+ * approaching expiry.
+ * Shared by the dashboard stats, the daily alert scan and the email digests so they
+ * all agree on what "expiring" means.
+ */
+
+import { passTypeLabel } from './passes.js';
+import { verificationCondition } from './verification.js';
+
+// "Expiring soon" horizon used by the dashboard and the digests
+export const EXPIRING_SOON_DAYS = 90;
+
+/**
+ * Certifications, passes and passports of active, non-merged workers expiring within
+ * `horizonDays` (and already expired ones when `includeExpired` is set), soonest first.
+ * Renewed (superseded) and rejected certifications are left out, and unverified ones too when
+ * `verifiedOnly` is set. A pass's subject is its type ("S Pass", "Employment Pass", ...).
+ *
+ * Each item: { entity_type: 'certification' | 'pass' | 'passport', entity_id, worker_id, subject,
+ *              expiry_date, days_left, worker_name, fin_number, pass_type, pass_no, employer_name }
+ */
+export async function findExpiring(env, { horizonDays = EXPIRING_SOON_DAYS, includeExpired = true, verifiedOnly = false } = {}) {
+    const range = `+${horizonDays} days`;
+    const notExpired = (column) => (includeExpired ? '' : ` AND ${column} >= date('now')`);
+
+    const { results: certs } = await env.DB.prepare(`
+        SELECT 'certification' AS entity_type, c.id AS entity_id, c.worker_id, c.course_title AS subject, c.expiry_date,
+            CAST(julianday(c.expiry_date) - julianday(date('now')) AS INTEGER) AS days_left,
+            w.worker_name, w.fin_number, w.pass_type, w.pass_no, w.employer_name
+        FROM certifications c
+        JOIN workers w ON c.worker_id = w.id
+        WHERE c.expiry_date IS NOT NULL AND c.expiry_date <= date('now', ?) AND c.superseded_by_id IS NULL
+            AND w.status = 'active' AND w.merged_into_id IS NULL${notExpired('c.expiry_date')}${verificationCondition('c.verification_status', verifiedOnly)}
+    `).bind(range).all();
+
+    const { results: passes } = await env.DB.prepare(`
+        SELECT 'pass' AS entity_type, w.id AS entity_id, w.id AS worker_id, w.pass_expiry AS expiry_date,
+            CAST(julianday(w.pass_expiry) - julianday(date('now')) AS INTEGER) AS days_left,
+            w.worker_name, w.fin_number, w.pass_type, w.pass_no, w.employer_name
+        FROM workers w
+        WHERE w.pass_expiry IS NOT NULL AND w.pass_expiry <= date('now', ?)
+            AND w.status = 'active' AND w.merged_into_id IS NULL${notExpired('w.pass_expiry')}
+    `).bind(range).all();
+
+    const { results: passports } = await env.DB.prepare(`
+        SELECT 'passport' AS entity_type, w.id AS entity_id, w.id AS worker_id, 'Passport' AS subject, w.passport_expiry AS expiry_date,
+            CAST(julianday(w.passport_expiry) - julianday(date('now')) AS INTEGER) AS days_left,
+            w.worker_name, w.fin_number, w.pass_type, w.pass_no, w.employer_name
+        FROM workers w
+        WHERE w.passport_expiry IS NOT NULL AND w.passport_expiry <= date('now', ?)
+            AND w.status = 'active' AND w.merged_into_id IS NULL${notExpired('w.passport_expiry')}
+    `).bind(range).all();
+
+    // Unparseable dates come back with a null days_left
+    const passItems = passes.map(item => ({ ...item, subject: passTypeLabel(item.pass_type) }));
+    return [...certs, ...passItems, ...passports]
+        .filter(item => item.days_left !== null)
+        .sort((a, b) => a.days_left - b.days_left);
+}
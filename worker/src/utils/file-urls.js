@@ -0,0 +1,40 @@
+/**
+ * Signed File URLs
+ * <img> and <a> tags can't send an Authorization header, so responses that point at stored
+ * files carry short-lived URLs signed for one R2 key and the caller's session:
+ *
+ *   /api/files/<key>?sid=<session id>&exp=<unix seconds>&sig=<hex>
+ *
+ * sig is the HMAC-SHA256 of "<sid>.<exp>.<key>" keyed with the session's token hash (never
+ * sent to the browser), so a link opens only that file, only until exp, and only while the
+ * session lasts. The session token itself never appears in a URL. Checked in middleware/auth.js.
+ */
+
+import { hmacSha256Hex } from './crypto.js';
+
+export const FILE_URL_TTL_SECONDS = 15 * 60;
+
+/**
+ * Signature for one key, session and expiry (unix seconds).
+ */
+export function fileUrlSignature(tokenHash, sessionId, expires, key) {
+    return hmacSha256Hex(tokenHash, `${sessionId}.${expires}.${key}`);
+}
+
+/**
+ * Returns sign(key) → signed path for the user's session. Without a session (e.g. the
+ * Cron Trigger) the path is returned unsigned and needs an Authorization header.
+ */
+export async function fileUrlSigner(env, user) {
+    const tokenHash = user?.session_id
+        ? await env.DB.prepare('SELECT token_hash FROM sessions WHERE id = ?').bind(user.session_id).first('token_hash')
+        : null;
+    const expires = Math.floor(Date.now() / 1000) + FILE_URL_TTL_SECONDS;
+
+    return async key => {
+        const path = `/api/files/${encodeURIComponent(key)}`;
+        if (!tokenHash) return path;
+        const sig = await fileUrlSignature(tokenHash, user.session_id, expires, key);
+        return `${path}?sid=${user.session_id}&exp=${expires}&sig=${sig}`;
+    };
+}
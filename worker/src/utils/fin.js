@@ -0,0 +1,167 @@
+/**
+ * FIN / NRIC Utilities
+ * Singapore NRIC (S/T) and FIN (F/G/M) check-digit validation, plus
+ * OCR misread correction by trying common character substitutions.
+ *
+ * Check digit: digits weighted 2,7,6,5,4,3,2; add an offset by prefix
+ * (S/F: 0, T/G: 4, M: 3); take mod 11 and look up the check letter.
+ * M-series uses the mirrored index (10 - remainder) into its own table.
+ */
+
+const WEIGHTS = [2, 7, 6, 5, 4, 3, 2];
+const OFFSETS = { S: 0, T: 4, F: 0, G: 4, M: 3 };
+const CHECK_LETTERS = {
+    ST: 'JZIHGFEDCBA',
+    FG: 'XWUTRQPNMLK',
+    M: 'KLJNPQRTUWX',
+};
+
+const FIN_PATTERN = /^[STFGM]\d{7}[A-Z]$/;
+
+// What OCR commonly reads instead of the intended character, per position type
+const PREFIX_SUBSTITUTIONS = {
+    '5': ['S'], '$': ['S'], '6': ['G'], 'C': ['G'], '0': ['G'], 'O': ['G'],
+    'E': ['F'], 'P': ['F'], 'N': ['M'], 'H': ['M'], '7': ['T'], '1': ['T'],
+};
+const DIGIT_SUBSTITUTIONS = {
+    'O': ['0'], 'Q': ['0'], 'D': ['0'], 'U': ['0'], 'I': ['1'], 'L': ['1'], '|': ['1'], '!': ['1'],
+    'Z': ['2'], 'S': ['5'], '$': ['5'], 'B': ['8'], 'G': ['6'], 'T': ['7'], 'A': ['4'],
+    // Digit-for-digit confusions
+    '1': ['7'], '7': ['1'], '3': ['8'], '8': ['3', '6'], '6': ['8', '5'], '5': ['6'], '0': ['8'],
+};
+const SUFFIX_SUBSTITUTIONS = {
+    '0': ['D', 'Q'], 'O': ['D', 'Q'], '1': ['I', 'L'], '2': ['Z'], '4': ['A'], '5': ['S'],
+    '6': ['G'], '7': ['T'], '8': ['B'], 'H': ['N', 'M'], 'N': ['M', 'H'], 'M': ['N'],
+    'V': ['W'], 'W': ['X'], 'K': ['X'], 'X': ['K'],
+};
+
+// More than this many substitutions and we're guessing, not correcting
+const MAX_SUBSTITUTIONS = 2;
+
+/**
+ * Expected check letter for a FIN/NRIC, or null if the prefix/digits are malformed.
+ */
+export function finCheckLetter(fin) {
+    const value = (fin || '').toUpperCase().trim();
+    const prefix = value[0];
+    const digits = value.substring(1, 8);
+    if (!(prefix in OFFSETS) || !/^\d{7}$/.test(digits)) return null;
+
+    let sum = OFFSETS[prefix];
+    for (let i = 0; i < 7; i++) {
+        sum += parseInt(digits[i], 10) * WEIGHTS[i];
+    }
+    let remainder = sum % 11;
+
+    if (prefix === 'S' || prefix === 'T') return CHECK_LETTERS.ST[remainder];
+    if (prefix === 'F' || prefix === 'G') return CHECK_LETTERS.FG[remainder];
+    remainder = 10 - remainder;
+    return CHECK_LETTERS.M[remainder];
+}
+
+/**
+ * True if the value is a well-formed FIN/NRIC with a correct check letter.
+ */
+export function isValidFin(fin) {
+    const value = (fin || '').toUpperCase().trim();
+    return FIN_PATTERN.test(value) && finCheckLetter(value) === value[8];
+}
+
+/**
+ * Try to turn an OCR-read FIN into a valid one.
+ *
+ * Returns {
+ *   raw:        the value as read,
+ *   corrected:  the single valid candidate (or raw when none/ambiguous),
+ *   valid:      whether `corrected` passes the check-digit test,
+ *   was_corrected: true when corrected differs from raw,
+ *   ambiguous:  true when several candidates are equally valid,
+ *   candidates: every valid candidate found (at most a handful),
+ *   expected_check_letter: for a well-formed but invalid value, the letter the digits imply
+ * }
+ */
+export function correctFin(raw) {
+    const value = (raw || '').toUpperCase().replace(/\s+/g, '');
+    const result = {
+        raw: raw || null,
+        corrected: value || null,
+        valid: false,
+        was_corrected: false,
+        ambiguous: false,
+        candidates: [],
+        expected_check_letter: null,
+    };
+
+    if (value.length !== 9) return result;
+
+    if (isValidFin(value)) {
+        result.valid = true;
+        result.candidates = [value];
+        return result;
+    }
+
+    // Fewest-substitution candidates win: a 1-char fix beats any 2-char fix
+    for (let depth = 1; depth <= MAX_SUBSTITUTIONS; depth++) {
+        const found = new Set();
+        collectCandidates(value.split(''), 0, depth, found);
+        if (found.size > 0) {
+            result.candidates = [...found];
+            break;
+        }
+    }
+
+    if (result.candidates.length === 1) {
+        result.corrected = result.candidates[0];
+        result.valid = true;
+        result.was_corrected = true;
+    } else if (result.candidates.length > 1) {
+        result.ambiguous = true;
+    }
+
+    if (!result.valid && FIN_PATTERN.test(value)) {
+        result.expected_check_letter = finCheckLetter(value);
+    }
+
+    return result;
+}
+
+/**
+ * Scan free text for something that looks like a (possibly misread) FIN and correct it.
+ * Used when the strict [FGMST]\d{7}[A-Z] pattern finds nothing.
+ */
+export function findFinInText(text) {
+    const tokens = (text || '').toUpperCase().match(/\b[A-Z0-9$|!]{9}\b/g) || [];
+    for (const token of tokens) {
+        // Needs to be mostly digits in the middle to be worth trying
+        const middleDigits = token.substring(1, 8).replace(/\D/g, '').length;
+        if (middleDigits < 5) continue;
+        const check = correctFin(token);
+        if (check.valid) return check;
+    }
+    return null;
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+function substitutionsFor(position, char) {
+    if (position === 0) return PREFIX_SUBSTITUTIONS[char] || [];
+    if (position === 8) return SUFFIX_SUBSTITUTIONS[char] || [];
+    return DIGIT_SUBSTITUTIONS[char] || [];
+}
+
+function collectCandidates(chars, start, remaining, found) {
+    if (remaining === 0) {
+        const candidate = chars.join('');
+        if (isValidFin(candidate)) found.add(candidate);
+        return;
+    }
+
+    for (let i = start; i < chars.length; i++) {
+        const original = chars[i];
+        for (const alt of substitutionsFor(i, original)) {
+            chars[i] = alt;
+            collectCandidates(chars, i + 1, remaining - 1, found);
+        }
+        chars[i] = original;
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * Mailer
+ * One sendMail() in front of interchangeable delivery providers, picked by MAIL_PROVIDER:
+ *
+ *   log  (default) — local stand-in: nothing leaves the worker; recipient and subject are
+ *                    logged and the full .eml is written to R2 under mail-outbox/ (admins only)
+ *   http           — JSON mail API (Resend-compatible): POST MAIL_API_URL with
+ *                    { from, to, subject, html, text } and Bearer MAIL_API_KEY
+ *   smtp           — SMTP relay over a TCP socket: SMTP_HOST, SMTP_PORT (465 = implicit TLS,
+ *                    anything else = STARTTLS), SMTP_USERNAME, SMTP_PASSWORD
+ *
+ * MAIL_FROM sets the sender address for every provider.
+ */
+
+import { connect } from 'cloudflare:sockets';
+
+const DEFAULT_FROM = 'WorkPass <noreply@workpass.local>';
+
+const PROVIDERS = {
+    log: sendViaLog,
+    http: sendViaHttp,
+    smtp: sendViaSmtp,
+};
+
+/**
+ * Name of the provider sendMail() will use.
+ */
+export function mailProviderName(env) {
+    const name = (env.MAIL_PROVIDER || 'log').toLowerCase();
+    return PROVIDERS[name] ? name : 'log';
+}
+
+/**
+ * Send one message. Throws on failure.
+ *
+ * @param {object} env
+ * @param {object} message  { to, subject, html, text }
+ * @returns {Promise<{ provider: string, messageId: string|null }>}
+ */
+export async function sendMail(env, message) {
+    const provider = mailProviderName(env);
+    const full = { from: env.MAIL_FROM || DEFAULT_FROM, ...message };
+    const messageId = await PROVIDERS[provider](env, full);
+    return { provider, messageId: messageId || null };
+}
+
+// ─── Providers ────────────────────────────────────────────
+
+async function sendViaLog(env, message) {
+    const messageId = `${Date.now()}.${crypto.randomUUID()}@workpass.local`;
+    // The body lists worker names and FINs — it goes to the admin-only outbox, not the logs
+    console.log(`[mail:log] To: ${message.to} | Subject: ${message.subject}`);
+
+    if (env.BUCKET) {
+        const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+        await env.BUCKET.put(`mail-outbox/${Date.now()}_${safeTo}.eml`, buildMime(message, messageId), {
+            httpMetadata: { contentType: 'message/rfc822' },
+        });
+    }
+    return messageId;
+}
+
+async function sendViaHttp(env, message) {
+    if (!env.MAIL_API_URL || !env.MAIL_API_KEY) {
+        throw new Error('MAIL_API_URL and MAIL_API_KEY must be set for the http mail provider');
+    }
+
+    const response = await fetch(env.MAIL_API_URL, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${env.MAIL_API_KEY}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            from: message.from,
+            to: [message.to],
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+        }),
+    });
+
+    if (!response.ok) {
+        const detail = await response.text();
+        throw new Error(`Mail API error (${response.status}): ${detail.slice(0, 300)}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    return data.id || data.message_id || data.messageId || null;
+}
+
+async function sendViaSmtp(env, message) {
+    if (!env.SMTP_HOST) {
+        throw new Error('SMTP_HOST must be set for the smtp mail provider');
+    }
+
+    const port = parseInt(env.SMTP_PORT || '465', 10);
+    const implicitTls = port === 465;
+    const domain = addressOf(message.from).split('@')[1] || 'localhost';
+    const messageId = `${Date.now()}.${crypto.randomUUID()}@${domain}`;
+
+    let socket = connect({ hostname: env.SMTP_HOST, port }, {
+        secureTransport: implicitTls ? 'on' : 'starttls',
+        allowHalfOpen: false,
+    });
+    let session = smtpSession(socket);
+
+    try {
+        await session.command(null, [220]);
+        await session.command(`EHLO ${domain}`, [250]);
+
+        if (!implicitTls) {
+            await session.command('STARTTLS', [220]);
+            session.release();
+            socket = socket.startTls();
+            session = smtpSession(socket);
+            await session.command(`EHLO ${domain}`, [250]);
+        }
+
+        if (env.SMTP_USERNAME) {
+            await session.command('AUTH LOGIN', [334]);
+            await session.command(btoa(env.SMTP_USERNAME), [334]);
+            await session.command(btoa(env.SMTP_PASSWORD || ''), [235]);
+        }
+
+        await session.command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+        await session.command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+        await session.command('DATA', [354]);
+        await session.command(`${buildMime(message, messageId)}\r\n.`, [250]);
+        await session.command('QUIT', [221]).catch(() => {});
+    } finally {
+        try { await socket.close(); } catch (e) { /* ignore */ }
+    }
+
+    return messageId;
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+/**
+ * Minimal SMTP conversation over a socket: write a command, read the (possibly multi-line) reply.
+ */
+function smtpSession(socket) {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    const writer = socket.writable.getWriter();
+    const reader = socket.readable.getReader();
+    let buffer = '';
+
+    async function readReply() {
+        for (;;) {
+            const lines = buffer.split('\r\n');
+            // The last line of a reply is "NNN text"; continuation lines are "NNN-text"
+            for (let i = 0; i < lines.length - 1; i++) {
+                if (/^\d{3} /.test(lines[i]) || /^\d{3}$/.test(lines[i])) {
+                    buffer = lines.slice(i + 1).join('\r\n');
+                    return { code: parseInt(lines[i].slice(0, 3), 10), text: lines.slice(0, i + 1).join(' | ') };
+                }
+            }
+            const { value, done } = await reader.read();
+            if (done) throw new Error('SMTP connection closed unexpectedly');
+            buffer += decoder.decode(value, { stream: true });
+        }
+    }
+
+    return {
+        async command(line, expected) {
+            if (line !== null) await writer.write(encoder.encode(`${line}\r\n`));
+            const reply = await readReply();
+            if (!expected.includes(reply.code)) {
+                throw new Error(`SMTP error: ${reply.text}`);
+            }
+            return reply;
+        },
+        release() {
+            writer.releaseLock();
+            reader.releaseLock();
+        },
+    };
+}
+
+/**
+ * RFC 5322 multipart/alternative message with base64-encoded UTF-8 text and HTML parts.
+ * Base64 bodies keep lines short and never start with "." (so no SMTP dot-stuffing needed).
+ */
+function buildMime(message, messageId) {
+    const boundary = `=_wp_${crypto.randomUUID()}`;
+    return [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${messageId}>`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(message.text || ''),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(message.html || ''),
+        `--${boundary}--`,
+    ].join('\r\n');
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${base64Utf8(value)}?=`;
+}
+
+function base64Utf8(value) {
+    const bytes = new TextEncoder().encode(value);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+function base64Lines(value) {
+    return base64Utf8(value).match(/.{1,76}/g)?.join('\r\n') || '';
+}
+
+// "Name <a@b.c>" → "a@b.c"
+function addressOf(value) {
+    const match = /<([^>]+)>/.exec(value || '');
+    return (match ? match[1] : value || '').trim();
+}
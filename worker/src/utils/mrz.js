@@ -0,0 +1,211 @@
+/**
+ * Passport MRZ Utilities
+ * Decodes the ICAO 9303 TD3 machine-readable zone printed at the foot of a passport's data
+ * page — two lines of 44 characters (the ICAO 9303 specimen):
+ *
+ *   P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<
+ *   L898902C36UTO7408122F1204159ZE184226B<<<<<10
+ *
+ *   line 1: type (P), subtype, issuing state, SURNAME<<GIVEN<NAMES
+ *   line 2: passport no + check, nationality, DOB (YYMMDD) + check, sex, expiry + check,
+ *           personal number + check, composite check over the whole line
+ *
+ * Check digit: characters weighted 7,3,1 repeating (digits as themselves, A–Z as 10–35,
+ * '<' as 0), summed mod 10.
+ */
+
+const WEIGHTS = [7, 3, 1];
+const LINE_LENGTH = 44;
+
+// OCR misreads in positions that can only hold digits
+const DIGIT_SUBSTITUTIONS = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8' };
+
+// ICAO nationality codes → the nationality as work permits print it
+export const NATIONALITY_CODES = {
+    BGD: 'BANGLADESHI',
+    CHN: 'CHINESE',
+    IDN: 'INDONESIAN',
+    IND: 'INDIAN',
+    LKA: 'SRI LANKAN',
+    MMR: 'MYANMAR',
+    MYS: 'MALAYSIAN',
+    NPL: 'NEPALESE',
+    PAK: 'PAKISTANI',
+    PHL: 'FILIPINO',
+    SGP: 'SINGAPOREAN',
+    THA: 'THAI',
+    VNM: 'VIETNAMESE',
+};
+
+// Other spellings of the same nationality seen on permits and in worker records
+const NATIONALITY_ALIASES = {
+    BGD: ['BANGLADESH'],
+    CHN: ['CHINA', 'PRC'],
+    IDN: ['INDONESIA'],
+    IND: ['INDIA'],
+    LKA: ['SRI LANKA'],
+    MMR: ['BURMESE'],
+    MYS: ['MALAYSIA'],
+    NPL: ['NEPAL', 'NEPALI'],
+    PAK: ['PAKISTAN'],
+    PHL: ['PHILIPPINES', 'PHILIPPINE'],
+    SGP: ['SINGAPORE'],
+    THA: ['THAILAND'],
+    VNM: ['VIETNAM'],
+};
+
+/**
+ * ICAO 9303 check digit of a field.
+ */
+export function mrzCheckDigit(value) {
+    let sum = 0;
+    for (let i = 0; i < value.length; i++) {
+        const ch = value[i];
+        const n = ch === '<' ? 0 : /\d/.test(ch) ? parseInt(ch, 10) : ch.charCodeAt(0) - 55;
+        sum += n * WEIGHTS[i % 3];
+    }
+    return String(sum % 10);
+}
+
+/**
+ * Find the two TD3 lines in OCR text. Engines drop or add spaces and read '<' as '«' or 'K'
+ * runs, so lines are compacted before measuring. Returns [line1, line2] or null.
+ */
+export function findTD3Lines(text) {
+    const lines = (text || '').toUpperCase().split('\n')
+        .map(l => l.replace(/\s+/g, '').replace(/«/g, '<<').replace(/[‹‘’']/g, '<'))
+        .filter(Boolean);
+
+    for (let i = 0; i < lines.length - 1; i++) {
+        const first = lines[i];
+        if (!/^P[A-Z<][A-Z<]{3}/.test(first) || !first.includes('<<')) continue;
+        if (Math.abs(first.length - LINE_LENGTH) > 2) continue;
+        const second = lines[i + 1];
+        if (Math.abs(second.length - LINE_LENGTH) > 2) continue;
+        return [fit(first), fit(second)];
+    }
+    return null;
+}
+
+/**
+ * Decode a TD3 MRZ. Each check digit is reported separately so a reviewer can see which
+ * field misread; valid is true only when every check passes.
+ *
+ * @returns {object} { passport_no, issuing_state, nationality_code, nationality, surname, given_names,
+ *                     worker_name, date_of_birth, sex, passport_expiry, checks: { field: boolean }, valid }
+ */
+export function parseTD3([line1, line2]) {
+    const issuingState = clean(line1.substring(2, 5));
+    const [surname, ...given] = line1.substring(5).split('<<');
+    const names = {
+        surname: words(surname),
+        given_names: words(given.join(' ')),
+    };
+
+    // Digit-only positions on line 2: check digits, DOB, expiry and the composite
+    const digitAt = new Set([9, 13, 14, 15, 16, 17, 18, 19, 21, 22, 23, 24, 25, 26, 27, 43]);
+    const l2 = [...line2].map((ch, i) => (digitAt.has(i) ? DIGIT_SUBSTITUTIONS[ch] || ch : ch)).join('');
+
+    const passportNo = l2.substring(0, 9);
+    const dob = l2.substring(13, 19);
+    const expiry = l2.substring(21, 27);
+    const personal = l2.substring(28, 42);
+    const composite = passportNo + l2[9] + dob + l2[19] + expiry + l2[27] + personal + l2[42];
+
+    const checks = {
+        passport_no: mrzCheckDigit(passportNo) === l2[9],
+        date_of_birth: mrzCheckDigit(dob) === l2[19],
+        passport_expiry: mrzCheckDigit(expiry) === l2[27],
+        // An unused personal number may carry '<' instead of 0 as its check digit
+        personal_number: mrzCheckDigit(personal) === l2[42] || (/^<+$/.test(personal) && l2[42] === '<'),
+        composite: mrzCheckDigit(composite) === l2[43],
+    };
+
+    const nationalityCode = clean(l2.substring(10, 13));
+    const sex = l2[20] === 'M' || l2[20] === 'F' ? l2[20] : null;
+
+    return {
+        passport_no: clean(passportNo) || null,
+        issuing_state: issuingState || null,
+        nationality_code: nationalityCode || null,
+        nationality: NATIONALITY_CODES[nationalityCode] || nationalityCode || null,
+        ...names,
+        worker_name: [names.given_names, names.surname].filter(Boolean).join(' ') || null,
+        date_of_birth: mrzDate(dob, false),
+        sex,
+        passport_expiry: mrzDate(expiry, true),
+        checks,
+        valid: Object.values(checks).every(Boolean),
+    };
+}
+
+/**
+ * ICAO code for a nationality as written anywhere in the system ("INDIAN", "India", "IND"),
+ * or null when it isn't one we know.
+ */
+export function nationalityCode(value) {
+    const v = (value || '').toUpperCase().replace(/\s+/g, ' ').trim();
+    if (!v) return null;
+    if (NATIONALITY_CODES[v]) return v;
+    for (const [code, name] of Object.entries(NATIONALITY_CODES)) {
+        if (name === v || NATIONALITY_ALIASES[code].includes(v)) return code;
+    }
+    return null;
+}
+
+/**
+ * Compare a passport's date of birth and nationality with the work permit's.
+ * Only fields present on both sides are compared; nationalities we can't map to a code are
+ * compared as written.
+ *
+ * @param {object} passport  { date_of_birth, nationality }
+ * @param {object} permit    { date_of_birth, nationality } — worker record or WP scan
+ * @returns {Array} [{ field, passport, permit }] — empty when they agree
+ */
+export function crossCheckPassport(passport, permit) {
+    const mismatches = [];
+    if (!passport || !permit) return mismatches;
+
+    if (passport.date_of_birth && permit.date_of_birth && passport.date_of_birth !== permit.date_of_birth) {
+        mismatches.push({ field: 'date_of_birth', passport: passport.date_of_birth, permit: permit.date_of_birth });
+    }
+    if (passport.nationality && permit.nationality) {
+        const a = nationalityCode(passport.nationality) || passport.nationality.toUpperCase().trim();
+        const b = nationalityCode(permit.nationality) || permit.nationality.toUpperCase().trim();
+        if (a !== b) mismatches.push({ field: 'nationality', passport: passport.nationality, permit: permit.nationality });
+    }
+    return mismatches;
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+/**
+ * Pad or trim an MRZ line to 44 characters (OCR often loses a filler or two at the end).
+ */
+function fit(line) {
+    return line.length >= LINE_LENGTH ? line.substring(0, LINE_LENGTH) : line.padEnd(LINE_LENGTH, '<');
+}
+
+function clean(value) {
+    return value.replace(/</g, '').trim();
+}
+
+function words(value) {
+    return (value || '').replace(/</g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * YYMMDD → YYYY-MM-DD. Expiry dates are always this century; a birth year ahead of this
+ * year's two digits belongs to the last.
+ */
+function mrzDate(value, isExpiry) {
+    if (!/^\d{6}$/.test(value)) return null;
+    const yy = parseInt(value.substring(0, 2), 10);
+    const month = value.substring(2, 4);
+    const day = value.substring(4, 6);
+    if (parseInt(month, 10) < 1 || parseInt(month, 10) > 12 || parseInt(day, 10) < 1 || parseInt(day, 10) > 31) return null;
+
+    const thisYear = new Date().getFullYear() % 100;
+    const century = isExpiry || yy <= thisYear ? 2000 : 1900;
+    return `${century + yy}-${month}-${day}`;
+}
@@ -0,0 +1,121 @@
+/**
+ * OCR Field Evidence
+ * Turns the parser's "how was this found" notes into a per-field confidence score plus the
+ * source line and its bounding box, so the review form can flag guesses.
+ *
+ * Score = base score of the rule that matched × OCR confidence of the source line
+ * (× a penalty for FINs that fail or needed a check-digit correction, and for passport MRZ
+ * fields whose check digit fails).
+ */
+
+// Fields below this score are highlighted for review
+export const LOW_CONFIDENCE = 0.6;
+
+const RULE_SCORES = {
+    mrz: 0.98,        // passport machine-readable zone, check digit verified
+    labelled: 0.95,   // value on the same line as its label ("DOB: 01-02-1990")
+    template: 0.85,   // implied by the matched document template (e.g. CSOC → course title)
+    next_line: 0.8,   // label on one line, value on the line below / above
+    model: 0.75,      // structured extraction by the OCR provider (Gemini)
+    heuristic: 0.45,  // fallback guess: keyword lines, known-value lists, sorted leftover dates
+};
+
+/**
+ * @param {object} fields    Parsed values (parseDocument().fields)
+ * @param {object} evidence  { field: { rule, source, check_failed? } }
+ * @param {object} ocr       { text, words, confidence } from the OCR provider
+ * @returns {object} { field: { rule, confidence, low_confidence, source_line, line_number, bbox, page } }
+ */
+export function scoreFields(fields, evidence, ocr) {
+    const lines = (ocr.text || '').split('\n').map(l => l.trim()).filter(Boolean);
+    const scored = {};
+
+    for (const [field, note] of Object.entries(evidence)) {
+        if (!fields[field]) continue;
+
+        const lineIndex = locateLine(lines, note.source);
+        const sourceLine = lineIndex >= 0 ? lines[lineIndex] : (note.source || null);
+        const words = sourceLine ? matchWords(sourceLine, ocr.words || []) : [];
+
+        const lineConfidence = average(words.map(w => w.confidence)) ?? ocr.confidence ?? 1;
+        let confidence = (RULE_SCORES[note.rule] ?? RULE_SCORES.heuristic) * lineConfidence;
+
+        if (field === 'fin_number' && fields.fin_validation) {
+            if (!fields.fin_validation.valid) confidence *= 0.5;
+            else if (fields.fin_validation.was_corrected) confidence *= 0.8;
+        }
+        if (note.check_failed) confidence *= 0.5;
+        confidence = Math.round(confidence * 100) / 100;
+
+        scored[field] = {
+            rule: note.rule,
+            confidence,
+            low_confidence: confidence < LOW_CONFIDENCE,
+            source_line: sourceLine,
+            line_number: lineIndex >= 0 ? lineIndex + 1 : null,
+            bbox: unionBox(words),
+            page: words[0]?.page ?? null,
+        };
+    }
+
+    return scored;
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+/**
+ * Index of the line the source text came from (first line of a multi-line match).
+ */
+function locateLine(lines, source) {
+    if (!source) return -1;
+    const needle = String(source).split('\n').map(l => l.trim()).find(Boolean)?.toUpperCase();
+    if (!needle) return -1;
+    return lines.findIndex(l => l.toUpperCase().includes(needle));
+}
+
+/**
+ * The run of OCR words that spells out the line. Punctuation and spacing are ignored because
+ * engines split words differently ("NAME:" vs "NAME" ":").
+ */
+function matchWords(line, words) {
+    const target = normalise(line);
+    if (!target) return [];
+
+    let best = [];
+    for (let i = 0; i < words.length; i++) {
+        const first = normalise(words[i].text);
+        if (!first || !target.startsWith(first)) continue;
+
+        let covered = '';
+        let j = i;
+        while (j < words.length && target.startsWith(covered + normalise(words[j].text))) {
+            covered += normalise(words[j].text);
+            j++;
+        }
+        if (j - i > best.length) best = words.slice(i, j);
+        if (covered === target) break;
+    }
+    return best;
+}
+
+function normalise(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function unionBox(words) {
+    const boxes = words.map(w => w.bbox).filter(Boolean);
+    if (boxes.length === 0) return null;
+    const x = Math.min(...boxes.map(b => b.x));
+    const y = Math.min(...boxes.map(b => b.y));
+    return {
+        x,
+        y,
+        width: Math.max(...boxes.map(b => b.x + b.width)) - x,
+        height: Math.max(...boxes.map(b => b.y + b.height)) - y,
+    };
+}
+
+function average(values) {
+    const numbers = values.filter(v => typeof v === 'number');
+    return numbers.length > 0 ? numbers.reduce((a, b) => a + b, 0) / numbers.length : null;
+}
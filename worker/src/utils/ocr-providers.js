@@ -0,0 +1,367 @@
+/**
+ * OCR Providers
+ * One recognize() in front of interchangeable OCR engines, picked by OCR_PROVIDER:
+ *
+ *   vision  (default) — Google Cloud Vision images:annotate / files:annotate (GOOGLE_VISION_API_KEY)
+ *   gemini            — Google Gemini structured extraction (GEMINI_API_KEY, GEMINI_MODEL):
+ *                       returns the transcribed text plus the fields it recognised
+ *   http              — self-hosted OCR service such as a Tesseract container: POST OCR_HTTP_URL
+ *                       with the raw file bytes (Content-Type = file type, Bearer OCR_HTTP_API_KEY
+ *                       if set, X-OCR-Page when only one PDF page is wanted), answering { text, confidence?, words?: [{ text, confidence, bbox, page }],
+ *                       pages?: [{ page, text, confidence? }] }
+ *
+ * OCR_FALLBACK is a comma-separated list of providers tried in order when the primary one
+ * errors (network failure, 5xx, missing configuration, …), e.g. OCR_FALLBACK = "gemini,http".
+ *
+ * Every provider returns the same shape:
+ *   { provider, text, confidence, words: [{ text, confidence, bbox: { x, y, width, height }, page }], fields, pages }
+ * confidence is 0–1 (null when the engine doesn't report one); fields is only set by gemini.
+ * pages splits a PDF's text by page — [{ page, text, confidence, words }] — when the engine reports
+ * it (null for images, a single page request, or an engine that only answers with one text).
+ * A PDF longer than vision reads (MAX_PDF_PAGES) comes back with truncated: true and the
+ * document's total_pages, so the caller can say that the rest went unread.
+ */
+
+import { PASS_TYPES } from './passes.js';
+
+const PROVIDERS = {
+    vision: recognizeWithVision,
+    gemini: recognizeWithGemini,
+    http: recognizeWithHttp,
+};
+
+const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash';
+
+// files:annotate reads at most 5 pages per request; longer PDFs take several requests up to this cap
+const VISION_PAGES_PER_REQUEST = 5;
+const MAX_PDF_PAGES = 20;
+
+// Fields Gemini is asked for — the same keys the document templates return (FIELD_KEYS in ocr/extractors.js)
+const GEMINI_FIELDS = [
+    'worker_name', 'fin_number', 'pass_type', 'pass_no', 'date_of_birth', 'nationality', 'sex', 'race',
+    'address', 'country_of_birth', 'employer_name', 'pass_expiry', 'passport_no', 'passport_expiry',
+    'course_title', 'course_provider', 'cert_serial_no', 'course_duration', 'issue_date', 'expiry_date',
+];
+
+/**
+ * Providers recognize() will try, primary first.
+ */
+export function ocrProviderChain(env) {
+    const names = [env.OCR_PROVIDER || 'vision', ...(env.OCR_FALLBACK || '').split(',')]
+        .map(n => n.trim().toLowerCase())
+        .filter(n => PROVIDERS[n]);
+    return [...new Set(names)];
+}
+
+/**
+ * Run OCR on one file, falling back down the provider chain on failure.
+ * Throws when every provider failed; the error's `attempts` lists each failure.
+ *
+ * @param {object} env
+ * @param {object} file  { bytes: ArrayBuffer, mimeType: string, page?: number } — page reads one page of a PDF
+ * @returns {Promise<object>} provider result plus `fallback_from: [{ provider, error }]`
+ */
+export async function recognize(env, file) {
+    const chain = ocrProviderChain(env);
+    if (chain.length === 0) {
+        throw new Error(`Unknown OCR_PROVIDER "${env.OCR_PROVIDER}". Use: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const failures = [];
+    for (const provider of chain) {
+        try {
+            const result = await PROVIDERS[provider](env, file);
+            if (failures.length > 0) {
+                console.warn(`OCR fell back to ${provider} after: ${failures.map(f => `${f.provider} (${f.error})`).join(', ')}`);
+            }
+            return { provider, fields: null, pages: null, total_pages: null, truncated: false, ...result, fallback_from: failures };
+        } catch (err) {
+            console.error(`OCR provider ${provider} failed:`, err.message);
+            failures.push({ provider, error: err.message });
+        }
+    }
+
+    const error = new Error(`OCR failed: ${failures.map(f => `${f.provider}: ${f.error}`).join('; ')}`);
+    error.attempts = failures;
+    throw error;
+}
+
+// ─── Providers ────────────────────────────────────────────
+
+async function recognizeWithVision(env, file) {
+    const apiKey = env.GOOGLE_VISION_API_KEY;
+    if (!apiKey) throw new Error('GOOGLE_VISION_API_KEY is not set');
+
+    const content = arrayBufferToBase64(file.bytes);
+
+    if (file.mimeType === 'application/pdf') {
+        // files:annotate handles PDFs inline; the first answer's totalPages says how many more to ask for
+        const pages = [];
+        let totalPages = null;
+        let pageNumbers = file.page ? [file.page] : pageRange(1, VISION_PAGES_PER_REQUEST);
+        while (pageNumbers.length > 0) {
+            const result = await postJson(`https://vision.googleapis.com/v1/files:annotate?key=${apiKey}`, {
+                requests: [{
+                    inputConfig: { content, mimeType: 'application/pdf' },
+                    features: [{ type: 'DOCUMENT_TEXT_DETECTION', maxResults: 1 }],
+                    pages: pageNumbers,
+                }],
+            }, 'Google Vision');
+
+            const response = result.responses?.[0] || {};
+            if (response.error) throw new Error(`Google Vision error: ${response.error.message}`);
+            (response.responses || []).forEach((r, i) => {
+                const words = visionWords(r?.fullTextAnnotation, pageNumbers[i]);
+                pages.push({
+                    page: pageNumbers[i],
+                    text: r?.fullTextAnnotation?.text || '',
+                    confidence: averageConfidence(words),
+                    words,
+                });
+            });
+
+            totalPages ??= response.totalPages || null;
+            const total = file.page ? 0 : Math.min(response.totalPages || 0, MAX_PDF_PAGES);
+            const next = pageNumbers[pageNumbers.length - 1] + 1;
+            pageNumbers = next <= total ? pageRange(next, Math.min(next + VISION_PAGES_PER_REQUEST - 1, total)) : [];
+        }
+
+        const words = pages.flatMap(p => p.words);
+        return {
+            text: pages.map(p => p.text).filter(Boolean).join('\n'),
+            confidence: averageConfidence(words),
+            words,
+            pages: pages.length > 1 ? pages : null,
+            total_pages: file.page ? null : totalPages,
+            truncated: !file.page && totalPages > MAX_PDF_PAGES,
+        };
+    }
+
+    const result = await postJson(`https://vision.googleapis.com/v1/images:annotate?key=${apiKey}`, {
+        requests: [{
+            image: { content },
+            features: [{ type: 'TEXT_DETECTION', maxResults: 1 }],
+        }],
+    }, 'Google Vision');
+
+    const response = result.responses?.[0] || {};
+    if (response.error) throw new Error(`Google Vision error: ${response.error.message}`);
+
+    // fullTextAnnotation carries per-word confidence; textAnnotations[1..] are the bare word boxes
+    let words = visionWords(response.fullTextAnnotation, 1);
+    if (words.length === 0) {
+        words = (response.textAnnotations || []).slice(1).map(a => ({
+            text: a.description,
+            confidence: null,
+            bbox: boxFromVertices(a.boundingPoly?.vertices),
+            page: 1,
+        }));
+    }
+
+    return {
+        text: response.textAnnotations?.[0]?.description || '',
+        confidence: averageConfidence(words),
+        words,
+    };
+}
+
+async function recognizeWithGemini(env, file) {
+    const apiKey = env.GEMINI_API_KEY;
+    if (!apiKey) throw new Error('GEMINI_API_KEY is not set');
+
+    const model = env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL;
+    const fieldSchema = Object.fromEntries(GEMINI_FIELDS.map(f => [f, { type: 'STRING', nullable: true }]));
+
+    const result = await postJson(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
+        contents: [{
+            parts: [
+                { inline_data: { mime_type: file.mimeType, data: arrayBufferToBase64(file.bytes) } },
+                {
+                    text: 'This is a Singapore work pass (Work Permit, S Pass, Employment Pass), visit pass, NRIC, '
+                        + 'passport or training certificate. '
+                        + 'Transcribe all printed text line by line into "text", keeping the original line order. '
+                        + 'Then fill "fields" with the values you can read; dates as YYYY-MM-DD, null when absent. '
+                        + `"pass_type" is one of ${Object.keys(PASS_TYPES).join(', ')}. `
+                        + '"confidence" is your overall confidence in the transcription from 0 to 1.'
+                        + (file.page ? ` Only read page ${file.page} of the document.` : '')
+                        + (file.mimeType === 'application/pdf' && !file.page
+                            ? ' For a document with several pages, also give each page\'s text in "pages".'
+                            : ''),
+                },
+            ],
+        }],
+        generationConfig: {
+            temperature: 0,
+            responseMimeType: 'application/json',
+            responseSchema: {
+                type: 'OBJECT',
+                properties: {
+                    text: { type: 'STRING' },
+                    confidence: { type: 'NUMBER' },
+                    fields: { type: 'OBJECT', properties: fieldSchema },
+                    pages: {
+                        type: 'ARRAY',
+                        items: {
+                            type: 'OBJECT',
+                            properties: { page: { type: 'INTEGER' }, text: { type: 'STRING' } },
+                        },
+                    },
+                },
+                required: ['text'],
+            },
+        },
+    }, 'Gemini');
+
+    const candidate = result.candidates?.[0];
+    const body = candidate?.content?.parts?.map(p => p.text || '').join('') || '';
+    if (!body) {
+        throw new Error(`Gemini returned no content${candidate?.finishReason ? ` (${candidate.finishReason})` : ''}`);
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch (e) {
+        throw new Error('Gemini returned malformed JSON');
+    }
+
+    const fields = {};
+    for (const key of GEMINI_FIELDS) {
+        const value = parsed.fields?.[key];
+        if (typeof value === 'string' && value.trim()) fields[key] = value.trim();
+    }
+
+    const confidence = normaliseConfidence(parsed.confidence);
+    const pages = Array.isArray(parsed.pages) && parsed.pages.length > 1
+        ? parsed.pages.map((p, i) => ({ page: p.page || i + 1, text: p.text || '', confidence, words: [] }))
+        : null;
+
+    return {
+        text: parsed.text || '',
+        confidence,
+        // Gemini doesn't report word positions
+        words: [],
+        fields,
+        pages,
+    };
+}
+
+async function recognizeWithHttp(env, file) {
+    if (!env.OCR_HTTP_URL) throw new Error('OCR_HTTP_URL is not set');
+
+    const headers = { 'Content-Type': file.mimeType };
+    if (file.page) headers['X-OCR-Page'] = String(file.page);
+    if (env.OCR_HTTP_API_KEY) headers['Authorization'] = `Bearer ${env.OCR_HTTP_API_KEY}`;
+
+    const response = await fetch(env.OCR_HTTP_URL, { method: 'POST', headers, body: file.bytes });
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`OCR service error (${response.status}): ${detail.slice(0, 300)}`);
+    }
+
+    const result = await response.json();
+    const words = (result.words || []).map(w => ({
+        text: w.text,
+        confidence: normaliseConfidence(w.confidence),
+        bbox: Array.isArray(w.bbox)
+            ? { x: w.bbox[0], y: w.bbox[1], width: w.bbox[2], height: w.bbox[3] }
+            : w.bbox || null,
+        page: w.page || 1,
+    }));
+
+    const pages = Array.isArray(result.pages) && result.pages.length > 1
+        ? result.pages.map((p, i) => {
+            const page = p.page || i + 1;
+            const pageWords = words.filter(w => w.page === page);
+            return {
+                page,
+                text: p.text || '',
+                confidence: normaliseConfidence(p.confidence) ?? averageConfidence(pageWords),
+                words: pageWords,
+            };
+        })
+        : null;
+
+    return {
+        text: result.text || (pages ? pages.map(p => p.text).join('\n') : ''),
+        confidence: normaliseConfidence(result.confidence) ?? averageConfidence(words),
+        words,
+        pages,
+    };
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+async function postJson(url, payload, label) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`${label} API error (${response.status}): ${detail.slice(0, 300)}`);
+    }
+    return response.json();
+}
+
+/**
+ * Flatten a Vision fullTextAnnotation into words with confidence and bounding box.
+ */
+function visionWords(annotation, pageNumber) {
+    const words = [];
+    for (const page of annotation?.pages || []) {
+        for (const block of page.blocks || []) {
+            for (const paragraph of block.paragraphs || []) {
+                for (const word of paragraph.words || []) {
+                    words.push({
+                        text: (word.symbols || []).map(s => s.text).join(''),
+                        confidence: word.confidence ?? null,
+                        bbox: boxFromVertices(word.boundingBox?.vertices || word.boundingBox?.normalizedVertices),
+                        page: pageNumber,
+                    });
+                }
+            }
+        }
+    }
+    return words;
+}
+
+function pageRange(from, to) {
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+function boxFromVertices(vertices) {
+    if (!vertices || vertices.length === 0) return null;
+    const xs = vertices.map(v => v.x || 0);
+    const ys = vertices.map(v => v.y || 0);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+function averageConfidence(words) {
+    const scored = words.filter(w => typeof w.confidence === 'number');
+    if (scored.length === 0) return null;
+    return Math.round((scored.reduce((sum, w) => sum + w.confidence, 0) / scored.length) * 1000) / 1000;
+}
+
+// Tesseract reports 0–100, everything else 0–1
+function normaliseConfidence(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number !== 'number' || Number.isNaN(number) || number < 0) return null;
+    return number > 1 ? Math.min(number / 100, 1) : number;
+}
+
+/**
+ * Convert ArrayBuffer to base64 string.
+ */
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.byteLength; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
@@ -0,0 +1,34 @@
+/**
+ * Pass Type Utilities
+ * The MOM pass a worker holds (workers.pass_type) and the ?pass_type= filter.
+ * Citizens and PRs hold no pass: their NRIC is the fin_number and pass_no / pass_expiry stay empty.
+ */
+
+export const PASS_TYPES = {
+    work_permit: 'Work Permit',
+    s_pass: 'S Pass',
+    employment_pass: 'Employment Pass',
+    training_work_permit: 'Training Work Permit',
+    dependant_pass: "Dependant's Pass",
+    citizen_pr: 'Citizen / PR (NRIC)',
+};
+
+/**
+ * Pass type to assume when none was given: S/T numbers are NRICs, anything else is
+ * taken to be a Work Permit holder.
+ */
+export function defaultPassType(fin) {
+    return /^[ST]/i.test(fin || '') ? 'citizen_pr' : 'work_permit';
+}
+
+export function passTypeLabel(passType) {
+    return PASS_TYPES[passType] || 'Pass';
+}
+
+/**
+ * Validate a pass_type value. Returns null when it's known (or empty), otherwise the message.
+ */
+export function passTypeError(value) {
+    if (!value || PASS_TYPES[value]) return null;
+    return `Unknown pass_type: ${value}. Use one of: ${Object.keys(PASS_TYPES).join(', ')}`;
+}
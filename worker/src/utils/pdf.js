@@ -0,0 +1,29 @@
+/**
+ * PDF Helpers
+ */
+
+/**
+ * Number of pages in a PDF, read from /Count on the root of its page tree (the /Type /Pages
+ * object with no /Parent). Counting "/Type /Page" objects instead over-counts: incremental
+ * saves append new copies of edited pages and leave the old ones in the file. When a file has
+ * been saved incrementally the last root wins, as it does for a reader.
+ * Returns null when the root can't be seen — e.g. the page tree sits in a compressed object
+ * stream — so callers can treat the file as a single document.
+ */
+export function countPdfPages(buffer) {
+    const text = new TextDecoder('latin1').decode(buffer);
+    const pagesType = /\/Type\s*\/Pages(?![a-zA-Z])/g;
+
+    let count = null;
+    for (let match; (match = pagesType.exec(text));) {
+        // The object around the match: from the previous "obj" keyword to the next "endobj"
+        const start = text.lastIndexOf('obj', match.index);
+        const end = text.indexOf('endobj', match.index);
+        const object = text.slice(start < 0 ? 0 : start, end < 0 ? text.length : end);
+        if (/\/Parent(?![a-zA-Z])/.test(object)) continue;
+
+        const pages = object.match(/\/Count\s+(\d+)(?!\d)(?!\s+\d+\s+R)/);
+        if (pages) count = Number(pages[1]);
+    }
+    return count > 0 ? count : null;
+}
@@ -0,0 +1,143 @@
+/**
+ * Certification Renewal Chains
+ * A renewal supersedes the certification it renews: certifications.supersedes_id points back to
+ * the previous certificate and superseded_by_id forward to the renewal. Only the current one
+ * (superseded_by_id IS NULL) counts towards expiry stats, alerts and compliance.
+ *
+ * A new certification is a renewal when it is for the same worker and of the same catalogue
+ * course, the course's refresher course, or a course it is the refresher of. Chains are ordered
+ * by issue date (expiry date when there is none); rejected certifications are left out.
+ */
+
+/**
+ * Link a newly inserted certification into its renewal chain. It usually becomes the new
+ * current certificate; an older certificate entered late is slotted in at its place in the chain.
+ * Open alerts of a certificate that is now superseded are resolved.
+ *
+ * @returns {Promise<{ supersedes_id, superseded_by_id } | null>} null when nothing was linked
+ */
+export async function linkRenewal(env, cert) {
+    if (!cert.course_id || !renewalKey(cert)) return null;
+
+    const { results: related } = await env.DB.prepare(`
+        SELECT id FROM courses
+        WHERE id = ? OR refresher_course_id = ? OR id = (SELECT refresher_course_id FROM courses WHERE id = ?)
+    `).bind(cert.course_id, cert.course_id, cert.course_id).all();
+    const courseIds = related.map(r => r.id);
+
+    const { results: chain } = await env.DB.prepare(`
+        SELECT id, issue_date, expiry_date, supersedes_id, superseded_by_id FROM certifications
+        WHERE worker_id = ? AND id != ? AND verification_status != 'rejected'
+            AND course_id IN (${courseIds.map(() => '?').join(', ')})
+    `).bind(cert.worker_id, cert.id, ...courseIds).all();
+
+    const head = chain
+        .filter(c => !c.superseded_by_id && renewalKey(c))
+        .sort((a, b) => compareRenewals(b, a))[0];
+    if (!head) return null;
+
+    // Walk back from the current certificate to the first one not newer than this
+    const byId = new Map(chain.map(c => [c.id, c]));
+    let previous = head;
+    let next = null;
+    while (previous && compareRenewals(previous, cert) > 0) {
+        next = previous;
+        previous = byId.get(previous.supersedes_id) || null;
+    }
+
+    const statements = [
+        env.DB.prepare('UPDATE certifications SET supersedes_id = ?, superseded_by_id = ? WHERE id = ?')
+            .bind(previous?.id ?? null, next?.id ?? null, cert.id),
+    ];
+    if (previous) {
+        statements.push(env.DB.prepare('UPDATE certifications SET superseded_by_id = ? WHERE id = ?').bind(cert.id, previous.id));
+    }
+    if (next) {
+        statements.push(env.DB.prepare('UPDATE certifications SET supersedes_id = ? WHERE id = ?').bind(cert.id, next.id));
+    }
+    await env.DB.batch(statements);
+
+    if (previous && !next) await resolveSupersededAlerts(env, previous.id);
+    return { supersedes_id: previous?.id ?? null, superseded_by_id: next?.id ?? null };
+}
+
+/**
+ * Take a certification out of its chain (before it is deleted or moved to another worker),
+ * joining the certificates either side of it.
+ */
+export async function unlinkRenewal(env, cert) {
+    const statements = [];
+    if (cert.supersedes_id) {
+        statements.push(env.DB.prepare('UPDATE certifications SET superseded_by_id = ? WHERE id = ?')
+            .bind(cert.superseded_by_id ?? null, cert.supersedes_id));
+    }
+    if (cert.superseded_by_id) {
+        statements.push(env.DB.prepare('UPDATE certifications SET supersedes_id = ? WHERE id = ?')
+            .bind(cert.supersedes_id ?? null, cert.superseded_by_id));
+    }
+    if (statements.length === 0) return;
+
+    statements.push(env.DB.prepare('UPDATE certifications SET supersedes_id = NULL, superseded_by_id = NULL WHERE id = ?').bind(cert.id));
+    await env.DB.batch(statements);
+}
+
+/**
+ * Set by hand which certification `cert` renewed (previousId null: none). The previous
+ * certificate must belong to the same worker and not already be renewed by another one.
+ * Returns an error message, or null when the link was made.
+ */
+export async function setSupersedes(env, cert, previousId) {
+    if (previousId === (cert.supersedes_id ?? null)) return null;
+
+    let previous = null;
+    if (previousId) {
+        previous = await env.DB.prepare('SELECT * FROM certifications WHERE id = ?').bind(previousId).first();
+        if (!previous || previous.worker_id !== cert.worker_id) {
+            return 'supersedes_id must be another certification of the same worker';
+        }
+        if (previous.superseded_by_id && previous.superseded_by_id !== cert.id) {
+            return `Certification ${previous.id} is already renewed by certification ${previous.superseded_by_id}`;
+        }
+        // The previous certificate can't be one of this one's renewals
+        for (let id = cert.superseded_by_id; id;) {
+            if (id === previous.id) return 'supersedes_id would make the renewal chain loop';
+            id = (await env.DB.prepare('SELECT superseded_by_id FROM certifications WHERE id = ?').bind(id).first())?.superseded_by_id;
+        }
+    }
+
+    const statements = [];
+    if (cert.supersedes_id) {
+        statements.push(env.DB.prepare('UPDATE certifications SET superseded_by_id = NULL WHERE id = ?').bind(cert.supersedes_id));
+    }
+    if (previous) {
+        statements.push(env.DB.prepare('UPDATE certifications SET superseded_by_id = ? WHERE id = ?').bind(cert.id, previous.id));
+    }
+    statements.push(env.DB.prepare('UPDATE certifications SET supersedes_id = ? WHERE id = ?').bind(previous?.id ?? null, cert.id));
+    await env.DB.batch(statements);
+
+    if (previous) await resolveSupersededAlerts(env, previous.id);
+    return null;
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+function renewalKey(cert) {
+    return cert.issue_date || cert.expiry_date || null;
+}
+
+/**
+ * Order two certifications in a chain; certificates without dates come first.
+ */
+function compareRenewals(a, b) {
+    const keyA = renewalKey(a) || '';
+    const keyB = renewalKey(b) || '';
+    if (keyA !== keyB) return keyA < keyB ? -1 : 1;
+    return a.id - b.id;
+}
+
+async function resolveSupersededAlerts(env, certId) {
+    await env.DB.prepare(`
+        UPDATE alerts SET resolved_at = datetime('now')
+        WHERE entity_type = 'certification' AND entity_id = ? AND resolved_at IS NULL
+    `).bind(certId).run();
+}
@@ -0,0 +1,37 @@
+/**
+ * Worker Status Utilities
+ * Lifecycle statuses and the ?status= filter shared by list and stats endpoints.
+ */
+
+export const WORKER_STATUSES = ['active', 'on_leave', 'permit_cancelled', 'repatriated', 'archived'];
+
+// List and stats endpoints show only current workers unless asked otherwise
+const DEFAULT_STATUSES = ['active'];
+
+/**
+ * Parse a ?status= value: a single status, a comma-separated list, or 'all'.
+ * Returns { statuses } (null statuses = no filter) or { error }.
+ */
+export function parseStatusFilter(value) {
+    if (!value) return { statuses: DEFAULT_STATUSES };
+    if (value === 'all') return { statuses: null };
+
+    const statuses = value.split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = statuses.filter(s => !WORKER_STATUSES.includes(s));
+    if (unknown.length > 0) {
+        return { error: `Unknown status: ${unknown.join(', ')}. Use one of: ${WORKER_STATUSES.join(', ')}, all` };
+    }
+    return { statuses };
+}
+
+/**
+ * SQL fragment (starting with " AND") restricting a workers column to the given statuses.
+ * Returns an empty fragment when statuses is null.
+ */
+export function statusCondition(column, statuses) {
+    if (!statuses) return { sql: '', params: [] };
+    return {
+        sql: ` AND ${column} IN (${statuses.map(() => '?').join(', ')})`,
+        params: statuses,
+    };
+}
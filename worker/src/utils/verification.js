@@ -0,0 +1,14 @@
+/**
+ * Certification Verification
+ * Verification states and the SQL filter shared by the expiry, stats and compliance queries.
+ */
+
+export const VERIFICATION_STATUSES = ['unverified', 'verified', 'rejected', 'needs_rescan'];
+
+/**
+ * SQL fragment (starting with " AND") restricting a certifications column to the ones that
+ * count: verified ones only when `verifiedOnly` is set, otherwise all but rejected ones.
+ */
+export function verificationCondition(column, verifiedOnly = false) {
+    return verifiedOnly ? ` AND ${column} = 'verified'` : ` AND ${column} != 'rejected'`;
+}
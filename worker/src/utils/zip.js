@@ -0,0 +1,113 @@
+/**
+ * ZIP Reader
+ * Just enough of the ZIP format to unpack an uploaded archive of scans: reads the central
+ * directory and inflates "stored" and "deflate" entries with DecompressionStream. No ZIP64,
+ * encryption or multi-disk archives. Uploads are untrusted, so the entry count and the
+ * uncompressed bytes (per entry and in total) are capped while inflating, not after.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const DEFAULT_LIMITS = {
+    maxEntries: 1000,
+    maxEntryBytes: 10 * 1024 * 1024,
+    maxTotalBytes: 100 * 1024 * 1024,
+};
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @param {{ maxEntries?: number, maxEntryBytes?: number, maxTotalBytes?: number }} [limits]
+ * @returns {Promise<Array<{ name: string, bytes: Uint8Array }>>} file entries (directories skipped)
+ */
+export async function readZipEntries(buffer, limits = {}) {
+    const { maxEntries, maxEntryBytes, maxTotalBytes } = { ...DEFAULT_LIMITS, ...limits };
+    const view = new DataView(buffer);
+    const eocd = findEndOfCentralDirectory(view);
+    if (eocd < 0) throw new Error('Not a ZIP archive');
+
+    const count = view.getUint16(eocd + 10, true);
+    if (count > maxEntries) throw new Error(`Archive holds ${count} entries; the limit is ${maxEntries}`);
+    let offset = view.getUint32(eocd + 16, true);
+    const entries = [];
+    let totalBytes = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error('Corrupt ZIP central directory');
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const declaredSize = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) throw new Error(`${name} is encrypted`);
+
+        if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) throw new Error(`Corrupt ZIP entry ${name}`);
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+        // The declared size is only a hint (it can lie), so inflateRaw counts the real bytes too
+        const entryLimit = Math.min(maxEntryBytes, maxTotalBytes - totalBytes);
+        if (declaredSize > entryLimit) throw tooLarge(name, declaredSize > maxEntryBytes);
+
+        let bytes;
+        if (method === 0) {
+            if (compressedSize > entryLimit) throw tooLarge(name, compressedSize > maxEntryBytes);
+            bytes = data.slice();
+        } else if (method === 8) {
+            bytes = await inflateRaw(data, entryLimit);
+            if (!bytes) throw tooLarge(name, maxTotalBytes - totalBytes >= maxEntryBytes);
+        } else {
+            throw new Error(`${name} uses an unsupported compression method (${method})`);
+        }
+        totalBytes += bytes.byteLength;
+        entries.push({ name, bytes });
+    }
+
+    return entries;
+}
+
+// The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+function findEndOfCentralDirectory(view) {
+    for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+    }
+    return -1;
+}
+
+function tooLarge(name, entryOverLimit) {
+    return new Error(entryOverLimit ? `${name} is too large once uncompressed` : 'Archive is too large once uncompressed');
+}
+
+// Inflates up to maxBytes; past that the stream is cancelled and null returned
+async function inflateRaw(data, maxBytes) {
+    const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks = [];
+    let length = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        length += value.byteLength;
+        if (length > maxBytes) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const bytes = new Uint8Array(length);
+    let at = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, at);
+        at += chunk.byteLength;
+    }
+    return bytes;
+}
@@ -0,0 +1,213 @@
+/**
+ * Outbound Webhooks Module
+ * Notifies registered endpoints (payroll, site access, …) when workers and certifications
+ * change or an expiry threshold is reached.
+ *
+ * Every event is POSTed as JSON: { id, type, created_at, data }
+ * with headers
+ *   X-WorkPass-Event:     event type
+ *   X-WorkPass-Delivery:  event id (stable across retries and redeliveries — use it to dedupe)
+ *   X-WorkPass-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the endpoint secret>
+ *
+ * emitEvent only queues deliveries; sendDueDeliveries sends them — straight after the request
+ * that emitted them (ctx.waitUntil in index.js) and from the five-minute Cron Trigger. A non-2xx
+ * response or network error is retried with backoff (see RETRY_DELAYS); after MAX_ATTEMPTS the
+ * delivery is marked failed.
+ */
+
+import { hmacSha256Hex } from './utils/crypto.js';
+
+export const WEBHOOK_EVENTS = [
+    'worker.created',
+    'worker.updated',
+    'worker.status_changed',
+    'worker.deleted',
+    'certification.created',
+    'certification.deleted',
+    'certification.verification_changed',
+    'expiry.threshold_reached',
+];
+
+// Delay before retry N (after attempt N failed), in seconds: 1m, 5m, 30m, 2h, 12h
+const RETRY_DELAYS = [60, 300, 1800, 7200, 43200];
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+const DELIVERY_TIMEOUT_MS = 5000;
+// A claimed delivery not sent within this long (the sender was cut short) is due again
+const CLAIM_SECONDS = 60;
+
+/**
+ * Queue an event for every active endpoint subscribed to it, as pending deliveries due now.
+ * Nothing is sent here, so a slow endpoint can't hold up the request that caused the event.
+ * Never throws — webhook failures must not fail that request.
+ */
+export async function emitEvent(env, type, data) {
+    try {
+        const { results: endpoints } = await env.DB.prepare(
+            'SELECT * FROM webhook_endpoints WHERE is_active = 1'
+        ).all();
+        const subscribed = endpoints.filter(e => subscribesTo(e, type));
+        if (subscribed.length === 0) return;
+
+        const event = {
+            id: crypto.randomUUID(),
+            type,
+            created_at: new Date().toISOString(),
+            data,
+        };
+        const payload = JSON.stringify(event);
+
+        await env.DB.batch(subscribed.map(endpoint => insertDelivery(env, endpoint.id, event.id, type, payload)));
+    } catch (err) {
+        console.error(`Webhook emit failed for ${type}:`, err.message);
+    }
+}
+
+/**
+ * Send a stored delivery's payload again as a new delivery row (same event id).
+ * Returns the new delivery row after its first attempt.
+ */
+export async function redeliver(env, deliveryId) {
+    const original = await env.DB.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').bind(deliveryId).first();
+    if (!original) return null;
+
+    const endpoint = await env.DB.prepare('SELECT * FROM webhook_endpoints WHERE id = ?').bind(original.endpoint_id).first();
+    if (!endpoint) return null;
+
+    const delivery = await createDelivery(env, endpoint.id, original.event_id, original.event_type, original.payload);
+    return attemptDelivery(env, delivery, endpoint);
+}
+
+/**
+ * Send a "ping" event to one endpoint regardless of its event filter.
+ */
+export async function sendTestEvent(env, endpoint) {
+    const event = {
+        id: crypto.randomUUID(),
+        type: 'ping',
+        created_at: new Date().toISOString(),
+        data: { message: 'Test event from WorkPass & Cert Manager' },
+    };
+    const delivery = await createDelivery(env, endpoint.id, event.id, event.type, JSON.stringify(event));
+    return attemptDelivery(env, delivery, endpoint);
+}
+
+/**
+ * Send every pending delivery that is due: new events and retries whose backoff has elapsed.
+ * Each is claimed first, so the Cron Trigger and a request's waitUntil never both send it.
+ * Returns { attempted, succeeded }.
+ */
+export async function sendDueDeliveries(env) {
+    const { results: due } = await env.DB.prepare(`
+        SELECT d.* FROM webhook_deliveries d
+        JOIN webhook_endpoints e ON d.endpoint_id = e.id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= datetime('now') AND e.is_active = 1
+        ORDER BY d.next_attempt_at ASC
+        LIMIT 100
+    `).all();
+
+    const endpoints = new Map();
+    let attempted = 0;
+    let succeeded = 0;
+    for (const delivery of due) {
+        const claim = await env.DB.prepare(`
+            UPDATE webhook_deliveries SET next_attempt_at = datetime('now', ?)
+            WHERE id = ? AND status = 'pending' AND next_attempt_at <= datetime('now')
+        `).bind(`+${CLAIM_SECONDS} seconds`, delivery.id).run();
+        if (claim.meta.changes === 0) continue;
+
+        if (!endpoints.has(delivery.endpoint_id)) {
+            endpoints.set(delivery.endpoint_id, await env.DB.prepare(
+                'SELECT * FROM webhook_endpoints WHERE id = ?'
+            ).bind(delivery.endpoint_id).first());
+        }
+        const result = await attemptDelivery(env, delivery, endpoints.get(delivery.endpoint_id));
+        attempted++;
+        if (result.status === 'succeeded') succeeded++;
+    }
+
+    if (attempted > 0) {
+        console.log(`Webhook deliveries: ${succeeded}/${attempted} succeeded`);
+    }
+    return { attempted, succeeded };
+}
+
+// ─── Helpers ──────────────────────────────────────────────
+
+function subscribesTo(endpoint, type) {
+    try {
+        const events = JSON.parse(endpoint.events || '["*"]');
+        return events.includes('*') || events.includes(type);
+    } catch (e) {
+        return false;
+    }
+}
+
+// delaySeconds > 0 inserts the delivery already claimed, for a caller that sends it itself
+function insertDelivery(env, endpointId, eventId, type, payload, delaySeconds = 0) {
+    return env.DB.prepare(`
+        INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, next_attempt_at)
+        VALUES (?, ?, ?, ?, datetime('now', ?))
+    `).bind(endpointId, eventId, type, payload, `+${delaySeconds} seconds`);
+}
+
+// For redeliveries and pings, which are sent straight away
+async function createDelivery(env, endpointId, eventId, type, payload) {
+    const result = await insertDelivery(env, endpointId, eventId, type, payload, CLAIM_SECONDS).run();
+    return env.DB.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').bind(result.meta.last_row_id).first();
+}
+
+/**
+ * POST the payload once and record the outcome (success, scheduled retry, or give up).
+ * Returns the updated delivery row.
+ */
+async function attemptDelivery(env, delivery, endpoint) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = await hmacSha256Hex(endpoint.secret, `${timestamp}.${delivery.payload}`);
+
+    let statusCode = null;
+    let responseText = null;
+    let error = null;
+
+    try {
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'WorkPass-Webhooks/1.0',
+                'X-WorkPass-Event': delivery.event_type,
+                'X-WorkPass-Delivery': delivery.event_id,
+                'X-WorkPass-Signature': `t=${timestamp},v1=${signature}`,
+            },
+            body: delivery.payload,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+        });
+        statusCode = response.status;
+        responseText = (await response.text().catch(() => '')).slice(0, 500);
+        if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (err) {
+        error = err.name === 'TimeoutError' ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s` : err.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    let status = 'succeeded';
+    let nextAttempt = null;
+    if (error) {
+        status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+        nextAttempt = status === 'pending' ? `+${RETRY_DELAYS[attempts - 1]} seconds` : null;
+    }
+
+    await env.DB.prepare(`
+        UPDATE webhook_deliveries SET
+            status = ?,
+            attempts = ?,
+            next_attempt_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END,
+            last_attempt_at = datetime('now'),
+            last_status_code = ?,
+            last_error = ?,
+            last_response = ?,
+            delivered_at = CASE WHEN ? = 'succeeded' THEN datetime('now') ELSE delivered_at END
+        WHERE id = ?
+    `).bind(status, attempts, nextAttempt, nextAttempt, statusCode, error, responseText, status, delivery.id).run();
+
+    return env.DB.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').bind(delivery.id).first();
+}